@@ -0,0 +1,161 @@
+// Appwrite Function: sign-in and session tokens for database-backed users.
+//
+// The browser never sees the secret the tokens are signed with, and never
+// needs to read password hashes: it sends credentials here and gets back a
+// token, and sends the token back here to have it verified.
+//
+// A token is `<payload>.<signature>` (both base64url). The payload names the
+// user document and the `$updatedAt` it was issued against; the signature is
+// an HMAC-SHA256 keyed with SESSION_SECRET. Verifying re-reads the document,
+// so changing or deleting it ends the session.
+//
+// Environment: SESSION_SECRET (long random string), DATABASE_ID,
+// USERS_COLLECTION_ID and APPWRITE_API_KEY (databases read/write), unless the
+// runtime supplies a key in the x-appwrite-key header.
+
+import { createHmac, pbkdf2Sync, randomBytes, timingSafeEqual } from 'node:crypto'
+import { Client, Databases, Query } from 'node-appwrite'
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000
+
+// Same format as src/services/passwordHash.js:
+// pbkdf2$sha256$<iterations>$<saltBase64>$<hashBase64>
+const HASH_PREFIX = 'pbkdf2'
+const HASH_ALGORITHM = 'sha256'
+const ITERATIONS = 210000
+const SALT_BYTES = 16
+const KEY_BYTES = 32
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ''))
+  const right = Buffer.from(String(b ?? ''))
+  return left.length === right.length && timingSafeEqual(left, right)
+}
+
+function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`)
+}
+
+function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES)
+  const hash = pbkdf2Sync(String(password ?? ''), salt, ITERATIONS, KEY_BYTES, HASH_ALGORITHM)
+  return [HASH_PREFIX, HASH_ALGORITHM, ITERATIONS, salt.toString('base64'), hash.toString('base64')].join('$')
+}
+
+function verifyPassword(password, stored) {
+  if (!stored) return false
+  if (!isPasswordHash(stored)) return safeEqual(password, stored)
+  const [, algorithm, iterations, saltB64, hashB64] = stored.split('$')
+  if (algorithm !== HASH_ALGORITHM || !saltB64 || !hashB64) return false
+  const hash = pbkdf2Sync(
+    String(password ?? ''),
+    Buffer.from(saltB64, 'base64'),
+    Number(iterations),
+    KEY_BYTES,
+    HASH_ALGORITHM,
+  )
+  return safeEqual(hash.toString('base64'), hashB64)
+}
+
+function needsRehash(stored) {
+  if (!isPasswordHash(stored)) return true
+  const [, algorithm, iterations] = stored.split('$')
+  return algorithm !== HASH_ALGORITHM || Number(iterations) < ITERATIONS
+}
+
+function sign(encodedPayload) {
+  return createHmac('sha256', process.env.SESSION_SECRET).update(encodedPayload).digest('base64url')
+}
+
+function issueToken(doc) {
+  const now = Date.now()
+  const payload = {
+    sub: doc.$id,
+    email: doc.email,
+    ver: doc.$updatedAt || '',
+    iat: now,
+    exp: now + SESSION_TTL_MS,
+  }
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${encodedPayload}.${sign(encodedPayload)}`
+}
+
+function readToken(token) {
+  if (typeof token !== 'string') return null
+  const [encodedPayload, signature] = token.split('.')
+  if (!encodedPayload || !signature || !safeEqual(sign(encodedPayload), signature)) return null
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+}
+
+function sessionFor(doc) {
+  return {
+    user: { id: doc.$id, email: doc.email },
+    role: doc.role === 'admin' ? 'admin' : 'user',
+  }
+}
+
+export default async ({ req, res, error }) => {
+  const { SESSION_SECRET, DATABASE_ID, USERS_COLLECTION_ID } = process.env
+  if (!SESSION_SECRET || !DATABASE_ID || !USERS_COLLECTION_ID) {
+    error('SESSION_SECRET, DATABASE_ID and USERS_COLLECTION_ID must be set.')
+    return res.json({ message: 'Sign-in is not configured.' }, 500)
+  }
+
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(req.headers['x-appwrite-key'] || process.env.APPWRITE_API_KEY)
+  const databases = new Databases(client)
+
+  let body = req.bodyJson
+  if (!body) {
+    try {
+      body = JSON.parse(req.body || '{}')
+    } catch {
+      body = {}
+    }
+  }
+
+  if (body.action === 'login') {
+    const result = await databases.listDocuments(DATABASE_ID, USERS_COLLECTION_ID, [
+      Query.equal('email', String(body.email ?? '')),
+    ])
+    let doc = result.documents.find((candidate) => verifyPassword(body.password, candidate.password))
+    if (!doc) return res.json({ message: 'Invalid email or password.' }, 401)
+
+    // One-time migration: legacy documents hold the plaintext password
+    if (needsRehash(doc.password)) {
+      try {
+        doc = await databases.updateDocument(DATABASE_ID, USERS_COLLECTION_ID, doc.$id, {
+          password: hashPassword(body.password),
+        })
+      } catch (err) {
+        error(`Failed to rehash user password: ${err.message}`)
+      }
+    }
+    return res.json({ token: issueToken(doc), ...sessionFor(doc) })
+  }
+
+  if (body.action === 'verify') {
+    const payload = readToken(body.token)
+    if (!payload?.sub || !payload.exp || Date.now() >= payload.exp) {
+      return res.json({ message: 'Session expired.' }, 401)
+    }
+    let doc = null
+    try {
+      doc = await databases.getDocument(DATABASE_ID, USERS_COLLECTION_ID, payload.sub)
+    } catch (err) {
+      if (err?.code !== 404) throw err
+    }
+    if (!doc || payload.email !== doc.email || payload.ver !== (doc.$updatedAt || '')) {
+      return res.json({ message: 'Session is no longer valid.' }, 401)
+    }
+    return res.json(sessionFor(doc))
+  }
+
+  return res.json({ message: 'Unknown action.' }, 400)
+}
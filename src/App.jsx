@@ -3,15 +3,22 @@ import LoginPage from './pages/LoginPage'
 import AdminLayout from './pages/admin/AdminLayout'
 import AdminDashboard from './pages/admin/AdminDashboard'
 import ProspectsDetailsPage from './pages/admin/ProspectsDetailsPage'
+import AddProspectPage from './pages/admin/AddProspectPage'
 import AdminNominalRollPage from './pages/admin/NominalRollPage'
 import VisitDataPage from './pages/admin/VisitDataPage'
 import JathaRecordPage from './pages/admin/JathaRecordPage'
+import JathasPage from './pages/admin/JathasPage'
+import JathaConflictsPage from './pages/admin/JathaConflictsPage'
+import CallBacksPage from './pages/admin/CallBacksPage'
+import DispositionsPage from './pages/admin/DispositionsPage'
+import CallFormPage from './pages/admin/CallFormPage'
+import ActivityLogPage from './pages/admin/ActivityLogPage'
+import RecycleBinPage from './pages/admin/RecycleBinPage'
 import UserLayout from './pages/UserLayout'
 import UserDashboard from './pages/UserDashboard'
 import UserNominalRollPage from './pages/NominalRollPage'
 import UserVisitDataPage from './pages/VisitDataPage'
 import UserJathaRecordPage from './pages/JathaRecordPage'
-import UnderConstruction from './pages/UnderConstruction'
 import ProtectedRoute from './routes/ProtectedRoute'
 
 function App() {
@@ -34,8 +41,15 @@ function App() {
           <Route path="prospects-details" element={<ProspectsDetailsPage />} />
           <Route path="nominal-roll" element={<AdminNominalRollPage />} />
           <Route path="jatha-record" element={<JathaRecordPage />} />
+          <Route path="jathas" element={<JathasPage />} />
+          <Route path="jatha-conflicts" element={<JathaConflictsPage />} />
           <Route path="visit-data" element={<VisitDataPage />} />
-          <Route path="add-prospects" element={<UnderConstruction section="Add Prospects" />} />
+          <Route path="call-backs" element={<CallBacksPage />} />
+          <Route path="dispositions" element={<DispositionsPage />} />
+          <Route path="call-form" element={<CallFormPage />} />
+          <Route path="activity" element={<ActivityLogPage />} />
+          <Route path="recycle-bin" element={<RecycleBinPage />} />
+          <Route path="add-prospects" element={<AddProspectPage />} />
         </Route>
 
         {/* User routes */}
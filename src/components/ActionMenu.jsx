@@ -2,9 +2,16 @@ export function ActionMenu({
   onView,
   onEdit,
   onDelete,
+  onEditDetails,
+  onHistory,
   showViewForm = true,
   showEditForm = true,
   showDeleteProspect = true,
+  showEditDetails = false,
+  showHistory = false,
+  viewLabel = "View",
+  editLabel = "Edit",
+  editDetailsLabel = "Details",
   isSaving = false,
 }) {
   // using an inline flex layout ensures the buttons sit side‑by‑side
@@ -22,7 +29,7 @@ export function ActionMenu({
           onClick={onView}
           className={`${baseBtn} text-slate-700 hover:bg-slate-100`}
         >
-          View
+          {viewLabel}
         </button>
       )}
       {showEditForm && (
@@ -31,7 +38,25 @@ export function ActionMenu({
           onClick={onEdit}
           className={`${baseBtn} text-slate-700 hover:bg-slate-100`}
         >
-          Edit
+          {editLabel}
+        </button>
+      )}
+      {showEditDetails && (
+        <button
+          type="button"
+          onClick={onEditDetails}
+          className={`${baseBtn} text-sky-700 hover:bg-sky-50`}
+        >
+          {editDetailsLabel}
+        </button>
+      )}
+      {showHistory && (
+        <button
+          type="button"
+          onClick={onHistory}
+          className={`${baseBtn} text-slate-700 hover:bg-slate-100`}
+        >
+          History
         </button>
       )}
       {showDeleteProspect && (
@@ -0,0 +1,77 @@
+import { useState, useEffect } from "react";
+import {
+  formatHeldFor,
+  listAssignmentsForProspect,
+  parseHandover,
+} from "../services/assignmentsService";
+
+/** Who a prospect has been assigned to over time, newest first */
+export function AssignmentHistory({ prospectId }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = await listAssignmentsForProspect(prospectId);
+        if (!cancelled) setRecords(list);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load assignments.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [prospectId]);
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+  if (loading) {
+    return <p className="text-sm text-slate-500">Loading assignments…</p>;
+  }
+  if (!records.length) {
+    return <p className="text-sm text-slate-500">No assignment changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="space-y-2">
+      {records.map((record, i) => {
+        const { callBack, notes } = parseHandover(record);
+        return (
+          <li key={record.$id} className="rounded-lg border border-slate-200 px-3 py-2 text-sm">
+            <p className="text-slate-900">
+              <span className="text-slate-500">{record.fromEmail || "Unassigned"}</span> →{" "}
+              <span className="font-medium">{record.toEmail || "Unassigned"}</span>
+            </p>
+            <p className="text-xs text-slate-500">
+              by {record.assignedBy || "unknown"} · {new Date(record.$createdAt).toLocaleString()}
+              {record.toEmail &&
+                ` · held for ${formatHeldFor(record.heldFor)}${i === 0 ? " so far" : ""}`}
+            </p>
+            {record.reason && <p className="mt-1 text-slate-700">{record.reason}</p>}
+            {(callBack || notes) && (
+              <p className="mt-1 text-xs text-slate-500">
+                Handed over:{" "}
+                {[
+                  callBack && `call-back ${new Date(callBack.callBackAt).toLocaleString()}`,
+                  notes && "notes",
+                ]
+                  .filter(Boolean)
+                  .join(", ")}
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  listAuditEntries,
+  parseAuditChanges,
+} from "../services/auditService";
+import { callLogAuditRows } from "../services/callFormSchema";
+import { prospectFieldLabel } from "../services/prospectDetails";
+
+const HISTORY_PAGE_SIZE = 25;
+
+/** [{ field, label, before, after }] for an audit entry, labelled for display */
+function auditEntryRows(entry, schema) {
+  const changes = parseAuditChanges(entry);
+  if (entry.entityType === "callLog") return callLogAuditRows(schema, changes);
+  return changes.map((change) => ({
+    ...change,
+    label: prospectFieldLabel(change.field),
+  }));
+}
+
+/** Before / after table of one audit entry's changed fields */
+export function AuditEntryChanges({ entry, schema }) {
+  const rows = auditEntryRows(entry, schema);
+  if (!rows.length) {
+    return <p className="text-xs text-slate-500">No field values recorded.</p>;
+  }
+  return (
+    <table className="w-full border-collapse text-left text-xs">
+      <thead>
+        <tr className="border-b border-slate-200 text-slate-500">
+          <th className="py-1 pr-3 font-medium">Field</th>
+          <th className="py-1 pr-3 font-medium">Before</th>
+          <th className="py-1 font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.field} className="border-b border-slate-100 align-top">
+            <td className="py-1 pr-3 font-medium text-slate-700">{row.label}</td>
+            <td className="py-1 pr-3 whitespace-pre-line text-slate-500 line-through decoration-slate-300">
+              {row.before || "-"}
+            </td>
+            <td className="py-1 whitespace-pre-line text-slate-900">
+              {row.after || "-"}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Change history from the audit trail, newest first: every change to one
+ * prospect and its calls (`prospectId`), or to one call log (`entityType`
+ * "callLog" + `entityId`). `schema` labels call log answers.
+ */
+export function AuditHistory({ prospectId, entityType, entityId, schema }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const load = useCallback(
+    async (nextPage) => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await listAuditEntries({
+          prospectId,
+          entityType,
+          entityId,
+          page: nextPage,
+          pageSize: HISTORY_PAGE_SIZE,
+        });
+        setEntries((prev) =>
+          nextPage === 0 ? res.documents : [...prev, ...res.documents],
+        );
+        setTotal(res.total);
+        setPage(nextPage);
+      } catch (err) {
+        setError(err.message || "Failed to load history.");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [prospectId, entityType, entityId],
+  );
+
+  useEffect(() => {
+    load(0);
+  }, [load]);
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+        {error}
+      </div>
+    );
+  }
+  if (!loading && !entries.length) {
+    return (
+      <p className="py-6 text-center text-sm text-slate-500">
+        No changes recorded yet.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <ol className="space-y-3">
+        {entries.map((entry) => (
+          <li
+            key={entry.$id}
+            className="rounded-lg border border-slate-200 px-3 py-2"
+          >
+            <p className="mb-1.5 text-xs text-slate-500">
+              <span className="font-semibold text-slate-800">
+                {AUDIT_ACTIONS[entry.action] || entry.action}
+              </span>{" "}
+              {entry.entityType === "callLog" && !entityId
+                ? `${AUDIT_ENTITY_TYPES.callLog.toLowerCase()} `
+                : ""}
+              by {entry.actor || "unknown"} ·{" "}
+              {new Date(entry.$createdAt).toLocaleString()}
+            </p>
+            <AuditEntryChanges entry={entry} schema={schema} />
+          </li>
+        ))}
+      </ol>
+      {loading ? (
+        <p className="text-center text-sm text-slate-500">Loading history…</p>
+      ) : (
+        entries.length < total && (
+          <button
+            type="button"
+            onClick={() => load(page + 1)}
+            className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+          >
+            Show older changes
+          </button>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,373 @@
+import { useState, useEffect } from "react";
+import {
+  AUTO_ASSIGN_STRATEGIES,
+  applyAutoAssignment,
+  loadAutoAssignData,
+  loadCallerRules,
+  openWorkloads,
+  parseAreas,
+  planAutoAssignment,
+  saveCallerRules,
+} from "../services/autoAssign";
+import { docToDisplay } from "../services/prospectsService";
+
+const GENDERS = ["Male", "Female"];
+
+// Spreads unassigned prospects (the selected ones, or all of them) across the
+// chosen callers. The admin sets the rules, reviews and adjusts the plan,
+// then commits it; `onAssigned(count)` is called once it is saved.
+export function AutoAssignDialog({ callers, selectedIds, onAssigned, onCancel }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [prospects, setProspects] = useState([]);
+  const [workloads, setWorkloads] = useState({});
+  const [chosen, setChosen] = useState(() => new Set(callers));
+  const [rules, setRules] = useState({});
+  const [strategy, setStrategy] = useState("roundRobin");
+  const [byArea, setByArea] = useState(false);
+  const [byGender, setByGender] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [applying, setApplying] = useState(false);
+  const [savingRules, setSavingRules] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const { prospects: all, logs } = await loadAutoAssignData();
+        if (cancelled) return;
+        setWorkloads(openWorkloads(all, logs));
+        setProspects(
+          all.filter(
+            (doc) =>
+              !String(doc.assignedTo || "").trim() &&
+              (!selectedIds.size || selectedIds.has(doc.$id)),
+          ),
+        );
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load prospects.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedIds]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCallerRules()
+      .then((saved) => {
+        // Keep anything typed while they were loading
+        if (!cancelled) setRules((prev) => ({ ...saved, ...prev }));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "Failed to load caller rules.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const setRule = (email, key, value) =>
+    setRules((prev) => ({ ...prev, [email]: { ...prev[email], [key]: value } }));
+
+  const toggleCaller = (email) =>
+    setChosen((prev) => {
+      const next = new Set(prev);
+      if (next.has(email)) next.delete(email);
+      else next.add(email);
+      return next;
+    });
+
+  const chosenCallers = callers.filter((email) => chosen.has(email));
+
+  const buildPlan = async () => {
+    setSavingRules(true);
+    setError("");
+    try {
+      await saveCallerRules(rules);
+    } catch (err) {
+      setError(err.message || "Failed to save caller rules.");
+      return;
+    } finally {
+      setSavingRules(false);
+    }
+    setPlan(
+      planAutoAssignment(
+        prospects,
+        chosenCallers.map((email) => ({
+          email,
+          areas: byArea ? parseAreas(rules[email]?.areas) : [],
+          gender: byGender ? rules[email]?.gender || "" : "",
+        })),
+        { strategy, byArea, byGender, workloads },
+      ),
+    );
+  };
+
+  const setRowCaller = (index, email) =>
+    setPlan((prev) =>
+      prev.map((row, i) => (i === index ? { ...row, email, reason: "Changed by hand" } : row)),
+    );
+
+  const handleApply = async () => {
+    setApplying(true);
+    setError("");
+    try {
+      onAssigned(
+        await applyAutoAssignment(
+          plan,
+          `Auto-assigned (${AUTO_ASSIGN_STRATEGIES[strategy].toLowerCase()})`,
+        ),
+      );
+    } catch (err) {
+      setError(err.message || "Failed to assign prospects.");
+      setApplying(false);
+    }
+  };
+
+  const planned = (plan || []).filter((row) => row.email);
+  const addedBy = {};
+  planned.forEach(({ email }) => {
+    addedBy[email] = (addedBy[email] || 0) + 1;
+  });
+
+  const inputClass =
+    "rounded-md border border-slate-200 px-2 py-1 text-sm outline-none focus:border-slate-400";
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="auto-assign-title"
+      onClick={onCancel}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="border-b border-slate-200 px-5 py-4">
+          <h2 id="auto-assign-title" className="text-lg font-semibold text-slate-900">
+            Auto-assign prospects
+          </h2>
+          <p className="mt-1 text-sm text-slate-600">
+            {loading
+              ? "Loading prospects…"
+              : `${prospects.length} unassigned prospect${prospects.length === 1 ? "" : "s"}${selectedIds.size ? " among the selected" : ""}.`}
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto px-5 py-4">
+          {error && (
+            <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {!plan ? (
+            <>
+              <fieldset className="space-y-1.5">
+                <legend className="mb-1 text-sm font-semibold text-slate-800">Spread by</legend>
+                {Object.entries(AUTO_ASSIGN_STRATEGIES).map(([value, label]) => (
+                  <label key={value} className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="radio"
+                      name="auto-assign-strategy"
+                      checked={strategy === value}
+                      onChange={() => setStrategy(value)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </fieldset>
+
+              <div className="flex flex-wrap gap-4 text-sm text-slate-700">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={byArea}
+                    onChange={(e) => setByArea(e.target.checked)}
+                  />
+                  Match locality / area
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={byGender}
+                    onChange={(e) => setByGender(e.target.checked)}
+                  />
+                  Match gender
+                </label>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50">
+                      <th className="px-3 py-2" />
+                      <th className="px-3 py-2 font-semibold text-slate-700">Caller</th>
+                      <th className="px-3 py-2 font-semibold text-slate-700">Open</th>
+                      {byArea && (
+                        <th className="px-3 py-2 font-semibold text-slate-700">
+                          Areas (comma-separated)
+                        </th>
+                      )}
+                      {byGender && (
+                        <th className="px-3 py-2 font-semibold text-slate-700">Gender</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {callers.map((email) => (
+                      <tr key={email} className="border-b border-slate-100">
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={chosen.has(email)}
+                            onChange={() => toggleCaller(email)}
+                            aria-label={`Include ${email}`}
+                          />
+                        </td>
+                        <td className="px-3 py-2 text-slate-800">{email}</td>
+                        <td className="px-3 py-2 text-slate-600">{workloads[email] || 0}</td>
+                        {byArea && (
+                          <td className="px-3 py-2">
+                            <input
+                              type="text"
+                              value={rules[email]?.areas || ""}
+                              onChange={(e) => setRule(email, "areas", e.target.value)}
+                              placeholder="Any area"
+                              className={`w-full ${inputClass}`}
+                            />
+                          </td>
+                        )}
+                        {byGender && (
+                          <td className="px-3 py-2">
+                            <select
+                              value={rules[email]?.gender || ""}
+                              onChange={(e) => setRule(email, "gender", e.target.value)}
+                              className={inputClass}
+                            >
+                              <option value="">Any</option>
+                              {GENDERS.map((g) => (
+                                <option key={g} value={g}>
+                                  {g}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {byArea && (
+                <p className="text-xs text-slate-500">
+                  A prospect goes to a caller whose areas appear in its locality or address. Callers
+                  with no areas take prospects nobody else covers.
+                </p>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {chosenCallers.map((email) => (
+                  <span
+                    key={email}
+                    className="rounded-full bg-slate-100 px-2.5 py-1 text-xs text-slate-700"
+                  >
+                    {email}: +{addedBy[email] || 0} (open {workloads[email] || 0} →{" "}
+                    {(workloads[email] || 0) + (addedBy[email] || 0)})
+                  </span>
+                ))}
+              </div>
+              {planned.length < plan.length && (
+                <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                  {plan.length - planned.length} prospect(s) will stay unassigned.
+                </div>
+              )}
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50">
+                      <th className="px-3 py-2 font-semibold text-slate-700">Prospect</th>
+                      <th className="px-3 py-2 font-semibold text-slate-700">Locality</th>
+                      <th className="px-3 py-2 font-semibold text-slate-700">Assign to</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.map((row, index) => {
+                      const p = docToDisplay(row.prospect);
+                      return (
+                        <tr key={row.prospect.$id} className="border-b border-slate-100 align-top">
+                          <td className="px-3 py-2">
+                            <p className="font-medium text-slate-900">{p.name}</p>
+                            <p className="text-xs text-slate-500">{row.prospect.gender || "-"}</p>
+                          </td>
+                          <td className="px-3 py-2 text-slate-600">
+                            {row.prospect.locality || p.address}
+                          </td>
+                          <td className="px-3 py-2">
+                            <select
+                              value={row.email}
+                              onChange={(e) => setRowCaller(index, e.target.value)}
+                              className={inputClass}
+                            >
+                              <option value="">Leave unassigned</option>
+                              {chosenCallers.map((email) => (
+                                <option key={email} value={email}>
+                                  {email}
+                                </option>
+                              ))}
+                            </select>
+                            {row.reason && (
+                              <p className="mt-0.5 text-[11px] text-slate-500">{row.reason}</p>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2 border-t border-slate-200 px-5 py-4">
+          <button
+            type="button"
+            onClick={plan ? () => setPlan(null) : onCancel}
+            disabled={applying}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-100"
+          >
+            {plan ? "Back" : "Cancel"}
+          </button>
+          {plan ? (
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={applying || !planned.length}
+              className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white hover:bg-slate-900 disabled:opacity-60"
+            >
+              {applying ? "Assigning…" : `Assign ${planned.length} prospect(s)`}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={buildPlan}
+              disabled={loading || savingRules || !prospects.length || !chosenCallers.length}
+              className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-700 disabled:opacity-60"
+            >
+              {savingRules ? "Saving rules…" : "Preview"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { callBackStatus } from "../services/callLogsService";
+
+const STATUS_STYLES = {
+  overdue: "bg-red-100 text-red-700",
+  today: "bg-amber-100 text-amber-800",
+  upcoming: "bg-slate-100 text-slate-600",
+};
+
+const STATUS_LABELS = {
+  overdue: "Overdue",
+  today: "Today",
+  upcoming: "Upcoming",
+};
+
+// Scheduled call-backs (see pendingCallBacks), soonest first. `onOpen(log)`
+// opens the calling form for the prospect so the next attempt can be logged.
+export function CallBackQueue({ items = [], onOpen }) {
+  if (!items.length) {
+    return (
+      <p className="text-sm text-slate-500">
+        No call-backs due today. Nice work.
+      </p>
+    );
+  }
+  const now = new Date();
+  return (
+    <ul className="divide-y divide-slate-100">
+      {items.map((log) => {
+        const status = callBackStatus(log, now);
+        return (
+          <li
+            key={log.$id}
+            className="flex items-center justify-between gap-3 py-2"
+          >
+            <div className="min-w-0">
+              <p className="flex items-center gap-2 text-sm font-medium text-slate-900">
+                <span className="truncate">{log.prospectName || "-"}</span>
+                <span
+                  className={`shrink-0 rounded px-1.5 py-0.5 text-[10px] font-semibold uppercase ${STATUS_STYLES[status]}`}
+                >
+                  {STATUS_LABELS[status]}
+                </span>
+              </p>
+              <p className="mt-0.5 truncate text-xs text-slate-500">
+                {new Date(log.callBackAt).toLocaleString()}
+                {log.callBackReason ? ` · ${log.callBackReason}` : ""}
+                {log.handedOverFrom ? ` · from ${log.handedOverFrom}` : ""}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => onOpen(log)}
+              className="shrink-0 rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700"
+            >
+              Log call
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,418 @@
+import { Fragment } from "react";
+import {
+  EMPTY_JATHA,
+  JATHA_COLUMNS,
+  YES_NO_OPTIONS,
+  callFormSections,
+  checkCallFormRules,
+  isFieldVisible,
+  withJathaTotalDay,
+} from "../services/callFormSchema";
+import {
+  bookingProblem,
+  describeJathaFill,
+  enrollmentStatus,
+  jathaFill,
+  jathaLabel,
+  jathaRow,
+  sewadarProfile,
+  waitlistPosition,
+} from "../services/jathasService";
+import {
+  JATHA_CONFLICT_TYPES,
+  callFormJathaConflicts,
+  describeJathaConflict,
+} from "../services/jathaConflicts";
+import { useJathas } from "../hooks/useJathas";
+import { DispositionPicker } from "./DispositionPicker";
+
+const GRID_COLUMNS = {
+  2: "sm:grid-cols-2",
+  3: "sm:grid-cols-3",
+};
+
+const INPUT_CLASS =
+  "w-full rounded border bg-white px-2 py-2 text-sm disabled:bg-slate-50";
+
+function inputClass(error) {
+  return `${INPUT_CLASS} ${error ? "border-red-400" : "border-slate-300"}`;
+}
+
+function FieldInput({ field, value, onChange, disabled, error }) {
+  const set = (e) => onChange({ [field.field]: e.target.value });
+  switch (field.type) {
+    case "textarea":
+      return (
+        <textarea
+          value={value}
+          onChange={set}
+          disabled={disabled}
+          rows={field.rows || 3}
+          placeholder={field.placeholder}
+          className={inputClass(error)}
+        />
+      );
+    case "yesno":
+    case "select": {
+      const options = field.type === "yesno" ? YES_NO_OPTIONS : field.options || [];
+      return (
+        <select
+          value={value}
+          onChange={set}
+          disabled={disabled}
+          className={inputClass(error)}
+        >
+          {field.defaultValue === undefined && <option value="">Select</option>}
+          {options.map((opt) => (
+            <option key={opt} value={opt}>
+              {opt}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    case "datetime":
+      return (
+        <input
+          type="datetime-local"
+          value={value}
+          onChange={set}
+          disabled={disabled}
+          className={inputClass(error)}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value}
+          onChange={set}
+          disabled={disabled}
+          placeholder={field.placeholder}
+          className={inputClass(error)}
+        />
+      );
+  }
+}
+
+/**
+ * "x of y filled" for a row picked from the jathas list, and whether the
+ * sewadar (`prospectDoc`, when known) is booked, waitlisted or would be.
+ */
+function jathaFillNote(row, jathas, enrollments, prospectDoc) {
+  const jatha = row.jathaId && jathas.find((x) => x.$id === row.jathaId);
+  if (!jatha) return null;
+  const fill = jathaFill(jatha, enrollments);
+  const quotas = fill.quotas.map((q) => `${q.value} ${q.booked} of ${q.limit}`);
+  const text = [describeJathaFill(fill), ...quotas].join(" · ");
+  const own =
+    prospectDoc &&
+    enrollments.find((e) => e.jathaId === jatha.$id && e.prospectId === prospectDoc.$id);
+  if (own) {
+    return enrollmentStatus(own) === "waitlisted"
+      ? { text: `${text} — waitlisted, #${waitlistPosition(enrollments, own)} in line.`, warn: true }
+      : { text: `${text} — booked.`, warn: false };
+  }
+  const problem = prospectDoc
+    ? bookingProblem(fill, sewadarProfile(prospectDoc))
+    : fill.full && "The jatha is full.";
+  return problem
+    ? { text: `${text}. ${problem} Saving puts this sewadar on the waitlist.`, warn: true }
+    : { text, warn: false };
+}
+
+// Rows are picked from the jathas list, which fills in (and locks) their
+// details; "Not listed" rows are typed by hand. Days follow the date range
+// once both dates are set.
+function JathaTable({ rows, onChange, disabled, rowErrors, prospectDoc }) {
+  const { jathas, enrollments } = useJathas();
+  const showPicker = jathas.length > 0 || rows.some((j) => j.jathaId);
+  const update = (index, key, value) =>
+    onChange(
+      rows.map((j, i) =>
+        i === index ? withJathaTotalDay({ ...j, [key]: value }) : j,
+      ),
+    );
+  const pick = (index, jathaId) =>
+    onChange(
+      rows.map((j, i) => {
+        if (i !== index) return j;
+        const jatha = jathas.find((x) => x.$id === jathaId);
+        if (jatha) return jathaRow(jatha);
+        const { jathaId: _previous, ...typed } = j;
+        return typed;
+      }),
+    );
+
+  return (
+    <>
+      {!disabled && (
+        <button
+          type="button"
+          onClick={() => onChange([...rows, { ...EMPTY_JATHA }])}
+          className="mb-3 flex items-center gap-1.5 rounded-lg border border-sky-400 bg-sky-50 px-3 py-2 text-sm font-medium text-sky-700 hover:bg-sky-100"
+        >
+          + Add Jatha
+        </button>
+      )}
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500">No jatha details added yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[560px] border-collapse text-left text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 bg-slate-50">
+                {showPicker && (
+                  <th className="px-2 py-2 font-semibold text-slate-700">Jatha</th>
+                )}
+                {JATHA_COLUMNS.map(([key, label]) => (
+                  <th key={key} className="px-2 py-2 font-semibold text-slate-700">
+                    {label}
+                  </th>
+                ))}
+                <th className="w-10 px-2 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((j, i) => {
+                const note = jathaFillNote(j, jathas, enrollments, prospectDoc);
+                return (
+                  <Fragment key={i}>
+                    <tr
+                      className={rowErrors[i] || note ? "" : "border-b border-slate-100"}
+                    >
+                      {showPicker && (
+                        <td className="px-2 py-2">
+                          <select
+                            value={j.jathaId || ""}
+                            onChange={(e) => pick(i, e.target.value)}
+                            disabled={disabled}
+                            className="w-full rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
+                          >
+                            <option value="">Not listed</option>
+                            {j.jathaId && !jathas.some((x) => x.$id === j.jathaId) && (
+                              <option value={j.jathaId}>{jathaLabel(j)}</option>
+                            )}
+                            {jathas.map((x) => (
+                              <option key={x.$id} value={x.$id}>
+                                {jathaLabel(x)}
+                                {jathaFill(x, enrollments).full ? " (full)" : ""}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                      )}
+                      {JATHA_COLUMNS.map(([key]) => (
+                        <td key={key} className="px-2 py-2">
+                          <input
+                            type={key.startsWith("date") ? "date" : "text"}
+                            value={j[key] || ""}
+                            onChange={(e) => update(i, key, e.target.value)}
+                            disabled={disabled}
+                            readOnly={
+                              !!j.jathaId ||
+                              (key === "jathaTotalDay" && !!j.dateFrom && !!j.dateTo)
+                            }
+                            className={`w-full rounded border px-2 py-1 text-xs read-only:bg-slate-50 disabled:bg-slate-50 ${rowErrors[i] ? "border-red-400" : "border-slate-200"}`}
+                          />
+                        </td>
+                      ))}
+                      <td className="px-2 py-2">
+                        {!disabled && (
+                          <button
+                            type="button"
+                            onClick={() => onChange(rows.filter((_, k) => k !== i))}
+                            className="rounded p-1 text-red-500 hover:bg-red-50"
+                            aria-label="Remove"
+                          >
+                            <svg
+                              className="h-5 w-5"
+                              fill="none"
+                              stroke="currentColor"
+                              viewBox="0 0 24 24"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth={2}
+                                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                              />
+                            </svg>
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {(rowErrors[i] || note) && (
+                      <tr className="border-b border-slate-100">
+                        <td
+                          colSpan={JATHA_COLUMNS.length + (showPicker ? 2 : 1)}
+                          className="px-2 pb-2 text-xs"
+                        >
+                          {rowErrors[i] && <p className="text-red-600">{rowErrors[i]}</p>}
+                          {note && (
+                            <p className={note.warn ? "text-amber-700" : "text-slate-500"}>
+                              {note.text}
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+}
+
+function Section({
+  section,
+  values,
+  onChange,
+  disabled,
+  dispositions,
+  errors,
+  jathaConflicts,
+  prospectDoc,
+}) {
+  const fields = section.fields.filter((f) => isFieldVisible(f, values));
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-4">
+      <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
+        {section.title}
+      </p>
+      <div
+        className={`grid grid-cols-1 gap-3 ${GRID_COLUMNS[section.columns] || ""}`}
+      >
+        {fields.map((field) => {
+          const error = errors[field.field];
+          if (field.type === "jatha") {
+            return (
+              <div key={field.field}>
+                <JathaTable
+                  rows={values[field.field] || []}
+                  onChange={(rows) => onChange({ [field.field]: rows })}
+                  disabled={disabled}
+                  prospectDoc={prospectDoc}
+                  rowErrors={(values[field.field] || []).map(
+                    (_, i) => errors[`${field.field}.${i}`],
+                  )}
+                />
+                {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+                {jathaConflicts.length > 0 && (
+                  <ul className="mt-2 space-y-1 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+                    {jathaConflicts.map((conflict, i) => (
+                      <li key={i}>
+                        <span className="font-semibold">
+                          {JATHA_CONFLICT_TYPES[conflict.type]}:
+                        </span>{" "}
+                        {describeJathaConflict(conflict)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          }
+          if (field.type === "disposition") {
+            return (
+              <div key={field.field}>
+                <DispositionPicker
+                  dispositions={dispositions}
+                  category={values.dispositionCategory}
+                  code={values[field.field]}
+                  onChange={({ category, code }) =>
+                    onChange({ dispositionCategory: category, [field.field]: code })
+                  }
+                  disabled={disabled}
+                />
+                {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+              </div>
+            );
+          }
+          return (
+            <div
+              key={field.field}
+              className={field.visibleWhen ? "border-l-2 border-amber-300 pl-2" : ""}
+            >
+              <label className="mb-1 block text-xs font-medium text-slate-600">
+                {field.label}
+                {field.required && <span className="text-red-600"> *</span>}
+              </label>
+              <FieldInput
+                field={field}
+                value={values[field.field] ?? ""}
+                onChange={onChange}
+                disabled={disabled}
+                error={error}
+              />
+              {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Editable calling form generated from the form schema (see callFormSchema).
+// `onChange(patch)` receives the changed values, e.g. { callBack: "Yes" };
+// `errors` comes from validateCallForm and is shown under each field, along
+// with broken CALL_FORM_RULES as they happen. `otherCallLogs` (the prospect's
+// other call logs) turn on warnings for jathas clashing with ones already
+// booked (see jathaConflicts); `prospectDoc` (the prospect's document) tells
+// the jatha rows whether the sewadar is booked or would be waitlisted.
+// Sections marked `half` sit side by side on wide screens.
+export function CallFormFields({
+  schema,
+  values,
+  onChange,
+  dispositions = [],
+  errors = {},
+  disabled = false,
+  sections,
+  otherCallLogs,
+  prospectDoc,
+}) {
+  const shownErrors = disabled
+    ? errors
+    : { ...checkCallFormRules(values), ...errors };
+  const jathaConflicts =
+    disabled || !otherCallLogs
+      ? []
+      : callFormJathaConflicts(values.jathaDetails || [], otherCallLogs);
+  const groups = [];
+  callFormSections(schema, sections).forEach((section) => {
+    const last = groups[groups.length - 1];
+    if (section.half && last?.half) last.sections.push(section);
+    else groups.push({ half: !!section.half, sections: [section] });
+  });
+
+  return (
+    <div className="space-y-4">
+      {groups.map((group) => (
+        <div
+          key={group.sections[0].id}
+          className={group.half ? "grid gap-3 md:grid-cols-2" : ""}
+        >
+          {group.sections.map((section) => (
+            <Section
+              key={section.id}
+              section={section}
+              values={values}
+              onChange={onChange}
+              disabled={disabled}
+              dispositions={dispositions}
+              errors={shownErrors}
+              jathaConflicts={jathaConflicts}
+              prospectDoc={prospectDoc}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
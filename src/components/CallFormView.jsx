@@ -0,0 +1,91 @@
+import {
+  JATHA_COLUMNS,
+  callFormSections,
+  callLogAnswer,
+  callLogToForm,
+  formatCallLogValue,
+  isFieldVisible,
+  parseJathaDetails,
+} from "../services/callFormSchema";
+
+// Read-only answers of a saved call log, laid out by form section. Sections
+// with no answers are left out.
+export function CallFormView({ schema, log, sections }) {
+  const values = callLogToForm(log, schema);
+  const shown = callFormSections(schema, sections)
+    .map((section) => ({
+      ...section,
+      fields: section.fields.filter((f) => isFieldVisible(f, values)),
+    }))
+    .filter((section) =>
+      section.fields.some((f) =>
+        f.type === "jatha"
+          ? parseJathaDetails(callLogAnswer(f, log)).length > 0
+          : formatCallLogValue(f, log) !== "",
+      ),
+    );
+
+  if (!shown.length) {
+    return <p className="text-sm text-slate-500">No answers recorded.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {shown.map((section) => (
+        <div
+          key={section.id}
+          className="rounded-lg border border-slate-200 bg-white p-4"
+        >
+          <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
+            {section.title}
+          </p>
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+            {section.fields.map((field) =>
+              field.type === "jatha" ? (
+                <div key={field.field} className="overflow-x-auto sm:col-span-2">
+                  <table className="w-full border-collapse text-left text-sm">
+                    <thead>
+                      <tr className="border-b border-slate-200 bg-slate-50">
+                        {JATHA_COLUMNS.map(([key, label]) => (
+                          <th
+                            key={key}
+                            className="px-4 py-2 font-semibold text-slate-700"
+                          >
+                            {label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {parseJathaDetails(callLogAnswer(field, log)).map((j, i) => (
+                        <tr key={i} className="border-b border-slate-100">
+                          {JATHA_COLUMNS.map(([key]) => (
+                            <td key={key} className="px-4 py-2 text-slate-600">
+                              {j[key] || "-"}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div
+                  key={field.field}
+                  className={field.type === "textarea" ? "sm:col-span-2" : ""}
+                >
+                  <label className="mb-1 block text-xs font-medium text-slate-600">
+                    {field.label}
+                  </label>
+                  <p className="whitespace-pre-line rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
+                    {formatCallLogValue(field, log) || "-"}
+                  </p>
+                </div>
+              ),
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { describeCallOutcome } from "../services/callLogsService";
+
+function formatWhen(iso) {
+  if (!iso) return "-";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "-" : d.toLocaleString();
+}
+
+// Scrollable list of every call attempt for a prospect, newest first.
+// Attempt numbers count from the oldest call. `canModify(log)` decides
+// whether Edit/Delete are offered for an attempt (e.g. callers only
+// change their own); leave onEdit/onDelete out to hide them entirely.
+// Calls still waiting in the offline sync queue are tagged.
+export function CallHistoryTimeline({
+  logs = [],
+  selectedId = "",
+  onSelect,
+  onEdit,
+  onDelete,
+  canModify = () => true,
+  loading = false,
+}) {
+  if (loading) {
+    return <p className="text-sm text-slate-500">Loading call history…</p>;
+  }
+  if (!logs.length) {
+    return <p className="text-sm text-slate-500">No calls recorded yet.</p>;
+  }
+  return (
+    <ol className="max-h-64 space-y-2 overflow-y-auto border-l-2 border-slate-200 pl-4">
+      {logs.map((log, i) => {
+        const selected = log.$id === selectedId;
+        const modifiable = canModify(log);
+        return (
+          <li key={log.$id} className="relative">
+            <span
+              className={`absolute -left-[23px] top-2 h-3 w-3 rounded-full border-2 border-white ${
+                selected ? "bg-sky-600" : "bg-slate-300"
+              }`}
+            />
+            <div
+              className={`rounded-lg border px-3 py-2 text-xs ${
+                selected
+                  ? "border-sky-300 bg-sky-50"
+                  : "border-slate-200 bg-white"
+              }`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="font-medium text-slate-900">
+                  Call #{logs.length - i} · {formatWhen(log.$createdAt)}
+                  {log.pendingSync && (
+                    <span className="ml-2 rounded bg-amber-100 px-1.5 py-0.5 text-[10px] font-medium text-amber-800">
+                      Pending sync
+                    </span>
+                  )}
+                </p>
+                <div className="flex gap-1.5">
+                  {onSelect && !selected && (
+                    <button
+                      type="button"
+                      onClick={() => onSelect(log)}
+                      className="rounded border border-slate-200 px-2 py-0.5 font-medium text-slate-700 hover:bg-slate-100"
+                    >
+                      View
+                    </button>
+                  )}
+                  {onEdit && modifiable && (
+                    <button
+                      type="button"
+                      onClick={() => onEdit(log)}
+                      className="rounded border border-slate-200 px-2 py-0.5 font-medium text-slate-700 hover:bg-slate-100"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {onDelete && modifiable && (
+                    <button
+                      type="button"
+                      onClick={() => onDelete(log)}
+                      className="rounded border border-slate-200 px-2 py-0.5 font-medium text-red-600 hover:bg-red-50"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+              <p className="mt-0.5 text-slate-600">
+                {log.submittedBy || "-"} · {describeCallOutcome(log)}
+              </p>
+              {log.notes1 && (
+                <p className="mt-0.5 truncate text-slate-500">{log.notes1}</p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState } from "react";
+import {
+  callLogConflictFields,
+  takeSavedAnswers,
+} from "../services/callFormSchema";
+
+// Shown when an edit is refused because someone else saved the call log
+// first (see isCallLogConflict). Lists the answers they changed next to the
+// editor's own; answers only they changed default to theirs, answers both
+// changed default to the editor's. `onResolve(values)` gets the form values
+// to save on top of `current`: merged from the choices, or the editor's own.
+export function CallLogConflictDialog({
+  schema,
+  base,
+  current,
+  values,
+  saving = false,
+  onResolve,
+  onCancel,
+}) {
+  const rows = callLogConflictFields(schema, base, current, values);
+  const [keepMine, setKeepMine] = useState(
+    () => new Set(rows.filter((r) => r.clash).map((r) => r.field)),
+  );
+
+  const choose = (field, mine) =>
+    setKeepMine((prev) => {
+      const next = new Set(prev);
+      if (mine) next.add(field);
+      else next.delete(field);
+      return next;
+    });
+
+  const merged = () =>
+    takeSavedAnswers(
+      values,
+      current,
+      schema,
+      rows.filter((r) => !keepMine.has(r.field)).map((r) => r.field),
+    );
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="call-log-conflict-title"
+      onClick={onCancel}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="border-b border-slate-200 px-5 py-4">
+          <h2
+            id="call-log-conflict-title"
+            className="text-lg font-semibold text-slate-900"
+          >
+            This call was changed while you were editing
+          </h2>
+          <p className="mt-1 text-sm text-slate-600">
+            Someone else saved it on{" "}
+            {new Date(current.$updatedAt).toLocaleString()}. Choose which
+            answers to keep, or overwrite theirs with yours.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4">
+          {rows.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              Their changes don't touch any form answers, so merging keeps all
+              of yours.
+            </p>
+          ) : (
+            <table className="w-full border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50">
+                  <th className="px-3 py-2 font-semibold text-slate-700">
+                    Question
+                  </th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">
+                    Theirs
+                  </th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">
+                    Yours
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const mine = keepMine.has(row.field);
+                  return (
+                    <tr
+                      key={row.field}
+                      className={`border-b border-slate-100 align-top ${row.clash ? "bg-amber-50" : ""}`}
+                    >
+                      <td className="px-3 py-2 font-medium text-slate-800">
+                        {row.label}
+                        {row.clash && (
+                          <p className="text-[11px] font-normal text-amber-700">
+                            You both changed this
+                          </p>
+                        )}
+                      </td>
+                      {[
+                        [false, row.theirs],
+                        [true, row.yours],
+                      ].map(([isMine, text]) => (
+                        <td key={String(isMine)} className="px-3 py-2">
+                          <label className="flex cursor-pointer items-start gap-2">
+                            <input
+                              type="radio"
+                              name={`conflict-${row.field}`}
+                              checked={mine === isMine}
+                              onChange={() => choose(row.field, isMine)}
+                              className="mt-0.5"
+                            />
+                            <span className="whitespace-pre-line text-slate-700">
+                              {text || "-"}
+                            </span>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2 border-t border-slate-200 px-5 py-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-100"
+          >
+            Back to editing
+          </button>
+          <button
+            type="button"
+            onClick={() => onResolve(values)}
+            disabled={saving}
+            className="rounded-lg border border-red-200 bg-white px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-60"
+          >
+            Overwrite with mine
+          </button>
+          <button
+            type="button"
+            onClick={() => onResolve(merged())}
+            disabled={saving}
+            className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-60"
+          >
+            {saving ? "Saving…" : "Save merged"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
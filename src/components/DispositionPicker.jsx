@@ -0,0 +1,63 @@
+import {
+  DISPOSITION_CATEGORIES,
+  dispositionCategoryLabel,
+} from "../services/dispositionsService";
+
+// Outcome of a call: category first, then a required sub-reason from that
+// category. Inactive codes are hidden unless already selected.
+export function DispositionPicker({
+  dispositions,
+  category,
+  code,
+  onChange,
+  disabled = false,
+  selectClassName = "w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50",
+}) {
+  const reasons = dispositions.filter(
+    (d) => d.category === category && (d.active !== false || d.code === code),
+  );
+  return (
+    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+      <div>
+        <label className="mb-1 block text-xs font-medium text-slate-600">
+          Outcome
+        </label>
+        <select
+          value={category}
+          onChange={(e) => onChange({ category: e.target.value, code: "" })}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          <option value="">Select</option>
+          {DISPOSITION_CATEGORIES.map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="mb-1 block text-xs font-medium text-slate-600">
+          Reason
+        </label>
+        <select
+          value={code}
+          onChange={(e) => onChange({ category, code: e.target.value })}
+          disabled={disabled || !category}
+          className={selectClassName}
+        >
+          <option value="">
+            {category
+              ? `Select ${dispositionCategoryLabel(category).toLowerCase()} reason`
+              : "Choose an outcome first"}
+          </option>
+          {reasons.map((d) => (
+            <option key={d.code} value={d.code}>
+              {d.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import { useState, useMemo } from "react";
+import {
+  CALENDAR_VIEWS,
+  calendarDays,
+  dailyHeadcount,
+  jathaFilterOptions,
+  jathaSpans,
+  shiftAnchor,
+  weekBars,
+} from "../services/jathaCalendar";
+import { localIsoDate } from "../services/dates";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+const EMPTY_FILTERS = { department: "", area: "", caller: "" };
+
+function formatDay(iso, options) {
+  const [year, month, day] = iso.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+}
+
+/** Sewadars of one jatha span; `onView(entry)` opens a sewadar's calling form */
+function SpanSewadars({ span, onView, onClose }) {
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="span-sewadars-title"
+      onClick={onClose}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-2xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-4 py-4">
+          <div>
+            <h2 id="span-sewadars-title" className="text-lg font-semibold text-slate-900">
+              {span.areaName || "-"} – {span.departmentName || "-"}
+            </h2>
+            <p className="text-sm text-slate-500">
+              {formatDay(span.dateFrom, { dateStyle: "medium" })} to{" "}
+              {formatDay(span.dateTo, { dateStyle: "medium" })} · {span.sewadars.length}{" "}
+              sewadar{span.sewadars.length === 1 ? "" : "s"}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-sm font-medium text-slate-600 hover:text-slate-900"
+          >
+            Close
+          </button>
+        </div>
+        <ul className="flex-1 divide-y divide-slate-100 overflow-y-auto px-4 py-2">
+          {span.sewadars.map((entry) => (
+            <li key={entry.prospect.id} className="flex items-center justify-between gap-3 py-2">
+              <div className="min-w-0">
+                <p className="truncate text-sm font-medium text-slate-900">
+                  {entry.prospect.name || "-"}
+                </p>
+                <p className="truncate text-xs text-slate-500">
+                  {entry.prospect.badgeId || "-"} · {entry.prospect.phoneNumber || "-"} · called
+                  by {entry.log.submittedBy || "-"}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => onView(entry)}
+                className="shrink-0 rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100"
+              >
+                View
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// Month / week calendar of the jathas in Jatha Record entries: each jatha
+// is a bar across its dates, each day shows how many sewadars are away, and
+// clicking a bar lists its sewadars. `onView(entry)` opens a calling form.
+export function JathaCalendar({ entries, onView }) {
+  const [view, setView] = useState("month");
+  const [anchor, setAnchor] = useState(() => localIsoDate());
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [openSpan, setOpenSpan] = useState(null);
+
+  const options = useMemo(() => jathaFilterOptions(entries), [entries]);
+  const spans = useMemo(() => jathaSpans(entries, filters), [entries, filters]);
+  const days = calendarDays(view, anchor);
+  const headcount = dailyHeadcount(spans, days);
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) weeks.push(days.slice(i, i + 7));
+  const today = localIsoDate();
+  const month = anchor.slice(0, 7);
+
+  const title =
+    view === "month"
+      ? formatDay(anchor, { month: "long", year: "numeric" })
+      : `${formatDay(days[0], { day: "numeric", month: "short" })} – ${formatDay(days[6], {
+          day: "numeric",
+          month: "short",
+          year: "numeric",
+        })}`;
+
+  const filterSelects = [
+    ["department", "All departments", options.departments],
+    ["area", "All areas", options.areas],
+    ["caller", "All callers", options.callers],
+  ];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex rounded-lg border border-slate-200 p-0.5">
+          {Object.entries(CALENDAR_VIEWS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setView(value)}
+              className={`rounded-md px-3 py-1 text-xs font-medium ${
+                view === value ? "bg-slate-800 text-white" : "text-slate-600 hover:bg-slate-100"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setAnchor((a) => shiftAnchor(view, a, -1))}
+          className="rounded-lg border border-slate-200 px-2.5 py-1 text-sm text-slate-700 hover:bg-slate-50"
+          aria-label="Previous"
+        >
+          ‹
+        </button>
+        <button
+          type="button"
+          onClick={() => setAnchor(localIsoDate())}
+          className="rounded-lg border border-slate-200 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
+        >
+          Today
+        </button>
+        <button
+          type="button"
+          onClick={() => setAnchor((a) => shiftAnchor(view, a, 1))}
+          className="rounded-lg border border-slate-200 px-2.5 py-1 text-sm text-slate-700 hover:bg-slate-50"
+          aria-label="Next"
+        >
+          ›
+        </button>
+        <h2 className="text-sm font-semibold text-slate-900">{title}</h2>
+        <div className="flex flex-wrap gap-2 sm:ml-auto">
+          {filterSelects.map(([key, placeholder, list]) => (
+            <select
+              key={key}
+              value={filters[key]}
+              onChange={(e) => setFilters((f) => ({ ...f, [key]: e.target.value }))}
+              className="rounded-lg border border-slate-200 px-2 py-1 text-xs outline-none focus:border-slate-400"
+            >
+              <option value="">{placeholder}</option>
+              {list.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="min-w-[640px] rounded-lg border border-slate-200">
+          <div className="grid grid-cols-7 border-b border-slate-200 bg-slate-50">
+            {WEEKDAYS.map((d) => (
+              <div key={d} className="px-2 py-1.5 text-xs font-semibold text-slate-600">
+                {d}
+              </div>
+            ))}
+          </div>
+          {weeks.map((week) => (
+            <div key={week[0]} className="border-b border-slate-100 last:border-b-0">
+              <div className="grid grid-cols-7">
+                {week.map((day) => (
+                  <div
+                    key={day}
+                    className={`flex items-center justify-between px-2 py-1 text-xs ${
+                      view === "month" && day.slice(0, 7) !== month
+                        ? "text-slate-300"
+                        : "text-slate-700"
+                    }`}
+                  >
+                    <span
+                      className={
+                        day === today
+                          ? "rounded-full bg-sky-600 px-1.5 font-semibold text-white"
+                          : ""
+                      }
+                    >
+                      {Number(day.slice(8))}
+                    </span>
+                    {headcount[day] > 0 && (
+                      <span
+                        className="rounded bg-amber-100 px-1 text-[10px] font-semibold text-amber-800"
+                        title={`${headcount[day]} sewadar(s) on jatha`}
+                      >
+                        {headcount[day]}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div
+                className={`grid grid-flow-row-dense grid-cols-7 gap-y-1 px-0.5 pb-1.5 ${
+                  view === "week" ? "min-h-40" : "min-h-10"
+                }`}
+              >
+                {weekBars(spans, week).map(({ span, start, end }) => (
+                  <button
+                    key={span.key}
+                    type="button"
+                    onClick={() => setOpenSpan(span)}
+                    style={{ gridColumn: `${start + 1} / ${end + 2}` }}
+                    className="mx-0.5 h-6 truncate rounded bg-emerald-600 px-2 text-left text-[11px] font-medium text-white hover:bg-emerald-700"
+                    title={`${span.areaName} – ${span.departmentName}: ${span.sewadars.length} sewadar(s)`}
+                  >
+                    {span.areaName || "-"} – {span.departmentName || "-"} ({span.sewadars.length})
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      {!spans.length && (
+        <p className="text-center text-sm text-slate-500">No dated jathas to show.</p>
+      )}
+
+      {openSpan && (
+        <SpanSewadars
+          span={openSpan}
+          onView={(entry) => {
+            setOpenSpan(null);
+            onView(entry);
+          }}
+          onClose={() => setOpenSpan(null)}
+        />
+      )}
+    </div>
+  );
+}
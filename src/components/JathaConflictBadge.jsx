@@ -0,0 +1,20 @@
+import {
+  JATHA_CONFLICT_TYPES,
+  describeJathaConflict,
+} from "../services/jathaConflicts";
+
+/** "Conflict" chip for a call log whose jathas clash; hover lists the conflicts */
+export function JathaConflictBadge({ conflicts }) {
+  if (!conflicts?.length) return null;
+  const title = conflicts
+    .map((c) => `${JATHA_CONFLICT_TYPES[c.type]}: ${describeJathaConflict(c)}`)
+    .join("\n");
+  return (
+    <span
+      className="ml-2 inline-block rounded bg-red-100 px-1.5 py-0.5 text-[10px] font-semibold uppercase text-red-700"
+      title={title}
+    >
+      Conflict
+    </span>
+  );
+}
@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useState } from "react";
+import { getProspect } from "../services/prospectsService";
+import {
+  approveCorrection,
+  listCorrections,
+  parseCorrectionChanges,
+  rejectCorrection,
+} from "../services/correctionsService";
+import {
+  prospectDetailValues,
+  prospectFieldLabel,
+} from "../services/prospectDetails";
+
+// Admin review of corrections suggested by callers. Each suggestion shows
+// the prospect's current value next to the suggested one; the admin can
+// untick fields before approving. A field whose current value no longer
+// matches what the caller saw is flagged as changed since the suggestion.
+export function ProspectCorrectionsReview({ reviewer, onClose, onReviewed }) {
+  const [items, setItems] = useState([]); // { correction, changes, current: values | null, selected: Set }
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState("");
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await listCorrections();
+      const loaded = await Promise.all(
+        (res.documents || []).map(async (correction) => {
+          const changes = parseCorrectionChanges(correction);
+          const doc = correction.prospectId
+            ? await getProspect(correction.prospectId)
+            : null;
+          return {
+            correction,
+            changes,
+            current: doc ? prospectDetailValues(doc) : null,
+            selected: new Set(Object.keys(changes)),
+          };
+        }),
+      );
+      setItems(loaded);
+    } catch (err) {
+      setError(err.message || "Failed to load suggested corrections.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggleField = (id, field) => {
+    setItems((prev) =>
+      prev.map((item) => {
+        if (item.correction.$id !== id) return item;
+        const selected = new Set(item.selected);
+        if (selected.has(field)) selected.delete(field);
+        else selected.add(field);
+        return { ...item, selected };
+      }),
+    );
+  };
+
+  const review = async (item, approve) => {
+    setBusyId(item.correction.$id);
+    setError("");
+    try {
+      if (approve) {
+        const chosen = {};
+        item.selected.forEach((field) => {
+          chosen[field] = item.changes[field];
+        });
+        await approveCorrection(item.correction, reviewer, chosen);
+      } else {
+        await rejectCorrection(item.correction, reviewer);
+      }
+      setItems((prev) =>
+        prev.filter((i) => i.correction.$id !== item.correction.$id),
+      );
+      onReviewed?.({ approved: approve });
+    } catch (err) {
+      setError(err.message || "Failed to review correction.");
+    } finally {
+      setBusyId("");
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="corrections-review-title"
+      onClick={busyId ? undefined : onClose}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-5 py-4">
+          <div>
+            <h2
+              id="corrections-review-title"
+              className="text-lg font-semibold text-slate-900"
+            >
+              Suggested corrections
+            </h2>
+            <p className="mt-0.5 text-sm text-slate-500">
+              Approve to apply the ticked fields to the prospect.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={!!busyId}
+            className="rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+          >
+            Close
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-5">
+          {error && (
+            <div className="mb-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+          {loading ? (
+            <p className="py-8 text-center text-sm text-slate-500">
+              Loading suggestions…
+            </p>
+          ) : items.length === 0 ? (
+            <p className="py-8 text-center text-sm text-slate-500">
+              No corrections waiting for review.
+            </p>
+          ) : (
+            <div className="space-y-4">
+              {items.map((item) => {
+                const { correction, changes, current, selected } = item;
+                const busy = busyId === correction.$id;
+                return (
+                  <div
+                    key={correction.$id}
+                    className="rounded-lg border border-slate-200 p-3"
+                  >
+                    <div className="mb-2 flex flex-col gap-1 sm:flex-row sm:items-start sm:justify-between">
+                      <div>
+                        <p className="font-medium text-slate-900">
+                          {correction.prospectName || "Prospect"}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          by {correction.suggestedBy || "-"} ·{" "}
+                          {new Date(correction.$createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          onClick={() => review(item, false)}
+                          disabled={!!busyId}
+                          className="rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+                        >
+                          Reject
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => review(item, true)}
+                          disabled={!!busyId || !current || selected.size === 0}
+                          className="rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700 disabled:opacity-60"
+                        >
+                          {busy ? "Saving…" : "Approve"}
+                        </button>
+                      </div>
+                    </div>
+                    {correction.note && (
+                      <p className="mb-2 rounded bg-slate-50 px-2 py-1 text-xs text-slate-600">
+                        “{correction.note}”
+                      </p>
+                    )}
+                    {!current && (
+                      <p className="mb-2 text-xs text-red-600">
+                        This prospect no longer exists.
+                      </p>
+                    )}
+                    <table className="w-full border-collapse text-left text-xs">
+                      <thead>
+                        <tr className="border-b border-slate-200 bg-slate-50">
+                          <th className="w-8 px-2 py-1.5" />
+                          <th className="px-2 py-1.5 font-semibold text-slate-700">
+                            Field
+                          </th>
+                          <th className="px-2 py-1.5 font-semibold text-slate-700">
+                            Current
+                          </th>
+                          <th className="px-2 py-1.5 font-semibold text-slate-700">
+                            Suggested
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(changes).map(([field, { from, to }]) => {
+                          const now = current ? current[field] ?? "" : "";
+                          const stale = current && now !== from;
+                          return (
+                            <tr key={field} className="border-b border-slate-100">
+                              <td className="px-2 py-1.5">
+                                <input
+                                  type="checkbox"
+                                  checked={selected.has(field)}
+                                  onChange={() =>
+                                    toggleField(correction.$id, field)
+                                  }
+                                  disabled={!current}
+                                  className="h-3.5 w-3.5 rounded border-slate-300"
+                                  aria-label={`Apply ${prospectFieldLabel(field)}`}
+                                />
+                              </td>
+                              <td className="px-2 py-1.5 font-medium text-slate-700">
+                                {prospectFieldLabel(field)}
+                              </td>
+                              <td className="px-2 py-1.5 text-slate-500">
+                                {now || "-"}
+                                {stale && (
+                                  <span className="ml-1 text-amber-600">
+                                    (changed since suggestion)
+                                  </span>
+                                )}
+                              </td>
+                              <td className="px-2 py-1.5 font-medium text-sky-700">
+                                {to || "(empty)"}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { useState } from "react";
+import {
+  PROSPECT_DETAIL_SECTIONS,
+  diffProspectDetails,
+  prospectDetailValues,
+  prospectFieldLabel,
+  validateProspectDetails,
+} from "../services/prospectDetails";
+import { calculateAgeFromDob } from "../services/dates";
+import { ProspectFieldInput } from "./ProspectFieldInput";
+
+// Edit every stored prospect field. In "edit" mode (admins) the change set
+// is saved directly; in "suggest" mode (callers) it is sent, with an optional
+// note, for an admin to approve. `onSave` receives { changes, note } where
+// changes is { field: { from, to } } for the fields that differ.
+export function ProspectDetailsModal({
+  doc,
+  mode = "edit",
+  saving = false,
+  error = "",
+  onCancel,
+  onSave,
+}) {
+  const [initial] = useState(() => prospectDetailValues(doc));
+  const [values, setValues] = useState(initial);
+  const [note, setNote] = useState("");
+  const [formErrors, setFormErrors] = useState([]);
+  const suggest = mode === "suggest";
+
+  const changes = diffProspectDetails(doc, values);
+  const changedCount = Object.keys(changes).length;
+
+  const setField = (field, value) => {
+    setValues((v) => {
+      const next = { ...v, [field]: value };
+      if (field === "dateOfBirth") {
+        const age = calculateAgeFromDob(value);
+        if (age) next.age = age;
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const errors = validateProspectDetails(values, Object.keys(changes));
+    if (errors.length) {
+      setFormErrors(errors);
+      return;
+    }
+    if (!changedCount) {
+      setFormErrors(["Nothing has changed."]);
+      return;
+    }
+    setFormErrors([]);
+    onSave({ changes, note: note.trim() });
+  };
+
+  const renderInput = ({ field, type, options }) => {
+    // Legacy dates that aren't YYYY-MM-DD stay editable as text
+    const legacyDate =
+      type === "date" &&
+      initial[field] &&
+      !/^\d{4}-\d{2}-\d{2}$/.test(initial[field]);
+    return (
+      <ProspectFieldInput
+        type={legacyDate ? "text" : type}
+        options={options}
+        value={values[field] ?? ""}
+        onChange={(value) => setField(field, value)}
+        highlighted={field in changes}
+        placeholder={type === "date" ? "YYYY-MM-DD" : undefined}
+      />
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="prospect-details-title"
+      onClick={saving ? undefined : onCancel}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-2xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shrink-0 border-b border-slate-200 px-5 py-4">
+          <h2
+            id="prospect-details-title"
+            className="text-lg font-semibold text-slate-900"
+          >
+            {suggest ? "Suggest a correction" : "Edit prospect details"}
+          </h2>
+          <p className="mt-0.5 text-sm text-slate-500">
+            {suggest
+              ? "Change the fields that are wrong. An admin will review your suggestion before it is applied."
+              : "Changed fields are highlighted."}
+          </p>
+        </div>
+        <form onSubmit={handleSubmit} className="flex min-h-0 flex-1 flex-col">
+          <div className="flex-1 overflow-y-auto px-5 py-4">
+            {PROSPECT_DETAIL_SECTIONS.map(([title, fields]) => (
+              <div key={title} className="mb-5">
+                <p className="mb-3 text-xs font-semibold uppercase tracking-wider text-red-600">
+                  {title}
+                </p>
+                <div className="grid gap-3 sm:grid-cols-2">
+                  {fields.map((f) => (
+                    <div key={f.field} className={f.wide ? "sm:col-span-2" : ""}>
+                      <label className="mb-1 block text-xs font-medium text-slate-600">
+                        {prospectFieldLabel(f.field)}
+                        {(f.field === "fullName" || f.field === "mobile") && " *"}
+                      </label>
+                      {renderInput(f)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {suggest && (
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-600">
+                  Note for the admin (optional)
+                </label>
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  rows={2}
+                  placeholder="e.g. Prospect gave a new number on the call"
+                  className="w-full resize-y rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
+                />
+              </div>
+            )}
+            {(formErrors.length > 0 || error) && (
+              <div className="mt-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                {formErrors.map((msg) => (
+                  <p key={msg}>{msg}</p>
+                ))}
+                {error && <p>{error}</p>}
+              </div>
+            )}
+          </div>
+          <div className="flex shrink-0 items-center justify-between gap-3 border-t border-slate-200 px-5 py-3">
+            <span className="text-xs text-slate-500">
+              {changedCount} field(s) changed
+            </span>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={onCancel}
+                disabled={saving}
+                className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:opacity-60"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving || changedCount === 0}
+                className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-900 disabled:opacity-60"
+              >
+                {saving ? "Saving…" : suggest ? "Send for approval" : "Save changes"}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+const INPUT_CLASS =
+  "w-full rounded-lg border px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400";
+
+// One input for a prospect field definition (see PROSPECT_DETAIL_SECTIONS):
+// text/tel/date inputs, selects and textareas. `highlighted` marks a changed
+// or flagged field.
+export function ProspectFieldInput({
+  type,
+  options = [],
+  value,
+  onChange,
+  highlighted = false,
+  placeholder,
+}) {
+  const className = `${INPUT_CLASS} ${
+    highlighted ? "border-sky-300 bg-sky-50" : "border-slate-200"
+  }`;
+  const handleChange = (e) => onChange(e.target.value);
+  if (type === "select") {
+    return (
+      <select value={value} onChange={handleChange} className={className}>
+        {!options.includes(value) && (
+          <option value={value}>{value || "-"}</option>
+        )}
+        {options.map((opt) => (
+          <option key={opt} value={opt}>
+            {opt}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  if (type === "textarea") {
+    return (
+      <textarea
+        value={value}
+        onChange={handleChange}
+        rows={2}
+        placeholder={placeholder}
+        className={`${className} resize-y`}
+      />
+    );
+  }
+  return (
+    <input
+      type={type}
+      value={value}
+      onChange={handleChange}
+      placeholder={placeholder}
+      max={type === "date" ? new Date().toISOString().slice(0, 10) : undefined}
+      className={className}
+    />
+  );
+}
@@ -0,0 +1,522 @@
+import { useMemo, useState } from "react";
+import { docToDisplay } from "../services/prospectsService";
+import {
+  DUPLICATE_MATCH_LABELS,
+  IMPORT_ACTIONS,
+  SCHEMA_FIELDS,
+  SCHEMA_FIELD_LABELS,
+  SKIP_COLUMN,
+  buildProspectsFromMapping,
+  combineSheets,
+  getInitialMapping,
+  normalizeImportDates,
+  planImport,
+  saveMapping,
+  validateMapping,
+  validateProspectRow,
+} from "../services/prospectImport";
+
+const PREVIEW_ROWS = 10;
+
+const hasData = (sheet) => sheet.headers.some(Boolean) && sheet.rows.length > 0;
+
+// Import dialog: pick which sheets to read (only shown for workbooks with more
+// than one non-empty sheet), map each header to a schema field, then preview
+// the mapped rows with per-row validation and choose what to do with rows that
+// match an existing prospect (by phone, Aadhaar or badge number). Date
+// columns are converted to YYYY-MM-DD; day/month-ambiguous ones are flagged.
+// The confirmed mapping is remembered for sheets with the same header row.
+// `sheets` comes from parseImportFile; `existingProspects` is null while the
+// current roster is still loading.
+export function ProspectImportWizard({
+  fileName,
+  sheets,
+  existingProspects = null,
+  importing = false,
+  onCancel,
+  onImport,
+}) {
+  const dataSheets = useMemo(() => sheets.filter(hasData), [sheets]);
+  const pickSheets = dataSheets.length > 1;
+  const steps = pickSheets ? ["sheets", "map", "preview"] : ["map", "preview"];
+
+  const [step, setStep] = useState(steps[0]);
+  const [selectedSheets, setSelectedSheets] = useState(() =>
+    dataSheets.slice(0, 1).map((s) => s.name),
+  );
+  const [table, setTable] = useState(() => combineSheets(dataSheets.slice(0, 1)));
+  const [mapping, setMapping] = useState(() => getInitialMapping(table.headers));
+  const [skipInvalid, setSkipInvalid] = useState(true);
+  const [dayFirst, setDayFirst] = useState(true); // how to read dates like 03/04/1990
+  const [duplicateAction, setDuplicateAction] = useState("skip");
+  const [actionOverrides, setActionOverrides] = useState({}); // row index → action
+
+  const { headers, rows, sources } = table;
+  const multiSheet = selectedSheets.length > 1;
+  const rowLabel = (i) =>
+    multiSheet
+      ? `${sources[i].sheet} · row ${sources[i].rowNumber}`
+      : `Row ${sources[i].rowNumber}`;
+
+  const mappingErrors = useMemo(() => validateMapping(mapping), [mapping]);
+
+  const mappedRows = useMemo(() => {
+    if (step !== "preview") return [];
+    return buildProspectsFromMapping(rows, mapping).map((mapped, i) => {
+      const { prospect, errors, warnings, ambiguousFields } =
+        normalizeImportDates(
+          multiSheet ? { ...mapped, sourceSheet: sources[i].sheet } : mapped,
+          { dayFirst },
+        );
+      return {
+        rowIndex: i,
+        prospect,
+        errors: [...errors, ...validateProspectRow(prospect)],
+        warnings,
+        ambiguousFields,
+      };
+    });
+  }, [step, rows, sources, mapping, multiSheet, dayFirst]);
+
+  const invalidCount = mappedRows.filter((r) => r.errors.length).length;
+  const ambiguousRows = mappedRows.filter(
+    (r) => r.warnings.length && !r.errors.length,
+  );
+
+  const basePlan = useMemo(() => {
+    if (!existingProspects) return [];
+    const selected = mappedRows.filter(
+      (r) => !skipInvalid || r.errors.length === 0,
+    );
+    return planImport(
+      selected.map((r) => r.prospect),
+      existingProspects,
+      duplicateAction,
+    ).map((entry, i) => ({
+      ...entry,
+      rowIndex: selected[i].rowIndex,
+      duplicateOfRow:
+        entry.duplicateOfRow == null
+          ? null
+          : selected[entry.duplicateOfRow].rowIndex,
+    }));
+  }, [mappedRows, skipInvalid, existingProspects, duplicateAction]);
+
+  const plan = basePlan.map((entry) => ({
+    ...entry,
+    action: actionOverrides[entry.rowIndex] || entry.action,
+  }));
+  const duplicateRows = plan.filter(
+    (entry) => entry.duplicate || entry.duplicateOfRow != null,
+  );
+  const counts = plan.reduce(
+    (acc, entry) => ({ ...acc, [entry.action]: acc[entry.action] + 1 }),
+    { create: 0, update: 0, skip: 0 },
+  );
+  const importCount = counts.create + counts.update;
+  const previewFields = SCHEMA_FIELDS.filter((f) => mapping.includes(f));
+  const stepIndex = steps.indexOf(step);
+  const selectedRowCount = dataSheets
+    .filter((s) => selectedSheets.includes(s.name))
+    .reduce((sum, s) => sum + s.rows.length, 0);
+
+  const toggleSheet = (name) => {
+    setSelectedSheets((prev) =>
+      prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name],
+    );
+  };
+
+  const confirmSheets = () => {
+    const next = combineSheets(
+      dataSheets.filter((s) => selectedSheets.includes(s.name)),
+    );
+    setTable(next);
+    setMapping(getInitialMapping(next.headers));
+    setActionOverrides({});
+    setStep("map");
+  };
+
+  const setColumnField = (index, field) => {
+    setMapping((prev) =>
+      prev.map((f, i) => (i === index ? field || null : f)),
+    );
+  };
+
+  const handleImport = () => {
+    saveMapping(headers, mapping);
+    onImport(plan);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-wizard-title"
+      onClick={importing ? undefined : onCancel}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-4xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-4 py-4">
+          <div>
+            <h2
+              id="import-wizard-title"
+              className="text-lg font-semibold text-slate-900"
+            >
+              {step === "sheets"
+                ? "Choose sheets"
+                : step === "map"
+                  ? "Map columns"
+                  : "Preview import"}
+            </h2>
+            <p className="text-xs text-slate-500">
+              {fileName} ·{" "}
+              {step === "sheets" ? selectedRowCount : rows.length} data row(s)
+            </p>
+          </div>
+          <span className="text-xs font-medium text-slate-500">
+            Step {stepIndex + 1} of {steps.length}
+          </span>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {step === "sheets" ? (
+            <>
+              <p className="mb-3 text-sm text-slate-600">
+                This workbook has several sheets. Choose the ones to import;
+                columns with the same header are combined across sheets.
+              </p>
+              <div className="space-y-2">
+                {dataSheets.map((sheet) => (
+                  <label
+                    key={sheet.name}
+                    className="flex items-center justify-between gap-3 rounded-lg border border-slate-200 px-3 py-2 text-sm"
+                  >
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={selectedSheets.includes(sheet.name)}
+                        onChange={() => toggleSheet(sheet.name)}
+                        className="h-4 w-4 rounded border-slate-300"
+                      />
+                      <span className="font-medium text-slate-900">
+                        {sheet.name}
+                      </span>
+                    </span>
+                    <span className="text-xs text-slate-500">
+                      {sheet.rows.length} row(s) ·{" "}
+                      {sheet.headers.filter(Boolean).length} column(s)
+                    </span>
+                  </label>
+                ))}
+              </div>
+              {sheets.length > dataSheets.length && (
+                <p className="mt-2 text-xs text-slate-500">
+                  {sheets.length - dataSheets.length} empty sheet(s) hidden.
+                </p>
+              )}
+            </>
+          ) : step === "map" ? (
+            <>
+              <p className="mb-3 text-sm text-slate-600">
+                Choose which field each column in your sheet should fill.
+                Columns set to &quot;Don&apos;t import&quot; are ignored.
+              </p>
+              <div className="overflow-x-auto rounded-lg border border-slate-200">
+                <table className="w-full min-w-[520px] border-collapse text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50">
+                      <th className="px-3 py-2 font-semibold text-slate-700">
+                        Excel column
+                      </th>
+                      <th className="px-3 py-2 font-semibold text-slate-700">
+                        First value
+                      </th>
+                      <th className="px-3 py-2 font-semibold text-slate-700">
+                        Import as
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {headers.map((header, i) => (
+                      <tr
+                        key={`${header}-${i}`}
+                        className="border-b border-slate-100"
+                      >
+                        <td className="px-3 py-2 font-medium text-slate-900">
+                          {header || `(Column ${i + 1})`}
+                        </td>
+                        <td className="max-w-[200px] truncate px-3 py-2 text-slate-500">
+                          {String(rows[0]?.[i] ?? "") || "-"}
+                        </td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={mapping[i] || ""}
+                            onChange={(e) => setColumnField(i, e.target.value)}
+                            className={`w-full rounded-md border px-2 py-1.5 text-sm outline-none focus:border-slate-400 ${
+                              mapping[i] && mapping[i] !== SKIP_COLUMN
+                                ? "border-sky-300 bg-sky-50"
+                                : "border-slate-200 bg-white"
+                            }`}
+                          >
+                            <option value="">Not mapped</option>
+                            <option value={SKIP_COLUMN}>Don&apos;t import</option>
+                            {SCHEMA_FIELDS.filter((f) => f !== "assignedTo").map(
+                              (field) => (
+                                <option key={field} value={field}>
+                                  {SCHEMA_FIELD_LABELS[field] || field}
+                                </option>
+                              ),
+                            )}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {mappingErrors.length > 0 && (
+                <div className="mt-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                  {mappingErrors.map((msg) => (
+                    <p key={msg}>{msg}</p>
+                  ))}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="mb-3 flex flex-col gap-2 text-sm sm:flex-row sm:items-center sm:justify-between">
+                <p className="text-slate-600">
+                  {mappedRows.length - invalidCount} valid ·{" "}
+                  <span
+                    className={invalidCount ? "font-medium text-red-600" : ""}
+                  >
+                    {invalidCount} with errors
+                  </span>
+                </p>
+                <label className="flex items-center gap-2 text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    className="h-4 w-4 rounded border-slate-300"
+                  />
+                  Skip rows with errors
+                </label>
+              </div>
+              <div className="overflow-x-auto rounded-lg border border-slate-200">
+                <table className="w-full border-collapse text-left text-xs">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50">
+                      <th className="px-2 py-2 font-semibold text-slate-700">
+                        Row
+                      </th>
+                      {previewFields.map((field) => (
+                        <th
+                          key={field}
+                          className="whitespace-nowrap px-2 py-2 font-semibold text-slate-700"
+                        >
+                          {SCHEMA_FIELD_LABELS[field] || field}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mappedRows.slice(0, PREVIEW_ROWS).map((r) => (
+                      <tr
+                        key={r.rowIndex}
+                        className={`border-b border-slate-100 ${
+                          r.errors.length
+                            ? "bg-red-50/60"
+                            : r.warnings.length
+                              ? "bg-amber-50/60"
+                              : ""
+                        }`}
+                      >
+                        <td className="whitespace-nowrap px-2 py-2 text-slate-500">
+                          {rowLabel(r.rowIndex)}
+                        </td>
+                        {previewFields.map((field) => (
+                          <td
+                            key={field}
+                            className={`max-w-[160px] truncate px-2 py-2 ${
+                              r.ambiguousFields.includes(field)
+                                ? "font-medium text-amber-700"
+                                : "text-slate-700"
+                            }`}
+                          >
+                            {r.prospect[field] || "-"}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {mappedRows.length > PREVIEW_ROWS && (
+                <p className="mt-2 text-xs text-slate-500">
+                  Showing the first {PREVIEW_ROWS} of {mappedRows.length} rows.
+                </p>
+              )}
+              {!existingProspects ? (
+                <p className="mt-4 text-sm text-slate-500">
+                  Checking for duplicates…
+                </p>
+              ) : (
+                duplicateRows.length > 0 && (
+                  <div className="mt-4 rounded-lg border border-amber-200 bg-amber-50/60 p-3">
+                    <div className="mb-2 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                      <p className="text-sm font-medium text-amber-900">
+                        {duplicateRows.length} possible duplicate(s)
+                      </p>
+                      <label className="flex items-center gap-2 text-xs text-slate-700">
+                        For all duplicates:
+                        <select
+                          value={duplicateAction}
+                          onChange={(e) => {
+                            setDuplicateAction(e.target.value);
+                            setActionOverrides({});
+                          }}
+                          className="rounded-md border border-slate-200 bg-white px-2 py-1 text-xs"
+                        >
+                          {Object.entries(IMPORT_ACTIONS).map(([key, label]) => (
+                            <option key={key} value={key}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    <div className="max-h-60 space-y-1.5 overflow-y-auto">
+                      {duplicateRows.map((entry) => (
+                        <div
+                          key={entry.rowIndex}
+                          className="flex flex-col gap-1 rounded-md border border-amber-100 bg-white px-2 py-1.5 text-xs sm:flex-row sm:items-center sm:justify-between"
+                        >
+                          <p className="text-slate-700">
+                            <span className="font-medium">
+                              {rowLabel(entry.rowIndex)}:{" "}
+                              {entry.prospect.fullName || "-"}
+                            </span>{" "}
+                            {entry.duplicate
+                              ? `matches ${docToDisplay(entry.duplicate.doc).name} (${entry.duplicate.matchedOn
+                                  .map((k) => DUPLICATE_MATCH_LABELS[k])
+                                  .join(", ")})`
+                              : `same as ${rowLabel(entry.duplicateOfRow)} in this file`}
+                          </p>
+                          <select
+                            value={entry.action}
+                            onChange={(e) =>
+                              setActionOverrides((prev) => ({
+                                ...prev,
+                                [entry.rowIndex]: e.target.value,
+                              }))
+                            }
+                            className="rounded-md border border-slate-200 bg-white px-2 py-1 text-xs"
+                          >
+                            {Object.entries(IMPORT_ACTIONS)
+                              .filter(
+                                ([key]) => key !== "update" || entry.duplicate,
+                              )
+                              .map(([key, label]) => (
+                                <option key={key} value={key}>
+                                  {label}
+                                </option>
+                              ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )
+              )}
+              {ambiguousRows.length > 0 && (
+                <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50/60 px-3 py-2 text-xs text-amber-900">
+                  <div className="mb-1 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                    <p className="text-sm font-medium">
+                      {ambiguousRows.length} row(s) with dates to check
+                    </p>
+                    <label className="flex items-center gap-2 text-slate-700">
+                      Read dates like 03/04 as
+                      <select
+                        value={dayFirst ? "day" : "month"}
+                        onChange={(e) => setDayFirst(e.target.value === "day")}
+                        className="rounded-md border border-slate-200 bg-white px-2 py-1 text-xs"
+                      >
+                        <option value="day">DD/MM (3 April)</option>
+                        <option value="month">MM/DD (4 March)</option>
+                      </select>
+                    </label>
+                  </div>
+                  <div className="max-h-40 overflow-y-auto">
+                    {ambiguousRows.map((r) => (
+                      <p key={r.rowIndex}>
+                        {rowLabel(r.rowIndex)}: {r.warnings.join("; ")}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {invalidCount > 0 && (
+                <div className="mt-3 max-h-40 overflow-y-auto rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-700">
+                  {mappedRows
+                    .filter((r) => r.errors.length)
+                    .map((r) => (
+                      <p key={r.rowIndex}>
+                        {rowLabel(r.rowIndex)}: {r.errors.join("; ")}
+                      </p>
+                    ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex shrink-0 justify-between gap-3 border-t border-slate-200 px-4 py-3">
+          <button
+            type="button"
+            onClick={
+              stepIndex === 0 ? onCancel : () => setStep(steps[stepIndex - 1])
+            }
+            disabled={importing}
+            className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:opacity-60"
+          >
+            {stepIndex === 0 ? "Cancel" : "← Back"}
+          </button>
+          {step === "sheets" ? (
+            <button
+              type="button"
+              onClick={confirmSheets}
+              disabled={selectedSheets.length === 0}
+              className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-900 disabled:opacity-60"
+            >
+              Next →
+            </button>
+          ) : step === "map" ? (
+            <button
+              type="button"
+              onClick={() => setStep("preview")}
+              disabled={mappingErrors.length > 0}
+              className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-900 disabled:opacity-60"
+            >
+              Preview →
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={importing || !existingProspects || importCount === 0}
+              className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-700 disabled:opacity-60"
+            >
+              {importing
+                ? "Importing…"
+                : `Import (${counts.create} new, ${counts.update} update, ${counts.skip} skip)`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
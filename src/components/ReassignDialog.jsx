@@ -0,0 +1,186 @@
+import { useState, useEffect } from "react";
+import { handoverFromLogs } from "../services/assignmentsService";
+import { listCallLogsForProspect } from "../services/callLogsService";
+import {
+  assignProspectsToUser,
+  docToDisplay,
+  unassignProspects,
+} from "../services/prospectsService";
+
+// Confirms moving prospects away from their current caller: asks why, and
+// (when there is a new caller) whether to hand over the previous caller's
+// pending call-back and latest notes. `toEmail` "" unassigns.
+// `onDone()` is called once every prospect is saved.
+export function ReassignDialog({ prospects, toEmail, onDone, onCancel }) {
+  const [reason, setReason] = useState("");
+  const [handCallBacks, setHandCallBacks] = useState(true);
+  const [handNotes, setHandNotes] = useState(true);
+  const [handovers, setHandovers] = useState({});
+  const [loading, setLoading] = useState(!!toEmail);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const moving = prospects.filter((doc) => {
+    const from = String(doc.assignedTo || "").trim();
+    return from && from !== toEmail;
+  });
+
+  useEffect(() => {
+    if (!toEmail) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const entries = await Promise.all(
+          moving.map(async (doc) => {
+            const res = await listCallLogsForProspect(doc.$id);
+            return [doc.$id, handoverFromLogs(res.documents || [])];
+          }),
+        );
+        if (!cancelled) setHandovers(Object.fromEntries(entries));
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load call logs.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // Load once for the prospects the dialog was opened with
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const callBackCount = Object.values(handovers).filter((h) => h.callBack).length;
+  const notesCount = Object.values(handovers).filter((h) => h.notes).length;
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const ids = prospects.map((doc) => doc.$id);
+      if (toEmail) {
+        const chosen = {};
+        Object.entries(handovers).forEach(([id, h]) => {
+          chosen[id] = {
+            callBack: handCallBacks ? h.callBack : null,
+            notes: handNotes ? h.notes : null,
+          };
+        });
+        await assignProspectsToUser(ids, toEmail, { reason, handovers: chosen });
+      } else {
+        await unassignProspects(ids, { reason });
+      }
+      onDone();
+    } catch (err) {
+      setError(err.message || "Failed to reassign prospects.");
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="reassign-title"
+      onClick={onCancel}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-lg flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="border-b border-slate-200 px-5 py-4">
+          <h2 id="reassign-title" className="text-lg font-semibold text-slate-900">
+            {toEmail ? "Reassign prospects" : "Unassign prospects"}
+          </h2>
+          <p className="mt-1 text-sm text-slate-600">
+            {moving.length} of {prospects.length} selected prospect(s) already have a caller.
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto px-5 py-4">
+          {error && (
+            <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          <ul className="max-h-48 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-200 text-sm">
+            {moving.map((doc) => (
+              <li key={doc.$id} className="px-3 py-2">
+                <p className="font-medium text-slate-900">{docToDisplay(doc).name}</p>
+                <p className="text-xs text-slate-500">
+                  {doc.assignedTo} → {toEmail || "unassigned"}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          <label className="block text-sm">
+            <span className="mb-1 block font-medium text-slate-700">Reason</span>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              placeholder="e.g. Caller on leave, language preference"
+              className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400"
+            />
+          </label>
+
+          {toEmail && (
+            <fieldset className="space-y-1.5 text-sm text-slate-700">
+              <legend className="mb-1 text-sm font-semibold text-slate-800">
+                Hand over to {toEmail}
+              </legend>
+              {loading ? (
+                <p className="text-slate-500">Checking call logs…</p>
+              ) : (
+                <>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={handCallBacks}
+                      onChange={(e) => setHandCallBacks(e.target.checked)}
+                      disabled={!callBackCount}
+                    />
+                    Pending call-backs ({callBackCount})
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={handNotes}
+                      onChange={(e) => setHandNotes(e.target.checked)}
+                      disabled={!notesCount}
+                    />
+                    Notes from the latest call ({notesCount})
+                  </label>
+                </>
+              )}
+            </fieldset>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2 border-t border-slate-200 px-5 py-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={saving || loading}
+            className={`rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-60 ${
+              toEmail ? "bg-slate-800 hover:bg-slate-900" : "bg-orange-600 hover:bg-orange-700"
+            }`}
+          >
+            {saving ? "Saving…" : toEmail ? "Reassign" : "Unassign"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
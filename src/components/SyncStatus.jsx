@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { useSyncQueue } from "../hooks/useSyncQueue";
+import {
+  discardQueuedChange,
+  retryQueuedChange,
+} from "../services/syncQueue";
+
+const STATUS_LABELS = {
+  pending: "Waiting to sync",
+  conflict: "Conflict",
+  failed: "Not saved",
+};
+
+function describeItem(item) {
+  const who = item.data?.prospectName || "Prospect";
+  return item.action === "create" ? `New call · ${who}` : `Edited call · ${who}`;
+}
+
+// Top bar indicator for the offline calling mode: shows when the device is
+// offline or has call logs waiting to sync, and opens the queue so
+// conflicts and rejected changes can be resolved.
+export function SyncStatus() {
+  const { items, pendingCount, problems, online, syncing, syncNow } =
+    useSyncQueue();
+  const [open, setOpen] = useState(false);
+
+  if (online && !items.length) return null;
+
+  const label = syncing
+    ? "Syncing…"
+    : problems.length
+      ? `${problems.length} need${problems.length === 1 ? "s" : ""} attention`
+      : pendingCount
+        ? `${pendingCount} pending sync`
+        : "Offline";
+  const tone = problems.length
+    ? "border-red-200 bg-red-50 text-red-700"
+    : "border-amber-200 bg-amber-50 text-amber-800";
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        className={`flex items-center gap-2 rounded-lg border px-3 py-2 text-sm font-medium ${tone}`}
+      >
+        <span
+          className={`h-2 w-2 rounded-full ${online ? "bg-emerald-500" : "bg-slate-400"}`}
+        />
+        {!online && items.length > 0 ? `Offline · ${label}` : label}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-50 mt-2 w-80 rounded-lg border border-slate-200 bg-white p-3 shadow-lg">
+          <div className="mb-2 flex items-center justify-between gap-2">
+            <p className="text-sm font-semibold text-slate-900">
+              {online ? "Online" : "Offline"}
+            </p>
+            {online && pendingCount > 0 && (
+              <button
+                type="button"
+                onClick={syncNow}
+                disabled={syncing}
+                className="rounded-lg bg-sky-600 px-3 py-1 text-xs font-medium text-white hover:bg-sky-700 disabled:opacity-60"
+              >
+                {syncing ? "Syncing…" : "Sync now"}
+              </button>
+            )}
+          </div>
+          {!items.length ? (
+            <p className="text-xs text-slate-500">
+              Calls you log while offline are kept on this device and sent when
+              the connection is back.
+            </p>
+          ) : (
+            <ul className="max-h-72 space-y-2 overflow-y-auto">
+              {items.map((item) => (
+                <li
+                  key={item.id}
+                  className="rounded-lg border border-slate-200 px-3 py-2 text-xs"
+                >
+                  <p className="font-medium text-slate-900">
+                    {describeItem(item)}
+                  </p>
+                  <p className="text-slate-500">
+                    {STATUS_LABELS[item.status] || item.status} · saved{" "}
+                    {new Date(item.queuedAt).toLocaleString()}
+                  </p>
+                  {item.error && (
+                    <p className="mt-1 text-red-600">{item.error}</p>
+                  )}
+                  {item.status !== "pending" && (
+                    <div className="mt-2 flex gap-1.5">
+                      {item.status === "conflict" && !item.deleted && (
+                        <button
+                          type="button"
+                          onClick={() =>
+                            retryQueuedChange(item, { overwrite: true }).then(
+                              syncNow,
+                            )
+                          }
+                          className="rounded border border-slate-200 px-2 py-0.5 font-medium text-slate-700 hover:bg-slate-100"
+                        >
+                          Keep mine
+                        </button>
+                      )}
+                      {item.status === "failed" && (
+                        <button
+                          type="button"
+                          onClick={() => retryQueuedChange(item).then(syncNow)}
+                          className="rounded border border-slate-200 px-2 py-0.5 font-medium text-slate-700 hover:bg-slate-100"
+                        >
+                          Retry
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => discardQueuedChange(item)}
+                        className="rounded border border-slate-200 px-2 py-0.5 font-medium text-red-600 hover:bg-red-50"
+                      >
+                        {item.status === "conflict" && !item.deleted
+                          ? "Keep theirs"
+                          : "Discard"}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
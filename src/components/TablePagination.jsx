@@ -0,0 +1,90 @@
+import { PAGE_SIZE_OPTIONS } from "../services/prospectsService";
+
+// Footer for server-side paginated tables: "Showing x–y of N", page size
+// select and previous/next buttons. `page` is zero-based.
+export function TablePagination({
+  page,
+  pageSize,
+  total,
+  onPageChange,
+  onPageSizeChange,
+  disabled = false,
+}) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const from = total === 0 ? 0 : page * pageSize + 1;
+  const to = Math.min(total, (page + 1) * pageSize);
+  const btn =
+    "rounded-md border border-slate-200 bg-white px-2.5 py-1.5 text-xs font-medium text-slate-700 transition hover:bg-slate-50 disabled:opacity-50 sm:text-sm";
+
+  return (
+    <div className="mt-3 flex flex-col gap-2 text-xs text-slate-600 sm:flex-row sm:items-center sm:justify-between sm:text-sm">
+      <p>
+        Showing <span className="font-medium text-slate-900">{from}</span>–
+        <span className="font-medium text-slate-900">{to}</span> of{" "}
+        <span className="font-medium text-slate-900">
+          {total.toLocaleString()}
+        </span>
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1.5">
+          Rows
+          <select
+            value={pageSize}
+            onChange={(e) => onPageSizeChange(e.target.value)}
+            disabled={disabled}
+            className="rounded-md border border-slate-200 bg-white px-2 py-1 text-xs outline-none focus:border-slate-400 sm:text-sm"
+          >
+            {PAGE_SIZE_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || page <= 0}
+          className={btn}
+        >
+          ← Prev
+        </button>
+        <span>
+          Page {page + 1} of {pageCount}
+        </span>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || page >= pageCount - 1}
+          className={btn}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Clickable <th> that shows the current sort direction.
+export function SortableHeader({ label, sortKey, sortBy, sortDir, onSort }) {
+  const active = sortBy === sortKey;
+  return (
+    <th
+      className="px-4 py-3 font-semibold text-slate-700"
+      aria-sort={
+        active ? (sortDir === "desc" ? "descending" : "ascending") : "none"
+      }
+    >
+      <button
+        type="button"
+        onClick={() => onSort(sortKey)}
+        className="inline-flex items-center gap-1 hover:text-slate-900"
+      >
+        {label}
+        <span className={active ? "text-slate-700" : "text-slate-300"}>
+          {active && sortDir === "desc" ? "▼" : "▲"}
+        </span>
+      </button>
+    </th>
+  );
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  buildCallFormSchema,
+} from "../services/callFormSchema";
+import { listFormQuestions } from "../services/formQuestionsService";
+
+/**
+ * The calling form schema: built-in fields plus admin-added questions.
+ * Starts with the built-in fields so forms are usable before questions load.
+ * `questions` is every stored question, including inactive ones.
+ */
+export function useCallFormSchema() {
+  const [questions, setQuestions] = useState([]);
+  const [schema, setSchema] = useState(BUILTIN_CALL_FORM_FIELDS);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await listFormQuestions();
+      setQuestions(list);
+      setSchema(buildCallFormSchema(list));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { schema, questions, loading, reload };
+}
@@ -0,0 +1,43 @@
+import { useState, useCallback } from "react";
+import { updateCallLog, isCallLogConflict } from "../services/callLogsService";
+import { formToCallLogData } from "../services/callFormSchema";
+
+/**
+ * Version-checked saving for an edit form over one call log. `start(log)`
+ * records the version being edited. `save(values)` resolves to true once
+ * saved, or false when someone else saved first; `conflict` ({ base,
+ * current, values }) is then set for CallLogConflictDialog, and
+ * `resolve(values)` saves the chosen answers on top of the current version.
+ */
+export function useCallLogConflict(schema) {
+  const [base, setBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  const start = useCallback((log) => {
+    setBase(log);
+    setConflict(null);
+  }, []);
+
+  async function saveOver(log, values) {
+    try {
+      await updateCallLog(log.$id, formToCallLogData(values, schema), {
+        baseUpdatedAt: log.$updatedAt,
+      });
+      setConflict(null);
+      return true;
+    } catch (err) {
+      // A deleted log can't be merged; that surfaces as a normal error
+      if (!isCallLogConflict(err) || !err.current) throw err;
+      setConflict({ base: log, current: err.current, values });
+      return false;
+    }
+  }
+
+  return {
+    conflict,
+    start,
+    save: (values) => saveOver(base, values),
+    resolve: (values) => saveOver(conflict.current, values),
+    dismiss: () => setConflict(null),
+  };
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  listDispositions,
+  DEFAULT_DISPOSITIONS,
+} from "../services/dispositionsService";
+
+/**
+ * The disposition catalogue for calling forms and admin screens. Starts
+ * with the defaults so forms are usable before the catalogue loads.
+ */
+export function useDispositions() {
+  const [dispositions, setDispositions] = useState(DEFAULT_DISPOSITIONS);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDispositions(await listDispositions());
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { dispositions, loading, reload };
+}
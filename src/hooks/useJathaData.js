@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
 import { useAuth } from "../services/AuthContext";
 import {
   listProspectsAssignedTo,
@@ -6,42 +6,45 @@ import {
   docToDisplay,
 } from "../services/prospectsService";
 import {
-  listCallLogsForJathaRecord,
-  updateCallLog,
+  listAllCallLogs,
+  isJathaRecordLog,
   deleteCallLog,
 } from "../services/callLogsService";
-
-const EMPTY_FORM = {
-  select: "",
-  callBack: "",
-  notInterest: "",
-  departmentOfSewa: "",
-  needToWork: "",
-  notes1: "",
-  notes2: "",
-  notes3: "",
-  nominalListSelect: "",
-  visitSelect: "",
-  freeSewa: "",
-  attendance: "",
-  jathaRecord: "",
-};
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  callLogToForm,
+  emptyCallForm,
+  parseJathaDetails,
+  validateCallForm,
+} from "../services/callFormSchema";
+import { allJathaConflicts, conflictsByLog } from "../services/jathaConflicts";
+import { useCallFormSchema } from "./useCallFormSchema";
+import { useCallLogConflict } from "./useCallLogConflict";
 
 export function useJathaData(isAdmin = false) {
   const { user } = useAuth();
+  const { schema } = useCallFormSchema();
+  const editSave = useCallLogConflict(schema);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [entries, setEntries] = useState([]);
+  // Every log that lists a jatha, whatever its nominal / visit answers:
+  // conflicts are checked against all of a sewadar's bookings
+  const [jathaLogs, setJathaLogs] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
   const [viewEntry, setViewEntry] = useState(null);
   const [editEntry, setEditEntry] = useState(null);
-  const [editForm, setEditForm] = useState(EMPTY_FORM);
+  const [editForm, setEditForm] = useState(() =>
+    emptyCallForm(BUILTIN_CALL_FORM_FIELDS),
+  );
+  const [editErrors, setEditErrors] = useState({});
   const [saving, setSaving] = useState(false);
   const [deleteEntry, setDeleteEntry] = useState(null);
 
   const loadData = useCallback(async () => {
     if (!isAdmin && !user?.email) {
       setEntries([]);
+      setJathaLogs([]);
       setLoading(false);
       return;
     }
@@ -53,7 +56,7 @@ export function useJathaData(isAdmin = false) {
         ? await listProspects()
         : await listProspectsAssignedTo(user.email);
 
-      const callLogsRes = await listCallLogsForJathaRecord();
+      const allLogs = await listAllCallLogs();
 
       const prospectDocs = prospectRes.documents || [];
       const prospectById = {};
@@ -62,7 +65,11 @@ export function useJathaData(isAdmin = false) {
         prospectById[d.$id] = { ...docToDisplay(d), raw: d };
       });
 
-      const logs = callLogsRes.documents || [];
+      const assignedIds = new Set(prospectDocs.map((d) => d.$id));
+      const visibleLogs = isAdmin
+        ? allLogs
+        : allLogs.filter((log) => assignedIds.has(log.prospectId));
+      const logs = visibleLogs.filter(isJathaRecordLog);
 
       let list;
       if (isAdmin) {
@@ -81,25 +88,25 @@ export function useJathaData(isAdmin = false) {
           return { prospect, log };
         });
       } else {
-        const assignedIds = new Set(prospectDocs.map((d) => d.$id));
-        list = logs
-          .filter((log) => assignedIds.has(log.prospectId))
-          .map((log) => {
-            const id = log.prospectId;
-            const prospect = prospectById[id] || {
-              id,
-              name: log.prospectName || "-",
-              address: "-",
-              phoneNumber: "-",
-              badgeId: "-",
-              assignedTo: "-",
-              bloodGroup: "-",
-            };
-            return { prospect, log };
-          });
+        list = logs.map((log) => {
+          const id = log.prospectId;
+          const prospect = prospectById[id] || {
+            id,
+            name: log.prospectName || "-",
+            address: "-",
+            phoneNumber: "-",
+            badgeId: "-",
+            assignedTo: "-",
+            bloodGroup: "-",
+          };
+          return { prospect, log };
+        });
       }
 
       setEntries(list);
+      setJathaLogs(
+        visibleLogs.filter((log) => parseJathaDetails(log.jathaDetails).length),
+      );
     } catch (err) {
       setError(err.message || "Failed to load jatha record.");
     } finally {
@@ -129,41 +136,59 @@ export function useJathaData(isAdmin = false) {
     );
   });
 
+  // { logId: [conflict] } for rows whose jathas clash with the same
+  // sewadar's other jathas (see jathaConflicts)
+  const jathaConflicts = useMemo(
+    () => conflictsByLog(allJathaConflicts(jathaLogs)),
+    [jathaLogs],
+  );
+
+  // The edited sewadar's other call logs, for warnings on the calling form
+  const editOtherLogs = editEntry
+    ? jathaLogs.filter(
+        (log) =>
+          log.prospectId === editEntry.log.prospectId &&
+          log.$id !== editEntry.log.$id,
+      )
+    : [];
+
   const openEdit = (entry) => {
     const { log } = entry;
     setEditEntry(entry);
-    setEditForm({
-      select: log.select || "",
-      callBack: log.callBack || "",
-      notInterest: log.notInterest || "",
-      departmentOfSewa: log.departmentOfSewa || "",
-      needToWork: log.needToWork || "",
-      notes1: log.notes1 || "",
-      notes2: log.notes2 || "",
-      notes3: log.notes3 || "",
-      nominalListSelect: log.nominalListSelect || "",
-      visitSelect: log.visitSelect || "",
-      freeSewa: log.freeSewa || "",
-      attendance: log.attendance || "",
-      jathaRecord: log.jathaRecord || "",
-    });
+    setEditForm(callLogToForm(log, schema));
+    setEditErrors({});
+    editSave.start(log);
   };
 
   const handleSaveEdit = async () => {
     if (!editEntry) return;
+    const errors = validateCallForm(editForm, schema);
+    setEditErrors(errors);
+    if (Object.keys(errors).length) return;
+    await finishEdit(() => editSave.save(editForm));
+  };
+
+  /** Save the answers chosen in the conflict dialog over the newer version */
+  const handleResolveConflict = async (values) => {
+    setEditForm(values);
+    await finishEdit(() => editSave.resolve(values));
+  };
+
+  // Reloads and closes the editor once saved; stays open on a conflict
+  async function finishEdit(saveEdit) {
     setSaving(true);
     setError("");
     try {
-      await updateCallLog(editEntry.log.$id, editForm);
-      await loadData();
-      setEditEntry(null);
-      setEditForm(EMPTY_FORM);
+      if (await saveEdit()) {
+        await loadData();
+        setEditEntry(null);
+      }
     } catch (err) {
       setError(err.message || "Failed to update form.");
     } finally {
       setSaving(false);
     }
-  };
+  }
 
   const handleConfirmDelete = async () => {
     if (!deleteEntry) return;
@@ -196,9 +221,15 @@ export function useJathaData(isAdmin = false) {
     deleteEntry,
     setDeleteEntry,
     filteredEntries,
+    jathaConflicts,
+    editOtherLogs,
     openEdit,
     handleSaveEdit,
     handleConfirmDelete,
-    EMPTY_FORM,
+    schema,
+    editErrors,
+    editConflict: editSave.conflict,
+    handleResolveConflict,
+    dismissConflict: editSave.dismiss,
   };
 }
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import client, { APPWRITE_CONFIG } from "../services/appwriteClient";
+import { listEnrollmentsForJathas, listJathas } from "../services/jathasService";
+
+// Realtime sends one event per enrollment written; a save writes several
+const ENROLLMENT_REFRESH_DELAY_MS = 500;
+
+/**
+ * The jathas list for pickers and admin screens, with the enrollments in
+ * those jathas for fill counts (see jathaFill). The enrollments are fetched
+ * again whenever one changes (realtime), so counts follow bookings made here
+ * or elsewhere. Empty when the collection isn't configured or can't be
+ * reached (e.g. offline), so forms fall back to typing jatha details by hand.
+ */
+export function useJathas() {
+  const [jathas, setJathas] = useState([]);
+  const [enrollments, setEnrollments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const jathaIds = useRef([]);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const list = await listJathas();
+      jathaIds.current = list.map((j) => j.$id);
+      const enrolled = await listEnrollmentsForJathas(jathaIds.current);
+      setJathas(list);
+      setEnrollments(enrolled);
+    } catch (error) {
+      console.error("Failed to list jathas", error);
+      setJathas([]);
+      setEnrollments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    const { databaseId, jathaEnrollmentsCollectionId } = APPWRITE_CONFIG;
+    if (!databaseId || !jathaEnrollmentsCollectionId) return undefined;
+
+    let timer = null;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        try {
+          setEnrollments(await listEnrollmentsForJathas(jathaIds.current));
+        } catch (error) {
+          console.error("Failed to refresh jatha enrollments", error);
+        }
+      }, ENROLLMENT_REFRESH_DELAY_MS);
+    };
+
+    const channel = `databases.${databaseId}.collections.${jathaEnrollmentsCollectionId}.documents`;
+    let unsubscribe = () => {};
+    try {
+      unsubscribe = client.subscribe(channel, refresh);
+    } catch (error) {
+      console.error("Failed to subscribe to jatha enrollment changes", error);
+    }
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, []);
+
+  return { jathas, enrollments, loading, reload };
+}
@@ -7,35 +7,31 @@ import {
 } from "../services/prospectsService";
 import {
   listCallLogsWithNominalList,
-  updateCallLog,
   deleteCallLog,
 } from "../services/callLogsService";
-
-const EMPTY_FORM = {
-  select: "",
-  callBack: "",
-  notInterest: "",
-  departmentOfSewa: "",
-  needToWork: "",
-  notes1: "",
-  notes2: "",
-  notes3: "",
-  nominalListSelect: "",
-  visitSelect: "",
-  freeSewa: "",
-  attendance: "",
-  jathaRecord: "",
-};
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  callLogToForm,
+  emptyCallForm,
+  validateCallForm,
+} from "../services/callFormSchema";
+import { useCallFormSchema } from "./useCallFormSchema";
+import { useCallLogConflict } from "./useCallLogConflict";
 
 export function useNominalRollData(isAdmin = false) {
   const { user } = useAuth();
+  const { schema } = useCallFormSchema();
+  const editSave = useCallLogConflict(schema);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [entries, setEntries] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
   const [viewEntry, setViewEntry] = useState(null);
   const [editEntry, setEditEntry] = useState(null);
-  const [editForm, setEditForm] = useState(EMPTY_FORM);
+  const [editForm, setEditForm] = useState(() =>
+    emptyCallForm(BUILTIN_CALL_FORM_FIELDS),
+  );
+  const [editErrors, setEditErrors] = useState({});
   const [saving, setSaving] = useState(false);
   const [deleteEntry, setDeleteEntry] = useState(null);
 
@@ -133,38 +129,40 @@ export function useNominalRollData(isAdmin = false) {
   const openEdit = (entry) => {
     const { log } = entry;
     setEditEntry(entry);
-    setEditForm({
-      select: log.select || "",
-      callBack: log.callBack || "",
-      notInterest: log.notInterest || "",
-      departmentOfSewa: log.departmentOfSewa || "",
-      needToWork: log.needToWork || "",
-      notes1: log.notes1 || "",
-      notes2: log.notes2 || "",
-      notes3: log.notes3 || "",
-      nominalListSelect: log.nominalListSelect || "",
-      visitSelect: log.visitSelect || "",
-      freeSewa: log.freeSewa || "",
-      attendance: log.attendance || "",
-      jathaRecord: log.jathaRecord || "",
-    });
+    setEditForm(callLogToForm(log, schema));
+    setEditErrors({});
+    editSave.start(log);
   };
 
   const handleSaveEdit = async () => {
     if (!editEntry) return;
+    const errors = validateCallForm(editForm, schema);
+    setEditErrors(errors);
+    if (Object.keys(errors).length) return;
+    await finishEdit(() => editSave.save(editForm));
+  };
+
+  /** Save the answers chosen in the conflict dialog over the newer version */
+  const handleResolveConflict = async (values) => {
+    setEditForm(values);
+    await finishEdit(() => editSave.resolve(values));
+  };
+
+  // Reloads and closes the editor once saved; stays open on a conflict
+  async function finishEdit(saveEdit) {
     setSaving(true);
     setError("");
     try {
-      await updateCallLog(editEntry.log.$id, editForm);
-      await loadData();
-      setEditEntry(null);
-      setEditForm(EMPTY_FORM);
+      if (await saveEdit()) {
+        await loadData();
+        setEditEntry(null);
+      }
     } catch (err) {
       setError(err.message || "Failed to update form.");
     } finally {
       setSaving(false);
     }
-  };
+  }
 
   const handleConfirmDelete = async () => {
     if (!deleteEntry) return;
@@ -200,6 +198,10 @@ export function useNominalRollData(isAdmin = false) {
     openEdit,
     handleSaveEdit,
     handleConfirmDelete,
-    EMPTY_FORM,
+    schema,
+    editErrors,
+    editConflict: editSave.conflict,
+    handleResolveConflict,
+    dismissConflict: editSave.dismiss,
   };
 }
@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  listProspectsPage,
+  docToDisplay,
+  DEFAULT_PAGE_SIZE,
+} from "../services/prospectsService";
+import { isNetworkError, isOnline } from "../services/network";
+import { listCachedProspectsPage } from "../services/offlineCache";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Server-side paginated, sorted and searched prospects table state.
+ * Pass `assignedTo` to restrict to one caller, or `assignedOnly` to show
+ * only prospects assigned to anyone. Set `enabled` to false to skip loading
+ * (e.g. while the signed-in user is not known yet). A caller's own list
+ * (`assignedTo`) comes from the offline cache when there's no connection,
+ * and always while `offline` (a session not verified yet) is set;
+ * `offlineCopy` is then { cachedAt } ("" when nothing was cached yet).
+ */
+export function useProspectsTable({
+  assignedTo = "",
+  assignedOnly = false,
+  enabled = true,
+  offline = false,
+} = {}) {
+  const [searchBy, setSearchByState] = useState("Name of Sewadar/Sewadarni");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSizeState] = useState(DEFAULT_PAGE_SIZE);
+  const [sortBy, setSortBy] = useState("");
+  const [sortDir, setSortDir] = useState("asc");
+  const [documents, setDocuments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [offlineCopy, setOfflineCopy] = useState(null);
+  // Id of the latest reload; older responses are dropped so fast paging,
+  // searching or sorting can't show a stale page
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery);
+      setPage(0);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const reload = useCallback(async () => {
+    const request = ++requestId.current;
+    const current = () => request === requestId.current;
+    if (!enabled) {
+      setDocuments([]);
+      setTotal(0);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError("");
+    const options = {
+      page,
+      pageSize,
+      sortBy,
+      sortDir,
+      searchBy,
+      searchQuery: debouncedQuery,
+      assignedTo,
+      assignedOnly,
+    };
+    const loadCached = async () => {
+      const res = await listCachedProspectsPage(assignedTo, options);
+      if (!current()) return;
+      setDocuments(res.documents);
+      setTotal(res.total);
+      setOfflineCopy({ cachedAt: res.cachedAt });
+    };
+    try {
+      if (assignedTo && (offline || !isOnline())) {
+        await loadCached();
+        return;
+      }
+      const res = await listProspectsPage(options);
+      if (!current()) return;
+      setDocuments(res.documents || []);
+      setTotal(res.total || 0);
+      setOfflineCopy(null);
+    } catch (err) {
+      if (!current()) return;
+      if (assignedTo && isNetworkError(err)) await loadCached();
+      else setError(err.message || "Failed to load prospects.");
+    } finally {
+      if (current()) setLoading(false);
+    }
+  }, [
+    enabled,
+    page,
+    pageSize,
+    sortBy,
+    sortDir,
+    searchBy,
+    debouncedQuery,
+    assignedTo,
+    assignedOnly,
+    offline,
+  ]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Back to the live list once the connection returns
+  useEffect(() => {
+    if (!offlineCopy) return;
+    window.addEventListener("online", reload);
+    return () => window.removeEventListener("online", reload);
+  }, [offlineCopy, reload]);
+
+  const prospects = useMemo(() => documents.map(docToDisplay), [documents]);
+
+  const setSearchBy = (value) => {
+    setSearchByState(value);
+    setPage(0);
+  };
+
+  const setPageSize = (value) => {
+    setPageSizeState(Number(value) || DEFAULT_PAGE_SIZE);
+    setPage(0);
+  };
+
+  /** Click a column header: ascending first, then descending, then back to default order */
+  const toggleSort = (key) => {
+    setPage(0);
+    if (sortBy !== key) {
+      setSortBy(key);
+      setSortDir("asc");
+    } else if (sortDir === "asc") {
+      setSortDir("desc");
+    } else {
+      setSortBy("");
+      setSortDir("asc");
+    }
+  };
+
+  return {
+    documents,
+    prospects,
+    total,
+    loading,
+    error,
+    offlineCopy,
+    searchBy,
+    setSearchBy,
+    searchQuery,
+    setSearchQuery,
+    page,
+    setPage,
+    pageSize,
+    setPageSize,
+    pageCount: Math.max(1, Math.ceil(total / pageSize)),
+    sortBy,
+    sortDir,
+    toggleSort,
+    reload,
+  };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../services/AuthContext";
+import { isOnline } from "../services/network";
+import { refreshOfflineCache } from "../services/offlineCache";
+import {
+  listSyncQueue,
+  subscribeSyncQueue,
+  syncCallLogQueue,
+} from "../services/syncQueue";
+
+// How often pending changes are retried while the browser reports a
+// connection (patchy networks don't always fire "online")
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The signed-in caller's sync queue and connection state. Syncs when the
+ * connection comes back, on an interval while changes are pending, and on
+ * demand; the offline copy of prospects and call logs is refreshed after
+ * each sync. Sessions restored without a connection don't sync until the
+ * session has been checked online again (see AuthContext).
+ */
+export function useSyncQueue() {
+  const { user } = useAuth();
+  const email = user?.email || "";
+  const canSync = !!email && !user?.offline;
+  const [items, setItems] = useState([]);
+  const [online, setOnline] = useState(isOnline);
+  const [syncing, setSyncing] = useState(false);
+
+  const reload = useCallback(async () => {
+    setItems(await listSyncQueue(email));
+  }, [email]);
+
+  useEffect(() => {
+    reload();
+    return subscribeSyncQueue(reload);
+  }, [reload]);
+
+  const syncNow = useCallback(async () => {
+    if (!canSync || !isOnline()) return;
+    setSyncing(true);
+    try {
+      await syncCallLogQueue(email);
+      await refreshOfflineCache(email);
+    } finally {
+      setSyncing(false);
+    }
+  }, [canSync, email]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      syncNow();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    syncNow();
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [syncNow]);
+
+  const pendingCount = items.filter((i) => i.status === "pending").length;
+
+  useEffect(() => {
+    if (!pendingCount) return;
+    const timer = setInterval(syncNow, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, syncNow]);
+
+  return {
+    items,
+    pendingCount,
+    problems: items.filter((i) => i.status !== "pending"),
+    online,
+    syncing,
+    syncNow,
+  };
+}
@@ -1,6 +1,10 @@
+import { useState } from "react";
 import { useJathaData } from "../hooks/useJathaData";
 import { ActionMenu } from "../components/ActionMenu";
 import { ProspectInfo } from "../components/ProspectInfo";
+import { CallFormView } from "../components/CallFormView";
+import { JathaCalendar } from "../components/JathaCalendar";
+import { JathaConflictBadge } from "../components/JathaConflictBadge";
 
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
@@ -21,7 +25,10 @@ function JathaRecordPage() {
     viewEntry,
     setViewEntry,
     filteredEntries,
+    jathaConflicts,
+    schema,
   } = useJathaData(false);
+  const [layout, setLayout] = useState("table"); // "table" | "calendar"
 
   return (
     <div className="flex flex-col space-y-4">
@@ -33,7 +40,26 @@ function JathaRecordPage() {
             &quot;Yes&quot; — with attendance
           </p>
         </div>
-        <div className="mt-2 sm:mt-0">
+        <div className="mt-2 flex flex-wrap items-center gap-2 sm:mt-0">
+          <div className="flex rounded-lg border border-slate-200 bg-white p-0.5">
+            {[
+              ["table", "Table"],
+              ["calendar", "Calendar"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setLayout(value)}
+                className={`rounded-md px-3 py-1.5 text-xs font-medium ${
+                  layout === value
+                    ? "bg-slate-800 text-white"
+                    : "text-slate-600 hover:bg-slate-100"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
           <div className="relative w-full sm:w-64">
             <input
               type="text"
@@ -80,6 +106,8 @@ function JathaRecordPage() {
               prospects to see them here.
             </p>
           </div>
+        ) : layout === "calendar" ? (
+          <JathaCalendar entries={filteredEntries} onView={setViewEntry} />
         ) : (
           <div className="overflow-x-auto">
             <table className="w-full min-w-[600px] border-collapse text-left text-sm">
@@ -119,6 +147,7 @@ function JathaRecordPage() {
                   >
                     <td className="px-4 py-3 font-medium text-slate-900">
                       {prospect.name || "-"}
+                      <JathaConflictBadge conflicts={jathaConflicts[log.$id]} />
                     </td>
                     <td className="px-4 py-3 text-slate-600">
                       {prospect.badgeId || "-"}
@@ -205,90 +234,11 @@ function JathaRecordPage() {
                 prospect={viewEntry.prospect}
                 doc={viewEntry.prospect.raw}
               />
-              <div className="grid gap-4 md:grid-cols-2">
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Calling Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Select: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.select || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Call Back: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.callBack || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Not Interest:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.notInterest || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Department of Sewa:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.departmentOfSewa || "-"}
-                    </span>
-                  </p>
-                </div>
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Transfer Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Nominal List Select:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.nominalListSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Visit Select:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.visitSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Free Sewa: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.freeSewa || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Attendance: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.attendance || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Jatha Record:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.jathaRecord || "-"}
-                    </span>
-                  </p>
-                </div>
-              </div>
-              <div className="rounded-lg border border-slate-200 bg-white p-3">
-                <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                  Need to Work
-                </p>
-                <p className="mt-1 whitespace-pre-line text-sm text-slate-700">
-                  {viewEntry.log.needToWork || "-"}
-                </p>
-              </div>
+              <CallFormView
+                schema={schema}
+                log={viewEntry.log}
+                sections={["calling", "transfer", "needToWork", "jatha"]}
+              />
             </div>
           </div>
         </div>
@@ -1,18 +1,64 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import { useAuth } from "../services/AuthContext";
 import {
-  listProspectsAssignedTo,
-  docToDisplay,
-} from "../services/prospectsService";
-import {
-  createCallLog,
-  updateCallLog,
   listCallLogsForUser,
+  listCallLogsForProspect,
   deleteCallLog,
+  groupCallLogsByProspect,
+  describeCallOutcome,
+  pendingCallBacks,
+  callBackStatus,
+  isCallLogConflict,
 } from "../services/callLogsService";
+import { getProspect, docToDisplay } from "../services/prospectsService";
 import { ActionMenu } from "../components/ActionMenu";
+import { CallHistoryTimeline } from "../components/CallHistoryTimeline";
+import { CallBackQueue } from "../components/CallBackQueue";
+import { CallFormFields } from "../components/CallFormFields";
+import { CallLogConflictDialog } from "../components/CallLogConflictDialog";
+import { useDispositions } from "../hooks/useDispositions";
+import { useCallFormSchema } from "../hooks/useCallFormSchema";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  emptyCallForm,
+  callLogToForm,
+  formToCallLogData,
+  validateCallForm,
+} from "../services/callFormSchema";
+import { downloadCallFormPdf } from "../services/callFormPdf";
+import {
+  saveCallFormDraft,
+  listCallFormDrafts,
+  deleteCallFormDraft,
+  purgeOldCallFormDrafts,
+} from "../services/callFormDrafts";
+import { isOnline } from "../services/network";
+import {
+  getCachedProspect,
+  listCachedCallLogs,
+  refreshOfflineCache,
+} from "../services/offlineCache";
+import {
+  applyQueuedChanges,
+  discardQueuedChange,
+  listSyncQueue,
+  submitCallLog,
+  subscribeSyncQueue,
+} from "../services/syncQueue";
 import { ProspectInfo } from "../components/ProspectInfo";
-import { jsPDF } from "jspdf";
+import { ProspectDetailsModal } from "../components/ProspectDetailsModal";
+import { suggestProspectCorrection } from "../services/correctionsService";
+import {
+  TablePagination,
+  SortableHeader,
+} from "../components/TablePagination";
+import { useProspectsTable } from "../hooks/useProspectsTable";
+import { RECYCLE_BIN_RETENTION_DAYS } from "../services/softDelete";
+import {
+  listAssignmentsInvolving,
+  logsWithHandovers,
+  parseHandover,
+} from "../services/assignmentsService";
 
 const SEARCH_BY_OPTIONS = [
   "Name of Sewadar/Sewadarni",
@@ -22,30 +68,8 @@ const SEARCH_BY_OPTIONS = [
   "Blood Group",
 ];
 
-const INITIAL_FORM = {
-  select: "",
-  callBack: "",
-  notInterest: "",
-  departmentOfSewa: "",
-  needToWork: "",
-  notes1: "",
-  notes2: "",
-  notes3: "",
-  nominalListSelect: "",
-  visitSelect: "",
-  freeSewa: "N/A",
-  attendance: "",
-  jathaRecord: "",
-  jathaDetails: [],
-};
-
-const INITIAL_JATHA = {
-  areaName: "",
-  departmentName: "",
-  jathaTotalDay: "",
-  dateFrom: "",
-  dateTo: "",
-};
+// Autosave waits for a short pause in typing
+const DRAFT_SAVE_DELAY_MS = 600;
 
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
@@ -57,31 +81,159 @@ function toTelHref(phone) {
   return cleaned ? `tel:${cleaned}` : "";
 }
 
+function DraftBadge({ draft }) {
+  return (
+    <span
+      className="ml-2 inline-block rounded-full bg-amber-100 px-2 py-0.5 align-middle text-[11px] font-medium text-amber-800"
+      title={`Unsent call form saved ${new Date(draft.savedAt).toLocaleString()}`}
+    >
+      Draft
+    </span>
+  );
+}
+
 function UserDashboard() {
   const { user } = useAuth();
-  const [prospects, setProspects] = useState([]);
-  const [prospectDocs, setProspectDocs] = useState({});
-  const [searchBy, setSearchBy] = useState("Name of Sewadar/Sewadarni");
-  const [searchQuery, setSearchQuery] = useState("");
-  const [loading, setLoading] = useState(true);
+  const { dispositions } = useDispositions();
+  const { schema } = useCallFormSchema();
   const [error, setError] = useState("");
   const [formOpen, setFormOpen] = useState(false);
   const [viewOnly, setViewOnly] = useState(false);
   const [selectedProspect, setSelectedProspect] = useState(null);
   const [selectedDoc, setSelectedDoc] = useState(null);
-  const [form, setForm] = useState(INITIAL_FORM);
+  const [form, setForm] = useState(() => emptyCallForm(BUILTIN_CALL_FORM_FIELDS));
+  const [formErrors, setFormErrors] = useState({});
+  // Set once the caller changes the form, so only their own edits are drafted
+  const [formDirty, setFormDirty] = useState(false);
+  // Unsent drafts keyed by prospect id, and the one resumed into the form
+  const [drafts, setDrafts] = useState({});
+  const [resumedDraft, setResumedDraft] = useState(null);
+  // { base, current, values } when an edit hit a newer saved version
+  const [callConflict, setCallConflict] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [success, setSuccess] = useState("");
+  // Own call attempts per prospect, newest first
   const [userCallLogsByProspect, setUserCallLogsByProspect] = useState({});
+  const [assignments, setAssignments] = useState([]); // to or from this caller, newest first
+  // Every attempt (any caller) for the prospect open in the form
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [activeLogId, setActiveLogId] = useState(null);
   const [editingLogId, setEditingLogId] = useState(null);
   const [deleteEntry, setDeleteEntry] = useState(null);
+  const [suggestDoc, setSuggestDoc] = useState(null);
+  const [suggestSaving, setSuggestSaving] = useState(false);
+  const [suggestError, setSuggestError] = useState("");
+  const [notice, setNotice] = useState("");
+  const reminderKey = `callBackReminder:${user?.email || ""}`;
+  const [reminderDismissed, setReminderDismissed] = useState(
+    () => sessionStorage.getItem(reminderKey) === "dismissed",
+  );
+
+  const {
+    documents,
+    prospects: baseFiltered,
+    total,
+    loading,
+    error: tableError,
+    offlineCopy,
+    searchBy,
+    setSearchBy,
+    searchQuery,
+    setSearchQuery,
+    page,
+    setPage,
+    pageSize,
+    setPageSize,
+    sortBy,
+    sortDir,
+    toggleSort,
+  } = useProspectsTable({
+    assignedTo: user?.email || "",
+    enabled: !!user?.email,
+    offline: !!user?.offline,
+  });
+
+  const prospectDocs = useMemo(() => {
+    const byId = {};
+    documents.forEach((d) => {
+      byId[d.$id] = d;
+    });
+    return byId;
+  }, [documents]);
+
+  const isOwnLog = (log) => !!user?.email && log.submittedBy === user.email;
+
+  // A session restored offline isn't verified yet: it reads only the
+  // device's copy and writes only to the sync queue until it is
+  const offlineSession = !!user?.offline;
+  const serverReachable = useCallback(
+    () => !offlineSession && isOnline(),
+    [offlineSession],
+  );
+
+  // Offline, calls come from the device's copy of the caller's own logs.
+  // Calls waiting to sync are shown on top of either.
+  const loadUserCallLogs = useCallback(async () => {
+    const email = user?.email;
+    if (!email) {
+      setUserCallLogsByProspect({});
+      return;
+    }
+    try {
+      const logs = serverReachable()
+        ? (await listCallLogsForUser(email)).documents || []
+        : await listCachedCallLogs(email);
+      const queued = await listSyncQueue(email);
+      setUserCallLogsByProspect(
+        groupCallLogsByProspect(applyQueuedChanges(logs, queued)),
+      );
+    } catch {
+      // ignore; user can still submit forms
+    }
+  }, [user?.email, serverReachable]);
+
+  async function loadHistory(prospectId) {
+    setHistoryLoading(true);
+    try {
+      const saved = serverReachable()
+        ? (await listCallLogsForProspect(prospectId)).documents || []
+        : (await listCachedCallLogs(user?.email)).filter(
+            (l) => l.prospectId === prospectId,
+          );
+      const queued = (await listSyncQueue(user?.email)).filter(
+        (item) => item.prospectId === prospectId,
+      );
+      const logs = applyQueuedChanges(saved, queued);
+      setHistory(logs);
+      return logs;
+    } catch {
+      setHistory([]);
+      return [];
+    } finally {
+      setHistoryLoading(false);
+    }
+  }
 
   const handleConfirmDelete = async () => {
     if (!deleteEntry) return;
     setSubmitting(true);
     try {
-      await deleteCallLog(deleteEntry.log.$id);
-      await loadAssigned();
+      const logId = deleteEntry.log.$id;
+      const queued = (await listSyncQueue(user?.email)).find(
+        (item) => item.logId === logId,
+      );
+      if (queued?.action !== "create" && !serverReachable()) {
+        throw new Error("Deleting a saved call needs a connection.");
+      }
+      if (queued) await discardQueuedChange(queued);
+      // A call that never reached the server only needs its queued create dropped
+      if (queued?.action !== "create") await deleteCallLog(logId);
+      await loadUserCallLogs();
+      if (selectedProspect?.id === deleteEntry.prospect.id) {
+        await loadHistory(deleteEntry.prospect.id);
+        if (activeLogId === deleteEntry.log.$id) startNewAttempt();
+      }
       setDeleteEntry(null);
     } catch (err) {
       setError(err.message || "Failed to delete form.");
@@ -90,454 +242,277 @@ function UserDashboard() {
     }
   };
 
-  const loadAssigned = useCallback(async () => {
-    const email = user?.email;
-    if (!email) {
-      setProspects([]);
-      setProspectDocs({});
-      return;
-    }
-    setLoading(true);
-    setError("");
+  const openSuggestCorrection = (prospect) => {
+    const doc = prospectDocs[prospect.id];
+    if (!doc) return;
+    setSuggestError("");
+    setNotice("");
+    setSuggestDoc(doc);
+  };
+
+  const handleSuggestCorrection = async ({ changes, note }) => {
+    if (!suggestDoc) return;
+    setSuggestSaving(true);
+    setSuggestError("");
     try {
-      const res = await listProspectsAssignedTo(email);
-      const docs = res.documents || [];
-      const display = docs.map(docToDisplay);
-      const byId = {};
-      docs.forEach((d) => {
-        byId[d.$id] = d;
+      if (!serverReachable()) throw new Error("Sending a correction needs a connection.");
+      await suggestProspectCorrection({
+        prospectId: suggestDoc.$id,
+        prospectName: suggestDoc.fullName,
+        suggestedBy: user?.email,
+        changes,
+        note,
       });
-      setProspects(display);
-      setProspectDocs(byId);
+      setSuggestDoc(null);
+      setNotice("Correction sent. An admin will review it before it is applied.");
     } catch (err) {
-      setError(err.message || "Failed to load assigned prospects.");
+      setSuggestError(err.message || "Failed to send correction.");
     } finally {
-      setLoading(false);
+      setSuggestSaving(false);
     }
-  }, [user?.email]);
+  };
 
   useEffect(() => {
-    loadAssigned();
-  }, [loadAssigned]);
+    loadUserCallLogs();
+    return subscribeSyncQueue(loadUserCallLogs);
+  }, [loadUserCallLogs]);
 
+  // Reassignments decide which call-backs are this caller's; offline there
+  // are none to go by, so only the caller's own logs count.
   useEffect(() => {
-    async function loadUserCallLogs() {
-      const email = user?.email;
-      if (!email) {
-        setUserCallLogsByProspect({});
-        return;
-      }
-      try {
-        const res = await listCallLogsForUser(email);
-        const docs = res.documents || [];
-        const byProspect = {};
-        docs.forEach((d) => {
-          if (!d.prospectId) return;
-          if (!byProspect[d.prospectId]) byProspect[d.prospectId] = d;
-        });
-        setUserCallLogsByProspect(byProspect);
-      } catch {
-        // ignore; user can still submit forms
-      }
-    }
-    loadUserCallLogs();
+    const email = user?.email;
+    if (!email || !serverReachable()) return;
+    listAssignmentsInvolving(email)
+      .then(setAssignments)
+      .catch(() => setAssignments([]));
+  }, [user?.email, serverReachable]);
+
+  useEffect(() => {
+    const email = user?.email;
+    if (!email) return;
+    let cancelled = false;
+    purgeOldCallFormDrafts(email)
+      .then(() => listCallFormDrafts(email))
+      .then((byProspect) => {
+        if (!cancelled) setDrafts(byProspect);
+      });
+    return () => {
+      cancelled = true;
+    };
   }, [user?.email]);
 
-  const baseFiltered = prospects.filter((p) => {
-    const q = searchQuery.trim().toLowerCase();
-    if (!q) return true;
-    const field = {
-      "Name of Sewadar/Sewadarni": p.name,
-      Address: p.address,
-      "Phone Number": p.phoneNumber,
-      "Badge ID": p.badgeId,
-      "Blood Group": p.bloodGroup,
-    }[searchBy];
-    return String(field || "")
-      .toLowerCase()
-      .includes(q);
-  });
+  // Autosave the open form as a draft for this prospect
+  useEffect(() => {
+    const email = user?.email;
+    const prospectId = selectedProspect?.id;
+    if (!formDirty || viewOnly || !email || !prospectId) return;
+    const timer = setTimeout(async () => {
+      const draft = await saveCallFormDraft(email, prospectId, {
+        logId: editingLogId,
+        values: form,
+      });
+      if (draft) setDrafts((d) => ({ ...d, [prospectId]: draft }));
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [form, formDirty, viewOnly, editingLogId, selectedProspect?.id, user?.email]);
 
-  const updateForm = (field) => (e) =>
-    setForm((f) => ({ ...f, [field]: e.target.value }));
+  async function removeDraft(prospectId) {
+    setDrafts((d) => {
+      const next = { ...d };
+      delete next[prospectId];
+      return next;
+    });
+    await deleteCallFormDraft(user?.email, prospectId);
+  }
 
-  function openForm(prospect, options = {}) {
-    const mode = options.mode || "edit";
-    setSelectedProspect(prospect);
-    setSelectedDoc(prospectDocs[prospect.id] || null);
-    const existingLog = userCallLogsByProspect[prospect.id];
-    if ((mode === "view" || mode === "edit") && existingLog) {
-      let jatha = [];
-      try {
-        jatha =
-          typeof existingLog.jathaDetails === "string"
-            ? JSON.parse(existingLog.jathaDetails || "[]")
-            : existingLog.jathaDetails || [];
-      } catch {
-        jatha = [];
-      }
-      setForm({
-        select: existingLog.select || "",
-        callBack: existingLog.callBack || "",
-        notInterest: existingLog.notInterest || "",
-        departmentOfSewa: existingLog.departmentOfSewa || "",
-        needToWork: existingLog.needToWork || "",
-        notes1: existingLog.notes1 || "",
-        notes2: existingLog.notes2 || "",
-        notes3: existingLog.notes3 || "",
-        nominalListSelect: existingLog.nominalListSelect || "",
-        visitSelect: existingLog.visitSelect || "",
-        freeSewa: existingLog.freeSewa || "N/A",
-        attendance: existingLog.attendance || "",
-        jathaRecord: existingLog.jathaRecord || "",
-        jathaDetails: Array.isArray(jatha) ? jatha : [],
-      });
-      setViewOnly(mode === "view");
-      setEditingLogId(mode === "edit" ? existingLog.$id : null);
-    } else {
-      setForm(INITIAL_FORM);
-      setViewOnly(false);
-      setEditingLogId(null);
+  // Call-backs due today or overdue, from the caller's own latest attempts
+  // and those handed over to them on reassignment
+  const dueCallBacks = useMemo(() => {
+    const now = new Date();
+    return pendingCallBacks(
+      logsWithHandovers(
+        Object.values(userCallLogsByProspect).flat(),
+        assignments,
+        user?.email,
+      ),
+    ).filter((log) => callBackStatus(log, now) !== "upcoming");
+  }, [userCallLogsByProspect, assignments, user?.email]);
+  const overdueCount = dueCallBacks.filter(
+    (log) => callBackStatus(log) === "overdue",
+  ).length;
+
+  const dismissReminder = () => {
+    sessionStorage.setItem(reminderKey, "dismissed");
+    setReminderDismissed(true);
+  };
+
+  async function openCallBack(log) {
+    const onPage = baseFiltered.find((p) => p.id === log.prospectId);
+    if (onPage) {
+      openForm(onPage);
+      return;
     }
+    const prospectDoc = serverReachable()
+      ? await getProspect(log.prospectId)
+      : await getCachedProspect(user?.email, log.prospectId);
+    if (!prospectDoc) {
+      setError("This prospect no longer exists.");
+      return;
+    }
+    openForm(docToDisplay(prospectDoc), { doc: prospectDoc });
+  }
+
+  /** Show an attempt from the timeline, read-only or (own attempts) editable */
+  function selectAttempt(log, mode = "view") {
+    setForm(callLogToForm(log, schema));
+    setFormErrors({});
+    setFormDirty(false);
+    setResumedDraft(null);
+    setActiveLogId(log.$id);
+    setViewOnly(mode === "view" || !isOwnLog(log));
+    setEditingLogId(mode === "edit" && isOwnLog(log) ? log.$id : null);
     setSuccess("");
-    setFormOpen(true);
   }
 
-  function closeForm() {
-    setFormOpen(false);
-    setSelectedProspect(null);
-    setSelectedDoc(null);
-    setForm(INITIAL_FORM);
+  function startNewAttempt() {
+    setForm(emptyCallForm(schema));
+    setFormErrors({});
+    setFormDirty(false);
+    setResumedDraft(null);
+    setActiveLogId(null);
     setViewOnly(false);
     setEditingLogId(null);
+    setSuccess("");
   }
 
-  function addJatha() {
-    setForm((f) => ({
-      ...f,
-      jathaDetails: [...f.jathaDetails, { ...INITIAL_JATHA }],
-    }));
+  function restoreDraft(draft) {
+    setForm({ ...emptyCallForm(schema), ...draft.values });
+    setResumedDraft(draft);
   }
 
-  function updateJatha(index, field, value) {
-    setForm((f) => ({
-      ...f,
-      jathaDetails: f.jathaDetails.map((j, i) =>
-        i === index ? { ...j, [field]: value } : j,
-      ),
-    }));
+  /**
+   * mode "history" opens the most recent attempt read-only; "new" opens a
+   * blank form that is saved as a new attempt, or resumes the prospect's
+   * draft (back on the call it was editing, if that call still exists).
+   * Both show the timeline.
+   */
+  async function openForm(prospect, options = {}) {
+    const mode = options.mode || "new";
+    const draft = mode === "new" ? drafts[prospect.id] : null;
+    setSelectedProspect(prospect);
+    setSelectedDoc(options.doc || prospectDocs[prospect.id] || null);
+    setHistory([]);
+    startNewAttempt();
+    if (draft && !draft.logId) restoreDraft(draft);
+    setFormOpen(true);
+    const logs = await loadHistory(prospect.id);
+    if (draft?.logId) {
+      const log = logs.find((l) => l.$id === draft.logId);
+      if (log && isOwnLog(log)) selectAttempt(log, "edit");
+      restoreDraft(draft);
+    } else if (mode === "history" && logs.length) {
+      selectAttempt(logs[0]);
+    }
   }
 
-  function removeJatha(index) {
-    setForm((f) => ({
-      ...f,
-      jathaDetails: f.jathaDetails.filter((_, i) => i !== index),
-    }));
+  async function discardDraft() {
+    if (!resumedDraft) return;
+    await removeDraft(resumedDraft.prospectId);
+    const log = history.find((l) => l.$id === editingLogId);
+    if (log) selectAttempt(log, "edit");
+    else startNewAttempt();
+  }
+
+  function closeForm(options = {}) {
+    // Save edits made since the last autosave (not after a successful submit)
+    const saveDraft = !options.submitted && formDirty && !viewOnly;
+    if (saveDraft && selectedProspect && user?.email) {
+      const prospectId = selectedProspect.id;
+      saveCallFormDraft(user.email, prospectId, {
+        logId: editingLogId,
+        values: form,
+      }).then((draft) => {
+        if (draft) setDrafts((d) => ({ ...d, [prospectId]: draft }));
+      });
+    }
+    setFormOpen(false);
+    setSelectedProspect(null);
+    setSelectedDoc(null);
+    setHistory([]);
+    startNewAttempt();
   }
 
   async function handleSubmit(e) {
     e.preventDefault();
     if (viewOnly) return;
     if (!selectedProspect || !user?.email) return;
+    const errors = validateCallForm(form, schema);
+    setFormErrors(errors);
+    if (Object.keys(errors).length) {
+      setError("Please fix the highlighted fields.");
+      return;
+    }
+    const log = editingLogId
+      ? history.find((l) => l.$id === editingLogId) || { $id: editingLogId }
+      : null;
+    await saveCall(form, log);
+  }
+
+  /** Save the form as a new call, or over `log`; a stale edit opens the conflict dialog */
+  async function saveCall(values, log) {
     setSubmitting(true);
     setError("");
     setSuccess("");
+    setFormDirty(false);
     try {
-      if (editingLogId) {
-        await updateCallLog(editingLogId, {
-          select: form.select,
-          callBack: form.callBack,
-          notInterest: form.notInterest,
-          departmentOfSewa: form.departmentOfSewa,
-          needToWork: form.needToWork,
-          notes1: form.notes1,
-          notes2: form.notes2,
-          notes3: form.notes3,
-          nominalListSelect: form.nominalListSelect,
-          visitSelect: form.visitSelect,
-          freeSewa: form.freeSewa,
-          attendance: form.attendance,
-          jathaRecord: form.jathaRecord,
-          jathaDetails: form.jathaDetails,
-        });
-        setSuccess("Form updated successfully.");
+      const data = formToCallLogData(values, schema);
+      const { queued } = log
+        ? await submitCallLog(user.email, { log, data, offline: offlineSession })
+        : await submitCallLog(user.email, {
+            offline: offlineSession,
+            data: {
+              prospectId: selectedProspect.id,
+              prospectName: selectedProspect.name,
+              submittedBy: user.email,
+              ...data,
+            },
+          });
+      setCallConflict(null);
+      if (queued) {
+        setSuccess(
+          "Saved on this device. It will sync when you're back online.",
+        );
       } else {
-        await createCallLog({
-          prospectId: selectedProspect.id,
-          prospectName: selectedProspect.name,
-          submittedBy: user.email,
-          select: form.select,
-          callBack: form.callBack,
-          notInterest: form.notInterest,
-          departmentOfSewa: form.departmentOfSewa,
-          needToWork: form.needToWork,
-          notes1: form.notes1,
-          notes2: form.notes2,
-          notes3: form.notes3,
-          nominalListSelect: form.nominalListSelect,
-          visitSelect: form.visitSelect,
-          freeSewa: form.freeSewa,
-          attendance: form.attendance,
-          jathaRecord: form.jathaRecord,
-          jathaDetails: form.jathaDetails,
-        });
-        setSuccess("Form submitted successfully.");
-      }
-      // Refresh call logs so buttons switch to View/Edit
-      try {
-        const res = await listCallLogsForUser(user.email);
-        const docs = res.documents || [];
-        const byProspect = {};
-        docs.forEach((d) => {
-          if (!d.prospectId) return;
-          if (!byProspect[d.prospectId]) byProspect[d.prospectId] = d;
-        });
-        setUserCallLogsByProspect(byProspect);
-      } catch {
-        // ignore
+        setSuccess(
+          log
+            ? "Call updated successfully."
+            : "Call recorded successfully.",
+        );
+        refreshOfflineCache(user.email);
       }
-      setTimeout(() => closeForm(), 1500);
+      await removeDraft(selectedProspect.id);
+      await loadUserCallLogs();
+      setTimeout(() => closeForm({ submitted: true }), 1500);
     } catch (err) {
-      setError(err.message || "Failed to submit form.");
+      if (isCallLogConflict(err) && err.current) {
+        setCallConflict({ base: log, current: err.current, values });
+      } else {
+        setError(err.message || "Failed to submit form.");
+      }
     } finally {
       setSubmitting(false);
     }
   }
 
-  const handleDownload = () => {
-    if (!selectedProspect || !form) return;
-
-    const docPdf = new jsPDF();
-    const pageWidth = docPdf.internal.pageSize.getWidth();
-    const pageHeight = docPdf.internal.pageSize.getHeight();
-    const marginX = 15;
-    const marginY = 15;
-    const maxWidth = pageWidth - marginX * 2;
-    let y = marginY;
-
-    // Helper to add a new page if needed
-    const checkNewPage = (requiredSpace = 10) => {
-      if (y + requiredSpace > pageHeight - marginY) {
-        docPdf.addPage();
-        y = marginY;
-        return true;
-      }
-      return false;
-    };
-
-    // Header with title
-    docPdf.setFillColor(220, 38, 38); // Red background
-    docPdf.rect(0, 0, pageWidth, 25, "F");
-    docPdf.setTextColor(255, 255, 255);
-    docPdf.setFontSize(18);
-    docPdf.setFont("helvetica", "bold");
-    docPdf.text("CALLING FORM", pageWidth / 2, 18, {
-      align: "center",
-    });
-    docPdf.setTextColor(0, 0, 0);
-    y = 35;
-
-    // Prospect Information Box
-    docPdf.setFillColor(241, 245, 249); // Light slate
-    docPdf.roundedRect(marginX, y, maxWidth, 30, 3, 3, "F");
-    docPdf.setFontSize(12);
-    docPdf.setFont("helvetica", "bold");
-    docPdf.text("PROSPECT INFORMATION", marginX + 5, y + 8);
-    docPdf.setFont("helvetica", "normal");
-    docPdf.setFontSize(10);
-    docPdf.text(`Name: ${selectedProspect.name || "-"}`, marginX + 5, y + 15);
-    docPdf.text(
-      `Badge ID: ${selectedProspect.badgeId || "-"}`,
-      marginX + 5,
-      y + 21,
-    );
-    docPdf.text(
-      `Phone: ${selectedProspect.phoneNumber || "-"}`,
-      marginX + 100,
-      y + 15,
-    );
-    docPdf.text(
-      `Address: ${selectedProspect.address || "-"}`,
-      marginX + 100,
-      y + 21,
-    );
-    y += 35;
-
-    // Calling Data Select Option Section
-    checkNewPage(25);
-    docPdf.setFillColor(220, 38, 38);
-    docPdf.rect(marginX, y, maxWidth, 8, "F");
-    docPdf.setTextColor(255, 255, 255);
-    docPdf.setFontSize(11);
-    docPdf.setFont("helvetica", "bold");
-    docPdf.text("CALLING DATA SELECT OPTION", marginX + 5, y + 6);
-    docPdf.setTextColor(0, 0, 0);
-    y += 12;
-
-    const callingData = [
-      ["Select", form.select || "-"],
-      ["Call Back", form.callBack || "-"],
-      ["Not Interest", form.notInterest || "-"],
-      ["Department of Sewa", form.departmentOfSewa || "-"],
-    ];
-    callingData.forEach(([label, value]) => {
-      checkNewPage(8);
-      docPdf.setFontSize(10);
-      docPdf.setFont("helvetica", "normal");
-      docPdf.text(`${label}:`, marginX + 5, y);
-      docPdf.setFont("helvetica", "bold");
-      docPdf.text(value, marginX + 60, y);
-      y += 7;
-    });
-    y += 3;
-
-    // Transfer Data Section
-    checkNewPage(25);
-    docPdf.setFillColor(220, 38, 38);
-    docPdf.rect(marginX, y, maxWidth, 8, "F");
-    docPdf.setTextColor(255, 255, 255);
-    docPdf.setFontSize(11);
-    docPdf.setFont("helvetica", "bold");
-    docPdf.text("TRANSFER DATA", marginX + 5, y + 6);
-    docPdf.setTextColor(0, 0, 0);
-    y += 12;
-
-    const transferData = [
-      ["Nominal List Select", form.nominalListSelect || "-"],
-      ["Visit Select", form.visitSelect || "-"],
-      ["Free Sewa", form.freeSewa || "-"],
-      ["Attendance", form.attendance || "-"],
-      ["Jatha Record", form.jathaRecord || "-"],
-    ];
-    transferData.forEach(([label, value]) => {
-      checkNewPage(8);
-      docPdf.setFontSize(10);
-      docPdf.setFont("helvetica", "normal");
-      docPdf.text(`${label}:`, marginX + 5, y);
-      docPdf.setFont("helvetica", "bold");
-      docPdf.text(value, marginX + 60, y);
-      y += 7;
-    });
-    y += 3;
-
-    // Need to Work Section
-    checkNewPage(30);
-    docPdf.setFillColor(220, 38, 38);
-    docPdf.rect(marginX, y, maxWidth, 8, "F");
-    docPdf.setTextColor(255, 255, 255);
-    docPdf.setFontSize(11);
-    docPdf.setFont("helvetica", "bold");
-    docPdf.text("NEED TO WORK", marginX + 5, y + 6);
-    docPdf.setTextColor(0, 0, 0);
-    y += 12;
-
-    checkNewPage(15);
-    docPdf.setFontSize(10);
-    docPdf.setFont("helvetica", "normal");
-    docPdf.text("Need to Work:", marginX + 5, y);
-    const needToWorkChunks = docPdf.splitTextToSize(
-      form.needToWork || "-",
-      maxWidth - 50,
-    );
-    needToWorkChunks.forEach((chunk) => {
-      docPdf.text(chunk, marginX + 5, y);
-      y += 5;
-    });
-    y += 3;
-
-    // Notes Section
-    if (form.notes1 || form.notes2 || form.notes3) {
-      checkNewPage(30);
-      docPdf.setFillColor(220, 38, 38);
-      docPdf.rect(marginX, y, maxWidth, 8, "F");
-      docPdf.setTextColor(255, 255, 255);
-      docPdf.setFontSize(11);
-      docPdf.setFont("helvetica", "bold");
-      docPdf.text("NOTES", marginX + 5, y + 6);
-      docPdf.setTextColor(0, 0, 0);
-      y += 12;
-
-      const notesData = [
-        ["Good Participation", form.notes1 || "-"],
-        ["Positive", form.notes2 || "-"],
-        ["VIP Prospect", form.notes3 || "-"],
-      ];
-      notesData.forEach(([label, value]) => {
-        checkNewPage(12);
-        docPdf.setFontSize(10);
-        docPdf.setFont("helvetica", "bold");
-        docPdf.text(`${label}:`, marginX + 5, y);
-        docPdf.setFont("helvetica", "normal");
-        const chunks = docPdf.splitTextToSize(value, maxWidth - 50);
-        chunks.forEach((chunk) => {
-          docPdf.text(chunk, marginX + 5, y);
-          y += 5;
-        });
-        y += 2;
-      });
-    }
-    y += 3;
-
-    // Jatha Details Section
-    if (Array.isArray(form.jathaDetails) && form.jathaDetails.length > 0) {
-      checkNewPage(30);
-      docPdf.setFillColor(220, 38, 38);
-      docPdf.rect(marginX, y, maxWidth, 8, "F");
-      docPdf.setTextColor(255, 255, 255);
-      docPdf.setFontSize(11);
-      docPdf.setFont("helvetica", "bold");
-      docPdf.text("JATHA DETAILS", marginX + 5, y + 6);
-      docPdf.setTextColor(0, 0, 0);
-      y += 12;
-
-      // Table header
-      checkNewPage(15);
-      docPdf.setFillColor(241, 245, 249);
-      docPdf.rect(marginX, y, maxWidth, 8, "F");
-      docPdf.setFontSize(9);
-      docPdf.setFont("helvetica", "bold");
-      docPdf.text("Area Name", marginX + 5, y + 5);
-      docPdf.text("Department", marginX + 50, y + 5);
-      docPdf.text("Days", marginX + 100, y + 5);
-      docPdf.text("Date From", marginX + 120, y + 5);
-      docPdf.text("Date To", marginX + 160, y + 5);
-      y += 10;
-
-      // Table rows
-      form.jathaDetails.forEach((j, i) => {
-        checkNewPage(10);
-        docPdf.setFontSize(9);
-        docPdf.setFont("helvetica", "normal");
-        docPdf.text(`${i + 1}.`, marginX + 2, y);
-        docPdf.text(j.areaName || "-", marginX + 8, y);
-        docPdf.text(j.departmentName || "-", marginX + 50, y);
-        docPdf.text(j.jathaTotalDay || "-", marginX + 100, y);
-        docPdf.text(j.dateFrom || "-", marginX + 120, y);
-        docPdf.text(j.dateTo || "-", marginX + 160, y);
-        y += 7;
-      });
-    }
-
-    // Footer
-    const totalPages = docPdf.internal.pages.length - 1;
-    for (let i = 1; i <= totalPages; i++) {
-      docPdf.setPage(i);
-      docPdf.setFontSize(8);
-      docPdf.setTextColor(128, 128, 128);
-      docPdf.text(
-        `Submitted by: ${user?.email || "N/A"} | Date: ${new Date().toLocaleDateString()}`,
-        pageWidth / 2,
-        pageHeight - 8,
-        { align: "center" },
-      );
-      docPdf.text(`Page ${i} of ${totalPages}`, pageWidth / 2, pageHeight - 5, {
-        align: "center",
-      });
-    }
+  async function handleResolveConflict(values) {
+    setForm(values);
+    await saveCall(values, callConflict.current);
+  }
 
-    docPdf.save(
-      `call_form_${selectedProspect.badgeId || selectedProspect.id}.pdf`,
-    );
+  const handleDownload = () => {
+    const activeLog = history.find((l) => l.$id === activeLogId);
+    if (!selectedProspect || !activeLog) return;
+    downloadCallFormPdf({ prospect: selectedProspect, log: activeLog, schema });
   };
 
   const doc = selectedDoc;
@@ -590,9 +565,57 @@ function UserDashboard() {
           </div>
         </div>
 
-        {error && (
+        {(error || tableError) && (
           <div className="mt-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
-            {error}
+            {error || tableError}
+          </div>
+        )}
+        {offlineCopy && (
+          <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+            You're offline. Showing the prospects saved on this device
+            {offlineCopy.cachedAt
+              ? ` on ${new Date(offlineCopy.cachedAt).toLocaleString()}`
+              : ""}
+            , with only your own calls in their history. Calls you log are
+            kept here and sync when you're back online.
+          </div>
+        )}
+        {!reminderDismissed && dueCallBacks.length > 0 && (
+          <div className="mt-3 flex items-start justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+            <p>
+              You have {dueCallBacks.length} call-back
+              {dueCallBacks.length === 1 ? "" : "s"} due
+              {overdueCount > 0 ? `, ${overdueCount} overdue` : " today"}.
+            </p>
+            <button
+              type="button"
+              onClick={dismissReminder}
+              className="text-xs font-medium text-amber-700 hover:text-amber-900"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+        {notice && (
+          <div className="mt-3 flex items-start justify-between gap-3 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+            <p>{notice}</p>
+            <button
+              type="button"
+              onClick={() => setNotice("")}
+              className="text-xs font-medium text-emerald-700 hover:text-emerald-900"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Due call-backs - today and overdue */}
+        {dueCallBacks.length > 0 && (
+          <div className="mt-3 rounded-lg border border-slate-200 p-3 sm:mt-4">
+            <p className="mb-1 text-sm font-semibold text-slate-900">
+              Due call-backs ({dueCallBacks.length})
+            </p>
+            <CallBackQueue items={dueCallBacks} onOpen={openCallBack} />
           </div>
         )}
 
@@ -607,10 +630,14 @@ function UserDashboard() {
           ) : baseFiltered.length === 0 ? (
             <div className="rounded-lg border border-dashed border-slate-200 bg-slate-50/50 px-6 py-12 text-center">
               <p className="text-sm font-medium text-slate-600">
-                No prospects assigned to you yet
+                {searchQuery.trim()
+                  ? "No prospects match your search"
+                  : "No prospects assigned to you yet"}
               </p>
               <p className="mt-1 text-sm text-slate-500">
-                The admin will assign prospects from the Prospects Details page.
+                {searchQuery.trim()
+                  ? `Nothing found for "${searchQuery.trim()}" in ${searchBy}.`
+                  : "The admin will assign prospects from the Prospects Details page."}
               </p>
             </div>
           ) : (
@@ -618,8 +645,7 @@ function UserDashboard() {
               {/* Mobile card view */}
               <div className="flex flex-col gap-2 md:hidden">
                 {baseFiltered.map((p, idx) => {
-                  const existingLog = userCallLogsByProspect[p.id];
-                  const hasLog = !!existingLog;
+                  const ownLogs = userCallLogsByProspect[p.id] || [];
                   const idKey = String(p.id ?? idx);
                   return (
                     <div
@@ -629,6 +655,7 @@ function UserDashboard() {
                       <div className="min-w-0 flex-1">
                         <p className="font-medium text-slate-900">
                           {p.name || "-"}
+                          {drafts[p.id] && <DraftBadge draft={drafts[p.id]} />}
                         </p>
                         <p className="mt-0.5 truncate text-xs text-slate-600">
                           {p.address || "-"}
@@ -648,48 +675,38 @@ function UserDashboard() {
                         <p className="mt-0.5 text-[11px] text-slate-500">
                           ID:{p.badgeId || "-"} · {p.bloodGroup || "-"}
                         </p>
+                        {ownLogs.length > 0 && (
+                          <p className="mt-0.5 text-[11px] text-slate-500">
+                            {ownLogs.length} call
+                            {ownLogs.length === 1 ? "" : "s"} · last:{" "}
+                            {describeCallOutcome(ownLogs[0])}
+                          </p>
+                        )}
                       </div>
                       <div className="flex flex-col gap-1">
-                        {hasLog ? (
-                          <>
-                            <button
-                              type="button"
-                              onClick={() => openForm(p, { mode: "view" })}
-                              className="rounded-lg bg-slate-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-slate-700"
-                            >
-                              View Form
-                            </button>
-                            <button
-                              type="button"
-                              onClick={() => openForm(p, { mode: "edit" })}
-                              className="rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700"
-                            >
-                              Edit Form
-                            </button>
-                            <button
-                              type="button"
-                              disabled={!hasLog}
-                              onClick={() =>
-                                hasLog &&
-                                setDeleteEntry({
-                                  prospect: p,
-                                  log: existingLog,
-                                })
-                              }
-                              className="rounded-lg bg-red-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-red-700 disabled:opacity-60"
-                            >
-                              Delete
-                            </button>
-                          </>
-                        ) : (
+                        {ownLogs.length > 0 && (
                           <button
                             type="button"
-                            onClick={() => openForm(p, { mode: "edit" })}
-                            className="rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700"
+                            onClick={() => openForm(p, { mode: "history" })}
+                            className="rounded-lg bg-slate-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-slate-700"
                           >
-                            Fill Form
+                            History
                           </button>
                         )}
+                        <button
+                          type="button"
+                          onClick={() => openForm(p, { mode: "new" })}
+                          className="rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700"
+                        >
+                          {drafts[p.id] ? "Resume draft" : "Log call"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => openSuggestCorrection(p)}
+                          className="rounded-lg border border-sky-200 bg-sky-50 px-3 py-1.5 text-xs font-medium text-sky-700 hover:bg-sky-100"
+                        >
+                          Suggest fix
+                        </button>
                       </div>
                     </div>
                   );
@@ -704,20 +721,24 @@ function UserDashboard() {
                 <table className="w-full min-w-[700px] border-collapse text-left text-sm">
                   <thead>
                     <tr className="border-b border-slate-200 bg-slate-50/80">
+                      {[
+                        ["name", "Name of Sewadar/Sewadarni"],
+                        ["address", "Address"],
+                        ["phoneNumber", "Phone Number"],
+                        ["badgeId", "Badge ID"],
+                        ["bloodGroup", "Blood Group"],
+                      ].map(([key, label]) => (
+                        <SortableHeader
+                          key={key}
+                          label={label}
+                          sortKey={key}
+                          sortBy={sortBy}
+                          sortDir={sortDir}
+                          onSort={toggleSort}
+                        />
+                      ))}
                       <th className="px-4 py-3 font-semibold text-slate-700">
-                        Name of Sewadar/Sewadarni
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Address
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Phone Number
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Badge ID
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Blood Group
+                        My Calls
                       </th>
                       <th className="px-4 py-3 font-semibold text-slate-700">
                         Actions
@@ -726,8 +747,8 @@ function UserDashboard() {
                   </thead>
                   <tbody>
                     {baseFiltered.map((p, idx) => {
-                      const existingLog = userCallLogsByProspect[p.id];
-                      const hasLog = !!existingLog;
+                      const ownLogs = userCallLogsByProspect[p.id] || [];
+                      const hasLog = ownLogs.length > 0;
                       const idKey = String(p.id ?? idx);
                       return (
                         <tr
@@ -736,6 +757,9 @@ function UserDashboard() {
                         >
                           <td className="px-4 py-3 font-medium text-slate-900">
                             {p.name || "-"}
+                            {drafts[p.id] && (
+                              <DraftBadge draft={drafts[p.id]} />
+                            )}
                           </td>
                           <td className="px-4 py-3 text-slate-600">
                             {p.address || "-"}
@@ -758,29 +782,32 @@ function UserDashboard() {
                           <td className="px-4 py-3 text-slate-600">
                             {p.bloodGroup || "-"}
                           </td>
+                          <td className="px-4 py-3 text-xs text-slate-600">
+                            {hasLog ? (
+                              <>
+                                <span className="font-medium text-slate-800">
+                                  {ownLogs.length}
+                                </span>{" "}
+                                · {describeCallOutcome(ownLogs[0])}
+                              </>
+                            ) : (
+                              "-"
+                            )}
+                          </td>
                           <td className="px-4 py-3">
                             <ActionMenu
-                              onView={
-                                hasLog
-                                  ? () => openForm(p, { mode: "view" })
-                                  : undefined
-                              }
-                              onEdit={() => openForm(p, { mode: "edit" })}
-                              onDelete={
-                                hasLog
-                                  ? () =>
-                                      setDeleteEntry({
-                                        prospect: p,
-                                        log: existingLog,
-                                      })
-                                  : undefined
-                              }
+                              onView={() => openForm(p, { mode: "history" })}
+                              onEdit={() => openForm(p, { mode: "new" })}
+                              onEditDetails={() => openSuggestCorrection(p)}
                               showViewForm={hasLog}
                               showEditForm={true}
-                              showDeleteProspect={hasLog}
-                              isSaving={
-                                submitting && deleteEntry?.prospect?.id === p.id
+                              showDeleteProspect={false}
+                              showEditDetails={true}
+                              viewLabel="History"
+                              editLabel={
+                                drafts[p.id] ? "Resume draft" : "Log call"
                               }
+                              editDetailsLabel="Suggest fix"
                             />
                           </td>
                         </tr>
@@ -792,6 +819,14 @@ function UserDashboard() {
             </>
           )}
         </div>
+        <TablePagination
+          page={page}
+          pageSize={pageSize}
+          total={total}
+          onPageChange={setPage}
+          onPageSizeChange={setPageSize}
+          disabled={loading}
+        />
       </div>
 
       {/* Call Form Modal - matches image layout */}
@@ -853,361 +888,109 @@ function UserDashboard() {
               {/* Prospect info section (shared component) */}
               <ProspectInfo prospect={selectedProspect} doc={doc} />
 
-              {/* Calling Data Select Option + Transfer Data - layout side by side */}
-              <div className="mb-4 grid gap-3 md:grid-cols-2">
-                <div className="rounded-lg border border-slate-200 bg-white p-4">
-                  <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                    Calling Data Select Option
-                  </p>
-                  <div className="grid grid-cols-1 gap-3">
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Select
-                      </label>
-                      <select
-                        value={form.select}
-                        onChange={updateForm("select")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Call Back
-                      </label>
-                      <select
-                        value={form.callBack}
-                        onChange={updateForm("callBack")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Not Interest
-                      </label>
-                      <select
-                        value={form.notInterest}
-                        onChange={updateForm("notInterest")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Department of Sewa (optional)
-                      </label>
-                      <input
-                        type="text"
-                        value={form.departmentOfSewa}
-                        onChange={updateForm("departmentOfSewa")}
-                        disabled={viewOnly}
-                        placeholder="e.g. Langar Seva, Main Kitchen"
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      />
-                    </div>
-                  </div>
-                </div>
-                <div className="rounded-lg border border-slate-200 bg-white p-4">
-                  <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                    Transfer Data
-                  </p>
-                  <div className="grid grid-cols-1 gap-3">
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Nominal List Select
-                      </label>
-                      <select
-                        value={form.nominalListSelect}
-                        onChange={updateForm("nominalListSelect")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Visit Select
-                      </label>
-                      <select
-                        value={form.visitSelect}
-                        onChange={updateForm("visitSelect")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Free Sewa
-                      </label>
-                      <select
-                        value={form.freeSewa}
-                        onChange={updateForm("freeSewa")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="N/A">N/A</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Attendance
-                      </label>
-                      <select
-                        value={form.attendance}
-                        onChange={updateForm("attendance")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
-                    <div>
-                      <label className="mb-1 block text-xs font-medium text-slate-600">
-                        Jatha Record
-                      </label>
-                      <select
-                        value={form.jathaRecord}
-                        onChange={updateForm("jathaRecord")}
-                        disabled={viewOnly}
-                        className="w-full rounded border border-slate-300 bg-white px-2 py-2 text-sm disabled:bg-slate-50"
-                      >
-                        <option value="">Select</option>
-                        <option value="Yes">Yes</option>
-                        <option value="No">No</option>
-                      </select>
-                    </div>
+              {(() => {
+                const record = assignments.find(
+                  (r) => r.prospectId === selectedProspect.id,
+                );
+                if (!record?.fromEmail || record.toEmail !== user?.email) {
+                  return null;
+                }
+                const { callBack, notes } = parseHandover(record);
+                return (
+                  <div className="mb-4 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+                    <p>
+                      Handed over by {record.fromEmail} on{" "}
+                      {new Date(record.$createdAt).toLocaleDateString()}
+                      {record.reason ? ` – ${record.reason}` : ""}
+                    </p>
+                    {callBack && (
+                      <p className="mt-1">
+                        Call-back: {new Date(callBack.callBackAt).toLocaleString()}
+                        {callBack.callBackReason
+                          ? ` · ${callBack.callBackReason}`
+                          : ""}
+                      </p>
+                    )}
+                    {notes &&
+                      Object.values(notes)
+                        .filter(Boolean)
+                        .map((note, i) => (
+                          <p key={i} className="mt-1 whitespace-pre-line">
+                            {note}
+                          </p>
+                        ))}
                   </div>
-                </div>
-              </div>
+                );
+              })()}
 
-              {/* Need to Work - single paragraph input */}
+              {/* Call attempts - every call is kept as its own entry */}
               <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                  Need to Work
-                </p>
-                <label className="mb-1 block text-xs font-medium text-slate-600">
-                  Need to Work
-                </label>
-                <textarea
-                  value={form.needToWork}
-                  onChange={updateForm("needToWork")}
-                  disabled={viewOnly}
-                  rows={4}
-                  placeholder="Enter detailed notes about areas that need work..."
-                  className="w-full rounded border border-slate-300 bg-white px-2 py-1.5 text-sm disabled:bg-slate-50"
+                <div className="mb-3 flex items-center justify-between gap-2">
+                  <p className="text-sm font-bold uppercase tracking-wider text-red-600">
+                    Call History
+                  </p>
+                  {(viewOnly || editingLogId) && (
+                    <button
+                      type="button"
+                      onClick={startNewAttempt}
+                      className="rounded-lg bg-emerald-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-emerald-700"
+                    >
+                      + New call
+                    </button>
+                  )}
+                </div>
+                <CallHistoryTimeline
+                  logs={history}
+                  loading={historyLoading}
+                  selectedId={activeLogId || ""}
+                  onSelect={(log) => selectAttempt(log)}
+                  onEdit={(log) => selectAttempt(log, "edit")}
+                  onDelete={(log) =>
+                    setDeleteEntry({ prospect: selectedProspect, log })
+                  }
+                  canModify={isOwnLog}
                 />
-              </div>
-
-              {/* Notes Section - 3 textareas */}
-              <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                  Notes
+                <p className="mt-2 text-xs text-slate-500">
+                  {editingLogId
+                    ? "Editing the selected call."
+                    : viewOnly
+                      ? "Viewing the selected call."
+                      : "Submitting records a new call."}
                 </p>
-                <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Good Participation
-                    </label>
-                    <textarea
-                      value={form.notes1}
-                      onChange={updateForm("notes1")}
-                      disabled={viewOnly}
-                      rows={3}
-                      placeholder="Notes about good participation..."
-                      className="w-full rounded border border-slate-300 bg-white px-2 py-1.5 text-sm disabled:bg-slate-50"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Positive
-                    </label>
-                    <textarea
-                      value={form.notes2}
-                      onChange={updateForm("notes2")}
-                      disabled={viewOnly}
-                      rows={3}
-                      placeholder="Positive notes..."
-                      className="w-full rounded border border-slate-300 bg-white px-2 py-1.5 text-sm disabled:bg-slate-50"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      VIP Prospect
-                    </label>
-                    <textarea
-                      value={form.notes3}
-                      onChange={updateForm("notes3")}
-                      disabled={viewOnly}
-                      rows={3}
-                      placeholder="VIP prospect notes..."
-                      className="w-full rounded border border-slate-300 bg-white px-2 py-1.5 text-sm disabled:bg-slate-50"
-                    />
-                  </div>
-                </div>
               </div>
 
-              {/* Jatha Details - bold red header */}
-              <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                Jatha Details
-              </p>
-              {!viewOnly && (
-                <button
-                  type="button"
-                  onClick={addJatha}
-                  className="mb-3 flex items-center gap-1.5 rounded-lg border border-sky-400 bg-sky-50 px-3 py-2 text-sm font-medium text-sky-700 hover:bg-sky-100"
-                >
-                  <svg
-                    className="h-4 w-4"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
+              {resumedDraft && !viewOnly && (
+                <div className="mb-4 flex items-start justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                  <p>
+                    Resumed your unsent draft from{" "}
+                    {new Date(resumedDraft.savedAt).toLocaleString()}.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={discardDraft}
+                    className="text-xs font-medium text-amber-700 hover:text-amber-900"
                   >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M12 4v16m8-8H4"
-                    />
-                  </svg>
-                  + Add Jatha
-                </button>
-              )}
-              {form.jathaDetails.length > 0 && (
-                <div className="mb-4 overflow-x-auto rounded-lg border border-slate-200 bg-white">
-                  <table className="w-full min-w-[500px] border-collapse text-left text-sm">
-                    <thead>
-                      <tr className="border-b border-slate-200 bg-slate-50">
-                        <th className="px-3 py-2 font-semibold text-slate-700">
-                          Area Name
-                        </th>
-                        <th className="px-3 py-2 font-semibold text-slate-700">
-                          Department name
-                        </th>
-                        <th className="px-3 py-2 font-semibold text-slate-700">
-                          Jatha total Day
-                        </th>
-                        <th className="px-3 py-2 font-semibold text-slate-700">
-                          Date From..To..
-                        </th>
-                        <th className="w-10 px-2 py-2" />
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {form.jathaDetails.map((j, i) => (
-                        <tr key={i} className="border-b border-slate-100">
-                          <td className="px-3 py-2">
-                            <input
-                              type="text"
-                              value={j.areaName}
-                              onChange={(e) =>
-                                updateJatha(i, "areaName", e.target.value)
-                              }
-                              placeholder="e.g. North Hall"
-                              disabled={viewOnly}
-                              className="w-full rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
-                            />
-                          </td>
-                          <td className="px-3 py-2">
-                            <input
-                              type="text"
-                              value={j.departmentName}
-                              onChange={(e) =>
-                                updateJatha(i, "departmentName", e.target.value)
-                              }
-                              placeholder="e.g. Langar Seva"
-                              disabled={viewOnly}
-                              className="w-full rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
-                            />
-                          </td>
-                          <td className="px-3 py-2">
-                            <input
-                              type="text"
-                              value={j.jathaTotalDay}
-                              onChange={(e) =>
-                                updateJatha(i, "jathaTotalDay", e.target.value)
-                              }
-                              placeholder="Days"
-                              disabled={viewOnly}
-                              className="w-full rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
-                            />
-                          </td>
-                          <td className="px-3 py-2">
-                            <div className="flex gap-1">
-                              <input
-                                type="date"
-                                value={j.dateFrom}
-                                onChange={(e) =>
-                                  updateJatha(i, "dateFrom", e.target.value)
-                                }
-                                disabled={viewOnly}
-                                className="rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
-                              />
-                              <input
-                                type="date"
-                                value={j.dateTo}
-                                onChange={(e) =>
-                                  updateJatha(i, "dateTo", e.target.value)
-                                }
-                                disabled={viewOnly}
-                                className="rounded border border-slate-200 px-2 py-1 text-xs disabled:bg-slate-50"
-                              />
-                            </div>
-                          </td>
-                          <td className="px-2 py-2">
-                            {!viewOnly && (
-                              <button
-                                type="button"
-                                onClick={() => removeJatha(i)}
-                                className="rounded p-1 text-red-500 hover:bg-red-50"
-                                aria-label="Remove"
-                              >
-                                <svg
-                                  className="h-5 w-5"
-                                  fill="none"
-                                  stroke="currentColor"
-                                  viewBox="0 0 24 24"
-                                >
-                                  <path
-                                    strokeLinecap="round"
-                                    strokeLinejoin="round"
-                                    strokeWidth={2}
-                                    d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                                  />
-                                </svg>
-                              </button>
-                            )}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
+                    Discard draft
+                  </button>
                 </div>
               )}
 
+              <div className="mb-4">
+                <CallFormFields
+                  schema={schema}
+                  values={form}
+                  onChange={(patch) => {
+                    setForm((f) => ({ ...f, ...patch }));
+                    setFormDirty(true);
+                  }}
+                  dispositions={dispositions}
+                  errors={formErrors}
+                  disabled={viewOnly}
+                  otherCallLogs={history.filter((l) => l.$id !== editingLogId)}
+                  prospectDoc={doc}
+                />
+              </div>
+
               {error && (
                 <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
                   {error}
@@ -1235,6 +1018,30 @@ function UserDashboard() {
         </div>
       )}
 
+      {callConflict && (
+        <CallLogConflictDialog
+          key={callConflict.current.$updatedAt}
+          schema={schema}
+          base={callConflict.base}
+          current={callConflict.current}
+          values={callConflict.values}
+          saving={submitting}
+          onResolve={handleResolveConflict}
+          onCancel={() => setCallConflict(null)}
+        />
+      )}
+
+      {suggestDoc && (
+        <ProspectDetailsModal
+          doc={suggestDoc}
+          mode="suggest"
+          saving={suggestSaving}
+          error={suggestError}
+          onCancel={() => setSuggestDoc(null)}
+          onSave={handleSuggestCorrection}
+        />
+      )}
+
       {deleteEntry && (
         <div
           className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4"
@@ -1248,7 +1055,7 @@ function UserDashboard() {
           >
             <div className="flex items-center justify-between border-b border-slate-200 px-6 py-4">
               <h2 className="text-lg font-semibold text-slate-900">
-                Delete calling form?
+                Delete this call?
               </h2>
               <button
                 onClick={() => setDeleteEntry(null)}
@@ -1271,11 +1078,14 @@ function UserDashboard() {
             </div>
             <div className="flex-1 overflow-y-auto px-6 py-4">
               <p className="text-sm text-slate-600">
-                Are you sure you want to delete the calling form for{" "}
-                <strong>{deleteEntry.prospect.name || "-"}</strong>?
+                Are you sure you want to delete the call made on{" "}
+                {new Date(deleteEntry.log.$createdAt).toLocaleString()} for{" "}
+                <strong>{deleteEntry.prospect.name || "-"}</strong>? Other calls
+                for this prospect are kept.
               </p>
               <p className="mt-2 text-sm text-slate-500">
-                This action cannot be undone.
+                An admin can restore it from the recycle bin within{" "}
+                {RECYCLE_BIN_RETENTION_DAYS} days.
               </p>
             </div>
             <div className="flex items-center justify-end gap-3 border-t border-slate-200 px-6 py-4">
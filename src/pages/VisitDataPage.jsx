@@ -1,6 +1,7 @@
 import { useVisitDataPage } from "../hooks/useVisitDataPage";
 import { ActionMenu } from "../components/ActionMenu";
 import { ProspectInfo } from "../components/ProspectInfo";
+import { CallFormView } from "../components/CallFormView";
 
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
@@ -21,6 +22,7 @@ function VisitDataPage() {
     viewEntry,
     setViewEntry,
     filteredEntries,
+    schema,
   } = useVisitDataPage(false);
 
   return (
@@ -191,90 +193,11 @@ function VisitDataPage() {
                 prospect={viewEntry.prospect}
                 doc={viewEntry.prospect.raw}
               />
-              <div className="grid gap-4 md:grid-cols-2">
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Calling Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Select: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.select || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Call Back: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.callBack || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Not Interest:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.notInterest || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Department of Sewa:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.departmentOfSewa || "-"}
-                    </span>
-                  </p>
-                </div>
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Transfer Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Nominal List Select:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.nominalListSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Visit Select:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.visitSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Free Sewa: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.freeSewa || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Attendance: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.attendance || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Jatha Record:
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.jathaRecord || "-"}
-                    </span>
-                  </p>
-                </div>
-              </div>
-              <div className="rounded-lg border border-slate-200 bg-white p-3">
-                <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                  Need to Work
-                </p>
-                <p className="mt-1 whitespace-pre-line text-sm text-slate-700">
-                  {viewEntry.log.needToWork || "-"}
-                </p>
-              </div>
+              <CallFormView
+                schema={schema}
+                log={viewEntry.log}
+                sections={["calling", "transfer", "needToWork"]}
+              />
             </div>
           </div>
         </div>
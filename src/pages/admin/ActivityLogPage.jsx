@@ -0,0 +1,242 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  listAuditEntries,
+  parseAuditChanges,
+} from "../../services/auditService";
+import { DEFAULT_PAGE_SIZE } from "../../services/prospectsService";
+import { listUsers } from "../../services/usersService";
+import { useCallFormSchema } from "../../hooks/useCallFormSchema";
+import { AuditEntryChanges } from "../../components/AuditHistory";
+import { TablePagination } from "../../components/TablePagination";
+
+const EMPTY_FILTERS = { entityType: "", action: "", actor: "", from: "", to: "" };
+
+const ACTION_STYLES = {
+  update: "bg-sky-100 text-sky-700",
+  delete: "bg-red-100 text-red-700",
+  assign: "bg-emerald-100 text-emerald-700",
+  unassign: "bg-amber-100 text-amber-800",
+};
+
+function ActivityLogPage() {
+  const { schema } = useCallFormSchema();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [actors, setActors] = useState([]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await listAuditEntries({ ...filters, page, pageSize });
+      setEntries(res.documents);
+      setTotal(res.total);
+    } catch (err) {
+      setError(err.message || "Failed to load the activity log.");
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, pageSize]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    listUsers().then((res) =>
+      setActors(
+        (res.documents || []).map((u) => u.email).filter(Boolean).sort(),
+      ),
+    );
+  }, []);
+
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const inputClass =
+    "rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-700";
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header>
+        <h1 className="text-xl font-semibold text-slate-900">Activity Log</h1>
+        <p className="mt-1 text-sm text-slate-500">
+          Every change to prospects and call logs, newest first
+        </p>
+      </header>
+
+      <div className="flex flex-col gap-2 sm:flex-row sm:flex-wrap sm:items-end">
+        <select
+          value={filters.entityType}
+          onChange={(e) => setFilter("entityType", e.target.value)}
+          className={inputClass}
+        >
+          <option value="">All records</option>
+          {Object.entries(AUDIT_ENTITY_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}s
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => setFilter("action", e.target.value)}
+          className={inputClass}
+        >
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          list="activity-log-actors"
+          value={filters.actor}
+          onChange={(e) => setFilter("actor", e.target.value.trim())}
+          placeholder="Changed by (email)"
+          className={inputClass}
+        />
+        <datalist id="activity-log-actors">
+          {actors.map((email) => (
+            <option key={email} value={email} />
+          ))}
+        </datalist>
+        <label className="flex items-center gap-1.5 text-sm text-slate-600">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter("from", e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1.5 text-sm text-slate-600">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter("to", e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={() => {
+            setFilters(EMPTY_FILTERS);
+            setPage(0);
+          }}
+          className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="flex flex-1 flex-col overflow-visible rounded-lg bg-white p-4 shadow-sm">
+        {error && (
+          <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+        {loading ? (
+          <div className="py-12 text-center text-sm text-slate-500">
+            Loading activity…
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="py-12 text-center text-sm text-slate-500">
+            No changes match these filters.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[700px] border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50/80">
+                  <th className="px-4 py-3 font-semibold text-slate-700">When</th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Changed by
+                  </th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">Action</th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">Record</th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">Fields</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => {
+                  const expanded = expandedId === entry.$id;
+                  return (
+                    <Fragment key={entry.$id}>
+                      <tr
+                        onClick={() =>
+                          setExpandedId(expanded ? null : entry.$id)
+                        }
+                        className="cursor-pointer border-b border-slate-100 hover:bg-slate-50/50"
+                      >
+                        <td className="px-4 py-3 text-slate-600">
+                          {new Date(entry.$createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-slate-600">
+                          {entry.actor || "-"}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span
+                            className={`rounded px-1.5 py-0.5 text-xs font-semibold ${ACTION_STYLES[entry.action] || "bg-slate-100 text-slate-600"}`}
+                          >
+                            {AUDIT_ACTIONS[entry.action] || entry.action}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3">
+                          <p className="font-medium text-slate-900">
+                            {entry.entityLabel || entry.entityId}
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            {AUDIT_ENTITY_TYPES[entry.entityType] ||
+                              entry.entityType}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 text-slate-600">
+                          {parseAuditChanges(entry).length}{" "}
+                          {expanded ? "▾" : "▸"}
+                        </td>
+                      </tr>
+                      {expanded && (
+                        <tr className="border-b border-slate-100 bg-slate-50/50">
+                          <td colSpan={5} className="px-4 py-3">
+                            <AuditEntryChanges entry={entry} schema={schema} />
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <TablePagination
+          page={page}
+          pageSize={pageSize}
+          total={total}
+          onPageChange={setPage}
+          onPageSizeChange={(size) => {
+            setPageSize(Number(size));
+            setPage(0);
+          }}
+          disabled={loading}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ActivityLogPage;
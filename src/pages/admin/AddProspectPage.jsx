@@ -0,0 +1,474 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  createProspect,
+  docToDisplay,
+  listAllProspects,
+} from "../../services/prospectsService";
+import { listUsers } from "../../services/usersService";
+import {
+  BADGE_STATUS_OPTIONS,
+  GENDER_OPTIONS,
+  MARITAL_STATUS_OPTIONS,
+  prospectFieldLabel,
+  validateProspectDetails,
+} from "../../services/prospectDetails";
+import {
+  DUPLICATE_MATCH_LABELS,
+  REQUIRED_IMPORT_FIELDS,
+  buildLikelyDuplicateIndex,
+  findLikelyDuplicates,
+} from "../../services/prospectImport";
+import { calculateAgeFromDob } from "../../services/dates";
+import { ProspectFieldInput } from "../../components/ProspectFieldInput";
+
+const INITIAL_VALUES = {
+  fullName: "",
+  guardian: "",
+  gender: "Male",
+  maritalStatus: "N/A",
+  dateOfBirth: "",
+  age: "",
+  bloodgroup: "",
+  aadhar: "",
+  mobile: "",
+  emergencyContact: "",
+  locality: "",
+  address: "",
+  permanentAddress: "",
+  namdaanInitiated: "no",
+  NamdaanDOI: "",
+  NamdaanInitiationBy: "",
+  NamdaanInitiationPlace: "",
+  batchNumber: "",
+  badgeStatus: "New Prospects",
+  DeptFinalisedName: "",
+  assignedTo: "",
+};
+
+const STEPS = [
+  {
+    key: "personal",
+    title: "Personal details",
+    fields: [
+      { field: "fullName", type: "text", placeholder: "Full name" },
+      { field: "guardian", type: "text" },
+      { field: "mobile", type: "tel", placeholder: "e.g., 9876543210" },
+      { field: "emergencyContact", type: "tel" },
+      { field: "gender", type: "select", options: GENDER_OPTIONS },
+      { field: "maritalStatus", type: "select", options: MARITAL_STATUS_OPTIONS },
+      { field: "dateOfBirth", type: "date" },
+      { field: "age", type: "text" },
+      { field: "bloodgroup", type: "text", placeholder: "e.g., A+, B-, O+, AB+" },
+      { field: "aadhar", type: "text", placeholder: "12 digits" },
+    ],
+  },
+  {
+    key: "addresses",
+    title: "Addresses",
+    fields: [
+      {
+        field: "locality",
+        type: "text",
+        wide: true,
+        placeholder: "e.g., Model Town, Ludhiana",
+      },
+      { field: "address", type: "textarea", wide: true },
+      { field: "permanentAddress", type: "textarea", wide: true },
+    ],
+  },
+  {
+    key: "namdaan",
+    title: "Naam Dan",
+    fields: [
+      { field: "namdaanInitiated", type: "select", options: ["no", "yes"] },
+      { field: "NamdaanDOI", type: "date", onlyIfInitiated: true },
+      { field: "NamdaanInitiationBy", type: "text", onlyIfInitiated: true },
+      { field: "NamdaanInitiationPlace", type: "text", onlyIfInitiated: true },
+    ],
+  },
+  {
+    key: "badge",
+    title: "Badge",
+    fields: [
+      { field: "batchNumber", type: "text" },
+      { field: "badgeStatus", type: "select", options: BADGE_STATUS_OPTIONS },
+      { field: "DeptFinalisedName", type: "text", wide: true },
+    ],
+  },
+  { key: "assignment", title: "Assignment", fields: [] },
+];
+
+/** Values as they will be saved: Naam Dan details only when initiated */
+function toProspect(values) {
+  if (values.namdaanInitiated === "yes") return { ...values };
+  return {
+    ...values,
+    NamdaanDOI: "",
+    NamdaanInitiationBy: "",
+    NamdaanInitiationPlace: "",
+  };
+}
+
+function AddProspectPage() {
+  const navigate = useNavigate();
+  const [values, setValues] = useState(INITIAL_VALUES);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [sameAddress, setSameAddress] = useState(false);
+  const [existing, setExisting] = useState(null); // prospect documents, null while loading
+  const [users, setUsers] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState("");
+  const [duplicatesConfirmed, setDuplicatesConfirmed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    listAllProspects()
+      .then((docs) => {
+        if (!cancelled) setExisting(docs);
+      })
+      .catch(() => {
+        if (!cancelled) setExisting([]);
+      });
+    listUsers()
+      .then((res) => {
+        if (!cancelled) setUsers(res.documents || []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const duplicateIndex = useMemo(
+    () => (existing ? buildLikelyDuplicateIndex(existing) : null),
+    [existing],
+  );
+  const duplicates = useMemo(
+    () => (duplicateIndex ? findLikelyDuplicates(values, duplicateIndex) : []),
+    [duplicateIndex, values],
+  );
+
+  const step = STEPS[stepIndex];
+  const isLastStep = stepIndex === STEPS.length - 1;
+
+  const setField = (field, value) => {
+    setSuccess("");
+    setDuplicatesConfirmed(false);
+    setValues((v) => {
+      const next = { ...v, [field]: value };
+      if (field === "dateOfBirth") next.age = calculateAgeFromDob(value);
+      if (sameAddress && field === "address") next.permanentAddress = value;
+      return next;
+    });
+  };
+
+  const toggleSameAddress = (checked) => {
+    setSameAddress(checked);
+    if (checked) setValues((v) => ({ ...v, permanentAddress: v.address }));
+  };
+
+  const stepErrors = (index) =>
+    validateProspectDetails(
+      values,
+      STEPS[index].fields.map((f) => f.field),
+    );
+
+  const goToStep = (index) => {
+    if (index > stepIndex) {
+      const found = stepErrors(stepIndex);
+      if (found.length) {
+        setErrors(found);
+        return;
+      }
+    }
+    setErrors([]);
+    setStepIndex(index);
+  };
+
+  const save = async (addAnother) => {
+    const found = validateProspectDetails(toProspect(values));
+    if (found.length) {
+      setErrors(found);
+      return;
+    }
+    if (duplicates.length && !duplicatesConfirmed) {
+      setErrors(["Review the possible duplicates and confirm this is a new person."]);
+      return;
+    }
+    setSaving(true);
+    setErrors([]);
+    try {
+      const created = await createProspect(toProspect(values));
+      setExisting((prev) => (prev ? [...prev, created] : prev));
+      if (!addAnother) {
+        navigate("/admin/prospects-details");
+        return;
+      }
+      // Keep the assignment so a desk can keep adding to the same caller
+      setValues({ ...INITIAL_VALUES, assignedTo: values.assignedTo });
+      setSameAddress(false);
+      setDuplicatesConfirmed(false);
+      setStepIndex(0);
+      setSuccess(`Saved ${created.fullName || values.fullName}. Ready for the next prospect.`);
+    } catch (err) {
+      setErrors([err.message || "Failed to add prospect."]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isLastStep) save(true);
+    else goToStep(stepIndex + 1);
+  };
+
+  const renderField = (def) => {
+    if (def.onlyIfInitiated && values.namdaanInitiated !== "yes") return null;
+    const required = REQUIRED_IMPORT_FIELDS.includes(def.field);
+    return (
+      <div key={def.field} className={def.wide ? "sm:col-span-2" : ""}>
+        <label
+          className={`mb-1 block text-xs font-medium ${required ? "text-red-600" : "text-slate-600"}`}
+        >
+          {prospectFieldLabel(def.field)}
+          {required && " *"}
+        </label>
+        <ProspectFieldInput
+          type={def.type}
+          options={def.options}
+          value={values[def.field] ?? ""}
+          onChange={(value) => setField(def.field, value)}
+          highlighted={duplicates.some((d) =>
+            d.matchedOn.some(
+              (kind) =>
+                (kind === "mobile" && def.field === "mobile") ||
+                (kind === "aadhar" && def.field === "aadhar") ||
+                (kind === "nameGuardian" &&
+                  (def.field === "fullName" || def.field === "guardian")),
+            ),
+          )}
+          placeholder={def.placeholder}
+        />
+      </div>
+    );
+  };
+
+  const assignableUsers = users.map((u) => u.email).filter(Boolean);
+
+  return (
+    <div className="flex flex-col space-y-3 px-2 py-3 sm:space-y-5 sm:px-0 sm:py-0">
+      <header className="flex items-center justify-between gap-3">
+        <div>
+          <h1 className="text-base font-semibold text-slate-900 sm:text-xl">
+            Add Prospects
+          </h1>
+          <p className="text-xs text-slate-500 sm:text-sm">
+            Step {stepIndex + 1} of {STEPS.length} · {step.title}
+          </p>
+        </div>
+        <Link
+          to="/admin/prospects-details"
+          className="text-sm font-medium text-slate-600 hover:text-slate-900"
+        >
+          All prospects →
+        </Link>
+      </header>
+
+      <div className="grid gap-3 lg:grid-cols-[minmax(0,1fr)_320px] lg:gap-5">
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-col rounded-lg bg-white shadow-sm sm:rounded-xl"
+        >
+          {/* Step tabs */}
+          <div className="flex overflow-x-auto border-b border-slate-200">
+            {STEPS.map((s, i) => (
+              <button
+                key={s.key}
+                type="button"
+                onClick={() => goToStep(i)}
+                className={`shrink-0 border-b-2 px-3 py-2.5 text-xs font-medium transition sm:px-4 sm:text-sm ${
+                  i === stepIndex
+                    ? "border-slate-800 text-slate-900"
+                    : "border-transparent text-slate-500 hover:text-slate-700"
+                }`}
+              >
+                {i + 1}. {s.title}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex-1 p-4 sm:p-5">
+            {success && (
+              <div className="mb-4 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">
+                {success}
+              </div>
+            )}
+
+            {step.key === "assignment" ? (
+              <div className="space-y-4">
+                <div>
+                  <label className="mb-1 block text-xs font-medium text-slate-600">
+                    Assign to caller
+                  </label>
+                  <select
+                    value={values.assignedTo}
+                    onChange={(e) => setField("assignedTo", e.target.value)}
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
+                  >
+                    <option value="">Leave unassigned</option>
+                    {assignableUsers.map((email) => (
+                      <option key={email} value={email}>
+                        {email}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="rounded-lg border border-slate-200 bg-slate-50/60 p-3">
+                  <p className="mb-2 text-xs font-semibold uppercase tracking-wider text-slate-500">
+                    Review
+                  </p>
+                  <dl className="grid gap-x-4 gap-y-1 text-sm sm:grid-cols-2">
+                    {STEPS.flatMap((s) => s.fields)
+                      .filter(
+                        (def) =>
+                          !def.onlyIfInitiated || values.namdaanInitiated === "yes",
+                      )
+                      .map((def) => (
+                        <div key={def.field} className="flex gap-2">
+                          <dt className="shrink-0 text-slate-500">
+                            {prospectFieldLabel(def.field)}:
+                          </dt>
+                          <dd className="truncate text-slate-900">
+                            {values[def.field] || "-"}
+                          </dd>
+                        </div>
+                      ))}
+                  </dl>
+                </div>
+              </div>
+            ) : (
+              <div className="grid gap-4 sm:grid-cols-2">
+                {step.fields.map(renderField)}
+                {step.key === "addresses" && (
+                  <label className="flex items-center gap-2 text-sm text-slate-700 sm:col-span-2">
+                    <input
+                      type="checkbox"
+                      checked={sameAddress}
+                      onChange={(e) => toggleSameAddress(e.target.checked)}
+                      className="h-4 w-4 rounded border-slate-300"
+                    />
+                    Permanent address is the same as residential
+                  </label>
+                )}
+              </div>
+            )}
+
+            {errors.length > 0 && (
+              <div className="mt-4 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                {errors.map((msg) => (
+                  <p key={msg}>{msg}</p>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-2 border-t border-slate-200 px-4 py-3 sm:px-5">
+            <button
+              type="button"
+              onClick={() => goToStep(stepIndex - 1)}
+              disabled={stepIndex === 0 || saving}
+              className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:opacity-60"
+            >
+              ← Back
+            </button>
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={() => save(false)}
+                disabled={saving}
+                className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:opacity-60"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => save(true)}
+                disabled={saving}
+                className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-700 disabled:opacity-60"
+              >
+                {saving ? "Saving…" : "Save and add another"}
+              </button>
+              {!isLastStep && (
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-900 disabled:opacity-60"
+                >
+                  Next →
+                </button>
+              )}
+            </div>
+          </div>
+        </form>
+
+        {/* Live duplicate check */}
+        <aside className="h-fit rounded-lg bg-white p-4 shadow-sm sm:rounded-xl">
+          <p className="mb-2 text-xs font-semibold uppercase tracking-wider text-slate-500">
+            Duplicate check
+          </p>
+          {!existing ? (
+            <p className="text-sm text-slate-500">Loading existing prospects…</p>
+          ) : duplicates.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              No existing prospect shares this phone number, Aadhaar number or
+              name and guardian.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-amber-800">
+                {duplicates.length} possible duplicate(s)
+              </p>
+              {duplicates.slice(0, 5).map(({ doc, matchedOn }) => {
+                const p = docToDisplay(doc);
+                return (
+                  <div
+                    key={doc.$id}
+                    className="rounded-md border border-amber-200 bg-amber-50/60 px-2.5 py-2 text-xs"
+                  >
+                    <p className="font-medium text-slate-900">{p.name}</p>
+                    <p className="text-slate-600">
+                      {p.phoneNumber} · Badge {p.badgeId} ·{" "}
+                      {doc.assignedTo || "Unassigned"}
+                    </p>
+                    <p className="mt-0.5 text-amber-800">
+                      Same {matchedOn.map((k) => DUPLICATE_MATCH_LABELS[k]).join(", ")}
+                    </p>
+                  </div>
+                );
+              })}
+              {duplicates.length > 5 && (
+                <p className="text-xs text-slate-500">
+                  and {duplicates.length - 5} more
+                </p>
+              )}
+              <label className="flex items-start gap-2 pt-1 text-xs text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={duplicatesConfirmed}
+                  onChange={(e) => setDuplicatesConfirmed(e.target.checked)}
+                  className="mt-0.5 h-3.5 w-3.5 rounded border-slate-300"
+                />
+                I have checked these; this is a different person
+              </label>
+            </div>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+}
+
+export default AddProspectPage;
@@ -1,13 +1,21 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { useLocation } from 'react-router-dom'
 import AppLayout from '../../components/AppLayout'
+import { purgeExpiredRecords } from '../../services/recycleBin'
 
 const sidebarItems = [
   { label: 'Dashboard', to: '/admin/dashboard', icon: 'grid' },
   { label: 'Prospects Details', to: '/admin/prospects-details', icon: 'people' },
   { label: 'Nominal Roll', to: '/admin/nominal-roll', icon: 'checklist' },
   { label: 'Jatha Record', to: '/admin/jatha-record', icon: 'folder' },
+  { label: 'Jathas', to: '/admin/jathas', icon: 'calendar' },
+  { label: 'Jatha Conflicts', to: '/admin/jatha-conflicts', icon: 'alert' },
   { label: 'Visit Data', to: '/admin/visit-data', icon: 'clipboard' },
+  { label: 'Call-backs', to: '/admin/call-backs', icon: 'phone' },
+  { label: 'Dispositions', to: '/admin/dispositions', icon: 'tag' },
+  { label: 'Calling Form', to: '/admin/call-form', icon: 'form' },
+  { label: 'Activity Log', to: '/admin/activity', icon: 'clock' },
+  { label: 'Recycle Bin', to: '/admin/recycle-bin', icon: 'trash' },
   { label: 'Add Prospects', to: '/admin/add-prospects', icon: 'person-plus' },
 ]
 
@@ -16,6 +24,11 @@ function AdminLayout() {
   const [dashboardActions, setDashboardActions] = useState(null)
   const [actionsMenuOpen, setActionsMenuOpen] = useState(false)
 
+  // Records past the recycle bin's retention period are purged once per admin session
+  useEffect(() => {
+    purgeExpiredRecords().catch((err) => console.error('Failed to purge the recycle bin', err))
+  }, [])
+
   const isDashboard = location.pathname === '/admin' || location.pathname === '/admin/dashboard'
 
   const renderTopBarRight = ({ handleLogout }) => (
@@ -0,0 +1,199 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import {
+  listAllCallLogs,
+  pendingCallBacks,
+  callBackStatus,
+} from "../../services/callLogsService";
+
+const STATUS_FILTERS = [
+  ["overdue", "Overdue"],
+  ["due", "Due today + overdue"],
+  ["all", "All open call-backs"],
+];
+
+const STATUS_STYLES = {
+  overdue: "bg-red-100 text-red-700",
+  today: "bg-amber-100 text-amber-800",
+  upcoming: "bg-slate-100 text-slate-600",
+};
+
+/** Whole calendar days between the due date and today */
+function daysOverdue(log, now) {
+  const due = new Date(log.callBackAt);
+  const dueDay = new Date(due.getFullYear(), due.getMonth(), due.getDate());
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((today - dueDay) / (24 * 60 * 60 * 1000));
+}
+
+function CallBacksPage() {
+  const [callBacks, setCallBacks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [statusFilter, setStatusFilter] = useState("overdue");
+  const [callerFilter, setCallerFilter] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const logs = await listAllCallLogs();
+      setCallBacks(pendingCallBacks(logs));
+    } catch (err) {
+      setError(err.message || "Failed to load call-backs.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const callers = useMemo(
+    () =>
+      [...new Set(callBacks.map((log) => log.submittedBy).filter(Boolean))].sort(),
+    [callBacks],
+  );
+
+  const now = new Date();
+  const rows = callBacks.filter((log) => {
+    const status = callBackStatus(log, now);
+    if (statusFilter === "overdue" && status !== "overdue") return false;
+    if (statusFilter === "due" && status === "upcoming") return false;
+    return !callerFilter || log.submittedBy === callerFilter;
+  });
+  const overdueTotal = callBacks.filter(
+    (log) => callBackStatus(log, now) === "overdue",
+  ).length;
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-xl font-semibold text-slate-900">Call-backs</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Scheduled call-backs across all callers · {overdueTotal} overdue
+          </p>
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-700"
+          >
+            {STATUS_FILTERS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={callerFilter}
+            onChange={(e) => setCallerFilter(e.target.value)}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-700"
+          >
+            <option value="">All callers</option>
+            {callers.map((email) => (
+              <option key={email} value={email}>
+                {email}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={load}
+            disabled={loading}
+            className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+          >
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      <div className="overflow-visible rounded-lg bg-white p-4 shadow-sm flex flex-col flex-1">
+        {error && (
+          <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+        {loading ? (
+          <div className="py-12 text-center text-sm text-slate-500">
+            Loading call-backs…
+          </div>
+        ) : rows.length === 0 ? (
+          <div className="py-12 text-center">
+            <p className="text-sm font-medium text-slate-600">
+              No call-backs to show
+            </p>
+            <p className="mt-1 text-sm text-slate-500">
+              Call-backs appear here when a caller sets Call Back to
+              &quot;Yes&quot; with a date and time.
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[700px] border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50/80">
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Prospect
+                  </th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Caller
+                  </th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Call back on
+                  </th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Reason
+                  </th>
+                  <th className="px-4 py-3 font-semibold text-slate-700">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((log) => {
+                  const status = callBackStatus(log, now);
+                  const late = daysOverdue(log, now);
+                  return (
+                    <tr
+                      key={log.$id}
+                      className="border-b border-slate-100 hover:bg-slate-50/50"
+                    >
+                      <td className="px-4 py-3 font-medium text-slate-900">
+                        {log.prospectName || "-"}
+                      </td>
+                      <td className="px-4 py-3 text-slate-600">
+                        {log.submittedBy || "-"}
+                      </td>
+                      <td className="px-4 py-3 text-slate-600">
+                        {new Date(log.callBackAt).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-slate-600">
+                        {log.callBackReason || "-"}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span
+                          className={`rounded px-1.5 py-0.5 text-xs font-semibold ${STATUS_STYLES[status]}`}
+                        >
+                          {status === "overdue"
+                            ? `Overdue ${late} day${late === 1 ? "" : "s"}`
+                            : status === "today"
+                              ? "Today"
+                              : "Upcoming"}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CallBacksPage;
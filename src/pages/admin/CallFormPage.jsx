@@ -0,0 +1,425 @@
+import { useState } from "react";
+import { APPWRITE_CONFIG } from "../../services/appwriteClient";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  CALL_FORM_FIELD_TYPES,
+  CALL_FORM_SECTIONS,
+  YES_NO_OPTIONS,
+  emptyCallForm,
+  parseQuestionOptions,
+  validateCallForm,
+} from "../../services/callFormSchema";
+import {
+  QUESTION_SECTIONS,
+  saveFormQuestion,
+  suggestQuestionKey,
+} from "../../services/formQuestionsService";
+import { useCallFormSchema } from "../../hooks/useCallFormSchema";
+import { useDispositions } from "../../hooks/useDispositions";
+import { CallFormFields } from "../../components/CallFormFields";
+
+const EMPTY_QUESTION = {
+  label: "",
+  key: "",
+  type: "text",
+  section: "additional",
+  options: "",
+  required: false,
+  showWhenField: "",
+  showWhenValue: "",
+};
+
+const TYPE_LABELS = {
+  ...Object.fromEntries(CALL_FORM_FIELD_TYPES),
+  datetime: "Date and time",
+  disposition: "Outcome picker",
+  jatha: "Jatha table",
+};
+
+function sectionTitle(id) {
+  return CALL_FORM_SECTIONS.find((s) => s.id === id)?.title || id;
+}
+
+function CallFormPage() {
+  const { schema, questions, loading, reload } = useCallFormSchema();
+  const { dispositions } = useDispositions();
+  const [question, setQuestion] = useState(EMPTY_QUESTION);
+  const [keyEdited, setKeyEdited] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [preview, setPreview] = useState(null); // form values while previewing
+  const [previewErrors, setPreviewErrors] = useState({});
+
+  const configured = !!(
+    APPWRITE_CONFIG.databaseId && APPWRITE_CONFIG.formQuestionsCollectionId
+  );
+  // Questions can depend on any answer with a fixed set of choices
+  const conditionFields = schema.filter(
+    (f) => f.type === "yesno" || f.type === "select",
+  );
+  const conditionField = conditionFields.find(
+    (f) => f.field === question.showWhenField,
+  );
+  const conditionValues = conditionField
+    ? conditionField.type === "yesno"
+      ? YES_NO_OPTIONS
+      : conditionField.options || []
+    : [];
+
+  const updateQuestion = (field, value) => {
+    setQuestion((prev) => {
+      const next = { ...prev, [field]: value };
+      if (field === "showWhenField") next.showWhenValue = "";
+      if (field === "label" && !keyEdited) next.key = suggestQuestionKey(value);
+      return next;
+    });
+    if (field === "key") setKeyEdited(true);
+  };
+
+  const run = async (action, successMessage) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+      await reload();
+      if (successMessage) setNotice(successMessage);
+    } catch (err) {
+      setError(err.message || "Failed to save question.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await saveFormQuestion(question, questions);
+      setQuestion(EMPTY_QUESTION);
+      setKeyEdited(false);
+    }, "Question added. Callers see it the next time they open the form.");
+  };
+
+  // Swap display order with the neighbouring question
+  const move = (index, direction) => {
+    const other = questions[index + direction];
+    if (!other) return;
+    const current = questions[index];
+    run(async () => {
+      await saveFormQuestion(
+        { ...current, order: Number(other.order) || index + direction + 1 },
+        questions,
+      );
+      await saveFormQuestion(
+        { ...other, order: Number(current.order) || index + 1 },
+        questions,
+      );
+    });
+  };
+
+  const openPreview = () => {
+    setPreview(emptyCallForm(schema));
+    setPreviewErrors({});
+  };
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-xl font-semibold text-slate-900">Calling Form</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Questions callers answer for each call. Built-in fields are fixed;
+            added questions appear in the form, the PDF and the Excel export.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={openPreview}
+          className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+        >
+          Preview form
+        </button>
+      </header>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">
+          {notice}
+        </div>
+      )}
+      {!configured && (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          The form questions collection is not configured, so only the built-in
+          fields are used. Set VITE_APPWRITE_FORM_QUESTIONS_COLLECTION_ID to add
+          questions here.
+        </div>
+      )}
+
+      {configured && (
+        <form
+          onSubmit={handleAdd}
+          className="space-y-3 rounded-lg bg-white p-4 shadow-sm"
+        >
+          <p className="text-sm font-semibold text-slate-900">Add a question</p>
+          <div className="grid gap-2 sm:grid-cols-[1fr_12rem]">
+            <input
+              type="text"
+              value={question.label}
+              onChange={(e) => updateQuestion("label", e.target.value)}
+              placeholder="Question, e.g. Preferred shift"
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            />
+            <input
+              type="text"
+              value={question.key}
+              onChange={(e) => updateQuestion("key", e.target.value)}
+              placeholder="key"
+              className="rounded-lg border border-slate-200 px-3 py-2 font-mono text-sm"
+            />
+          </div>
+          <div className="grid gap-2 sm:grid-cols-3">
+            <select
+              value={question.type}
+              onChange={(e) => updateQuestion("type", e.target.value)}
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            >
+              {CALL_FORM_FIELD_TYPES.map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={question.section}
+              onChange={(e) => updateQuestion("section", e.target.value)}
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            >
+              {QUESTION_SECTIONS.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.title}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) => updateQuestion("required", e.target.checked)}
+              />
+              Required
+            </label>
+          </div>
+          {question.type === "select" && (
+            <textarea
+              value={question.options}
+              onChange={(e) => updateQuestion("options", e.target.value)}
+              rows={3}
+              placeholder="One choice per line"
+              className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            />
+          )}
+          <div className="grid gap-2 sm:grid-cols-2">
+            <select
+              value={question.showWhenField}
+              onChange={(e) => updateQuestion("showWhenField", e.target.value)}
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            >
+              <option value="">Always show</option>
+              {conditionFields.map((f) => (
+                <option key={f.field} value={f.field}>
+                  Only when &quot;{f.label}&quot; is…
+                </option>
+              ))}
+            </select>
+            {question.showWhenField && (
+              <select
+                value={question.showWhenValue}
+                onChange={(e) => updateQuestion("showWhenValue", e.target.value)}
+                className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+              >
+                <option value="">Select answer</option>
+                {conditionValues.map((v) => (
+                  <option key={v} value={v}>
+                    {v}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={
+                saving ||
+                !question.label.trim() ||
+                (question.showWhenField && !question.showWhenValue)
+              }
+              className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-60"
+            >
+              Add question
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <p className="mb-2 text-sm font-semibold text-slate-900">
+          Added questions
+        </p>
+        {loading ? (
+          <p className="py-6 text-center text-sm text-slate-500">
+            Loading questions…
+          </p>
+        ) : questions.length === 0 ? (
+          <p className="text-sm text-slate-500">No questions added yet.</p>
+        ) : (
+          <table className="w-full border-collapse text-left text-sm">
+            <tbody>
+              {questions.map((q, i) => (
+                <tr
+                  key={q.$id}
+                  className={`border-b border-slate-100 ${q.active === false ? "text-slate-400" : ""}`}
+                >
+                  <td className="px-2 py-2">
+                    {q.label}
+                    {q.required && <span className="text-red-600"> *</span>}
+                    <p className="text-xs text-slate-500">
+                      {TYPE_LABELS[q.type] || q.type} · {sectionTitle(q.section)}
+                      {q.type === "select" &&
+                        ` · ${parseQuestionOptions(q.options).join(", ")}`}
+                      {q.showWhenField &&
+                        ` · shown when ${q.showWhenField} is ${q.showWhenValue}`}
+                    </p>
+                  </td>
+                  <td className="w-40 px-2 py-2 font-mono text-xs">{q.key}</td>
+                  <td className="w-56 px-2 py-2 text-right">
+                    <div className="flex justify-end gap-1.5">
+                      <button
+                        type="button"
+                        onClick={() => move(i, -1)}
+                        disabled={saving || i === 0}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 disabled:opacity-40"
+                        aria-label="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => move(i, 1)}
+                        disabled={saving || i === questions.length - 1}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 disabled:opacity-40"
+                        aria-label="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          run(() =>
+                            saveFormQuestion(
+                              { ...q, active: q.active === false },
+                              questions,
+                            ),
+                          )
+                        }
+                        disabled={saving}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 disabled:opacity-60"
+                      >
+                        {q.active === false ? "Activate" : "Deactivate"}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <p className="mb-2 text-sm font-semibold text-slate-900">
+          Built-in fields
+        </p>
+        <table className="w-full border-collapse text-left text-sm">
+          <tbody>
+            {BUILTIN_CALL_FORM_FIELDS.map((f) => (
+              <tr key={f.field} className="border-b border-slate-100">
+                <td className="px-2 py-2">
+                  {f.label}
+                  {f.required && <span className="text-red-600"> *</span>}
+                </td>
+                <td className="px-2 py-2 text-slate-500">
+                  {TYPE_LABELS[f.type] || f.type}
+                </td>
+                <td className="px-2 py-2 text-slate-500">
+                  {sectionTitle(f.section)}
+                </td>
+                <td className="w-40 px-2 py-2 font-mono text-xs">{f.field}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {preview && (
+        <div
+          className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+          role="dialog"
+          aria-modal="true"
+          onClick={() => setPreview(null)}
+        >
+          <div
+            className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex shrink-0 items-center justify-between border-b border-slate-200 bg-white px-4 py-4">
+              <h2 className="text-lg font-semibold text-slate-900">
+                Form preview
+              </h2>
+              <button
+                type="button"
+                onClick={() => setPreview(null)}
+                className="text-sm font-medium text-slate-600 hover:text-slate-900"
+              >
+                Close
+              </button>
+            </div>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                setPreviewErrors(validateCallForm(preview, schema));
+              }}
+              className="flex-1 overflow-y-auto bg-sky-100/80 p-4 sm:p-6"
+            >
+              <CallFormFields
+                schema={schema}
+                values={preview}
+                onChange={(patch) => setPreview((v) => ({ ...v, ...patch }))}
+                dispositions={dispositions}
+                errors={previewErrors}
+              />
+              <div className="mt-4 flex items-center justify-end gap-3">
+                <span className="text-xs text-slate-500">
+                  Nothing is saved from the preview.
+                </span>
+                <button
+                  type="submit"
+                  className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700"
+                >
+                  Check answers
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CallFormPage;
@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from "react";
+import { APPWRITE_CONFIG } from "../../services/appwriteClient";
+import {
+  DISPOSITION_CATEGORIES,
+  saveDisposition,
+  seedDefaultDispositions,
+  suggestDispositionCode,
+} from "../../services/dispositionsService";
+import {
+  listAllCallLogs,
+  logsNeedingDisposition,
+  migrateCallLogDispositions,
+} from "../../services/callLogsService";
+import { useDispositions } from "../../hooks/useDispositions";
+
+const EMPTY_ENTRY = { category: "reached", label: "", code: "" };
+
+function DispositionsPage() {
+  const { dispositions, loading, reload } = useDispositions();
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [codeEdited, setCodeEdited] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [legacyLogs, setLegacyLogs] = useState(null); // null while counting
+  const [migration, setMigration] = useState(null); // { done, total } while running
+
+  const configured = !!(
+    APPWRITE_CONFIG.databaseId && APPWRITE_CONFIG.dispositionsCollectionId
+  );
+  // Entries without $id are the built-in defaults, not stored documents
+  const usingDefaults = dispositions.every((d) => !d.$id);
+
+  const countLegacyLogs = useCallback(async () => {
+    const logs = await listAllCallLogs();
+    setLegacyLogs(logsNeedingDisposition(logs));
+  }, []);
+
+  useEffect(() => {
+    countLegacyLogs();
+  }, [countLegacyLogs]);
+
+  const updateEntry = (field, value) => {
+    setEntry((prev) => {
+      const next = { ...prev, [field]: value };
+      if (field === "code") return next;
+      return codeEdited
+        ? next
+        : { ...next, code: suggestDispositionCode(next.category, next.label) };
+    });
+    if (field === "code") setCodeEdited(true);
+  };
+
+  const run = async (action, successMessage) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+      await reload();
+      if (successMessage) setNotice(successMessage);
+    } catch (err) {
+      setError(err.message || "Failed to save disposition.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await saveDisposition(entry, dispositions);
+      setEntry(EMPTY_ENTRY);
+      setCodeEdited(false);
+    }, "Disposition added.");
+  };
+
+  const handleMigrate = async () => {
+    if (!legacyLogs?.length) return;
+    setError("");
+    setNotice("");
+    setMigration({ done: 0, total: legacyLogs.length });
+    try {
+      const { updated, failed } = await migrateCallLogDispositions(
+        legacyLogs,
+        setMigration,
+      );
+      setNotice(
+        `${updated} call log${updated === 1 ? "" : "s"} given a disposition code` +
+          (failed ? `; ${failed} failed (see console).` : "."),
+      );
+    } catch (err) {
+      setError(err.message || "Migration failed.");
+    } finally {
+      setMigration(null);
+      countLegacyLogs();
+    }
+  };
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header>
+        <h1 className="text-xl font-semibold text-slate-900">
+          Call Dispositions
+        </h1>
+        <p className="mt-1 text-sm text-slate-500">
+          Outcomes callers pick when logging a call: a category and a
+          sub-reason. Codes are kept on call logs for reporting.
+        </p>
+      </header>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">
+          {notice}
+        </div>
+      )}
+
+      {!configured ? (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          The dispositions collection is not configured, so the built-in codes
+          below are used. Set VITE_APPWRITE_DISPOSITIONS_COLLECTION_ID to manage
+          them here.
+        </div>
+      ) : (
+        usingDefaults &&
+        !loading && (
+          <div className="flex flex-col gap-2 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800 sm:flex-row sm:items-center sm:justify-between">
+            <p>The catalogue is empty; callers see the built-in codes below.</p>
+            <button
+              type="button"
+              onClick={() =>
+                run(seedDefaultDispositions, "Built-in codes saved to the catalogue.")
+              }
+              disabled={saving}
+              className="rounded-lg bg-amber-600 px-3 py-1.5 text-xs font-medium text-white hover:bg-amber-700 disabled:opacity-60"
+            >
+              Save built-in codes
+            </button>
+          </div>
+        )
+      )}
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        {configured && !usingDefaults && (
+          <form
+            onSubmit={handleAdd}
+            className="mb-4 grid gap-2 sm:grid-cols-[10rem_1fr_14rem_auto]"
+          >
+            <select
+              value={entry.category}
+              onChange={(e) => updateEntry("category", e.target.value)}
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            >
+              {DISPOSITION_CATEGORIES.map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={entry.label}
+              onChange={(e) => updateEntry("label", e.target.value)}
+              placeholder="Sub-reason, e.g. Switched off"
+              className="rounded-lg border border-slate-200 px-3 py-2 text-sm"
+            />
+            <input
+              type="text"
+              value={entry.code}
+              onChange={(e) => updateEntry("code", e.target.value.toUpperCase())}
+              placeholder="CODE"
+              className="rounded-lg border border-slate-200 px-3 py-2 font-mono text-sm"
+            />
+            <button
+              type="submit"
+              disabled={saving || !entry.label.trim()}
+              className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-60"
+            >
+              Add
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="py-8 text-center text-sm text-slate-500">
+            Loading dispositions…
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {DISPOSITION_CATEGORIES.map(([category, categoryLabel]) => {
+              const items = dispositions.filter((d) => d.category === category);
+              return (
+                <div key={category}>
+                  <p className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                    {categoryLabel}
+                  </p>
+                  <table className="w-full border-collapse text-left text-sm">
+                    <tbody>
+                      {items.map((d) => (
+                        <tr
+                          key={d.code}
+                          className={`border-b border-slate-100 ${d.active === false ? "text-slate-400" : ""}`}
+                        >
+                          <td className="px-2 py-2">{d.label}</td>
+                          <td className="w-64 px-2 py-2 font-mono text-xs">
+                            {d.code}
+                          </td>
+                          <td className="w-28 px-2 py-2 text-right">
+                            {d.$id && (
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  run(() =>
+                                    saveDisposition(
+                                      { ...d, active: d.active === false },
+                                      dispositions,
+                                    ),
+                                  )
+                                }
+                                disabled={saving}
+                                className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 disabled:opacity-60"
+                              >
+                                {d.active === false ? "Activate" : "Deactivate"}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                      {items.length === 0 && (
+                        <tr>
+                          <td className="px-2 py-2 text-slate-400">
+                            No sub-reasons yet.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <p className="text-sm font-semibold text-slate-900">
+          Older call logs
+        </p>
+        <p className="mt-1 text-sm text-slate-500">
+          Logs saved before disposition codes get one from their Yes/No
+          answers: not interested becomes Refused, reached with a call-back
+          becomes Asked to call back, other reached or not reached answers
+          get the matching &quot;no details&quot; code.
+        </p>
+        <div className="mt-3 flex items-center gap-3">
+          <button
+            type="button"
+            onClick={handleMigrate}
+            disabled={!legacyLogs?.length || !!migration}
+            className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-700 disabled:opacity-60"
+          >
+            {migration
+              ? `Migrating ${migration.done} of ${migration.total}…`
+              : "Migrate call logs"}
+          </button>
+          <span className="text-sm text-slate-500">
+            {legacyLogs === null
+              ? "Counting…"
+              : `${legacyLogs.length} log${legacyLogs.length === 1 ? "" : "s"} without a code`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DispositionsPage;
@@ -0,0 +1,168 @@
+import { useState, useEffect, useMemo } from "react";
+import { listAllCallLogs } from "../../services/callLogsService";
+import {
+  JATHA_CONFLICT_TYPES,
+  JATHA_REST_GAP_DAYS,
+  JATHA_YEARLY_DAY_LIMIT,
+  allJathaConflicts,
+  describeJathaConflict,
+  isCurrentConflict,
+} from "../../services/jathaConflicts";
+import { localIsoDate } from "../../services/dates";
+
+const TYPE_CLASS = {
+  overlap: "bg-red-100 text-red-700",
+  rest: "bg-amber-100 text-amber-800",
+  yearly: "bg-violet-100 text-violet-700",
+};
+
+// Report of sewadars whose jatha bookings clash: overlapping jathas, too
+// little rest between two, or too many sewa days in a year. Only current
+// conflicts by default (see isCurrentConflict).
+function JathaConflictsPage() {
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [type, setType] = useState("");
+  const [showPast, setShowPast] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const all = await listAllCallLogs();
+        if (!cancelled) setLogs(all);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load call logs.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const conflicts = useMemo(() => allJathaConflicts(logs), [logs]);
+  const today = localIsoDate();
+  const q = searchQuery.trim().toLowerCase();
+  const shown = conflicts
+    .filter(
+      (c) =>
+        (showPast || isCurrentConflict(c, today)) &&
+        (!type || c.type === type) &&
+        (!q ||
+          String(c.prospectName || "")
+            .toLowerCase()
+            .includes(q)),
+    )
+    .sort(
+      (a, b) =>
+        String(a.prospectName || "").localeCompare(String(b.prospectName || "")) ||
+        a.bookings[0].dateFrom.localeCompare(b.bookings[0].dateFrom),
+    );
+
+  const th = "px-4 py-3 font-semibold text-slate-700";
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-xl font-semibold text-slate-900">Jatha Conflicts</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Sewadars booked on overlapping jathas, with fewer than{" "}
+            {JATHA_REST_GAP_DAYS} rest days between jathas, or over{" "}
+            {JATHA_YEARLY_DAY_LIMIT} sewa days in a year
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400"
+          >
+            <option value="">All conflicts</option>
+            {Object.entries(JATHA_CONFLICT_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search sewadar…"
+            className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 sm:w-64"
+          />
+        </div>
+      </header>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <label className="mb-3 flex items-center gap-2 text-sm text-slate-600">
+          <input
+            type="checkbox"
+            checked={showPast}
+            onChange={(e) => setShowPast(e.target.checked)}
+          />
+          Show past conflicts
+        </label>
+        {loading ? (
+          <p className="py-8 text-center text-sm text-slate-500">Checking jathas…</p>
+        ) : shown.length === 0 ? (
+          <p className="py-8 text-center text-sm text-slate-500">No conflicts found.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[760px] border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50">
+                  <th className={th}>Sewadar</th>
+                  <th className={th}>Conflict</th>
+                  <th className={th}>Details</th>
+                  <th className={th}>Called by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((c) => (
+                  <tr
+                    key={`${c.prospectId}-${c.type}-${c.year || ""}-${c.bookings.map((b) => b.key).join("+")}`}
+                    className="border-b border-slate-100 align-top hover:bg-slate-50/50"
+                  >
+                    <td className="px-4 py-3 font-medium text-slate-900">
+                      {c.prospectName || "-"}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={`rounded px-1.5 py-0.5 text-xs font-semibold ${TYPE_CLASS[c.type]}`}
+                      >
+                        {JATHA_CONFLICT_TYPES[c.type]}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-slate-600">{describeJathaConflict(c)}</td>
+                    <td className="px-4 py-3 text-slate-600">
+                      {[...new Set(c.bookings.map((b) => b.log.submittedBy || "-"))].join(", ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {!loading && (
+          <p className="mt-3 text-xs text-slate-500">
+            {shown.length} of {conflicts.length} conflict{conflicts.length === 1 ? "" : "s"} shown.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default JathaConflictsPage;
@@ -1,6 +1,14 @@
+import { useState } from "react";
 import { useJathaData } from "../../hooks/useJathaData";
 import { ActionMenu } from "../../components/ActionMenu";
 import { ProspectInfo } from "../../components/ProspectInfo";
+import { CallFormFields } from "../../components/CallFormFields";
+import { CallLogConflictDialog } from "../../components/CallLogConflictDialog";
+import { CallFormView } from "../../components/CallFormView";
+import { JathaCalendar } from "../../components/JathaCalendar";
+import { JathaConflictBadge } from "../../components/JathaConflictBadge";
+import { useDispositions } from "../../hooks/useDispositions";
+import { RECYCLE_BIN_RETENTION_DAYS } from "../../services/softDelete";
 
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
@@ -28,22 +36,19 @@ function JathaRecordPage() {
     deleteEntry,
     setDeleteEntry,
     filteredEntries,
+    jathaConflicts,
+    editOtherLogs,
     openEdit,
     handleSaveEdit,
     handleConfirmDelete,
-    EMPTY_FORM,
+    schema,
+    editErrors,
+    editConflict,
+    handleResolveConflict,
+    dismissConflict,
   } = useJathaData(true);
-
-  const parseJathaDetails = (raw) => {
-    if (Array.isArray(raw)) return raw;
-    if (typeof raw !== "string" || !raw.trim()) return [];
-    try {
-      const parsed = JSON.parse(raw);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch {
-      return [];
-    }
-  };
+  const [layout, setLayout] = useState("table"); // "table" | "calendar"
+  const { dispositions } = useDispositions();
 
   return (
     <div className="flex flex-col space-y-4 p-4">
@@ -55,7 +60,26 @@ function JathaRecordPage() {
             combined nominal and visit data with attendance
           </p>
         </div>
-        <div className="mt-2 sm:mt-0">
+        <div className="mt-2 flex flex-wrap items-center gap-2 sm:mt-0">
+          <div className="flex rounded-lg border border-slate-200 bg-white p-0.5">
+            {[
+              ["table", "Table"],
+              ["calendar", "Calendar"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setLayout(value)}
+                className={`rounded-md px-3 py-1.5 text-xs font-medium ${
+                  layout === value
+                    ? "bg-slate-800 text-white"
+                    : "text-slate-600 hover:bg-slate-100"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
           <div className="relative w-full sm:w-64">
             <input
               type="text"
@@ -102,6 +126,8 @@ function JathaRecordPage() {
               they will appear here.
             </p>
           </div>
+        ) : layout === "calendar" ? (
+          <JathaCalendar entries={filteredEntries} onView={setViewEntry} />
         ) : (
           <>
             {/* Mobile card view */}
@@ -116,6 +142,7 @@ function JathaRecordPage() {
                     <div className="min-w-0 flex-1">
                       <p className="font-medium text-slate-900">
                         {prospect.name || "-"}
+                        <JathaConflictBadge conflicts={jathaConflicts[log.$id]} />
                       </p>
                       <p className="mt-0.5 truncate text-xs text-slate-600">
                         {prospect.address || "-"}
@@ -196,6 +223,7 @@ function JathaRecordPage() {
                       >
                         <td className="px-4 py-3 font-medium text-slate-900">
                           {prospect.name || "-"}
+                          <JathaConflictBadge conflicts={jathaConflicts[log.$id]} />
                         </td>
                         <td className="px-4 py-3 text-slate-600">
                           {prospect.badgeId || "-"}
@@ -287,78 +315,11 @@ function JathaRecordPage() {
                 prospect={viewEntry.prospect}
                 doc={viewEntry.prospect.raw}
               />
-              <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
-                <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                  Jatha Details
-                </p>
-                <div className="grid gap-3 sm:grid-cols-2">
-                  <p>
-                    <span className="text-xs text-slate-500">Jatha Record: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.jathaRecord || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Attendance: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.attendance || "-"}
-                    </span>
-                  </p>
-                </div>
-                {parseJathaDetails(viewEntry.log.jathaDetails).length > 0 ? (
-                  <div className="overflow-x-auto">
-                    <table className="w-full min-w-[540px] border-collapse text-left text-xs">
-                      <thead>
-                        <tr className="border-b border-slate-200 bg-slate-50">
-                          <th className="px-2 py-2 font-semibold text-slate-700">
-                            Area Name
-                          </th>
-                          <th className="px-2 py-2 font-semibold text-slate-700">
-                            Department Name
-                          </th>
-                          <th className="px-2 py-2 font-semibold text-slate-700">
-                            Total Day
-                          </th>
-                          <th className="px-2 py-2 font-semibold text-slate-700">
-                            Date From
-                          </th>
-                          <th className="px-2 py-2 font-semibold text-slate-700">
-                            Date To
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {parseJathaDetails(viewEntry.log.jathaDetails).map(
-                          (row, i) => (
-                            <tr
-                              key={`${row.areaName || "jatha"}-${i}`}
-                              className="border-b border-slate-100"
-                            >
-                              <td className="px-2 py-2 text-slate-700">
-                                {row.areaName || "-"}
-                              </td>
-                              <td className="px-2 py-2 text-slate-700">
-                                {row.departmentName || "-"}
-                              </td>
-                              <td className="px-2 py-2 text-slate-700">
-                                {row.jathaTotalDay || "-"}
-                              </td>
-                              <td className="px-2 py-2 text-slate-700">
-                                {row.dateFrom || "-"}
-                              </td>
-                              <td className="px-2 py-2 text-slate-700">
-                                {row.dateTo || "-"}
-                              </td>
-                            </tr>
-                          ),
-                        )}
-                      </tbody>
-                    </table>
-                  </div>
-                ) : (
-                  <p className="text-sm text-slate-500">No jatha details added.</p>
-                )}
-              </div>
+              <CallFormView
+                schema={schema}
+                log={viewEntry.log}
+                sections={["transfer", "jatha"]}
+              />
             </div>
           </div>
         </div>
@@ -410,180 +371,15 @@ function JathaRecordPage() {
                 prospect={editEntry.prospect}
                 doc={editEntry.prospect.raw}
               />
-              <div className="grid gap-3 md:grid-cols-2">
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Select
-                  </label>
-                  <select
-                    value={editForm.select}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, select: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Call Back
-                  </label>
-                  <select
-                    value={editForm.callBack}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, callBack: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Not Interest
-                  </label>
-                  <select
-                    value={editForm.notInterest}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        notInterest: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Department of Sewa
-                  </label>
-                  <input
-                    type="text"
-                    value={editForm.departmentOfSewa}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        departmentOfSewa: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  />
-                </div>
-              </div>
-              <div className="grid gap-3 md:grid-cols-2">
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Nominal List Select
-                  </label>
-                  <select
-                    value={editForm.nominalListSelect}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        nominalListSelect: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Visit Select
-                  </label>
-                  <select
-                    value={editForm.visitSelect}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        visitSelect: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Free Sewa
-                  </label>
-                  <select
-                    value={editForm.freeSewa}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, freeSewa: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                    <option value="N/A">N/A</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Attendance
-                  </label>
-                  <select
-                    value={editForm.attendance}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, attendance: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Jatha Record
-                  </label>
-                  <select
-                    value={editForm.jathaRecord}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        jathaRecord: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-              </div>
-              <div>
-                <label className="mb-1 block text-xs font-medium text-slate-600">
-                  Need to Work
-                </label>
-                <textarea
-                  value={editForm.needToWork}
-                  onChange={(e) =>
-                    setEditForm((f) => ({ ...f, needToWork: e.target.value }))
-                  }
-                  rows={4}
-                  className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                />
-              </div>
+              <CallFormFields
+                schema={schema}
+                values={editForm}
+                onChange={(patch) => setEditForm((f) => ({ ...f, ...patch }))}
+                dispositions={dispositions}
+                errors={editErrors}
+                otherCallLogs={editOtherLogs}
+                prospectDoc={editEntry.prospect.raw}
+              />
               <div className="flex justify-end gap-2 pt-2">
                 <button
                   type="button"
@@ -605,6 +401,19 @@ function JathaRecordPage() {
         </div>
       )}
 
+      {editConflict && (
+        <CallLogConflictDialog
+          key={editConflict.current.$updatedAt}
+          schema={schema}
+          base={editConflict.base}
+          current={editConflict.current}
+          values={editConflict.values}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onCancel={dismissConflict}
+        />
+      )}
+
       {deleteEntry && (
         <div
           className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4"
@@ -620,11 +429,12 @@ function JathaRecordPage() {
               Delete calling form?
             </h2>
             <p className="mt-2 text-sm text-slate-600">
-              This will permanently remove the submitted calling form for{" "}
+              This will move the submitted calling form for{" "}
               <span className="font-semibold">
                 {deleteEntry.prospect.name || "-"}
-              </span>
-              . This action cannot be undone.
+              </span>{" "}
+              to the recycle bin. It can be restored from there for{" "}
+              {RECYCLE_BIN_RETENTION_DAYS} days.
             </p>
             <div className="mt-5 flex justify-end gap-2">
               <button
@@ -0,0 +1,477 @@
+import { useState, useEffect, useCallback } from "react";
+import { APPWRITE_CONFIG } from "../../services/appwriteClient";
+import {
+  EMPTY_JATHA_ENTRY,
+  ENROLLMENT_STATUS,
+  JATHA_FIELDS,
+  deleteJatha,
+  describeJathaFill,
+  enrollmentStatus,
+  jathaFill,
+  listEnrollmentsForJatha,
+  saveJatha,
+  waitlistPosition,
+} from "../../services/jathasService";
+import {
+  listAllCallLogs,
+  logsNeedingJathaLinks,
+  migrateJathaDetails,
+} from "../../services/callLogsService";
+import { docToDisplay, getProspect } from "../../services/prospectsService";
+import { inclusiveDayCount } from "../../services/dates";
+import { useJathas } from "../../hooks/useJathas";
+
+const FIELD_PLACEHOLDERS = {
+  capacity: "No limit",
+  genderQuotas: "e.g. Female=10, Male=15",
+  departmentQuotas: "e.g. Langar=5, Security=3",
+};
+
+function EnrolledSewadars({ jatha, onClose }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const enrollments = await listEnrollmentsForJatha(jatha.$id);
+        const docs = await Promise.all(
+          enrollments.map((e) => getProspect(e.prospectId)),
+        );
+        if (cancelled) return;
+        setRows(
+          enrollments.map((e, i) => ({
+            enrollment: e,
+            prospect: docs[i] ? docToDisplay(docs[i]) : null,
+          })),
+        );
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load sewadars.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jatha.$id]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="jatha-sewadars-title"
+      onClick={onClose}
+    >
+      <div
+        className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-4 py-4">
+          <div>
+            <h2 id="jatha-sewadars-title" className="text-lg font-semibold text-slate-900">
+              {jatha.areaName} – {jatha.departmentName}
+            </h2>
+            <p className="text-sm text-slate-500">
+              {jatha.dateFrom} to {jatha.dateTo}
+              {jatha.jathedar ? ` · Jathedar: ${jatha.jathedar}` : ""}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-sm font-medium text-slate-600 hover:text-slate-900"
+          >
+            Close
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4">
+          {error && (
+            <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+          {loading ? (
+            <p className="py-6 text-center text-sm text-slate-500">Loading sewadars…</p>
+          ) : rows.length === 0 ? (
+            <p className="py-6 text-center text-sm text-slate-500">
+              Nobody is enrolled in this jatha yet.
+            </p>
+          ) : (
+            <table className="w-full border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50">
+                  <th className="px-3 py-2 font-semibold text-slate-700">Name</th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">Badge ID</th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">Phone</th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">Enrolled by</th>
+                  <th className="px-3 py-2 font-semibold text-slate-700">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ enrollment, prospect }) => (
+                  <tr key={enrollment.$id} className="border-b border-slate-100">
+                    <td className="px-3 py-2 font-medium text-slate-900">
+                      {prospect?.name || enrollment.prospectName || "-"}
+                    </td>
+                    <td className="px-3 py-2 text-slate-600">{prospect?.badgeId || "-"}</td>
+                    <td className="px-3 py-2 text-slate-600">{prospect?.phoneNumber || "-"}</td>
+                    <td className="px-3 py-2 text-slate-600">
+                      {enrollment.enrolledBy || "-"}
+                    </td>
+                    <td className="px-3 py-2 text-slate-600">
+                      {ENROLLMENT_STATUS[enrollmentStatus(enrollment)]}
+                      {enrollmentStatus(enrollment) === "waitlisted" &&
+                        ` #${waitlistPosition(rows.map((r) => r.enrollment), enrollment)}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function JathasPage() {
+  const { jathas, enrollments, loading, reload } = useJathas();
+  const [searchQuery, setSearchQuery] = useState("");
+  const [showPast, setShowPast] = useState(false);
+  const [editEntry, setEditEntry] = useState(null); // jatha being added / edited | null
+  const [viewJatha, setViewJatha] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [unlinkedLogs, setUnlinkedLogs] = useState(null); // null while counting
+  const [migration, setMigration] = useState(null); // { done, total } while running
+
+  const configured = !!(
+    APPWRITE_CONFIG.databaseId &&
+    APPWRITE_CONFIG.jathasCollectionId &&
+    APPWRITE_CONFIG.jathaEnrollmentsCollectionId
+  );
+
+  const countUnlinkedLogs = useCallback(async () => {
+    setUnlinkedLogs(logsNeedingJathaLinks(await listAllCallLogs()));
+  }, []);
+
+  useEffect(() => {
+    countUnlinkedLogs();
+  }, [countUnlinkedLogs]);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const q = searchQuery.trim().toLowerCase();
+  const shown = jathas.filter(
+    (j) =>
+      (showPast || j.dateTo >= today) &&
+      (!q ||
+        [j.areaName, j.departmentName, j.jathedar].some((v) =>
+          String(v || "")
+            .toLowerCase()
+            .includes(q),
+        )),
+  );
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await saveJatha(editEntry);
+      setEditEntry(null);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to save jatha.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (jatha) => {
+    setSaving(true);
+    setError("");
+    setNotice("");
+    try {
+      await deleteJatha(jatha);
+      await reload();
+    } catch (err) {
+      setError(err.message || "Failed to delete jatha.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMigrate = async () => {
+    if (!unlinkedLogs?.length) return;
+    setError("");
+    setNotice("");
+    setMigration({ done: 0, total: unlinkedLogs.length });
+    try {
+      const { created, updated, failed } = await migrateJathaDetails(
+        unlinkedLogs,
+        setMigration,
+      );
+      setNotice(
+        `${created} jatha${created === 1 ? "" : "s"} created; ${updated} call log${updated === 1 ? "" : "s"} linked` +
+          (failed ? `; ${failed} failed (see console).` : "."),
+      );
+    } catch (err) {
+      setError(err.message || "Migration failed.");
+    } finally {
+      setMigration(null);
+      reload();
+      countUnlinkedLogs();
+    }
+  };
+
+  const th = "px-4 py-3 font-semibold text-slate-700";
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-xl font-semibold text-slate-900">Jathas</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Jathas callers enroll sewadars in from the calling form
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search area, department, jathedar…"
+            className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 sm:w-64"
+          />
+          {configured && (
+            <button
+              type="button"
+              onClick={() => setEditEntry({ ...EMPTY_JATHA_ENTRY })}
+              className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700"
+            >
+              Add jatha
+            </button>
+          )}
+        </div>
+      </header>
+
+      {error && !editEntry && (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">
+          {notice}
+        </div>
+      )}
+      {!configured && (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          The jathas collections are not configured, so callers type jatha
+          details by hand. Set VITE_APPWRITE_JATHAS_COLLECTION_ID and
+          VITE_APPWRITE_JATHA_ENROLLMENTS_COLLECTION_ID to manage jathas here.
+        </div>
+      )}
+
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <label className="mb-3 flex items-center gap-2 text-sm text-slate-600">
+          <input
+            type="checkbox"
+            checked={showPast}
+            onChange={(e) => setShowPast(e.target.checked)}
+          />
+          Show past jathas
+        </label>
+        {loading ? (
+          <p className="py-8 text-center text-sm text-slate-500">Loading jathas…</p>
+        ) : shown.length === 0 ? (
+          <p className="py-8 text-center text-sm text-slate-500">No jathas found.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[760px] border-collapse text-left text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 bg-slate-50">
+                  <th className={th}>Area</th>
+                  <th className={th}>Department</th>
+                  <th className={th}>Dates</th>
+                  <th className={th}>Jathedar</th>
+                  <th className={th}>Filled</th>
+                  <th className={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((j) => {
+                  const fill = jathaFill(j, enrollments);
+                  const enrolled = fill.booked + fill.waitlisted;
+                  return (
+                    <tr key={j.$id} className="border-b border-slate-100 hover:bg-slate-50/50">
+                      <td className="px-4 py-3 font-medium text-slate-900">{j.areaName}</td>
+                      <td className="px-4 py-3 text-slate-600">{j.departmentName}</td>
+                      <td className="px-4 py-3 text-slate-600">
+                        {j.dateFrom} to {j.dateTo}
+                        <p className="text-xs text-slate-500">
+                          {inclusiveDayCount(j.dateFrom, j.dateTo)} days
+                        </p>
+                      </td>
+                      <td className="px-4 py-3 text-slate-600">{j.jathedar || "-"}</td>
+                      <td className="px-4 py-3 text-slate-600">
+                        <span className={fill.full ? "font-medium text-red-600" : ""}>
+                          {describeJathaFill(fill)}
+                        </span>
+                        {fill.quotas.map((q) => (
+                          <p
+                            key={`${q.field}-${q.value}`}
+                            className={`text-xs ${q.full ? "text-red-600" : "text-slate-500"}`}
+                          >
+                            {q.value}: {q.booked} of {q.limit}
+                          </p>
+                        ))}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end gap-1.5">
+                          <button
+                            type="button"
+                            onClick={() => setViewJatha(j)}
+                            className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100"
+                          >
+                            Sewadars
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditEntry({ ...j, capacity: j.capacity ?? "" })}
+                            disabled={saving}
+                            className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 disabled:opacity-60"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(j)}
+                            disabled={saving || enrolled > 0}
+                            title={
+                              enrolled > 0
+                                ? "Sewadars are enrolled in this jatha"
+                                : undefined
+                            }
+                            className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {configured && (
+        <div className="rounded-lg bg-white p-4 shadow-sm">
+          <p className="text-sm font-semibold text-slate-900">Older call logs</p>
+          <p className="mt-1 text-sm text-slate-500">
+            Jatha details typed into calling forms become jathas: rows with the
+            same area, department and dates are grouped into one jatha (or
+            linked to a matching one above), and their sewadars are enrolled.
+          </p>
+          <div className="mt-3 flex items-center gap-3">
+            <button
+              type="button"
+              onClick={handleMigrate}
+              disabled={!unlinkedLogs?.length || !!migration}
+              className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-700 disabled:opacity-60"
+            >
+              {migration
+                ? `Migrating ${migration.done} of ${migration.total}…`
+                : "Create jathas from call logs"}
+            </button>
+            <span className="text-sm text-slate-500">
+              {unlinkedLogs === null
+                ? "Counting…"
+                : `${unlinkedLogs.length} log${unlinkedLogs.length === 1 ? "" : "s"} with unlinked jatha details`}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {editEntry && (
+        <div
+          className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="jatha-form-title"
+          onClick={() => setEditEntry(null)}
+        >
+          <form
+            onSubmit={handleSave}
+            className="flex max-h-[95vh] w-full max-w-lg flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="border-b border-slate-200 px-5 py-4">
+              <h2 id="jatha-form-title" className="text-lg font-semibold text-slate-900">
+                {editEntry.$id ? "Edit jatha" : "Add jatha"}
+              </h2>
+            </div>
+            <div className="grid flex-1 gap-3 overflow-y-auto px-5 py-4 sm:grid-cols-2">
+              {error && (
+                <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700 sm:col-span-2">
+                  {error}
+                </div>
+              )}
+              {JATHA_FIELDS.map(([key, label]) => (
+                <label key={key} className="block text-sm">
+                  <span className="mb-1 block font-medium text-slate-700">{label}</span>
+                  <input
+                    type={
+                      key.startsWith("date") ? "date" : key === "capacity" ? "number" : "text"
+                    }
+                    min={key === "capacity" ? 0 : undefined}
+                    value={editEntry[key] ?? ""}
+                    onChange={(e) =>
+                      setEditEntry((prev) => ({ ...prev, [key]: e.target.value }))
+                    }
+                    placeholder={FIELD_PLACEHOLDERS[key]}
+                    className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2 border-t border-slate-200 px-5 py-4">
+              <button
+                type="button"
+                onClick={() => {
+                  setEditEntry(null);
+                  setError("");
+                }}
+                className="rounded-lg px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-100"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-60"
+              >
+                {saving ? "Saving…" : "Save"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {viewJatha && (
+        <EnrolledSewadars jatha={viewJatha} onClose={() => setViewJatha(null)} />
+      )}
+    </div>
+  );
+}
+
+export default JathasPage;
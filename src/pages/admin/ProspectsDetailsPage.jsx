@@ -1,28 +1,58 @@
-import { useRef, useState, useEffect, useCallback } from "react";
+import { useRef, useState, useEffect, useCallback, useMemo } from "react";
 import * as XLSX from "xlsx";
 import {
   uploadProspectExcel,
-  listProspects,
   listAllProspects,
-  createProspect,
-  createProspectsBulk,
+  updateProspect,
+  importProspects,
   assignProspectsToUser,
   unassignProspects,
   deleteProspect,
   deleteProspectsBulk,
-  docToDisplay,
+  getProspect,
 } from "../../services/prospectsService";
 import { listUsers } from "../../services/usersService";
 import {
-  listCallLogs,
   listAllCallLogs,
   listCallLogsForProspect,
-  updateCallLog,
-  deleteCallLogsForProspect,
-  deleteCallLogsForProspects,
 } from "../../services/callLogsService";
-import { jsPDF } from "jspdf";
+import { Link } from "react-router-dom";
 import { ActionMenu } from "../../components/ActionMenu";
+import { CallHistoryTimeline } from "../../components/CallHistoryTimeline";
+import { CallFormFields } from "../../components/CallFormFields";
+import { CallFormView } from "../../components/CallFormView";
+import { CallLogConflictDialog } from "../../components/CallLogConflictDialog";
+import { AuditHistory } from "../../components/AuditHistory";
+import { AutoAssignDialog } from "../../components/AutoAssignDialog";
+import { AssignmentHistory } from "../../components/AssignmentHistory";
+import { ReassignDialog } from "../../components/ReassignDialog";
+import { useDispositions } from "../../hooks/useDispositions";
+import { useCallFormSchema } from "../../hooks/useCallFormSchema";
+import { useCallLogConflict } from "../../hooks/useCallLogConflict";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  callFormExportColumns,
+  callLogToForm,
+  emptyCallForm,
+  validateCallForm,
+} from "../../services/callFormSchema";
+import { downloadCallFormPdf } from "../../services/callFormPdf";
+import {
+  TablePagination,
+  SortableHeader,
+} from "../../components/TablePagination";
+import { useProspectsTable } from "../../hooks/useProspectsTable";
+import {
+  SCHEMA_FIELD_LABELS,
+  parseImportFile,
+} from "../../services/prospectImport";
+import { ProspectImportWizard } from "../../components/ProspectImportWizard";
+import { ProspectDetailsModal } from "../../components/ProspectDetailsModal";
+import { ProspectCorrectionsReview } from "../../components/ProspectCorrectionsReview";
+import { changesToPatch } from "../../services/prospectDetails";
+import { listCorrections } from "../../services/correctionsService";
+import { useAuth } from "../../services/AuthContext";
+import { RECYCLE_BIN_RETENTION_DAYS } from "../../services/softDelete";
 
 const SEARCH_BY_OPTIONS = [
   "Name of Sewadar/Sewadarni",
@@ -33,216 +63,6 @@ const SEARCH_BY_OPTIONS = [
   "Blood Group",
 ];
 
-// --- Excel → Appwrite schema mapping (do not change schema) ---
-const SCHEMA_FIELDS = [
-  "fullName",
-  "address",
-  "permanentAddress",
-  "mobile",
-  "bloodgroup",
-  "aadhar",
-  "dateOfBirth",
-  "age",
-  "guardian",
-  "badgeId",
-  "gender",
-  "badgeStatus",
-  "emergencyContact",
-  "DeptFinalisedName",
-  "maritalStatus",
-  "locality",
-  "assignedTo",
-  "NamdaanDOI",
-  "namdaanInitiated",
-  "NamdaanInitiationBy",
-  "NamdaanInitiationPlace",
-];
-
-const REQUIRED_IMPORT_FIELDS = ["fullName", "mobile"];
-
-/** Normalize for matching: lowercase, remove spaces and non-alphanumeric */
-function normalizeHeader(str) {
-  return String(str ?? "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "");
-}
-
-/**
- * Excel column names (and truncated variants) → schema field.
- * Keys are normalized (lowercase, no spaces/special chars).
- * Includes short forms so "Blood Grou", "Aadhaar C", "Date of Bir", "Batch Num", "Dept Finali", "Marita" etc. match.
- */
-const EXCEL_HEADER_TO_SCHEMA = {
-  name: "fullName",
-  nam: "fullName",
-  fullname: "fullName",
-  prospect: "fullName",
-  nameofsewadarsewadarni: "fullName",
-  address: "address",
-  residentialaddress: "address",
-  residentialaddr: "address",
-  location: "address",
-  addr: "address",
-  phone: "mobile",
-  mobile: "mobile",
-  phoneno: "mobile",
-  contact: "mobile",
-  bloodgroup: "bloodgroup",
-  bloodgrou: "bloodgroup",
-  blood: "bloodgroup",
-  bg: "bloodgroup",
-  aadhaarcard: "aadhar",
-  aadhaarc: "aadhar",
-  aadhar: "aadhar",
-  dateofbirth: "dateOfBirth",
-  dateofbir: "dateOfBirth",
-  dob: "dateOfBirth",
-  age: "age",
-  guardianname: "guardian",
-  guardian: "guardian",
-  fathersname: "guardian",
-  batchnumber: "badgeId",
-  batchnum: "badgeId",
-  batch: "badgeId",
-  badgeid: "badgeId",
-  badge: "badgeId",
-  gender: "gender",
-  badgestatus: "badgeStatus",
-  badgestat: "badgeStatus",
-  emergencycontact: "emergencyContact",
-  emergency: "emergencyContact",
-  emerg: "emergencyContact",
-  deptfinalisedname: "DeptFinalisedName",
-  deptfinali: "DeptFinalisedName",
-  department: "DeptFinalisedName",
-  maritalstatus: "maritalStatus",
-  marita: "maritalStatus",
-  marital: "maritalStatus",
-  rovillagetownlocalitydistrict: "locality",
-  locality: "locality",
-  village: "locality",
-  namdaandoi: "NamdaanDOI",
-  namdaaninitiated: "namdaanInitiated",
-  namdaaninitiationby: "NamdaanInitiationBy",
-  namdaaninitiationplace: "NamdaanInitiationPlace",
-  permanentaddress: "permanentAddress",
-  permaddr: "permanentAddress",
-  permanantaddress: "permanentAddress",
-  // assignedTo is never set from import; admin assigns later
-};
-
-/** Also match headers that contain these keywords (after normalization) to handle variants like "Namadan Date of Initialisation" */
-const KEYWORD_TO_SCHEMA = [
-  ["dateofinitialisation", "NamdaanDOI"],
-  ["dateofinitiation", "NamdaanDOI"],
-  ["namadan", "NamdaanDOI"],
-  ["namdaan", "NamdaanDOI"],
-  ["doi", "NamdaanDOI"],
-  ["initiationby", "NamdaanInitiationBy"],
-  ["initiationplace", "NamdaanInitiationPlace"],
-  ["initiated", "namdaanInitiated"],
-];
-
-function matchExcelHeaderToSchemaField(excelHeader) {
-  const normalized = normalizeHeader(excelHeader);
-  if (!normalized) return null;
-
-  // 1. Exact normalized match
-  if (EXCEL_HEADER_TO_SCHEMA[normalized])
-    return EXCEL_HEADER_TO_SCHEMA[normalized];
-
-  // 2. Prefix match: truncated header (e.g. "bloodgrou") is prefix of a known key, or key is prefix of header
-  if (normalized.length >= 2) {
-    for (const key of Object.keys(EXCEL_HEADER_TO_SCHEMA)) {
-      if (key.startsWith(normalized) || normalized.startsWith(key))
-        return EXCEL_HEADER_TO_SCHEMA[key];
-    }
-  }
-
-  // 3. Normalized schema field name equals header
-  for (const field of SCHEMA_FIELDS) {
-    if (normalizeHeader(field) === normalized) return field;
-  }
-
-  // 4. Header contains keyword from KEYWORD_TO_SCHEMA
-  for (const [keyword, schemaField] of KEYWORD_TO_SCHEMA) {
-    if (normalized.includes(keyword)) return schemaField;
-  }
-
-  // 5. Header contains normalized schema field name
-  for (const field of SCHEMA_FIELDS) {
-    const nf = normalizeHeader(field);
-    if (nf && normalized.includes(nf)) return field;
-  }
-
-  return null;
-}
-
-/** Build auto-mapping: array of length headers.length, each element is schemaField string or null (unmapped) */
-function buildAutoMapping(excelHeaders) {
-  return excelHeaders.map((h) => matchExcelHeaderToSchemaField(h));
-}
-
-/** Parse Excel to raw headers and rows (no schema applied yet) */
-function parseExcelFileRaw(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: "array" });
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const json = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-        if (!json.length) {
-          resolve({ headers: [], rows: [] });
-          return;
-        }
-        const headers = json[0].map((h) => String(h ?? "").trim());
-        const rows = json
-          .slice(1)
-          .filter((row) =>
-            row.some((cell) => cell != null && String(cell).trim()),
-          );
-        resolve({ headers, rows });
-      } catch (err) {
-        reject(err);
-      }
-    };
-    reader.onerror = () => reject(reader.error);
-    reader.readAsArrayBuffer(file);
-  });
-}
-
-/** Build prospect objects from raw rows using columnIndex → schemaField mapping. Unmapped columns are skipped. */
-function buildProspectsFromMapping(rows, columnMapping) {
-  return rows.map((row) => {
-    const prospect = {};
-    columnMapping.forEach((schemaField, colIndex) => {
-      if (!schemaField || schemaField === "__skip__") return;
-      const raw = row[colIndex];
-      const value = raw == null || raw === "" ? "" : String(raw).trim();
-      prospect[schemaField] = value;
-    });
-    return prospect;
-  });
-}
-
-function getImportSignature(prospects) {
-  const rows = prospects
-    .map((p) =>
-      [
-        p.fullName ?? p.name,
-        p.address,
-        p.mobile,
-        p.badgeId,
-        p.assignedTo,
-        p.bloodgroup,
-      ].join("|"),
-    )
-    .sort();
-  return rows.join("\n");
-}
-
 /** Full DB export: all prospect fields (no Appwrite system fields) */
 const FULL_EXPORT_COLUMNS = [
   "fullName",
@@ -268,50 +88,6 @@ const FULL_EXPORT_COLUMNS = [
   "NamdaanInitiationPlace",
 ];
 
-const FULL_EXPORT_HEADERS = {
-  fullName: "Name of Sewadar/Sewadarni",
-  address: "Residential Address",
-  permanentAddress: "Permanent Address",
-  mobile: "Phone Number",
-  bloodgroup: "Blood Group",
-  aadhar: "Aadhar Number",
-  dateOfBirth: "Date of Birth",
-  age: "Age",
-  guardian: "Father's/Husband's Name",
-  badgeId: "Badge ID",
-  gender: "Gender",
-  badgeStatus: "Badge Status",
-  emergencyContact: "Emergency Contact Number",
-  DeptFinalisedName: "Department Finalised Name",
-  maritalStatus: "Marital Status",
-  locality: "R/O Village/Town/Locality/District",
-  assignedTo: "Assigned To",
-  NamdaanDOI: "Date of Initiation (DOI)",
-  namdaanInitiated: "Initiated",
-  NamdaanInitiationBy: "Initiation By",
-  NamdaanInitiationPlace: "Initiation Place",
-};
-
-/** Call form fields only (no Appwrite IDs, timestamps, or internal keys). */
-const CALL_LOG_HUMAN_FIELDS = [
-  ["prospectName", "Prospect name"],
-  ["submittedBy", "Submitted by"],
-  ["select", "Calling status"],
-  ["callBack", "Call back"],
-  ["notInterest", "Not interested"],
-  ["needToWork", "Need to work"],
-  ["departmentOfSewa", "Department of sewa"],
-  ["notes1", "Notes 1"],
-  ["notes2", "Notes 2"],
-  ["notes3", "Notes 3"],
-  ["nominalListSelect", "Nominal list"],
-  ["visitSelect", "Visit"],
-  ["freeSewa", "Free sewa"],
-  ["attendance", "Attendance"],
-  ["jathaRecord", "Jatha record"],
-  ["jathaDetails", "Jatha details"],
-];
-
 function excelCellValue(value) {
   if (value === undefined || value === null) return "";
   if (value instanceof Date) return value.toISOString();
@@ -333,37 +109,6 @@ function prospectHumanCell(doc, key) {
   return excelCellValue(doc[key]);
 }
 
-function formatJathaDetailsHuman(raw) {
-  let parsed = raw;
-  if (typeof raw === "string" && raw.trim()) {
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      return excelCellValue(raw);
-    }
-  }
-  if (!Array.isArray(parsed) || !parsed.length) {
-    return typeof raw === "string" ? raw : excelCellValue(raw);
-  }
-  return parsed
-    .map((row, i) => {
-      const parts = Object.entries(row || {})
-        .filter(([, v]) => v != null && String(v).trim() !== "")
-        .map(([k, v]) => `${k}: ${v}`);
-      return parts.length ? `Entry ${i + 1}: ${parts.join("; ")}` : "";
-    })
-    .filter(Boolean)
-    .join(" | ");
-}
-
-function callLogHumanCell(log, key) {
-  const raw = log[key];
-  if (key === "jathaDetails") {
-    return formatJathaDetailsHuman(raw);
-  }
-  return excelCellValue(raw);
-}
-
 /** Most recently created call log per prospect (by Appwrite $createdAt). */
 function mapLatestLogByProspectId(callLogDocs) {
   const latest = new Map();
@@ -386,30 +131,30 @@ function mapLatestLogByProspectId(callLogDocs) {
  * Admin export: human-readable columns only — prospect profile + latest call form,
  * and a second sheet of all submitted forms (no Appwrite metadata).
  */
-function exportAdminUnifiedWorkbook(prospectDocs, callLogDocs) {
+function exportAdminUnifiedWorkbook(prospectDocs, callLogDocs, schema) {
   const latestByProspect = mapLatestLogByProspectId(callLogDocs);
 
   const prospectHeaders = FULL_EXPORT_COLUMNS.map(
-    (key) => FULL_EXPORT_HEADERS[key] || key,
+    (key) => SCHEMA_FIELD_LABELS[key] || key,
   );
-  const formKeys = CALL_LOG_HUMAN_FIELDS.map(([k]) => k);
+  const formColumns = callFormExportColumns(schema);
   const combinedHeaders = [
     ...prospectHeaders,
-    ...CALL_LOG_HUMAN_FIELDS.map(([, label]) => `Calling form: ${label}`),
+    ...formColumns.map(([label]) => `Calling form: ${label}`),
   ];
 
   const combinedRows = prospectDocs.map((doc) => {
     const latest = latestByProspect.get(String(doc.$id || "").trim());
     const prospectCells = FULL_EXPORT_COLUMNS.map((k) => prospectHumanCell(doc, k));
-    const formCells = formKeys.map((k) =>
-      latest ? callLogHumanCell(latest, k) : "",
+    const formCells = formColumns.map(([, value]) =>
+      latest ? value(latest) : "",
     );
     return [...prospectCells, ...formCells];
   });
 
-  const logHeaders = CALL_LOG_HUMAN_FIELDS.map(([, label]) => label);
+  const logHeaders = formColumns.map(([label]) => label);
   const logRows = callLogDocs.map((log) =>
-    formKeys.map((k) => callLogHumanCell(log, k)),
+    formColumns.map(([, value]) => value(log)),
   );
 
   const wb = XLSX.utils.book_new();
@@ -421,19 +166,6 @@ function exportAdminUnifiedWorkbook(prospectDocs, callLogDocs) {
   XLSX.writeFile(wb, `callbridge_full_export_${stamp}.xlsx`);
 }
 
-function calculateAgeFromDob(dateStr) {
-  if (!dateStr) return "";
-  const dob = new Date(dateStr);
-  if (Number.isNaN(dob.getTime())) return "";
-  const today = new Date();
-  let age = today.getFullYear() - dob.getFullYear();
-  const m = today.getMonth() - dob.getMonth();
-  if (m < 0 || (m === 0 && today.getDate() < dob.getDate())) {
-    age--;
-  }
-  return age >= 0 ? String(age) : "";
-}
-
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
   if (!raw || raw === "-") return "";
@@ -444,83 +176,64 @@ function toTelHref(phone) {
   return cleaned ? `tel:${cleaned}` : "";
 }
 
-const INITIAL_ADD_FORM = {
-  name: "",
-  fathersName: "",
-  mobileNumber: "",
-  age: "",
-  departmentName: "",
-  badgeStatus: "N/A",
-  badgeId: "",
-  gender: "Male",
-  aadharNumber: "",
-  dateOfBirth: "",
-  emergencyContact: "",
-  bloodgroup: "",
-  locality: "",
-  fullAddress: "",
-  permanentAddress: "",
-  maritalStatus: "N/A",
-  initiated: false,
-  dateOfInitiation: "",
-  initiationBy: "",
-  initiationPlace: "",
-};
-
 function ProspectsDetailsPage() {
-  const [prospects, setProspects] = useState([]);
-  const [searchBy, setSearchBy] = useState("Name of Sewadar/Sewadarni");
-  const [searchQuery, setSearchQuery] = useState("");
+  const { user } = useAuth();
+  const { dispositions } = useDispositions();
+  const { schema } = useCallFormSchema();
   const [importing, setImporting] = useState(false);
   const [exporting, setExporting] = useState(false);
-  const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [importedSignatures, setImportedSignatures] = useState(new Set());
-  const [addModalOpen, setAddModalOpen] = useState(false);
-  const [addForm, setAddForm] = useState(INITIAL_ADD_FORM);
-  const [addSubmitting, setAddSubmitting] = useState(false);
+  const [importDraft, setImportDraft] = useState(null); // { fileName, sheets, existing } | null
+  const [importSummary, setImportSummary] = useState(null); // { created, updated, skipped, failed } | null
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [assignToUser, setAssignToUser] = useState("");
   const [assigning, setAssigning] = useState(false);
+  const [autoAssignOpen, setAutoAssignOpen] = useState(false);
+  const [reassignDocs, setReassignDocs] = useState(null); // prospect docs | null
   const [deleting, setDeleting] = useState(false);
   const [users, setUsers] = useState([]);
   const [activeTab, setActiveTab] = useState("all");
   const [assignedFilterUser, setAssignedFilterUser] = useState("");
   const [deleteConfirm, setDeleteConfirm] = useState(null); // { type: 'single', id } | { type: 'bulk', count } | null
   const fileInputRef = useRef(null);
-  const [viewCallLog, setViewCallLog] = useState(null); // { prospect, log } | null
+  const [viewCallLog, setViewCallLog] = useState(null); // { prospect, logs, log, showHistory } | null
+  const [historyProspect, setHistoryProspect] = useState(null);
   const [prospectsWithCallLog, setProspectsWithCallLog] = useState(new Set());
-  const [editCallLog, setEditCallLog] = useState(null); // { prospect, log } | null
-  const [callForm, setCallForm] = useState({
-    select: "",
-    callBack: "",
-    notInterest: "",
-    departmentOfSewa: "",
-    needToWork: "",
-    notes1: "",
-    notes2: "",
-    notes3: "",
-    nominalListSelect: "",
-    visitSelect: "",
-    freeSewa: "N/A",
-    attendance: "",
-    jathaRecord: "",
-    jathaDetails: [],
-  });
+  const [editCallLog, setEditCallLog] = useState(null); // { prospect, log, logs } | null
+  const [callForm, setCallForm] = useState(() =>
+    emptyCallForm(BUILTIN_CALL_FORM_FIELDS),
+  );
+  const [callFormErrors, setCallFormErrors] = useState({});
   const [callFormSubmitting, setCallFormSubmitting] = useState(false);
-
-  const loadProspects = useCallback(async () => {
-    setLoading(true);
-    try {
-      const res = await listProspects();
-      const display = (res.documents || []).map(docToDisplay);
-      setProspects(display);
-    } catch (err) {
-      setError(err.message || "Failed to load prospects.");
-    } finally {
-      setLoading(false);
-    }
-  }, []);
+  const callLogSave = useCallLogConflict(schema);
+  const [editDetailsDoc, setEditDetailsDoc] = useState(null);
+  const [detailsSaving, setDetailsSaving] = useState(false);
+  const [detailsError, setDetailsError] = useState("");
+  const [correctionsOpen, setCorrectionsOpen] = useState(false);
+  const [pendingCorrections, setPendingCorrections] = useState(0);
+
+  const {
+    documents: prospectDocuments,
+    prospects: filteredProspects,
+    total,
+    loading,
+    error: tableError,
+    searchBy,
+    setSearchBy,
+    searchQuery,
+    setSearchQuery,
+    page,
+    setPage,
+    pageSize,
+    setPageSize,
+    sortBy,
+    sortDir,
+    toggleSort,
+    reload: loadProspects,
+  } = useProspectsTable({
+    assignedOnly: activeTab === "assigned",
+    assignedTo: activeTab === "assigned" ? assignedFilterUser : "",
+  });
 
   const loadUsers = useCallback(async () => {
     try {
@@ -533,8 +246,7 @@ function ProspectsDetailsPage() {
 
   const loadCallLogSummary = useCallback(async () => {
     try {
-      const res = await listCallLogs();
-      const docs = res.documents || [];
+      const docs = await listAllCallLogs();
       const withLog = new Set();
       docs.forEach((d) => {
         if (d.prospectId) {
@@ -547,49 +259,32 @@ function ProspectsDetailsPage() {
     }
   }, []);
 
+  const loadPendingCorrections = useCallback(async () => {
+    const res = await listCorrections();
+    setPendingCorrections((res.documents || []).length);
+  }, []);
+
   useEffect(() => {
-    loadProspects();
     loadUsers();
     loadCallLogSummary();
-  }, [loadProspects, loadUsers, loadCallLogSummary]);
-
-  const updateAddForm = (field) => (e) =>
-    setAddForm((f) => ({ ...f, [field]: e.target.value }));
-  const updateAddFormRadio = (field) => (e) =>
-    setAddForm((f) => ({ ...f, [field]: e.target.value }));
+    loadPendingCorrections();
+  }, [loadUsers, loadCallLogSummary, loadPendingCorrections]);
 
-  const baseFiltered = prospects.filter((p) => {
-    const q = searchQuery.trim().toLowerCase();
-    if (!q) return true;
-    const field = {
-      "Name of Sewadar/Sewadarni": p.name,
-      Address: p.address,
-      "Phone Number": p.phoneNumber,
-      "Badge ID": p.badgeId,
-      "Assigned To": p.assignedTo,
-      "Blood Group": p.bloodGroup,
-    }[searchBy];
-    return String(field || "")
-      .toLowerCase()
-      .includes(q);
-  });
+  const prospectDocsById = useMemo(() => {
+    const byId = {};
+    prospectDocuments.forEach((d) => {
+      byId[d.$id] = d;
+    });
+    return byId;
+  }, [prospectDocuments]);
 
-  const filteredProspects =
-    activeTab === "assigned"
-      ? baseFiltered.filter(
-          (p) =>
-            p.assignedTo &&
-            p.assignedTo !== "Unassigned" &&
-            (!assignedFilterUser || p.assignedTo === assignedFilterUser),
-        )
-      : baseFiltered;
+  // A new search or order shows other rows; don't act on hidden ones
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [searchBy, searchQuery, sortBy, sortDir]);
 
-  const assignedUsers = [
-    ...new Set(
-      prospects.map((p) => p.assignedTo).filter((e) => e && e !== "Unassigned"),
-    ),
-  ];
   const assignableUsers = users.map((u) => u.email).filter(Boolean);
+  const assignedUsers = assignableUsers;
 
   const toggleSelect = (id) => {
     setSelectedIds((prev) => {
@@ -617,13 +312,35 @@ function ProspectsDetailsPage() {
       setError('Please select a user or choose "Unassign".');
       return;
     }
+    const unassign = assignToUser === "__UNASSIGN__";
     setAssigning(true);
     setError("");
     try {
-      if (assignToUser === "__UNASSIGN__") {
-        await unassignProspects([...selectedIds]);
+      // Selected rows from other pages aren't loaded; their current caller
+      // decides whether the reassign dialog is needed
+      const docs = (
+        await Promise.all(
+          [...selectedIds].map((id) => prospectDocsById[id] || getProspect(id)),
+        )
+      ).filter(Boolean);
+      if (docs.length < selectedIds.size) {
+        throw new Error(
+          "Some selected prospects couldn't be loaded; they may have been deleted. Reload and try again.",
+        );
+      }
+      const moving = docs.some((doc) => {
+        const from = String(doc.assignedTo || "").trim();
+        return from && from !== (unassign ? "" : assignToUser);
+      });
+      if (moving) {
+        setReassignDocs(docs);
+        return;
+      }
+      const ids = docs.map((doc) => doc.$id);
+      if (unassign) {
+        await unassignProspects(ids);
       } else {
-        await assignProspectsToUser([...selectedIds], assignToUser);
+        await assignProspectsToUser(ids, assignToUser);
       }
       setSelectedIds(new Set());
       setAssignToUser("");
@@ -650,14 +367,11 @@ function ProspectsDetailsPage() {
     setError("");
     try {
       if (deleteConfirm.type === "single") {
-        // remove prospect itself first, then clean up any call logs
+        // the prospect's call logs go to the recycle bin with it
         await deleteProspect(deleteConfirm.id);
-        await deleteCallLogsForProspect(deleteConfirm.id);
       } else {
         const ids = [...selectedIds];
         await deleteProspectsBulk(ids);
-        // make sure associated logs vanish as well
-        await deleteCallLogsForProspects(ids);
         setSelectedIds(new Set());
       }
       await loadProspects();
@@ -677,12 +391,35 @@ function ProspectsDetailsPage() {
         setError("No submitted calling form found for this prospect.");
         return;
       }
-      setViewCallLog({ prospect, log: docs[0] });
+      setViewCallLog({ prospect, logs: docs, log: docs[0] });
     } catch (err) {
       setError(err.message || "Failed to load calling form.");
     }
   };
 
+  // `logs`: all of the prospect's call logs, for jatha conflict warnings
+  const startEditCallLog = (prospect, log, logs = []) => {
+    setEditCallLog({ prospect, log, logs });
+    setCallForm(callLogToForm(log, schema));
+    setCallFormErrors({});
+    callLogSave.start(log);
+  };
+
+  /** Save the answers chosen in the conflict dialog over the newer version */
+  const handleResolveCallLogConflict = async (values) => {
+    setCallForm(values);
+    setCallFormSubmitting(true);
+    setError("");
+    try {
+      if (await callLogSave.resolve(values)) setEditCallLog(null);
+    } catch (err) {
+      setError(err.message || "Failed to update calling form.");
+    } finally {
+      setCallFormSubmitting(false);
+    }
+  };
+
+  // Edit opens the most recent attempt; older ones are reached from the timeline
   const openEditCallLogForProspect = async (prospect) => {
     try {
       const res = await listCallLogsForProspect(prospect.id);
@@ -691,86 +428,76 @@ function ProspectsDetailsPage() {
         setError("No submitted calling form found for this prospect.");
         return;
       }
-      const log = docs[0];
-      let jatha = [];
-      try {
-        jatha =
-          typeof log.jathaDetails === "string"
-            ? JSON.parse(log.jathaDetails || "[]")
-            : log.jathaDetails || [];
-      } catch {
-        jatha = [];
-      }
-      setEditCallLog({ prospect, log });
-      setCallForm({
-        select: log.select || "",
-        callBack: log.callBack || "",
-        notInterest: log.notInterest || "",
-        departmentOfSewa: log.departmentOfSewa || "",
-        needToWork: log.needToWork || "",
-        notes1: log.notes1 || "",
-        notes2: log.notes2 || "",
-        notes3: log.notes3 || "",
-        nominalListSelect: log.nominalListSelect || "",
-        visitSelect: log.visitSelect || "",
-        freeSewa: log.freeSewa || "N/A",
-        attendance: log.attendance || "",
-        jathaRecord: log.jathaRecord || "",
-        jathaDetails: Array.isArray(jatha) ? jatha : [],
-      });
+      startEditCallLog(prospect, docs[0], docs);
     } catch (err) {
       setError(err.message || "Failed to load calling form for edit.");
     }
   };
 
+  const openEditDetails = (prospect) => {
+    const doc = prospectDocsById[prospect.id];
+    if (!doc) return;
+    setDetailsError("");
+    setEditDetailsDoc(doc);
+  };
+
+  const handleSaveDetails = async ({ changes }) => {
+    if (!editDetailsDoc) return;
+    setDetailsSaving(true);
+    setDetailsError("");
+    try {
+      await updateProspect(editDetailsDoc.$id, changesToPatch(changes));
+      setEditDetailsDoc(null);
+      await loadProspects();
+    } catch (err) {
+      setDetailsError(err.message || "Failed to save prospect details.");
+    } finally {
+      setDetailsSaving(false);
+    }
+  };
+
   const handleImportExcel = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    setImporting(true);
     setError("");
     try {
-      const { headers, rows } = await parseExcelFileRaw(file);
-      if (!headers.length || !rows.length) {
-        setError("Excel file has no headers or data rows.");
-        e.target.value = "";
-        return;
-      }
-      const columnMapping = buildAutoMapping(headers);
-      const mappedFields = new Set(columnMapping.filter(Boolean));
-      const missingRequired = REQUIRED_IMPORT_FIELDS.filter(
-        (r) => !mappedFields.has(r),
-      );
-      if (missingRequired.length) {
-        setError(
-          `Required columns not found: ${missingRequired.join(
-            ", ",
-          )}. Please add columns named "Name of Sewadar/Sewadarni" (prospect name) and "Phone" (or "Mobile") in your Excel.`,
-        );
-        e.target.value = "";
+      const { sheets } = await parseImportFile(file);
+      if (!sheets.some((s) => s.headers.some(Boolean) && s.rows.length)) {
+        setError("File has no headers or data rows.");
         return;
       }
-      const prospects = buildProspectsFromMapping(rows, columnMapping).map(
-        (p) => ({
-          ...p,
-          assignedTo: "", // leave unassigned; admin will assign later
-        }),
+      // Sheet choice, column mapping, preview and duplicate handling happen in the import wizard
+      setImportSummary(null);
+      setImportDraft({ fileName: file.name, sheets, existing: null });
+      const existing = await listAllProspects();
+      setImportDraft((d) => (d ? { ...d, existing } : d));
+    } catch (err) {
+      setError(err.message || "Failed to read import file.");
+    } finally {
+      e.target.value = "";
+    }
+  };
+
+  const handleConfirmImport = async (plan) => {
+    setImporting(true);
+    setError("");
+    try {
+      const summary = await importProspects(
+        plan.map((row) => ({
+          ...row,
+          prospect: {
+            ...row.prospect,
+            assignedTo: "", // leave unassigned; admin will assign later
+          },
+        })),
       );
-      const signature = getImportSignature(prospects);
-      if (importedSignatures.has(signature)) {
-        setError(
-          "This Excel file has already been imported. No duplicate data added.",
-        );
-        e.target.value = "";
-        return;
-      }
-      await createProspectsBulk(prospects);
-      setImportedSignatures((prev) => new Set(prev).add(signature));
+      setImportDraft(null);
+      setImportSummary(summary);
       await loadProspects();
     } catch (err) {
       setError(err.message || "Failed to import prospects.");
     } finally {
       setImporting(false);
-      e.target.value = "";
     }
   };
 
@@ -784,7 +511,7 @@ function ProspectsDetailsPage() {
         return;
       }
       const callLogDocs = await listAllCallLogs();
-      exportAdminUnifiedWorkbook(prospectDocs, callLogDocs);
+      exportAdminUnifiedWorkbook(prospectDocs, callLogDocs, schema);
     } catch (err) {
       setError(err.message || "Failed to export prospects.");
     } finally {
@@ -792,32 +519,6 @@ function ProspectsDetailsPage() {
     }
   };
 
-  const handleSubmitProspect = async (e) => {
-    e.preventDefault();
-    if (!addForm.name.trim() || !addForm.mobileNumber.trim()) {
-      setError("Name and Mobile Number are required.");
-      return;
-    }
-    setAddSubmitting(true);
-    setError("");
-    const prospect = { ...addForm };
-    try {
-      await createProspect(prospect);
-      setAddForm(INITIAL_ADD_FORM);
-      setAddModalOpen(false);
-      await loadProspects();
-    } catch (err) {
-      setError(err.message || "Failed to add prospect.");
-    } finally {
-      setAddSubmitting(false);
-    }
-  };
-
-  const closeAddModal = () => {
-    setAddModalOpen(false);
-    setAddForm(INITIAL_ADD_FORM);
-  };
-
   return (
     <div className="flex flex-col space-y-3 px-2 py-3 sm:space-y-5 sm:px-0 sm:py-0">
       <header>
@@ -865,9 +566,8 @@ function ProspectsDetailsPage() {
             </div>
           </div>
           <div className="flex flex-wrap gap-2 sm:flex-nowrap">
-            <button
-              type="button"
-              onClick={() => setAddModalOpen(true)}
+            <Link
+              to="/admin/add-prospects"
               className="inline-flex flex-1 items-center justify-center gap-1.5 rounded-lg bg-slate-800 px-3 py-2 text-xs font-medium text-white transition hover:bg-slate-900 sm:flex-initial sm:px-4 sm:text-sm"
             >
               <svg
@@ -884,11 +584,11 @@ function ProspectsDetailsPage() {
                 />
               </svg>
               Add Prospect
-            </button>
+            </Link>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".xlsx,.xls,.csv"
+              accept=".xlsx,.xls,.csv,.tsv,.txt"
               onChange={handleImportExcel}
               className="hidden"
             />
@@ -911,7 +611,32 @@ function ProspectsDetailsPage() {
                   d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
                 />
               </svg>
-              {importing ? "Importing…" : "Import Excel"}
+              {importing ? "Importing…" : "Import Excel / CSV"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setAutoAssignOpen(true)}
+              disabled={assignableUsers.length === 0}
+              className="inline-flex flex-1 items-center justify-center gap-1.5 rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 disabled:opacity-60 sm:flex-initial sm:px-4 sm:text-sm"
+              title={
+                selectedIds.size
+                  ? "Spread the selected unassigned prospects across callers"
+                  : "Spread all unassigned prospects across callers"
+              }
+            >
+              Auto-assign
+            </button>
+            <button
+              type="button"
+              onClick={() => setCorrectionsOpen(true)}
+              className="inline-flex flex-1 items-center justify-center gap-1.5 rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-medium text-slate-700 shadow-sm transition hover:bg-slate-50 sm:flex-initial sm:px-4 sm:text-sm"
+            >
+              Corrections
+              {pendingCorrections > 0 && (
+                <span className="rounded-full bg-amber-500 px-1.5 text-[11px] font-semibold text-white">
+                  {pendingCorrections}
+                </span>
+              )}
             </button>
             <button
               type="button"
@@ -937,9 +662,30 @@ function ProspectsDetailsPage() {
           </div>
         </div>
 
-        {error && (
+        {(error || tableError) && (
           <div className="mt-3 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
-            {error}
+            {error || tableError}
+          </div>
+        )}
+        {importSummary && (
+          <div className="mt-3 flex items-start justify-between gap-3 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+            <p>
+              Import finished: {importSummary.created} created,{" "}
+              {importSummary.updated} updated, {importSummary.skipped} skipped
+              {importSummary.failed > 0 && (
+                <span className="text-red-700">
+                  , {importSummary.failed} failed
+                </span>
+              )}
+              .
+            </p>
+            <button
+              type="button"
+              onClick={() => setImportSummary(null)}
+              className="text-xs font-medium text-emerald-700 hover:text-emerald-900"
+            >
+              Dismiss
+            </button>
           </div>
         )}
 
@@ -951,26 +697,17 @@ function ProspectsDetailsPage() {
             const handleSubmitEditCall = async (e) => {
               e.preventDefault();
               if (!editCallLog?.log?.$id) return;
-              setCallFormSubmitting(true);
               setError("");
+              const errors = validateCallForm(callForm, schema);
+              setCallFormErrors(errors);
+              if (Object.keys(errors).length) {
+                setError("Please fix the highlighted fields.");
+                return;
+              }
+              setCallFormSubmitting(true);
               try {
-                await updateCallLog(editCallLog.log.$id, {
-                  select: callForm.select,
-                  callBack: callForm.callBack,
-                  notInterest: callForm.notInterest,
-                  departmentOfSewa: callForm.departmentOfSewa,
-                  needToWork: callForm.needToWork,
-                  notes1: callForm.notes1,
-                  notes2: callForm.notes2,
-                  notes3: callForm.notes3,
-                  nominalListSelect: callForm.nominalListSelect,
-                  visitSelect: callForm.visitSelect,
-                  freeSewa: callForm.freeSewa,
-                  attendance: callForm.attendance,
-                  jathaRecord: callForm.jathaRecord,
-                  jathaDetails: callForm.jathaDetails,
-                });
-                setEditCallLog(null);
+                // Stays open when someone else saved first (conflict dialog)
+                if (await callLogSave.save(callForm)) setEditCallLog(null);
               } catch (err) {
                 setError(err.message || "Failed to update calling form.");
               } finally {
@@ -978,38 +715,6 @@ function ProspectsDetailsPage() {
               }
             };
 
-            const addJatha = () => {
-              setCallForm((f) => ({
-                ...f,
-                jathaDetails: [
-                  ...f.jathaDetails,
-                  {
-                    areaName: "",
-                    departmentName: "",
-                    jathaTotalDay: "",
-                    dateFrom: "",
-                    dateTo: "",
-                  },
-                ],
-              }));
-            };
-
-            const updateJatha = (index, field, value) => {
-              setCallForm((f) => ({
-                ...f,
-                jathaDetails: f.jathaDetails.map((j, i) =>
-                  i === index ? { ...j, [field]: value } : j,
-                ),
-              }));
-            };
-
-            const removeJatha = (index) => {
-              setCallForm((f) => ({
-                ...f,
-                jathaDetails: f.jathaDetails.filter((_, i) => i !== index),
-              }));
-            };
-
             return (
               <div
                 className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
@@ -1029,9 +734,16 @@ function ProspectsDetailsPage() {
                     >
                       ← Back
                     </button>
-                    <h2 className="text-lg font-semibold text-slate-900">
-                      Edit Calling Form – {prospect.name}
-                    </h2>
+                    <div className="text-center">
+                      <h2 className="text-lg font-semibold text-slate-900">
+                        Edit Calling Form – {prospect.name}
+                      </h2>
+                      <p className="text-xs text-slate-500">
+                        Call on{" "}
+                        {new Date(editCallLog.log.$createdAt).toLocaleString()}{" "}
+                        by {editCallLog.log.submittedBy || "-"}
+                      </p>
+                    </div>
                     <span className="w-14" />
                   </div>
 
@@ -1122,333 +834,27 @@ function ProspectsDetailsPage() {
                       </div>
                     </div>
 
-                    <div className="grid gap-4 md:grid-cols-2">
-                      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-4">
-                        <p className="text-xs font-semibold uppercase tracking-wide text-red-600">
-                          Calling Data
-                        </p>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Select
-                          </label>
-                          <select
-                            value={callForm.select}
-                            onChange={(e) =>
-                              setCallForm((f) => ({
-                                ...f,
-                                select: e.target.value,
-                              }))
-                            }
-                            className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                          >
-                            <option value="">Select</option>
-                            <option value="Yes">Yes</option>
-                            <option value="No">No</option>
-                          </select>
-                        </div>
-                        <div className="grid grid-cols-2 gap-3">
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Call Back
-                            </label>
-                            <select
-                              value={callForm.callBack}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  callBack: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Not Interest
-                            </label>
-                            <select
-                              value={callForm.notInterest}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  notInterest: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Department of Sewa
-                          </label>
-                          <input
-                            type="text"
-                            value={callForm.departmentOfSewa}
-                            onChange={(e) =>
-                              setCallForm((f) => ({
-                                ...f,
-                                departmentOfSewa: e.target.value,
-                              }))
-                            }
-                            className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                          />
-                        </div>
-                      </div>
-
-                      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-4">
-                        <p className="text-xs font-semibold uppercase tracking-wide text-red-600">
-                          Transfer Data
-                        </p>
-                        <div className="grid grid-cols-2 gap-3">
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Nominal List Select
-                            </label>
-                            <select
-                              value={callForm.nominalListSelect}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  nominalListSelect: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Visit Select
-                            </label>
-                            <select
-                              value={callForm.visitSelect}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  visitSelect: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Free Sewa
-                            </label>
-                            <select
-                              value={callForm.freeSewa}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  freeSewa: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                              <option value="N/A">N/A</option>
-                            </select>
-                          </div>
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Attendance
-                            </label>
-                            <select
-                              value={callForm.attendance}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  attendance: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                          <div>
-                            <label className="mb-1 block text-xs font-medium text-slate-600">
-                              Jatha Record
-                            </label>
-                            <select
-                              value={callForm.jathaRecord}
-                              onChange={(e) =>
-                                setCallForm((f) => ({
-                                  ...f,
-                                  jathaRecord: e.target.value,
-                                }))
-                              }
-                              className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                            >
-                              <option value="">Select</option>
-                              <option value="Yes">Yes</option>
-                              <option value="No">No</option>
-                            </select>
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-
-                    <div className="mt-4 space-y-3 rounded-lg border border-slate-200 bg-white p-4">
-                      <label className="mb-1 block text-xs font-semibold uppercase tracking-wide text-red-600">
-                        Need to Work
-                      </label>
-                      <textarea
-                        value={callForm.needToWork}
-                        onChange={(e) =>
-                          setCallForm((f) => ({
-                            ...f,
-                            needToWork: e.target.value,
-                          }))
-                        }
-                        rows={4}
-                        className="w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
-                      />
-                    </div>
+                    <CallFormFields
+                      schema={schema}
+                      values={callForm}
+                      onChange={(patch) =>
+                        setCallForm((f) => ({ ...f, ...patch }))
+                      }
+                      dispositions={dispositions}
+                      errors={callFormErrors}
+                      otherCallLogs={editCallLog.logs.filter(
+                        (l) => l.$id !== editCallLog.log.$id,
+                      )}
+                      prospectDoc={prospectDocuments.find(
+                        (d) => d.$id === prospect.id,
+                      )}
+                    />
 
-                    <div className="mt-4 space-y-3 rounded-lg border border-slate-200 bg-white p-4">
-                      <div className="flex items-center justify-between">
-                        <p className="text-xs font-semibold uppercase tracking-wide text-red-600">
-                          Jatha Details
-                        </p>
-                        <button
-                          type="button"
-                          onClick={addJatha}
-                          className="rounded-md bg-slate-800 px-3 py-1.5 text-xs font-medium text-white hover:bg-slate-900"
-                        >
-                          Add Jatha
-                        </button>
+                    {error && (
+                      <div className="mt-4 rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+                        {error}
                       </div>
-                      {callForm.jathaDetails.length === 0 ? (
-                        <p className="text-xs text-slate-500">
-                          No jatha details added yet.
-                        </p>
-                      ) : (
-                        <div className="space-y-3">
-                          {callForm.jathaDetails.map((j, index) => (
-                            <div
-                              key={index}
-                              className="grid grid-cols-1 gap-3 rounded-md border border-slate-200 bg-slate-50 p-3 sm:grid-cols-5"
-                            >
-                              <div>
-                                <label className="mb-1 block text-xs font-medium text-slate-600">
-                                  Area Name
-                                </label>
-                                <input
-                                  type="text"
-                                  value={j.areaName || ""}
-                                  onChange={(e) =>
-                                    updateJatha(
-                                      index,
-                                      "areaName",
-                                      e.target.value,
-                                    )
-                                  }
-                                  className="w-full rounded-md border border-slate-300 px-2 py-1.5 text-xs"
-                                />
-                              </div>
-                              <div>
-                                <label className="mb-1 block text-xs font-medium text-slate-600">
-                                  Department Name
-                                </label>
-                                <input
-                                  type="text"
-                                  value={j.departmentName || ""}
-                                  onChange={(e) =>
-                                    updateJatha(
-                                      index,
-                                      "departmentName",
-                                      e.target.value,
-                                    )
-                                  }
-                                  className="w-full rounded-md border border-slate-300 px-2 py-1.5 text-xs"
-                                />
-                              </div>
-                              <div>
-                                <label className="mb-1 block text-xs font-medium text-slate-600">
-                                  Total Days
-                                </label>
-                                <input
-                                  type="text"
-                                  value={j.jathaTotalDay || ""}
-                                  onChange={(e) =>
-                                    updateJatha(
-                                      index,
-                                      "jathaTotalDay",
-                                      e.target.value,
-                                    )
-                                  }
-                                  className="w-full rounded-md border border-slate-300 px-2 py-1.5 text-xs"
-                                />
-                              </div>
-                              <div>
-                                <label className="mb-1 block text-xs font-medium text-slate-600">
-                                  Date From
-                                </label>
-                                <input
-                                  type="date"
-                                  value={j.dateFrom || ""}
-                                  onChange={(e) =>
-                                    updateJatha(
-                                      index,
-                                      "dateFrom",
-                                      e.target.value,
-                                    )
-                                  }
-                                  className="w-full rounded-md border border-slate-300 px-2 py-1.5 text-xs"
-                                />
-                              </div>
-                              <div>
-                                <label className="mb-1 block text-xs font-medium text-slate-600">
-                                  Date To
-                                </label>
-                                <div className="flex items-center gap-1">
-                                  <input
-                                    type="date"
-                                    value={j.dateTo || ""}
-                                    onChange={(e) =>
-                                      updateJatha(
-                                        index,
-                                        "dateTo",
-                                        e.target.value,
-                                      )
-                                    }
-                                    className="w-full rounded-md border border-slate-300 px-2 py-1.5 text-xs"
-                                  />
-                                  <button
-                                    type="button"
-                                    onClick={() => removeJatha(index)}
-                                    className="rounded-full p-1 text-slate-400 hover:bg-slate-200 hover:text-slate-700"
-                                  >
-                                    ✕
-                                  </button>
-                                </div>
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      )}
-                    </div>
+                    )}
 
                     <div className="mt-5 flex justify-end gap-2">
                       <button
@@ -1471,6 +877,18 @@ function ProspectsDetailsPage() {
               </div>
             );
           })()}
+        {callLogSave.conflict && (
+          <CallLogConflictDialog
+            key={callLogSave.conflict.current.$updatedAt}
+            schema={schema}
+            base={callLogSave.conflict.base}
+            current={callLogSave.conflict.current}
+            values={callLogSave.conflict.values}
+            saving={callFormSubmitting}
+            onResolve={handleResolveCallLogConflict}
+            onCancel={callLogSave.dismiss}
+          />
+        )}
         {/* Tabs */}
         <div className="mt-3 flex flex-col gap-2 sm:mt-6 sm:gap-4">
           <div className="flex flex-wrap items-center gap-2 sm:gap-3">
@@ -1540,7 +958,10 @@ function ProspectsDetailsPage() {
                 </label>
                 <select
                   value={assignedFilterUser}
-                  onChange={(e) => setAssignedFilterUser(e.target.value)}
+                  onChange={(e) => {
+                    setAssignedFilterUser(e.target.value);
+                    setSelectedIds(new Set());
+                  }}
                   className="rounded-md border border-sky-200 bg-white px-3 py-1.5 text-sm text-slate-700 outline-none focus:border-sky-400 focus:ring-1 focus:ring-sky-400"
                 >
                   <option value="">All assigned prospects</option>
@@ -1630,603 +1051,10 @@ function ProspectsDetailsPage() {
           </div>
         )}
 
-        {/* Add Prospect Modal */}
-        {addModalOpen && (
-          <div
-            className="fixed inset-0 z-50 flex items-end justify-center bg-slate-900/50 p-0 sm:items-center sm:p-4"
-            role="dialog"
-            aria-modal="true"
-            aria-labelledby="add-prospect-title"
-            onClick={closeAddModal}
-          >
-            <div
-              className="flex max-h-[90vh] w-full max-w-2xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
-              onClick={(e) => e.stopPropagation()}
-            >
-              <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-5 py-4">
-                <div>
-                  <h2
-                    id="add-prospect-title"
-                    className="text-lg font-semibold text-slate-900"
-                  >
-                    Add Prospect Details
-                  </h2>
-                  <p className="mt-0.5 text-sm text-slate-500">
-                    Fill in the details for the new prospect.
-                  </p>
-                </div>
-                <button
-                  type="button"
-                  onClick={closeAddModal}
-                  className="rounded-lg p-1.5 text-slate-400 transition hover:bg-slate-100 hover:text-slate-600"
-                  aria-label="Close"
-                >
-                  <svg
-                    className="h-5 w-5"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M6 18L18 6M6 6l12 12"
-                    />
-                  </svg>
-                </button>
-              </div>
-              <form
-                onSubmit={handleSubmitProspect}
-                className="flex-1 overflow-y-auto px-5 py-4"
-              >
-                {/* Badge & Profile Details */}
-                <p className="mb-3 text-xs font-semibold uppercase tracking-wider text-red-600">
-                  Badge Status
-                </p>
-                <div className="grid gap-4 sm:grid-cols-2">
-                  <div className="sm:col-span-2">
-                    <label className="mb-1 block text-xs font-medium text-slate-700">
-                      Badge Status
-                    </label>
-                    <select
-                      value={addForm.badgeStatus}
-                      onChange={updateAddForm("badgeStatus")}
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    >
-                      <option value="N/A">N/A</option>
-                      <option value="Open">Open</option>
-                      <option value="Permanent">Permanent</option>
-                      <option value="Elderly">Elderly</option>
-                      <option value="Sangat">Sangat</option>
-                      <option value="New Prospects">New Prospects</option>
-                    </select>
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-red-600">
-                      Name of Sewadar/Sewadarni *
-                    </label>
-                    <input
-                      type="text"
-                      required
-                      value={addForm.name}
-                      onChange={updateAddForm("name")}
-                      placeholder="Full name"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Father&apos;s/Husband&apos;s Name
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.fathersName}
-                      onChange={updateAddForm("fathersName")}
-                      placeholder="Father's or Husband's name"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Badge ID
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.badgeId}
-                      onChange={updateAddForm("badgeId")}
-                      placeholder="Enter badge ID"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Mobile Number *
-                    </label>
-                    <input
-                      type="text"
-                      required
-                      value={addForm.mobileNumber}
-                      onChange={updateAddForm("mobileNumber")}
-                      placeholder="e.g., 9876543210"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Gender (M/F)
-                    </label>
-                    <div className="flex gap-4 pt-2">
-                      {["Male", "Female", "Other"].map((opt) => (
-                        <label
-                          key={opt}
-                          className="flex cursor-pointer items-center gap-2"
-                        >
-                          <input
-                            type="radio"
-                            name="gender"
-                            value={opt}
-                            checked={addForm.gender === opt}
-                            onChange={updateAddFormRadio("gender")}
-                            className="text-slate-700"
-                          />
-                          <span className="text-sm text-slate-600">{opt}</span>
-                        </label>
-                      ))}
-                    </div>
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Age
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.age}
-                      readOnly
-                      placeholder="Age (auto-calculated)"
-                      className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm outline-none"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Aadhar No
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.aadharNumber}
-                      onChange={updateAddForm("aadharNumber")}
-                      placeholder="12-digit Aadhar number"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Department Finalised Name
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.departmentName}
-                      onChange={updateAddForm("departmentName")}
-                      placeholder="Department name"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Date of Birth
-                    </label>
-                    <input
-                      type="date"
-                      value={addForm.dateOfBirth}
-                      onChange={(e) => {
-                        const value = e.target.value;
-                        setAddForm((f) => ({
-                          ...f,
-                          dateOfBirth: value,
-                          age: calculateAgeFromDob(value),
-                        }));
-                      }}
-                      max={new Date().toISOString().slice(0, 10)}
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Emergency Contact
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.emergencyContact}
-                      onChange={updateAddForm("emergencyContact")}
-                      placeholder="Emergency contact"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Blood Group
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.bloodgroup}
-                      onChange={updateAddForm("bloodgroup")}
-                      placeholder="e.g., A+, B-, O+, AB+"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Marital Status
-                    </label>
-                    <select
-                      value={addForm.maritalStatus}
-                      onChange={updateAddForm("maritalStatus")}
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    >
-                      <option value="N/A">N/A</option>
-                      <option value="Single">Single</option>
-                      <option value="Married">Married</option>
-                      <option value="Widowed">Widowed</option>
-                      <option value="Divorced">Divorced</option>
-                    </select>
-                  </div>
-                  <div className="sm:col-span-2">
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      R/O Village/Town/Locality/District
-                    </label>
-                    <input
-                      type="text"
-                      value={addForm.locality}
-                      onChange={updateAddForm("locality")}
-                      placeholder="e.g., Model Town, Ludhiana"
-                      className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div className="sm:col-span-2">
-                    <p className="mb-1 text-[11px] font-semibold uppercase tracking-wide text-red-600">
-                      Address
-                    </p>
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Residential Address
-                    </label>
-                    <textarea
-                      value={addForm.fullAddress}
-                      onChange={updateAddForm("fullAddress")}
-                      placeholder="Complete residential address"
-                      rows={3}
-                      className="w-full resize-y rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                  <div className="sm:col-span-2">
-                    <label className="mb-1 block text-xs font-medium text-slate-600">
-                      Permanent Address
-                    </label>
-                    <textarea
-                      value={addForm.permanentAddress}
-                      onChange={updateAddForm("permanentAddress")}
-                      placeholder="Permanent address (if different from residential)"
-                      rows={3}
-                      className="w-full resize-y rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                    />
-                  </div>
-                </div>
-
-                {/* Naam Dan Details */}
-                <p className="mb-3 mt-6 text-xs font-semibold uppercase tracking-wider text-slate-500">
-                  Naam Dan Details
-                </p>
-                <div className="mb-4">
-                  <div className="flex items-center justify-between gap-4">
-                    <div>
-                      <label className="text-sm font-medium text-slate-700">
-                        Has the prospect been initiated?
-                      </label>
-                      <p className="mt-0.5 text-xs text-slate-500">
-                        Indicate if Naam Dan has been received.
-                      </p>
-                    </div>
-                    <button
-                      type="button"
-                      role="switch"
-                      aria-checked={addForm.initiated}
-                      onClick={() =>
-                        setAddForm((f) => ({ ...f, initiated: !f.initiated }))
-                      }
-                      className={`relative h-7 w-12 shrink-0 rounded-full transition-colors ${
-                        addForm.initiated ? "bg-sky-600" : "bg-slate-200"
-                      }`}
-                    >
-                      <span
-                        className={`absolute top-1 h-5 w-5 rounded-full bg-white shadow transition-all ${
-                          addForm.initiated ? "left-6" : "left-1"
-                        }`}
-                      />
-                    </button>
-                  </div>
-                  {addForm.initiated && (
-                    <div className="mt-4 grid gap-4 sm:grid-cols-3">
-                      <div>
-                        <label className="mb-1 block text-xs font-medium text-slate-600">
-                          Date of Initiation (DOI)
-                        </label>
-                        <input
-                          type="date"
-                          value={addForm.dateOfInitiation}
-                          onChange={updateAddForm("dateOfInitiation")}
-                          className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                        />
-                      </div>
-                      <div>
-                        <label className="mb-1 block text-xs font-medium text-slate-600">
-                          Initiation By
-                        </label>
-                        <input
-                          type="text"
-                          value={addForm.initiationBy}
-                          onChange={updateAddForm("initiationBy")}
-                          placeholder="Name of initiator"
-                          className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                        />
-                      </div>
-                      <div>
-                        <label className="mb-1 block text-xs font-medium text-slate-600">
-                          Initiation Place
-                        </label>
-                        <input
-                          type="text"
-                          value={addForm.initiationPlace}
-                          onChange={updateAddForm("initiationPlace")}
-                          placeholder="Location of initiation"
-                          className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-slate-400 focus:ring-1 focus:ring-slate-400"
-                        />
-                      </div>
-                    </div>
-                  )}
-                </div>
-
-                <div className="flex justify-end gap-2 border-t border-slate-200 pt-4">
-                  <button
-                    type="button"
-                    onClick={closeAddModal}
-                    className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    type="submit"
-                    disabled={addSubmitting}
-                    className="rounded-lg bg-slate-800 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-900 disabled:opacity-60"
-                  >
-                    Submit Prospect
-                  </button>
-                </div>
-              </form>
-            </div>
-          </div>
-        )}
-
         {/* View Call Log (filled calling form) */}
         {viewCallLog &&
           (() => {
-            const { prospect, log } = viewCallLog;
-            let jathas = [];
-            try {
-              jathas =
-                typeof log.jathaDetails === "string"
-                  ? JSON.parse(log.jathaDetails || "[]")
-                  : log.jathaDetails || [];
-            } catch {
-              jathas = [];
-            }
-
-            const handleDownload = () => {
-              const docPdf = new jsPDF();
-              const pageWidth = docPdf.internal.pageSize.getWidth();
-              const pageHeight = docPdf.internal.pageSize.getHeight();
-              const marginX = 15;
-              const marginY = 15;
-              const maxWidth = pageWidth - marginX * 2;
-              let y = marginY;
-
-              // Helper to add a new page if needed
-              const checkNewPage = (requiredSpace = 10) => {
-                if (y + requiredSpace > pageHeight - marginY) {
-                  docPdf.addPage();
-                  y = marginY;
-                  return true;
-                }
-                return false;
-              };
-
-              // Header with title
-              docPdf.setFillColor(220, 38, 38); // Red background
-              docPdf.rect(0, 0, pageWidth, 25, "F");
-              docPdf.setTextColor(255, 255, 255);
-              docPdf.setFontSize(18);
-              docPdf.setFont("helvetica", "bold");
-              docPdf.text("CALLING FORM", pageWidth / 2, 18, {
-                align: "center",
-              });
-              docPdf.setTextColor(0, 0, 0);
-              y = 35;
-
-              // Prospect Information Box
-              docPdf.setFillColor(241, 245, 249); // Light slate
-              docPdf.roundedRect(marginX, y, maxWidth, 30, 3, 3, "F");
-              docPdf.setFontSize(12);
-              docPdf.setFont("helvetica", "bold");
-              docPdf.text("PROSPECT INFORMATION", marginX + 5, y + 8);
-              docPdf.setFont("helvetica", "normal");
-              docPdf.setFontSize(10);
-              docPdf.text(`Name: ${prospect.name || "-"}`, marginX + 5, y + 15);
-              docPdf.text(
-                `Badge ID: ${prospect.badgeId || "-"}`,
-                marginX + 5,
-                y + 21,
-              );
-              docPdf.text(
-                `Phone: ${prospect.phoneNumber || "-"}`,
-                marginX + 100,
-                y + 15,
-              );
-              docPdf.text(
-                `Address: ${prospect.address || "-"}`,
-                marginX + 100,
-                y + 21,
-              );
-              y += 35;
-
-              // Calling Data Select Option Section
-              checkNewPage(25);
-              docPdf.setFillColor(220, 38, 38);
-              docPdf.rect(marginX, y, maxWidth, 8, "F");
-              docPdf.setTextColor(255, 255, 255);
-              docPdf.setFontSize(11);
-              docPdf.setFont("helvetica", "bold");
-              docPdf.text("CALLING DATA SELECT OPTION", marginX + 5, y + 6);
-              docPdf.setTextColor(0, 0, 0);
-              y += 12;
-
-              const callingData = [
-                ["Select", log.select || "-"],
-                ["Call Back", log.callBack || "-"],
-                ["Not Interest", log.notInterest || "-"],
-              ];
-              callingData.forEach(([label, value]) => {
-                checkNewPage(8);
-                docPdf.setFontSize(10);
-                docPdf.setFont("helvetica", "normal");
-                docPdf.text(`${label}:`, marginX + 5, y);
-                docPdf.setFont("helvetica", "bold");
-                docPdf.text(value, marginX + 45, y);
-                y += 7;
-              });
-              y += 3;
-
-              // Transfer Data Section
-              checkNewPage(25);
-              docPdf.setFillColor(220, 38, 38);
-              docPdf.rect(marginX, y, maxWidth, 8, "F");
-              docPdf.setTextColor(255, 255, 255);
-              docPdf.setFontSize(11);
-              docPdf.setFont("helvetica", "bold");
-              docPdf.text("TRANSFER DATA", marginX + 5, y + 6);
-              docPdf.setTextColor(0, 0, 0);
-              y += 12;
-
-              const transferData = [
-                ["Nominal List Select", log.nominalListSelect || "-"],
-                ["Visit Select", log.visitSelect || "-"],
-                ["Free Sewa", log.freeSewa || "-"],
-              ];
-              transferData.forEach(([label, value]) => {
-                checkNewPage(8);
-                docPdf.setFontSize(10);
-                docPdf.setFont("helvetica", "normal");
-                docPdf.text(`${label}:`, marginX + 5, y);
-                docPdf.setFont("helvetica", "bold");
-                docPdf.text(value, marginX + 60, y);
-                y += 7;
-              });
-              y += 3;
-
-              // Need to Work Section
-              checkNewPage(30);
-              docPdf.setFillColor(220, 38, 38);
-              docPdf.rect(marginX, y, maxWidth, 8, "F");
-              docPdf.setTextColor(255, 255, 255);
-              docPdf.setFontSize(11);
-              docPdf.setFont("helvetica", "bold");
-              docPdf.text("NEED TO WORK", marginX + 5, y + 6);
-              docPdf.setTextColor(0, 0, 0);
-              y += 12;
-
-              const needToWork = [
-                ["Good participation", log.notes1 || "-"],
-                ["Positive", log.notes2 || "-"],
-                ["VIP prospect", log.notes3 || "-"],
-              ];
-              needToWork.forEach(([label, value]) => {
-                checkNewPage(12);
-                docPdf.setFontSize(10);
-                docPdf.setFont("helvetica", "bold");
-                docPdf.text(`${label}:`, marginX + 5, y);
-                docPdf.setFont("helvetica", "normal");
-                const chunks = docPdf.splitTextToSize(
-                  value || "-",
-                  maxWidth - 50,
-                );
-                chunks.forEach((chunk) => {
-                  docPdf.text(chunk, marginX + 5, y);
-                  y += 5;
-                });
-                y += 2;
-              });
-              y += 3;
-
-              // Jatha Details Section
-              if (Array.isArray(jathas) && jathas.length > 0) {
-                checkNewPage(30);
-                docPdf.setFillColor(220, 38, 38);
-                docPdf.rect(marginX, y, maxWidth, 8, "F");
-                docPdf.setTextColor(255, 255, 255);
-                docPdf.setFontSize(11);
-                docPdf.setFont("helvetica", "bold");
-                docPdf.text("JATHA DETAILS", marginX + 5, y + 6);
-                docPdf.setTextColor(0, 0, 0);
-                y += 12;
-
-                // Table header
-                checkNewPage(15);
-                docPdf.setFillColor(241, 245, 249);
-                docPdf.rect(marginX, y, maxWidth, 8, "F");
-                docPdf.setFontSize(9);
-                docPdf.setFont("helvetica", "bold");
-                docPdf.text("Area Name", marginX + 5, y + 5);
-                docPdf.text("Department", marginX + 50, y + 5);
-                docPdf.text("Days", marginX + 100, y + 5);
-                docPdf.text("Date From", marginX + 120, y + 5);
-                docPdf.text("Date To", marginX + 160, y + 5);
-                y += 10;
-
-                // Table rows
-                jathas.forEach((j, i) => {
-                  checkNewPage(10);
-                  docPdf.setFontSize(9);
-                  docPdf.setFont("helvetica", "normal");
-                  docPdf.text(`${i + 1}.`, marginX + 2, y);
-                  docPdf.text(j.areaName || "-", marginX + 8, y);
-                  docPdf.text(j.departmentName || "-", marginX + 50, y);
-                  docPdf.text(j.jathaTotalDay || "-", marginX + 100, y);
-                  docPdf.text(j.dateFrom || "-", marginX + 120, y);
-                  docPdf.text(j.dateTo || "-", marginX + 160, y);
-                  y += 7;
-                });
-              }
-
-              // Footer
-              const totalPages = docPdf.internal.pages.length - 1;
-              for (let i = 1; i <= totalPages; i++) {
-                docPdf.setPage(i);
-                docPdf.setFontSize(8);
-                docPdf.setTextColor(128, 128, 128);
-                docPdf.text(
-                  `Submitted by: ${log.submittedBy} | Date: ${new Date(log.$createdAt).toLocaleDateString()}`,
-                  pageWidth / 2,
-                  pageHeight - 8,
-                  { align: "center" },
-                );
-                docPdf.text(
-                  `Page ${i} of ${totalPages}`,
-                  pageWidth / 2,
-                  pageHeight - 5,
-                  { align: "center" },
-                );
-              }
-
-              docPdf.save(`call_form_${prospect.badgeId || prospect.id}.pdf`);
-            };
-
+            const { prospect, logs, log } = viewCallLog;
             return (
               <div
                 className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
@@ -2249,7 +1077,16 @@ function ProspectsDetailsPage() {
                     <h2 className="text-lg font-semibold text-slate-900">
                       Prospect Details – {prospect.name}
                     </h2>
-                    <span className="w-14" />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        downloadCallFormPdf({ prospect, log, schema })
+                      }
+                      className="rounded-lg bg-sky-600 px-3 py-2 text-xs font-medium text-white hover:bg-sky-700"
+                      title="Download the selected call as PDF"
+                    >
+                      PDF
+                    </button>
                   </div>
 
                   <form className="flex-1 overflow-y-auto bg-sky-100/80 p-4 sm:p-6">
@@ -2421,208 +1258,165 @@ function ProspectsDetailsPage() {
                       </div>
                     </div>
 
-                    {/* Calling Data Section */}
-                    <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                      <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                        Calling Data
-                      </p>
-                      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Select
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.select || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Call Back
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.callBack || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Not Interest
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.notInterest || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Department of Sewa
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.departmentOfSewa || "-"}
-                          </p>
-                        </div>
-                      </div>
-                    </div>
-
-                    {/* Transfer Data Section */}
-                    <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                      <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                        Transfer Data
-                      </p>
-                      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Nominal List Select
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.nominalListSelect || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Visit Select
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.visitSelect || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Free Sewa
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.freeSewa || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Attendance
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.attendance || "-"}
-                          </p>
-                        </div>
-                        <div>
-                          <label className="mb-1 block text-xs font-medium text-slate-600">
-                            Jatha Record
-                          </label>
-                          <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                            {log.jathaRecord || "-"}
-                          </p>
-                        </div>
-                      </div>
-                    </div>
-
-                    {/* Need to Work Section */}
+                    {/* Call History - pick the attempt shown below */}
                     <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
                       <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                        Need to Work
-                      </p>
-                      <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm whitespace-pre-line">
-                        {log.needToWork || "-"}
+                        Call History ({logs.length})
                       </p>
+                      <CallHistoryTimeline
+                        logs={logs}
+                        selectedId={log.$id}
+                        onSelect={(l) =>
+                          setViewCallLog((v) => ({ ...v, log: l }))
+                        }
+                        onEdit={(l) => {
+                          setViewCallLog(null);
+                          startEditCallLog(prospect, l, logs);
+                        }}
+                      />
                     </div>
 
-                    {/* Notes Section */}
-                    {(log.notes1 || log.notes2 || log.notes3) && (
-                      <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                        <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                          Notes
-                        </p>
-                        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
-                          {log.notes1 && (
-                            <div>
-                              <label className="mb-1 block text-xs font-medium text-slate-600">
-                                Good Participation
-                              </label>
-                              <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                                {log.notes1}
-                              </p>
-                            </div>
-                          )}
-                          {log.notes2 && (
-                            <div>
-                              <label className="mb-1 block text-xs font-medium text-slate-600">
-                                Positive
-                              </label>
-                              <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                                {log.notes2}
-                              </p>
-                            </div>
-                          )}
-                          {log.notes3 && (
-                            <div>
-                              <label className="mb-1 block text-xs font-medium text-slate-600">
-                                VIP Prospect
-                              </label>
-                              <p className="rounded border border-slate-200 bg-slate-50 px-2 py-1.5 text-sm">
-                                {log.notes3}
-                              </p>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    )}
+                    <CallFormView schema={schema} log={log} />
 
-                    {/* Jatha Details Section */}
-                    {Array.isArray(jathas) && jathas.length > 0 && (
-                      <div className="mb-4 rounded-lg border border-slate-200 bg-white p-4">
-                        <p className="mb-3 text-sm font-bold uppercase tracking-wider text-red-600">
-                          Jatha Details
-                        </p>
-                        <div className="overflow-x-auto">
-                          <table className="w-full border-collapse text-left text-sm">
-                            <thead>
-                              <tr className="border-b border-slate-200 bg-slate-50">
-                                <th className="px-4 py-2 font-semibold text-slate-700">
-                                  Area Name
-                                </th>
-                                <th className="px-4 py-2 font-semibold text-slate-700">
-                                  Department
-                                </th>
-                                <th className="px-4 py-2 font-semibold text-slate-700">
-                                  Days
-                                </th>
-                                <th className="px-4 py-2 font-semibold text-slate-700">
-                                  Date From
-                                </th>
-                                <th className="px-4 py-2 font-semibold text-slate-700">
-                                  Date To
-                                </th>
-                              </tr>
-                            </thead>
-                            <tbody>
-                              {jathas.map((j, i) => (
-                                <tr
-                                  key={i}
-                                  className="border-b border-slate-100"
-                                >
-                                  <td className="px-4 py-2 text-slate-600">
-                                    {j.areaName || "-"}
-                                  </td>
-                                  <td className="px-4 py-2 text-slate-600">
-                                    {j.departmentName || "-"}
-                                  </td>
-                                  <td className="px-4 py-2 text-slate-600">
-                                    {j.jathaTotalDay || "-"}
-                                  </td>
-                                  <td className="px-4 py-2 text-slate-600">
-                                    {j.dateFrom || "-"}
-                                  </td>
-                                  <td className="px-4 py-2 text-slate-600">
-                                    {j.dateTo || "-"}
-                                  </td>
-                                </tr>
-                              ))}
-                            </tbody>
-                          </table>
+                    <div className="mt-4 rounded-lg border border-slate-200 bg-white p-4">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setViewCallLog((v) => ({
+                            ...v,
+                            showHistory: !v.showHistory,
+                          }))
+                        }
+                        className="text-sm font-bold uppercase tracking-wider text-red-600"
+                      >
+                        {viewCallLog.showHistory ? "▾" : "▸"} Changes to this call
+                      </button>
+                      {viewCallLog.showHistory && (
+                        <div className="mt-3">
+                          <AuditHistory
+                            key={log.$id}
+                            entityType="callLog"
+                            entityId={log.$id}
+                            schema={schema}
+                          />
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </form>
                 </div>
               </div>
             );
           })()}
 
+        {autoAssignOpen && (
+          <AutoAssignDialog
+            callers={assignableUsers}
+            selectedIds={selectedIds}
+            onAssigned={async () => {
+              setAutoAssignOpen(false);
+              setSelectedIds(new Set());
+              await loadProspects();
+            }}
+            onCancel={() => setAutoAssignOpen(false)}
+          />
+        )}
+
+        {reassignDocs && (
+          <ReassignDialog
+            prospects={reassignDocs}
+            toEmail={assignToUser === "__UNASSIGN__" ? "" : assignToUser}
+            onDone={async () => {
+              setReassignDocs(null);
+              setSelectedIds(new Set());
+              setAssignToUser("");
+              await loadProspects();
+            }}
+            onCancel={() => setReassignDocs(null)}
+          />
+        )}
+
+        {/* Change history of one prospect and its calls */}
+        {historyProspect && (
+          <div
+            className="fixed inset-0 z-50 flex items-end justify-center overflow-y-auto bg-slate-900/50 p-0 sm:items-center sm:p-4"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="prospect-history-title"
+            onClick={() => setHistoryProspect(null)}
+          >
+            <div
+              className="flex max-h-[95vh] w-full max-w-3xl flex-col rounded-t-xl bg-white shadow-xl sm:rounded-xl"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex shrink-0 items-center justify-between border-b border-slate-200 px-4 py-4">
+                <h2
+                  id="prospect-history-title"
+                  className="text-lg font-semibold text-slate-900"
+                >
+                  History – {historyProspect.name}
+                </h2>
+                <button
+                  type="button"
+                  onClick={() => setHistoryProspect(null)}
+                  className="text-sm font-medium text-slate-600 hover:text-slate-900"
+                >
+                  Close
+                </button>
+              </div>
+              <div className="flex-1 space-y-4 overflow-y-auto p-4">
+                <section>
+                  <h3 className="mb-2 text-sm font-semibold text-slate-800">
+                    Assignments
+                  </h3>
+                  <AssignmentHistory prospectId={historyProspect.id} />
+                </section>
+                <section>
+                  <h3 className="mb-2 text-sm font-semibold text-slate-800">
+                    Changes
+                  </h3>
+                  <AuditHistory prospectId={historyProspect.id} schema={schema} />
+                </section>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Import wizard: column mapping + preview */}
+        {importDraft && (
+          <ProspectImportWizard
+            fileName={importDraft.fileName}
+            sheets={importDraft.sheets}
+            existingProspects={importDraft.existing}
+            importing={importing}
+            onCancel={() => setImportDraft(null)}
+            onImport={handleConfirmImport}
+          />
+        )}
+
+        {editDetailsDoc && (
+          <ProspectDetailsModal
+            doc={editDetailsDoc}
+            mode="edit"
+            saving={detailsSaving}
+            error={detailsError}
+            onCancel={() => setEditDetailsDoc(null)}
+            onSave={handleSaveDetails}
+          />
+        )}
+
+        {correctionsOpen && (
+          <ProspectCorrectionsReview
+            reviewer={user?.email || ""}
+            onClose={() => {
+              setCorrectionsOpen(false);
+              loadPendingCorrections();
+            }}
+            onReviewed={({ approved }) => {
+              if (approved) loadProspects();
+            }}
+          />
+        )}
+
         {/* Delete confirmation modal */}
         {deleteConfirm && (
           <div
@@ -2646,8 +1440,10 @@ function ProspectsDetailsPage() {
               </h2>
               <p className="mt-2 text-sm text-slate-600">
                 {deleteConfirm.type === "single"
-                  ? "This prospect will be removed permanently. This cannot be undone."
-                  : "These prospects will be removed permanently. This cannot be undone."}
+                  ? "This prospect and its call logs will be moved to the recycle bin."
+                  : "These prospects and their call logs will be moved to the recycle bin."}{" "}
+                They can be restored from there for {RECYCLE_BIN_RETENTION_DAYS}{" "}
+                days, then they are deleted permanently.
               </p>
               <div className="mt-6 flex justify-end gap-3">
                 <button
@@ -2684,14 +1480,18 @@ function ProspectsDetailsPage() {
               className={`rounded-lg px-6 py-12 text-center ${activeTab === "assigned" ? "border-2 border-dashed border-sky-200 bg-sky-50/50" : "border border-dashed border-slate-200 bg-slate-50/50"}`}
             >
               <p className="text-sm font-medium text-slate-600">
-                {activeTab === "assigned"
-                  ? "No prospects assigned yet"
-                  : "No prospects yet"}
+                {searchQuery.trim()
+                  ? "No prospects match your search"
+                  : activeTab === "assigned"
+                    ? "No prospects assigned yet"
+                    : "No prospects yet"}
               </p>
               <p className="mt-1 text-sm text-slate-500">
-                {activeTab === "assigned"
-                  ? "Go to All Prospects, select prospects, choose a user, and click Assign. They will appear here."
-                  : "Import an Excel file or add a prospect to get started."}
+                {searchQuery.trim()
+                  ? `Nothing found for "${searchQuery.trim()}" in ${searchBy}.`
+                  : activeTab === "assigned"
+                    ? "Go to All Prospects, select prospects, choose a user, and click Assign. They will appear here."
+                    : "Import an Excel file or add a prospect to get started."}
               </p>
             </div>
           ) : (
@@ -2766,6 +1566,13 @@ function ProspectsDetailsPage() {
                       </div>
                     </div>
                     <div className="flex items-center gap-1.5">
+                      <button
+                        type="button"
+                        onClick={() => openEditDetails(p)}
+                        className="rounded bg-sky-50 px-2 py-1 text-[11px] font-medium text-sky-700 hover:bg-sky-100"
+                      >
+                        Details
+                      </button>
                       <button
                         type="button"
                         onClick={() => openCallLogForProspect(p)}
@@ -2826,24 +1633,23 @@ function ProspectsDetailsPage() {
                           aria-label="Select all"
                         />
                       </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Name of Sewadar/Sewadarni
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Address
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Phone Number
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Badge ID
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Assigned To
-                      </th>
-                      <th className="px-4 py-3 font-semibold text-slate-700">
-                        Blood Group
-                      </th>
+                      {[
+                        ["name", "Name of Sewadar/Sewadarni"],
+                        ["address", "Address"],
+                        ["phoneNumber", "Phone Number"],
+                        ["badgeId", "Badge ID"],
+                        ["assignedTo", "Assigned To"],
+                        ["bloodGroup", "Blood Group"],
+                      ].map(([key, label]) => (
+                        <SortableHeader
+                          key={key}
+                          label={label}
+                          sortKey={key}
+                          sortBy={sortBy}
+                          sortDir={sortDir}
+                          onSort={toggleSort}
+                        />
+                      ))}
                       <th className="px-4 py-3 font-semibold text-slate-700">
                         Actions
                       </th>
@@ -2919,6 +1725,10 @@ function ProspectsDetailsPage() {
                                 : undefined
                             }
                             onDelete={() => openDeleteConfirm(p.id)}
+                            onEditDetails={() => openEditDetails(p)}
+                            onHistory={() => setHistoryProspect(p)}
+                            showEditDetails={true}
+                            showHistory={true}
                             showViewForm={prospectsWithCallLog.has(p.id)}
                             showEditForm={prospectsWithCallLog.has(p.id)}
                             showDeleteProspect={true}
@@ -2933,6 +1743,20 @@ function ProspectsDetailsPage() {
             </>
           )}
         </div>
+        <TablePagination
+          page={page}
+          pageSize={pageSize}
+          total={total}
+          onPageChange={(next) => {
+            setPage(next);
+            setSelectedIds(new Set());
+          }}
+          onPageSizeChange={(size) => {
+            setPageSize(size);
+            setSelectedIds(new Set());
+          }}
+          disabled={loading}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  listRecycleBin,
+  restoreCallLogEntry,
+  restoreProspectEntry,
+} from "../../services/recycleBin";
+import { docToDisplay } from "../../services/prospectsService";
+import {
+  RECYCLE_BIN_RETENTION_DAYS,
+  purgeDate,
+} from "../../services/softDelete";
+
+function DeletedInfo({ doc }) {
+  return (
+    <>
+      <td className="px-4 py-3 text-slate-600">
+        {doc.deletedBy || "-"}
+        <p className="text-xs text-slate-500">
+          {new Date(doc.deletedAt).toLocaleString()}
+        </p>
+      </td>
+      <td className="px-4 py-3 text-slate-600">
+        {purgeDate(doc.deletedAt).toLocaleDateString()}
+      </td>
+    </>
+  );
+}
+
+function RecycleBinPage() {
+  const [bin, setBin] = useState({ prospects: [], callLogs: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [restoringId, setRestoringId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setBin(await listRecycleBin());
+    } catch (err) {
+      setError(err.message || "Failed to load the recycle bin.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const restore = async (entry, restoreEntry) => {
+    setRestoringId(entry.doc.$id);
+    setError("");
+    try {
+      await restoreEntry(entry);
+      await load();
+    } catch (err) {
+      setError(err.message || "Failed to restore.");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const restoreButton = (entry, restoreEntry) => (
+    <button
+      type="button"
+      onClick={() => restore(entry, restoreEntry)}
+      disabled={restoringId !== null}
+      className="rounded border border-slate-200 px-2 py-1 text-xs font-medium text-emerald-700 hover:bg-emerald-50 disabled:opacity-50"
+    >
+      {restoringId === entry.doc.$id ? "Restoring…" : "Restore"}
+    </button>
+  );
+
+  const th = "px-4 py-3 font-semibold text-slate-700";
+
+  return (
+    <div className="flex flex-col space-y-4 p-4">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-xl font-semibold text-slate-900">Recycle Bin</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Deleted prospects and call logs are kept here for{" "}
+            {RECYCLE_BIN_RETENTION_DAYS} days, then deleted permanently
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={load}
+          disabled={loading}
+          className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+        >
+          Refresh
+        </button>
+      </header>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-sm text-slate-500">
+          Loading recycle bin…
+        </div>
+      ) : (
+        <>
+          <section className="rounded-lg bg-white p-4 shadow-sm">
+            <h2 className="mb-3 text-sm font-bold uppercase tracking-wider text-slate-700">
+              Prospects ({bin.prospects.length})
+            </h2>
+            {bin.prospects.length === 0 ? (
+              <p className="py-6 text-center text-sm text-slate-500">
+                No deleted prospects.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[640px] border-collapse text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50/80">
+                      <th className={th}>Prospect</th>
+                      <th className={th}>Call logs</th>
+                      <th className={th}>Deleted by</th>
+                      <th className={th}>Purged on</th>
+                      <th className={th} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bin.prospects.map((entry) => {
+                      const p = docToDisplay(entry.doc);
+                      return (
+                        <tr
+                          key={entry.doc.$id}
+                          className="border-b border-slate-100 hover:bg-slate-50/50"
+                        >
+                          <td className="px-4 py-3">
+                            <p className="font-medium text-slate-900">{p.name}</p>
+                            <p className="text-xs text-slate-500">
+                              {p.phoneNumber} · {p.badgeId}
+                            </p>
+                          </td>
+                          <td className="px-4 py-3 text-slate-600">
+                            {entry.callLogs.length}
+                          </td>
+                          <DeletedInfo doc={entry.doc} />
+                          <td className="px-4 py-3 text-right">
+                            {restoreButton(entry, restoreProspectEntry)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+
+          <section className="rounded-lg bg-white p-4 shadow-sm">
+            <h2 className="mb-3 text-sm font-bold uppercase tracking-wider text-slate-700">
+              Call logs ({bin.callLogs.length})
+            </h2>
+            {bin.callLogs.length === 0 ? (
+              <p className="py-6 text-center text-sm text-slate-500">
+                No call logs deleted on their own.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full min-w-[640px] border-collapse text-left text-sm">
+                  <thead>
+                    <tr className="border-b border-slate-200 bg-slate-50/80">
+                      <th className={th}>Call</th>
+                      <th className={th}>Caller</th>
+                      <th className={th}>Deleted by</th>
+                      <th className={th}>Purged on</th>
+                      <th className={th} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bin.callLogs.map((entry) => (
+                      <tr
+                        key={entry.doc.$id}
+                        className="border-b border-slate-100 hover:bg-slate-50/50"
+                      >
+                        <td className="px-4 py-3">
+                          <p className="font-medium text-slate-900">
+                            {entry.doc.prospectName || "-"}
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            Called {new Date(entry.doc.$createdAt).toLocaleString()}
+                          </p>
+                        </td>
+                        <td className="px-4 py-3 text-slate-600">
+                          {entry.doc.submittedBy || "-"}
+                        </td>
+                        <DeletedInfo doc={entry.doc} />
+                        <td className="px-4 py-3 text-right">
+                          {entry.prospectInBin ? (
+                            <span className="text-xs text-slate-500">
+                              Restore the prospect first
+                            </span>
+                          ) : (
+                            restoreButton(entry, restoreCallLogEntry)
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RecycleBinPage;
@@ -1,6 +1,11 @@
 import { useVisitDataPage } from "../../hooks/useVisitDataPage";
 import { ActionMenu } from "../../components/ActionMenu";
 import { ProspectInfo } from "../../components/ProspectInfo";
+import { CallFormFields } from "../../components/CallFormFields";
+import { CallLogConflictDialog } from "../../components/CallLogConflictDialog";
+import { CallFormView } from "../../components/CallFormView";
+import { useDispositions } from "../../hooks/useDispositions";
+import { RECYCLE_BIN_RETENTION_DAYS } from "../../services/softDelete";
 
 function toTelHref(phone) {
   const raw = String(phone || "").trim();
@@ -32,8 +37,13 @@ function VisitDataPage() {
     openEdit,
     handleSaveEdit,
     handleConfirmDelete,
-    EMPTY_FORM,
+    schema,
+    editErrors,
+    editConflict,
+    handleResolveConflict,
+    dismissConflict,
   } = useVisitDataPage(true);
+  const { dispositions } = useDispositions();
 
   return (
     <div className="flex flex-col space-y-4 p-4">
@@ -283,90 +293,11 @@ function VisitDataPage() {
                   )}
                 </p>
               </div>
-              <div className="grid gap-4 md:grid-cols-2">
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Calling Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Select: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.select || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Call Back: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.callBack || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Not Interest:{" "}
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.notInterest || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Department of Sewa:{" "}
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.departmentOfSewa || "-"}
-                    </span>
-                  </p>
-                </div>
-                <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                  <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                    Transfer Data
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Nominal List Select:{" "}
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.nominalListSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Visit Select:{" "}
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.visitSelect || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Free Sewa: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.freeSewa || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">Attendance: </span>
-                    <span className="font-medium">
-                      {viewEntry.log.attendance || "-"}
-                    </span>
-                  </p>
-                  <p>
-                    <span className="text-xs text-slate-500">
-                      Jatha Record:{" "}
-                    </span>
-                    <span className="font-medium">
-                      {viewEntry.log.jathaRecord || "-"}
-                    </span>
-                  </p>
-                </div>
-              </div>
-              <div className="rounded-lg border border-slate-200 bg-white p-3">
-                <p className="text-xs font-semibold uppercase tracking-wider text-red-600">
-                  Need to Work
-                </p>
-                <p className="mt-1 whitespace-pre-line text-sm text-slate-700">
-                  {viewEntry.log.needToWork || "-"}
-                </p>
-              </div>
+              <CallFormView
+                schema={schema}
+                log={viewEntry.log}
+                sections={["calling", "transfer", "needToWork"]}
+              />
             </div>
           </div>
         </div>
@@ -418,180 +349,13 @@ function VisitDataPage() {
                 prospect={editEntry.prospect}
                 doc={editEntry.prospect.raw}
               />
-              <div className="grid gap-3 md:grid-cols-2">
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Select
-                  </label>
-                  <select
-                    value={editForm.select}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, select: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Call Back
-                  </label>
-                  <select
-                    value={editForm.callBack}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, callBack: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Not Interest
-                  </label>
-                  <select
-                    value={editForm.notInterest}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        notInterest: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Department of Sewa
-                  </label>
-                  <input
-                    type="text"
-                    value={editForm.departmentOfSewa}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        departmentOfSewa: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  />
-                </div>
-              </div>
-              <div className="grid gap-3 md:grid-cols-2">
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Nominal List Select
-                  </label>
-                  <select
-                    value={editForm.nominalListSelect}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        nominalListSelect: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Visit Select
-                  </label>
-                  <select
-                    value={editForm.visitSelect}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        visitSelect: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Free Sewa
-                  </label>
-                  <select
-                    value={editForm.freeSewa}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, freeSewa: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                    <option value="N/A">N/A</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Attendance
-                  </label>
-                  <select
-                    value={editForm.attendance}
-                    onChange={(e) =>
-                      setEditForm((f) => ({ ...f, attendance: e.target.value }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-                <div>
-                  <label className="mb-1 block text-xs font-medium text-slate-600">
-                    Jatha Record
-                  </label>
-                  <select
-                    value={editForm.jathaRecord}
-                    onChange={(e) =>
-                      setEditForm((f) => ({
-                        ...f,
-                        jathaRecord: e.target.value,
-                      }))
-                    }
-                    className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                  >
-                    <option value="">Select</option>
-                    <option value="Yes">Yes</option>
-                    <option value="No">No</option>
-                  </select>
-                </div>
-              </div>
-              <div>
-                <label className="mb-1 block text-xs font-medium text-slate-600">
-                  Need to Work
-                </label>
-                <textarea
-                  value={editForm.needToWork}
-                  onChange={(e) =>
-                    setEditForm((f) => ({ ...f, needToWork: e.target.value }))
-                  }
-                  rows={4}
-                  className="w-full rounded border border-slate-300 px-2 py-2 text-sm"
-                />
-              </div>
+              <CallFormFields
+                schema={schema}
+                values={editForm}
+                onChange={(patch) => setEditForm((f) => ({ ...f, ...patch }))}
+                dispositions={dispositions}
+                errors={editErrors}
+              />
               <div className="flex justify-end gap-2 pt-2">
                 <button
                   type="button"
@@ -613,6 +377,19 @@ function VisitDataPage() {
         </div>
       )}
 
+      {editConflict && (
+        <CallLogConflictDialog
+          key={editConflict.current.$updatedAt}
+          schema={schema}
+          base={editConflict.base}
+          current={editConflict.current}
+          values={editConflict.values}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onCancel={dismissConflict}
+        />
+      )}
+
       {deleteEntry && (
         <div
           className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 p-4"
@@ -628,11 +405,12 @@ function VisitDataPage() {
               Delete calling form?
             </h2>
             <p className="mt-2 text-sm text-slate-600">
-              This will permanently remove the submitted calling form for{" "}
+              This will move the submitted calling form for{" "}
               <span className="font-semibold">
                 {deleteEntry.prospect.name || "-"}
-              </span>
-              . This action cannot be undone.
+              </span>{" "}
+              to the recycle bin. It can be restored from there for{" "}
+              {RECYCLE_BIN_RETENTION_DAYS} days.
             </p>
             <div className="mt-5 flex justify-end gap-2">
               <button
@@ -1,10 +1,66 @@
 import { createContext, useContext, useEffect, useState } from 'react'
-import { Query } from 'appwrite'
-import { account, databases, APPWRITE_CONFIG } from './appwriteClient'
+import client, { account, APPWRITE_CONFIG } from './appwriteClient'
+import { readSessionToken, requestSessionToken, verifySessionToken } from './localSession'
+import { isNetworkError } from './network'
+import { setAuditActor } from './auditService'
 
 const AuthContext = createContext(null)
 
 const LOCAL_AUTH_KEY = 'cb-local-auth'
+const OFFLINE_RECHECK_MS = 60 * 1000
+
+function normalizeRole(doc) {
+  return doc.role === 'admin' || doc.role === 'user' ? doc.role : 'user'
+}
+
+function readStoredToken() {
+  if (typeof window === 'undefined') return null
+  try {
+    const raw = window.localStorage.getItem(LOCAL_AUTH_KEY)
+    if (!raw) return null
+    const parsed = JSON.parse(raw)
+    return typeof parsed?.token === 'string' ? parsed.token : null
+  } catch {
+    return null
+  }
+}
+
+function clearStoredToken() {
+  if (typeof window !== 'undefined') {
+    window.localStorage.removeItem(LOCAL_AUTH_KEY)
+  }
+}
+
+/**
+ * Have the session function verify the stored token against the user
+ * document it names. The role always comes from the document, never from
+ * storage.
+ */
+async function restoreDatabaseSession() {
+  const verified = await verifySessionToken(readStoredToken())
+  if (!verified) return null
+  return {
+    user: { email: verified.user.email, id: verified.user.id, source: 'database' },
+    role: normalizeRole(verified),
+  }
+}
+
+/**
+ * Session kept while the token can't be checked for lack of a connection, so
+ * callers can keep working offline. It is limited to the caller role, flagged
+ * `offline` and re-checked as soon as the connection is back. Until then the
+ * dashboard only reads the offline cache and only writes to the sync queue.
+ */
+function offlineDatabaseSession() {
+  const payload = readSessionToken(readStoredToken())
+  if (!payload?.sub || !payload.email || !payload.exp || Date.now() >= payload.exp) {
+    return null
+  }
+  return {
+    user: { email: payload.email, id: payload.sub, source: 'database', offline: true },
+    role: 'user',
+  }
+}
 
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
@@ -24,23 +80,26 @@ export function AuthProvider({ children }) {
         setUser({ ...sessionUser, source: 'appwrite' })
         setRole('admin')
       } catch {
-        // 2) Fallback to local DB-based session
-        if (typeof window !== 'undefined') {
-          try {
-            const raw = window.localStorage.getItem(LOCAL_AUTH_KEY)
-            if (raw) {
-              const parsed = JSON.parse(raw)
-              if (parsed?.email && parsed?.role) {
-                setUser({ email: parsed.email, id: parsed.id, source: 'database' })
-                setRole(parsed.role)
-                setLoading(false)
-                return
-              }
-            }
-          } catch {
-            // ignore
+        // 2) Fallback to local DB-based session, verified against the users collection
+        try {
+          const restored = await restoreDatabaseSession()
+          if (cancelled) return
+          if (restored) {
+            setUser(restored.user)
+            setRole(restored.role)
+            return
           }
+        } catch (err) {
+          const offline = isNetworkError(err) ? offlineDatabaseSession() : null
+          if (offline) {
+            if (cancelled) return
+            setUser(offline.user)
+            setRole(offline.role)
+            return
+          }
+          console.error('Failed to validate local session', err)
         }
+        clearStoredToken()
 
         if (!cancelled) {
           setUser(null)
@@ -58,6 +117,63 @@ export function AuthProvider({ children }) {
     }
   }, [])
 
+  // Audit entries name whoever is signed in
+  useEffect(() => {
+    setAuditActor(user?.email)
+  }, [user?.email])
+
+  // Verify an offline session once the connection is back
+  useEffect(() => {
+    if (!user?.offline) return undefined
+
+    async function verify() {
+      try {
+        const restored = await restoreDatabaseSession()
+        if (restored) {
+          setUser(restored.user)
+          setRole(restored.role)
+          return
+        }
+      } catch (err) {
+        if (isNetworkError(err)) return
+        console.error('Failed to validate local session', err)
+      }
+      clearStoredToken()
+      setUser(null)
+      setRole(null)
+    }
+
+    // The browser doesn't always notice a flaky connection recovering
+    const timer = setInterval(verify, OFFLINE_RECHECK_MS)
+    window.addEventListener('online', verify)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener('online', verify)
+    }
+  }, [user?.offline])
+
+  // Any change to (or deletion of) the signed-in user's document ends the session
+  useEffect(() => {
+    const { databaseId, usersCollectionId } = APPWRITE_CONFIG
+    if (user?.source !== 'database' || !user.id || !databaseId || !usersCollectionId) {
+      return undefined
+    }
+
+    const channel = `databases.${databaseId}.collections.${usersCollectionId}.documents.${user.id}`
+    let unsubscribe = () => {}
+    try {
+      unsubscribe = client.subscribe(channel, () => {
+        clearStoredToken()
+        setUser(null)
+        setRole(null)
+      })
+    } catch (err) {
+      console.error('Failed to subscribe to user document changes', err)
+    }
+
+    return () => unsubscribe()
+  }, [user?.source, user?.id])
+
   async function login(email, password) {
     setLoading(true)
     try {
@@ -76,39 +192,29 @@ export function AuthProvider({ children }) {
         setUser(adminUser)
         setRole('admin')
 
-        if (typeof window !== 'undefined') {
-          window.localStorage.removeItem(LOCAL_AUTH_KEY)
-        }
+        clearStoredToken()
 
         return { user: adminUser, role: 'admin' }
       } catch (appwriteError) {
-        // 2) Fallback to database-backed users
-        const { databaseId, usersCollectionId } = APPWRITE_CONFIG
-        if (!databaseId || !usersCollectionId) {
+        // 2) Fallback to database-backed users, checked by the session function
+        if (!APPWRITE_CONFIG.sessionFunctionId) {
           throw appwriteError
         }
 
-        const result = await databases.listDocuments(databaseId, usersCollectionId, [
-          Query.equal('email', email),
-          Query.equal('password', password),
-        ])
-
-        if (!result.total) {
+        const session = await requestSessionToken(email, password)
+        if (!session) {
           throw appwriteError
         }
 
-        const doc = result.documents[0]
-        const userRole = doc.role === 'admin' || doc.role === 'user' ? doc.role : 'user'
-        const dbUser = { email: doc.email, id: doc.$id, source: 'database' }
+        const userRole = normalizeRole(session)
+        const dbUser = { email: session.user.email, id: session.user.id, source: 'database' }
+        const { token } = session
 
         setUser(dbUser)
         setRole(userRole)
 
         if (typeof window !== 'undefined') {
-          window.localStorage.setItem(
-            LOCAL_AUTH_KEY,
-            JSON.stringify({ email: doc.email, id: doc.$id, role: userRole }),
-          )
+          window.localStorage.setItem(LOCAL_AUTH_KEY, JSON.stringify({ token }))
         }
 
         return { user: dbUser, role: userRole }
@@ -125,9 +231,7 @@ export function AuthProvider({ children }) {
     } catch {
       // ignore
     } finally {
-      if (typeof window !== 'undefined') {
-        window.localStorage.removeItem(LOCAL_AUTH_KEY)
-      }
+      clearStoredToken()
       setUser(null)
       setRole(null)
       setLoading(false)
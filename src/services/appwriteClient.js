@@ -1,4 +1,4 @@
-import { Client, Account, Databases, Storage } from 'appwrite'
+import { Client, Account, Databases, Functions, Storage } from 'appwrite'
 
 const client = new Client()
 
@@ -9,6 +9,7 @@ client
 export const account = new Account(client)
 export const databases = new Databases(client)
 export const storage = new Storage(client)
+export const functions = new Functions(client)
 
 // Central place for IDs used across the app
 export const APPWRITE_CONFIG = {
@@ -18,6 +19,15 @@ export const APPWRITE_CONFIG = {
   prospectsBucketId: import.meta.env.VITE_APPWRITE_PROSPECTS_BUCKET_ID || '',
   prospectsCollectionId: import.meta.env.VITE_APPWRITE_PROSPECTS_COLLECTION_ID || '',
   callLogsCollectionId: import.meta.env.VITE_APPWRITE_CALLLOGS_COLLECTION_ID || '',
+  correctionsCollectionId: import.meta.env.VITE_APPWRITE_CORRECTIONS_COLLECTION_ID || '',
+  dispositionsCollectionId: import.meta.env.VITE_APPWRITE_DISPOSITIONS_COLLECTION_ID || '',
+  formQuestionsCollectionId: import.meta.env.VITE_APPWRITE_FORM_QUESTIONS_COLLECTION_ID || '',
+  auditCollectionId: import.meta.env.VITE_APPWRITE_AUDIT_COLLECTION_ID || '',
+  assignmentsCollectionId: import.meta.env.VITE_APPWRITE_ASSIGNMENTS_COLLECTION_ID || '',
+  jathasCollectionId: import.meta.env.VITE_APPWRITE_JATHAS_COLLECTION_ID || '',
+  jathaEnrollmentsCollectionId: import.meta.env.VITE_APPWRITE_JATHA_ENROLLMENTS_COLLECTION_ID || '',
+  callerRulesCollectionId: import.meta.env.VITE_APPWRITE_CALLER_RULES_COLLECTION_ID || '',
+  sessionFunctionId: import.meta.env.VITE_APPWRITE_SESSION_FUNCTION_ID || '',
 }
 
 export default client
@@ -0,0 +1,148 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import { auditActor } from "./auditService";
+
+// Assignment history: one document per change of a prospect's caller
+// ({ prospectId, prospectName, fromEmail, toEmail, assignedBy, reason,
+// handover }), written by assignProspectsToUser / unassignProspects.
+// `handover` is JSON { callBack, notes } of what the previous caller passed
+// on: their pending call-back ({ callBackAt, callBackReason }) and the notes
+// of their latest call ({ notes1, notes2, notes3 }); either may be null.
+//
+// Like the audit trail, recording is best effort and skipped when the
+// collection isn't configured.
+
+const NOTE_FIELDS = ["notes1", "notes2", "notes3"];
+
+/** What can be handed over from a prospect's call logs (newest first) */
+export function handoverFromLogs(logs) {
+  const latest = logs[0];
+  const callBack =
+    latest &&
+    String(latest.callBack || "").trim().toLowerCase() === "yes" &&
+    !Number.isNaN(new Date(latest.callBackAt || "").getTime())
+      ? { callBackAt: latest.callBackAt, callBackReason: latest.callBackReason || "" }
+      : null;
+  const withNotes = logs.find((log) =>
+    NOTE_FIELDS.some((f) => String(log[f] || "").trim()),
+  );
+  const notes = withNotes
+    ? Object.fromEntries(NOTE_FIELDS.map((f) => [f, String(withNotes[f] || "").trim()]))
+    : null;
+  return { callBack, notes };
+}
+
+export function parseHandover(doc) {
+  try {
+    const parsed = JSON.parse(doc?.handover || "{}");
+    return {
+      callBack: parsed?.callBack || null,
+      notes: parsed?.notes || null,
+    };
+  } catch {
+    return { callBack: null, notes: null };
+  }
+}
+
+/** Record one change of caller; `handover` as returned by handoverFromLogs, trimmed to what was chosen */
+export async function recordAssignment({
+  prospectId,
+  prospectName,
+  from,
+  to,
+  reason,
+  handover,
+}) {
+  const { databaseId, assignmentsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !assignmentsCollectionId) return;
+  const docId = `assignment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  try {
+    await databases.createDocument(databaseId, assignmentsCollectionId, docId, {
+      prospectId: String(prospectId ?? ""),
+      prospectName: String(prospectName ?? "").trim(),
+      fromEmail: String(from ?? "").trim(),
+      toEmail: String(to ?? "").trim(),
+      assignedBy: auditActor(),
+      reason: String(reason ?? "").trim(),
+      handover: handover?.callBack || handover?.notes ? JSON.stringify(handover) : "",
+    });
+  } catch (error) {
+    console.error("Failed to record assignment", prospectId, error);
+  }
+}
+
+async function listAssignments(queries) {
+  const { databaseId, assignmentsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !assignmentsCollectionId) return [];
+  return listAllDocuments(assignmentsCollectionId, [
+    ...queries,
+    Query.orderDesc("$createdAt"),
+  ]);
+}
+
+/**
+ * A prospect's assignment history, newest first. Each record gets `heldFor`,
+ * the milliseconds its caller had the prospect (until the next change, or
+ * until now for the current one).
+ */
+export async function listAssignmentsForProspect(prospectId, now = new Date()) {
+  const records = await listAssignments([Query.equal("prospectId", prospectId)]);
+  return records.map((record, i) => {
+    const end = i === 0 ? now : new Date(records[i - 1].$createdAt);
+    return { ...record, heldFor: end - new Date(record.$createdAt) };
+  });
+}
+
+/** Assignment changes to or from a caller, newest first */
+export async function listAssignmentsInvolving(email) {
+  if (!email) return [];
+  const [to, from] = await Promise.all([
+    listAssignments([Query.equal("toEmail", email)]),
+    listAssignments([Query.equal("fromEmail", email)]),
+  ]);
+  const byId = new Map([...to, ...from].map((r) => [r.$id, r]));
+  return [...byId.values()].sort((a, b) =>
+    String(b.$createdAt).localeCompare(String(a.$createdAt)),
+  );
+}
+
+/**
+ * A caller's call logs adjusted for reassignments, for pendingCallBacks:
+ * logs for prospects since moved to someone else are dropped, and call-backs
+ * handed over to the caller are added as stand-in logs flagged
+ * `handedOverFrom` (a newer call logged by the caller closes them).
+ */
+export function logsWithHandovers(logs, assignments, email) {
+  const latest = {};
+  assignments.forEach((record) => {
+    if (!latest[record.prospectId]) latest[record.prospectId] = record;
+  });
+  const kept = logs.filter((log) => {
+    const record = latest[log.prospectId];
+    return !record || record.toEmail === email;
+  });
+  const handedOver = Object.values(latest)
+    .filter((record) => record.toEmail === email)
+    .map((record) => ({ record, callBack: parseHandover(record).callBack }))
+    .filter(({ callBack }) => callBack)
+    .map(({ record, callBack }) => ({
+      $id: `handover_${record.$id}`,
+      $createdAt: record.$createdAt,
+      prospectId: record.prospectId,
+      prospectName: record.prospectName,
+      callBack: "Yes",
+      callBackAt: callBack.callBackAt,
+      callBackReason: callBack.callBackReason,
+      handedOverFrom: record.fromEmail,
+    }));
+  return [...kept, ...handedOver];
+}
+
+/** "3 days", "5 hours", "less than an hour" */
+export function formatHeldFor(ms) {
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  if (hours < 1) return "less than an hour";
+  if (hours < 48) return `${hours} hour${hours === 1 ? "" : "s"}`;
+  return `${Math.floor(hours / 24)} days`;
+}
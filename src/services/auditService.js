@@ -0,0 +1,149 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+
+// Append-only change history for prospects and call logs. Every update,
+// delete, restore, purge and (un)assignment made through the services
+// writes one entry:
+// { entityType, entityId, entityLabel, prospectId, action, actor, changes }
+// where `changes` is JSON [{ field, before, after }] and the entry's
+// `$createdAt` is the time of the change. Call log entries carry their
+// prospect's id so a prospect's history includes its calls.
+//
+// Recording is best effort: a missing collection or a failed write is
+// logged and never fails the change itself.
+
+export const AUDIT_ENTITY_TYPES = {
+  prospect: "Prospect",
+  callLog: "Call log",
+};
+
+export const AUDIT_ACTIONS = {
+  update: "Updated",
+  delete: "Deleted",
+  restore: "Restored",
+  purge: "Purged",
+  assign: "Assigned",
+  unassign: "Unassigned",
+};
+
+// Set by AuthContext whenever the signed-in user changes
+let currentActor = "";
+
+export function setAuditActor(email) {
+  currentActor = String(email ?? "").trim();
+}
+
+/** Email of the signed-in user, as recorded on audit entries */
+export function auditActor() {
+  return currentActor;
+}
+
+function auditValue(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Fields of `after` whose value differs from `before`, as
+ * [{ field, before, after }]. Values are compared and stored as strings.
+ */
+export function fieldChanges(before, after) {
+  return Object.keys(after || {})
+    .filter((field) => !field.startsWith("$"))
+    .map((field) => ({
+      field,
+      before: auditValue(before?.[field]),
+      after: auditValue(after[field]),
+    }))
+    .filter((change) => change.before !== change.after);
+}
+
+/** Every filled-in field of a deleted document, as changes to "" */
+export function deletionChanges(doc) {
+  return Object.entries(doc || {})
+    .filter(([field, value]) => !field.startsWith("$") && auditValue(value))
+    .map(([field, value]) => ({ field, before: auditValue(value), after: "" }));
+}
+
+/** Write one audit entry; entries with no field changes are skipped */
+export async function recordAudit({
+  entityType,
+  entityId,
+  entityLabel,
+  prospectId,
+  action,
+  changes = [],
+}) {
+  const { databaseId, auditCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !auditCollectionId) return;
+  if (changes.length === 0) return;
+  const docId = `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  try {
+    await databases.createDocument(databaseId, auditCollectionId, docId, {
+      entityType,
+      entityId: String(entityId ?? ""),
+      entityLabel: String(entityLabel ?? "").trim(),
+      prospectId: String(prospectId ?? ""),
+      action,
+      actor: currentActor,
+      changes: JSON.stringify(changes),
+    });
+  } catch (error) {
+    console.error("Failed to record audit entry", entityType, entityId, error);
+  }
+}
+
+/** Parsed [{ field, before, after }] of an audit entry */
+export function parseAuditChanges(entry) {
+  try {
+    const parsed = JSON.parse(entry?.changes || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * A page of audit entries, newest first. Filters: entityType, entityId,
+ * prospectId, action, actor, and from / to dates (YYYY-MM-DD, inclusive);
+ * `page` is zero-based.
+ * @returns {{ documents: object[], total: number }}
+ */
+export async function listAuditEntries({
+  entityType,
+  entityId,
+  prospectId,
+  action,
+  actor,
+  from,
+  to,
+  page = 0,
+  pageSize = 25,
+} = {}) {
+  const { databaseId, auditCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !auditCollectionId) {
+    throw new Error("Appwrite audit collection is not configured.");
+  }
+  const queries = [
+    Query.orderDesc("$createdAt"),
+    Query.limit(pageSize),
+    Query.offset(page * pageSize),
+  ];
+  if (entityType) queries.push(Query.equal("entityType", entityType));
+  if (entityId) queries.push(Query.equal("entityId", entityId));
+  if (prospectId) queries.push(Query.equal("prospectId", prospectId));
+  if (action) queries.push(Query.equal("action", action));
+  if (actor) queries.push(Query.equal("actor", actor));
+  if (from) {
+    queries.push(
+      Query.greaterThanEqual("$createdAt", new Date(`${from}T00:00:00`).toISOString()),
+    );
+  }
+  if (to) {
+    queries.push(
+      Query.lessThanEqual("$createdAt", new Date(`${to}T23:59:59.999`).toISOString()),
+    );
+  }
+  const res = await databases.listDocuments(databaseId, auditCollectionId, queries);
+  return { documents: res.documents || [], total: res.total ?? 0 };
+}
@@ -0,0 +1,210 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { callOutcome } from "./callFormSchema";
+import { groupCallLogsByProspect } from "./callLogsService";
+import { listAllDocuments } from "./pagedList";
+import { assignProspectsToUser } from "./prospectsService";
+import { NOT_DELETED } from "./softDelete";
+
+// Auto-assignment: spreads unassigned prospects across chosen callers.
+// `planAutoAssignment` only builds a plan, so the admin can review it;
+// `applyAutoAssignment` commits it through assignProspectsToUser.
+
+export const AUTO_ASSIGN_STRATEGIES = {
+  roundRobin: "Round-robin",
+  workload: "Balance open workload",
+};
+
+const CALLER_RULES_KEY = "cb-auto-assign-callers";
+
+function localCallerRules() {
+  if (typeof window === "undefined") return {};
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(CALLER_RULES_KEY) || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Areas / gender saved per caller email: { email: { areas, gender } }. Kept
+ * in the caller rules collection (one document per caller) so every admin
+ * sees the same rules; on this device only when it isn't configured.
+ */
+export async function loadCallerRules() {
+  const { databaseId, callerRulesCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callerRulesCollectionId) return localCallerRules();
+  const docs = await listAllDocuments(callerRulesCollectionId);
+  return Object.fromEntries(
+    docs.map((doc) => [doc.email, { areas: doc.areas || "", gender: doc.gender || "" }]),
+  );
+}
+
+/** Save the rules of every caller in `rules` that changed. Errors are thrown. */
+export async function saveCallerRules(rules) {
+  const { databaseId, callerRulesCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callerRulesCollectionId) {
+    if (typeof window !== "undefined") {
+      window.localStorage.setItem(CALLER_RULES_KEY, JSON.stringify(rules));
+    }
+    return;
+  }
+  const docs = await listAllDocuments(callerRulesCollectionId);
+  const byEmail = Object.fromEntries(docs.map((doc) => [doc.email, doc]));
+  for (const [email, rule] of Object.entries(rules)) {
+    const data = {
+      areas: String(rule?.areas ?? "").trim(),
+      gender: String(rule?.gender ?? "").trim(),
+    };
+    const doc = byEmail[email];
+    if (doc) {
+      if ((doc.areas || "") === data.areas && (doc.gender || "") === data.gender) continue;
+      await databases.updateDocument(databaseId, callerRulesCollectionId, doc.$id, data);
+    } else if (data.areas || data.gender) {
+      const docId = `callerrule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await databases.createDocument(databaseId, callerRulesCollectionId, docId, {
+        email,
+        ...data,
+      });
+    }
+  }
+}
+
+/**
+ * Every live prospect and call log (newest first), for planning. Unlike
+ * listAllProspects / listAllCallLogs, failures are thrown: an empty list
+ * would look like there is nothing to assign.
+ */
+export async function loadAutoAssignData() {
+  const { databaseId, prospectsCollectionId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !prospectsCollectionId) {
+    throw new Error("Appwrite prospects collection is not configured.");
+  }
+  const [prospects, logs] = await Promise.all([
+    listAllDocuments(prospectsCollectionId, [NOT_DELETED]),
+    callLogsCollectionId
+      ? listAllDocuments(callLogsCollectionId, [NOT_DELETED, Query.orderDesc("$createdAt")])
+      : [],
+  ]);
+  return { prospects, logs };
+}
+
+/** "North, Model Town" -> ["north", "model town"] */
+export function parseAreas(text) {
+  return String(text || "")
+    .split(/[,\n]/)
+    .map((a) => a.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Prospects still being worked, per caller email: assigned prospects with
+ * no call yet, or whose latest call didn't reach them or asks for a
+ * call-back. `logs` newest first, as the list functions return them.
+ */
+export function openWorkloads(prospects, logs) {
+  const latest = groupCallLogsByProspect(logs);
+  const counts = {};
+  prospects.forEach((doc) => {
+    const email = String(doc.assignedTo || "").trim();
+    if (!email) return;
+    const log = latest[doc.$id]?.[0];
+    const outcome = log ? callOutcome(log) : "";
+    const callBack = String(log?.callBack || "").trim().toLowerCase() === "yes";
+    const done = (outcome === "reached" || outcome === "refused") && !callBack;
+    if (!done) counts[email] = (counts[email] || 0) + 1;
+  });
+  return counts;
+}
+
+function coversArea(caller, prospect) {
+  const place = `${prospect.locality || ""} ${prospect.address || ""}`.toLowerCase();
+  return caller.areas.some((area) => place.includes(area));
+}
+
+function matchesGender(caller, prospect) {
+  return (
+    !caller.gender ||
+    caller.gender.toLowerCase() === String(prospect.gender || "").trim().toLowerCase()
+  );
+}
+
+/**
+ * Callers allowed to take a prospect. With `byArea`, callers whose areas
+ * cover the prospect's locality or address come first; callers with no
+ * areas take the rest. With `byGender`, a caller with a gender set only
+ * takes prospects of that gender.
+ */
+function candidatesFor(prospect, callers, { byArea, byGender }) {
+  let pool = byGender ? callers.filter((c) => matchesGender(c, prospect)) : callers;
+  if (byArea) {
+    const covering = pool.filter((c) => coversArea(c, prospect));
+    pool = covering.length ? covering : pool.filter((c) => !c.areas.length);
+  }
+  return pool;
+}
+
+/**
+ * Who gets each prospect: [{ prospect, email, reason }], in prospect order.
+ * `callers` is [{ email, areas: string[], gender }]; `workloads` the open
+ * workload per email (see openWorkloads), used by the "workload" strategy.
+ * Prospects no caller can take get `email: ""` and the reason why.
+ */
+export function planAutoAssignment(
+  prospects,
+  callers,
+  { strategy = "roundRobin", byArea = false, byGender = false, workloads = {} } = {},
+) {
+  const load = {};
+  callers.forEach((c) => {
+    load[c.email] = workloads[c.email] || 0;
+  });
+  let next = 0;
+  return prospects.map((prospect) => {
+    const pool = candidatesFor(prospect, callers, { byArea, byGender });
+    if (!pool.length) {
+      return {
+        prospect,
+        email: "",
+        reason: byArea ? "No caller covers this area" : "No caller matches",
+      };
+    }
+    let chosen;
+    if (strategy === "workload") {
+      chosen = pool.reduce((best, c) => (load[c.email] < load[best.email] ? c : best));
+    } else {
+      // Take the first allowed caller at or after the round-robin pointer
+      for (let i = 0; i < callers.length && !chosen; i += 1) {
+        const caller = callers[(next + i) % callers.length];
+        if (pool.includes(caller)) chosen = caller;
+      }
+      next = (callers.indexOf(chosen) + 1) % callers.length;
+    }
+    load[chosen.email] += 1;
+    return {
+      prospect,
+      email: chosen.email,
+      reason: byArea && coversArea(chosen, prospect) ? "Area match" : "",
+    };
+  });
+}
+
+/**
+ * Commit a plan; rows without a caller are skipped. `reason` goes into the
+ * assignment history. Resolves to the number assigned.
+ */
+export async function applyAutoAssignment(plan, reason = "Auto-assigned") {
+  const byEmail = {};
+  plan.forEach(({ prospect, email }) => {
+    if (!email) return;
+    if (!byEmail[email]) byEmail[email] = [];
+    byEmail[email].push(prospect.$id);
+  });
+  let assigned = 0;
+  for (const [email, ids] of Object.entries(byEmail)) {
+    await assignProspectsToUser(ids, email, { reason });
+    assigned += ids.length;
+  }
+  return assigned;
+}
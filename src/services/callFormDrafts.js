@@ -0,0 +1,75 @@
+import { localDelete, localGetAll, localPut } from "./localDb";
+
+// Unsent calling form answers, one draft per caller and prospect, kept in
+// IndexedDB so a reload or a locked phone doesn't lose a half-filled form.
+// A draft remembers the call log being edited (`logId`), or null for a new
+// call. Drafting is best effort: failures are logged and never block the form.
+
+const STORE = "callFormDrafts";
+
+/** Drafts untouched for this long are removed by purgeOldCallFormDrafts */
+export const DRAFT_MAX_AGE_DAYS = 30;
+
+function draftId(userEmail, prospectId) {
+  return `${userEmail}:${prospectId}`;
+}
+
+/** Save (or replace) the draft for a prospect; returns the stored draft, or null */
+export async function saveCallFormDraft(userEmail, prospectId, { logId, values }) {
+  if (!userEmail || !prospectId) return null;
+  const draft = {
+    id: draftId(userEmail, prospectId),
+    userEmail,
+    prospectId,
+    logId: logId || null,
+    values,
+    savedAt: new Date().toISOString(),
+  };
+  try {
+    await localPut(STORE, draft);
+    return draft;
+  } catch (error) {
+    console.error("Failed to save call form draft", error);
+    return null;
+  }
+}
+
+/** The user's drafts keyed by prospect id */
+export async function listCallFormDrafts(userEmail) {
+  if (!userEmail) return {};
+  try {
+    const byProspect = {};
+    (await localGetAll(STORE))
+      .filter((d) => d.userEmail === userEmail)
+      .forEach((d) => {
+        byProspect[d.prospectId] = d;
+      });
+    return byProspect;
+  } catch (error) {
+    console.error("Failed to list call form drafts", error);
+    return {};
+  }
+}
+
+export async function deleteCallFormDraft(userEmail, prospectId) {
+  if (!userEmail || !prospectId) return;
+  try {
+    await localDelete(STORE, draftId(userEmail, prospectId));
+  } catch (error) {
+    console.error("Failed to delete call form draft", error);
+  }
+}
+
+/** Remove the user's drafts older than `maxAgeDays`; returns how many went */
+export async function purgeOldCallFormDrafts(
+  userEmail,
+  maxAgeDays = DRAFT_MAX_AGE_DAYS,
+) {
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const drafts = Object.values(await listCallFormDrafts(userEmail));
+  const old = drafts.filter((d) => !(new Date(d.savedAt).getTime() >= cutoff));
+  await Promise.all(
+    old.map((d) => deleteCallFormDraft(userEmail, d.prospectId)),
+  );
+  return old.length;
+}
@@ -0,0 +1,153 @@
+import { jsPDF } from "jspdf";
+import {
+  JATHA_COLUMNS,
+  callFormSections,
+  callLogAnswer,
+  callLogToForm,
+  formatCallLogValue,
+  isFieldVisible,
+  parseJathaDetails,
+} from "./callFormSchema";
+
+// x offset of each jatha column in the PDF table
+const JATHA_COLUMN_X = [5, 50, 100, 120, 160];
+
+/**
+ * Download a saved call log as a PDF laid out by form section. Sections with
+ * no answers are skipped; the footer names the caller and call date.
+ */
+export function downloadCallFormPdf({ prospect, log, schema }) {
+  const docPdf = new jsPDF();
+  const pageWidth = docPdf.internal.pageSize.getWidth();
+  const pageHeight = docPdf.internal.pageSize.getHeight();
+  const marginX = 15;
+  const marginY = 15;
+  const maxWidth = pageWidth - marginX * 2;
+  let y = marginY;
+
+  const checkNewPage = (requiredSpace = 10) => {
+    if (y + requiredSpace > pageHeight - marginY) {
+      docPdf.addPage();
+      y = marginY;
+    }
+  };
+
+  const sectionHeader = (title) => {
+    checkNewPage(25);
+    docPdf.setFillColor(220, 38, 38);
+    docPdf.rect(marginX, y, maxWidth, 8, "F");
+    docPdf.setTextColor(255, 255, 255);
+    docPdf.setFontSize(11);
+    docPdf.setFont("helvetica", "bold");
+    docPdf.text(title.toUpperCase(), marginX + 5, y + 6);
+    docPdf.setTextColor(0, 0, 0);
+    y += 12;
+  };
+
+  // Header with title
+  docPdf.setFillColor(220, 38, 38);
+  docPdf.rect(0, 0, pageWidth, 25, "F");
+  docPdf.setTextColor(255, 255, 255);
+  docPdf.setFontSize(18);
+  docPdf.setFont("helvetica", "bold");
+  docPdf.text("CALLING FORM", pageWidth / 2, 18, { align: "center" });
+  docPdf.setTextColor(0, 0, 0);
+  y = 35;
+
+  // Prospect information box
+  docPdf.setFillColor(241, 245, 249);
+  docPdf.roundedRect(marginX, y, maxWidth, 30, 3, 3, "F");
+  docPdf.setFontSize(12);
+  docPdf.setFont("helvetica", "bold");
+  docPdf.text("PROSPECT INFORMATION", marginX + 5, y + 8);
+  docPdf.setFont("helvetica", "normal");
+  docPdf.setFontSize(10);
+  docPdf.text(`Name: ${prospect.name || "-"}`, marginX + 5, y + 15);
+  docPdf.text(`Badge ID: ${prospect.badgeId || "-"}`, marginX + 5, y + 21);
+  docPdf.text(`Phone: ${prospect.phoneNumber || "-"}`, marginX + 100, y + 15);
+  docPdf.text(`Address: ${prospect.address || "-"}`, marginX + 100, y + 21);
+  y += 35;
+
+  const values = callLogToForm(log, schema);
+  callFormSections(schema).forEach((section) => {
+    const fields = section.fields.filter((f) => isFieldVisible(f, values));
+    const answered = fields.filter((f) =>
+      f.type === "jatha"
+        ? parseJathaDetails(callLogAnswer(f, log)).length > 0
+        : formatCallLogValue(f, log) !== "",
+    );
+    if (!answered.length) return;
+    sectionHeader(section.title);
+
+    answered.forEach((field) => {
+      if (field.type === "jatha") {
+        checkNewPage(15);
+        docPdf.setFillColor(241, 245, 249);
+        docPdf.rect(marginX, y, maxWidth, 8, "F");
+        docPdf.setFontSize(9);
+        docPdf.setFont("helvetica", "bold");
+        JATHA_COLUMNS.forEach(([, label], c) => {
+          docPdf.text(label, marginX + JATHA_COLUMN_X[c], y + 5);
+        });
+        y += 10;
+        parseJathaDetails(callLogAnswer(field, log)).forEach((j, i) => {
+          checkNewPage(10);
+          docPdf.setFontSize(9);
+          docPdf.setFont("helvetica", "normal");
+          docPdf.text(`${i + 1}.`, marginX + 1, y);
+          JATHA_COLUMNS.forEach(([key], c) => {
+            docPdf.text(String(j[key] || "-"), marginX + JATHA_COLUMN_X[c], y);
+          });
+          y += 7;
+        });
+        return;
+      }
+
+      const value = formatCallLogValue(field, log);
+      docPdf.setFontSize(10);
+      if (field.type === "textarea") {
+        checkNewPage(12);
+        docPdf.setFont("helvetica", "bold");
+        docPdf.text(`${field.label}:`, marginX + 5, y);
+        y += 5;
+        docPdf.setFont("helvetica", "normal");
+        docPdf.splitTextToSize(value, maxWidth - 10).forEach((chunk) => {
+          checkNewPage(6);
+          docPdf.text(chunk, marginX + 5, y);
+          y += 5;
+        });
+        y += 2;
+        return;
+      }
+      checkNewPage(8);
+      docPdf.setFont("helvetica", "normal");
+      docPdf.text(`${field.label}:`, marginX + 5, y);
+      docPdf.setFont("helvetica", "bold");
+      const chunks = docPdf.splitTextToSize(value, maxWidth - 60);
+      chunks.forEach((chunk, i) => {
+        docPdf.text(chunk, marginX + 60, y + i * 5);
+      });
+      y += 7 + (chunks.length - 1) * 5;
+    });
+    y += 3;
+  });
+
+  // Footer
+  const totalPages = docPdf.internal.pages.length - 1;
+  for (let i = 1; i <= totalPages; i++) {
+    docPdf.setPage(i);
+    docPdf.setFontSize(8);
+    docPdf.setTextColor(128, 128, 128);
+    docPdf.text(
+      `Submitted by: ${log.submittedBy || "N/A"} | Date: ${new Date(log.$createdAt || Date.now()).toLocaleDateString()}`,
+      pageWidth / 2,
+      pageHeight - 8,
+      { align: "center" },
+    );
+    docPdf.text(`Page ${i} of ${totalPages}`, pageWidth / 2, pageHeight - 5, {
+      align: "center",
+    });
+  }
+
+  docPdf.save(`call_form_${prospect.badgeId || prospect.id}.pdf`);
+}
@@ -0,0 +1,553 @@
+import {
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+  inclusiveDayCount,
+} from "./dates";
+import {
+  describeDisposition,
+  findDisposition,
+  legacyDispositionCode,
+} from "./dispositionsService";
+
+// The calling form, declared once. The form UI, validation, call log
+// payloads, the PDF and the Excel export are all generated from this list.
+// A field has:
+//   field        call log attribute, or the key of an admin-added question
+//   label, type  text | textarea | yesno | select | datetime | disposition | jatha
+//   section      id from CALL_FORM_SECTIONS
+//   options      choices for "select"
+//   required     must be answered when the field is shown
+//   visibleWhen  { field, equals }: only shown (and saved) when that answer matches
+//   defaultValue, placeholder, requiredMessage, rows
+// Built-in fields are call log attributes. Admin-added questions (see
+// formQuestionsService) are flagged `custom` and saved together in the
+// `customAnswers` JSON attribute. Rules between answers are declared in
+// CALL_FORM_RULES and also checked by callLogsService before saving.
+
+export const CALL_FORM_SECTIONS = [
+  { id: "calling", title: "Calling Data", half: true },
+  { id: "transfer", title: "Transfer Data", half: true },
+  { id: "needToWork", title: "Need to Work" },
+  { id: "notes", title: "Notes", columns: 3 },
+  { id: "additional", title: "Additional Questions", columns: 2 },
+  { id: "jatha", title: "Jatha Details" },
+];
+
+export const CALL_FORM_FIELD_TYPES = [
+  ["text", "Short text"],
+  ["textarea", "Paragraph"],
+  ["yesno", "Yes / No"],
+  ["select", "Choice list"],
+];
+
+export const YES_NO_OPTIONS = ["Yes", "No"];
+
+/** Columns of one jatha row: [key, label] */
+export const JATHA_COLUMNS = [
+  ["areaName", "Area Name"],
+  ["departmentName", "Department"],
+  ["jathaTotalDay", "Days"],
+  ["dateFrom", "Date From"],
+  ["dateTo", "Date To"],
+];
+
+export const EMPTY_JATHA = {
+  areaName: "",
+  departmentName: "",
+  jathaTotalDay: "",
+  dateFrom: "",
+  dateTo: "",
+};
+
+const callBackRequested = { field: "callBack", equals: "Yes" };
+
+export const BUILTIN_CALL_FORM_FIELDS = [
+  {
+    field: "disposition",
+    label: "Outcome",
+    type: "disposition",
+    section: "calling",
+    required: true,
+    requiredMessage: "Choose the call outcome and a reason.",
+  },
+  { field: "callBack", label: "Call Back", type: "yesno", section: "calling" },
+  {
+    field: "callBackAt",
+    label: "Call back on",
+    type: "datetime",
+    section: "calling",
+    required: true,
+    requiredMessage: "Choose when to call back.",
+    visibleWhen: callBackRequested,
+  },
+  {
+    field: "callBackReason",
+    label: "Call-back reason",
+    type: "text",
+    section: "calling",
+    required: true,
+    requiredMessage: "Add a reason for the call-back.",
+    placeholder: "e.g. Busy, asked to call after 6pm",
+    visibleWhen: callBackRequested,
+  },
+  {
+    field: "departmentOfSewa",
+    label: "Department of Sewa",
+    type: "text",
+    section: "calling",
+    placeholder: "e.g. Langar Seva, Main Kitchen",
+  },
+  {
+    field: "nominalListSelect",
+    label: "Nominal List Select",
+    type: "yesno",
+    section: "transfer",
+  },
+  { field: "visitSelect", label: "Visit Select", type: "yesno", section: "transfer" },
+  {
+    field: "freeSewa",
+    label: "Free Sewa",
+    type: "select",
+    section: "transfer",
+    options: ["N/A", "Yes", "No"],
+    defaultValue: "N/A",
+  },
+  { field: "attendance", label: "Attendance", type: "yesno", section: "transfer" },
+  { field: "jathaRecord", label: "Jatha Record", type: "yesno", section: "transfer" },
+  {
+    field: "needToWork",
+    label: "Need to Work",
+    type: "textarea",
+    section: "needToWork",
+    rows: 4,
+    placeholder: "Enter detailed notes about areas that need work...",
+  },
+  {
+    field: "notes1",
+    label: "Good Participation",
+    type: "textarea",
+    section: "notes",
+    placeholder: "Notes about good participation...",
+  },
+  {
+    field: "notes2",
+    label: "Positive",
+    type: "textarea",
+    section: "notes",
+    placeholder: "Positive notes...",
+  },
+  {
+    field: "notes3",
+    label: "VIP Prospect",
+    type: "textarea",
+    section: "notes",
+    placeholder: "VIP prospect notes...",
+  },
+  { field: "jathaDetails", label: "Jatha Details", type: "jatha", section: "jatha" },
+];
+
+const refused = { field: "outcome", equals: "refused" };
+const notReached = { field: "outcome", equals: "not_reached" };
+
+/**
+ * Rules between answers, checked on the form and again when a call log is
+ * saved. `outcome` is the disposition category (see callOutcome). A rule
+ * applies when `when` matches and then either forbids `field` from holding
+ * `forbid`, or requires it to equal `require` (`true`: any answer).
+ */
+export const CALL_FORM_RULES = [
+  {
+    when: refused,
+    field: "nominalListSelect",
+    forbid: "Yes",
+    message: "A prospect who refused can't be put on the nominal list.",
+  },
+  {
+    when: refused,
+    field: "visitSelect",
+    forbid: "Yes",
+    message: "A prospect who refused can't be selected for a visit.",
+  },
+  {
+    when: refused,
+    field: "jathaRecord",
+    forbid: "Yes",
+    message: "A prospect who refused can't have a jatha record.",
+  },
+  {
+    when: notReached,
+    field: "nominalListSelect",
+    forbid: "Yes",
+    message: "Only a prospect who was reached can be put on the nominal list.",
+  },
+  {
+    when: notReached,
+    field: "visitSelect",
+    forbid: "Yes",
+    message: "Only a prospect who was reached can be selected for a visit.",
+  },
+  {
+    when: { field: "disposition", equals: "REACHED_CALL_BACK" },
+    field: "callBack",
+    require: "Yes",
+    message: "The prospect asked to be called back: set Call Back to Yes.",
+  },
+  {
+    when: callBackRequested,
+    field: "callBackAt",
+    require: true,
+    message: "Choose when to call back.",
+  },
+  {
+    when: callBackRequested,
+    field: "callBackReason",
+    require: true,
+    message: "Add a reason for the call-back.",
+  },
+  {
+    when: { field: "jathaRecord", equals: "Yes" },
+    field: "jathaDetails",
+    require: true,
+    message: "Add at least one jatha for a jatha record.",
+  },
+];
+
+/** Choice list from a custom question: one option per line (or comma-separated) */
+export function parseQuestionOptions(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || "").split(/[\n,]/);
+  return list.map((o) => String(o).trim()).filter(Boolean);
+}
+
+function questionToField(question) {
+  const field = {
+    field: question.key,
+    label: question.label,
+    type: question.type,
+    section: question.section || "additional",
+    required: !!question.required,
+    custom: true,
+  };
+  if (question.type === "select") {
+    field.options = parseQuestionOptions(question.options);
+  }
+  if (question.showWhenField) {
+    field.visibleWhen = {
+      field: question.showWhenField,
+      equals: question.showWhenValue || "",
+    };
+  }
+  return field;
+}
+
+/** Built-in fields followed by the active admin-added questions, in their set order */
+export function buildCallFormSchema(questions = []) {
+  const custom = questions
+    .filter((q) => q.active !== false && q.key && q.label)
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0))
+    .map(questionToField);
+  return [...BUILTIN_CALL_FORM_FIELDS, ...custom];
+}
+
+function matchesCondition(condition, values) {
+  if (!condition) return true;
+  return String(values[condition.field] ?? "").trim() === condition.equals;
+}
+
+export function isFieldVisible(field, values) {
+  return matchesCondition(field.visibleWhen, values);
+}
+
+/** Schema fields grouped by section, skipping empty sections */
+export function callFormSections(schema, sectionIds) {
+  return CALL_FORM_SECTIONS.filter(
+    (s) => !sectionIds || sectionIds.includes(s.id),
+  )
+    .map((section) => ({
+      ...section,
+      fields: schema.filter((f) => f.section === section.id),
+    }))
+    .filter((section) => section.fields.length > 0);
+}
+
+export function parseJathaDetails(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== "string" || !raw.trim()) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function parseCustomAnswers(raw) {
+  if (raw && typeof raw === "object") return raw;
+  if (typeof raw !== "string" || !raw.trim()) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Stored answer for a field: the attribute, or the custom answer */
+export function callLogAnswer(field, log) {
+  if (!log) return "";
+  if (field.custom) return parseCustomAnswers(log.customAnswers)[field.field] ?? "";
+  return log[field.field] ?? "";
+}
+
+/** Blank form values. `dispositionCategory` backs the disposition picker. */
+export function emptyCallForm(schema) {
+  const values = { dispositionCategory: "", customAnswers: {} };
+  schema.forEach((f) => {
+    values[f.field] = f.type === "jatha" ? [] : (f.defaultValue ?? "");
+  });
+  return values;
+}
+
+/** Form values for editing or viewing a saved call log */
+export function callLogToForm(log, schema) {
+  const values = emptyCallForm(schema);
+  // Kept so answers to since-retired questions survive an edit
+  values.customAnswers = parseCustomAnswers(log.customAnswers);
+  schema.forEach((f) => {
+    const raw = callLogAnswer(f, log);
+    if (f.type === "jatha") {
+      values[f.field] = parseJathaDetails(raw);
+    } else if (f.type === "datetime") {
+      values[f.field] = toDateTimeLocalValue(raw);
+    } else if (f.type === "disposition") {
+      const code = raw || legacyDispositionCode(log) || "";
+      values[f.field] = code;
+      values.dispositionCategory = findDisposition(code)?.category || "";
+    } else if (String(raw).trim() !== "") {
+      values[f.field] = String(raw);
+    }
+  });
+  return values;
+}
+
+/**
+ * Call log data for createCallLog/updateCallLog. Hidden fields are saved
+ * empty; custom answers are collected into `customAnswers`, which is only
+ * sent when the form has (or the log had) custom questions.
+ */
+export function formToCallLogData(values, schema) {
+  const data = {};
+  const answers = { ...(values.customAnswers || {}) };
+  let hasCustom = Object.keys(answers).length > 0;
+  schema.forEach((f) => {
+    const visible = isFieldVisible(f, values);
+    let value = values[f.field];
+    if (f.type === "jatha") {
+      value = visible && Array.isArray(value) ? value.map(withJathaTotalDay) : [];
+    } else if (f.type === "datetime") {
+      value = visible ? fromDateTimeLocalValue(value) : "";
+    } else {
+      value = visible ? String(value ?? "").trim() : "";
+    }
+    if (!f.custom) {
+      data[f.field] = value;
+      return;
+    }
+    hasCustom = true;
+    if (value) answers[f.field] = value;
+    else delete answers[f.field];
+  });
+  if (hasCustom) data.customAnswers = JSON.stringify(answers);
+  return data;
+}
+
+/**
+ * Disposition category of a form or call log ("reached", "not_reached",
+ * "refused"), falling back to the legacy Yes/No answers; "" when unknown.
+ */
+export function callOutcome(values) {
+  const code = values.disposition || legacyDispositionCode(values);
+  return findDisposition(code)?.category || "";
+}
+
+/** A jatha row with `jathaTotalDay` worked out from its dates, when both are set and in order */
+export function withJathaTotalDay(row) {
+  const days = inclusiveDayCount(row.dateFrom, row.dateTo);
+  return days > 0 ? { ...row, jathaTotalDay: String(days) } : row;
+}
+
+function isBlank(value) {
+  return Array.isArray(value)
+    ? value.length === 0
+    : String(value ?? "").trim() === "";
+}
+
+/**
+ * Broken CALL_FORM_RULES and jatha row problems, keyed by field (rows as
+ * "jathaDetails.<index>"). Works on form values and on call log data alike.
+ */
+export function checkCallFormRules(values) {
+  const jathas = parseJathaDetails(values.jathaDetails);
+  const facts = { ...values, jathaDetails: jathas, outcome: callOutcome(values) };
+  const errors = {};
+  CALL_FORM_RULES.forEach((rule) => {
+    if (errors[rule.field] || !matchesCondition(rule.when, facts)) return;
+    const value = facts[rule.field];
+    const broken =
+      rule.forbid !== undefined
+        ? String(value ?? "").trim() === rule.forbid
+        : rule.require === true
+          ? isBlank(value)
+          : String(value ?? "").trim() !== rule.require;
+    if (broken) errors[rule.field] = rule.message;
+  });
+  jathas.forEach((row, i) => {
+    const days = inclusiveDayCount(row.dateFrom, row.dateTo);
+    let message = "";
+    if (days !== null && days < 1) {
+      message = "Date To is before Date From.";
+    } else if (
+      days !== null &&
+      String(row.jathaTotalDay ?? "").trim() !== "" &&
+      Number(row.jathaTotalDay) !== days
+    ) {
+      message = `${row.jathaTotalDay} days doesn't match the dates (${days} days).`;
+    } else if (days > 0) {
+      // One sewadar can't be on two jathas at once
+      const other = jathas.findIndex(
+        (o, j) =>
+          j < i &&
+          inclusiveDayCount(o.dateFrom, o.dateTo) > 0 &&
+          o.dateFrom <= row.dateTo &&
+          row.dateFrom <= o.dateTo,
+      );
+      if (other >= 0) message = `Dates overlap jatha ${other + 1}.`;
+    }
+    if (message) errors[`jathaDetails.${i}`] = `Jatha ${i + 1}: ${message}`;
+  });
+  return errors;
+}
+
+/** Errors keyed by field name; empty when the form can be saved */
+export function validateCallForm(values, schema) {
+  const errors = {};
+  schema.forEach((f) => {
+    if (!f.required || !isFieldVisible(f, values)) return;
+    if (isBlank(values[f.field])) {
+      errors[f.field] = f.requiredMessage || `${f.label} is required.`;
+    }
+  });
+  return { ...checkCallFormRules(values), ...errors };
+}
+
+/** "Entry 1: areaName: North Hall; dateFrom: 2024-01-01 | Entry 2: …" */
+export function formatJathaDetails(raw) {
+  return parseJathaDetails(raw)
+    .map((row, i) => {
+      const parts = Object.entries(row || {})
+        .filter(([k, v]) => k !== "jathaId" && v != null && String(v).trim() !== "")
+        .map(([k, v]) => `${k}: ${v}`);
+      return parts.length ? `Entry ${i + 1}: ${parts.join("; ")}` : "";
+    })
+    .filter(Boolean)
+    .join(" | ");
+}
+
+/** Human-readable answer for views, the PDF and exports ("" when unanswered) */
+export function formatCallLogValue(field, log) {
+  const raw = callLogAnswer(field, log);
+  switch (field.type) {
+    case "disposition": {
+      const code = raw || legacyDispositionCode(log);
+      return code ? describeDisposition(code) : "";
+    }
+    case "datetime": {
+      const d = new Date(raw);
+      return raw && !Number.isNaN(d.getTime()) ? d.toLocaleString() : "";
+    }
+    case "jatha":
+      return formatJathaDetails(raw);
+    default:
+      return String(raw ?? "").trim();
+  }
+}
+
+/**
+ * Answers someone else changed between `base` (the call log an edit started
+ * from) and `current` (the saved log now), next to the editor's own answer
+ * from form `values`: [{ field, label, base, theirs, yours, clash }], all
+ * display strings. `clash` means the editor changed that answer too.
+ */
+export function callLogConflictFields(schema, base, current, values) {
+  const yoursLog = formToCallLogData(values, schema);
+  return schema
+    .map((field) => {
+      const before = formatCallLogValue(field, base);
+      const theirs = formatCallLogValue(field, current);
+      const yours = formatCallLogValue(field, yoursLog);
+      return {
+        field: field.field,
+        label: field.label,
+        base: before,
+        theirs,
+        yours,
+        clash: yours !== before && yours !== theirs,
+      };
+    })
+    .filter((row) => row.base !== row.theirs);
+}
+
+/**
+ * Display rows for the answers an audit entry changed (see fieldChanges):
+ * [{ field, label, before, after }], formatted like the call log views.
+ * Fields derived from others (select, notInterest) are left out.
+ */
+export function callLogAuditRows(schema, changes) {
+  const before = {};
+  const after = {};
+  changes.forEach((change) => {
+    before[change.field] = change.before;
+    after[change.field] = change.after;
+  });
+  return schema
+    .map((field) => ({
+      field: field.field,
+      label: field.label,
+      before: formatCallLogValue(field, before),
+      after: formatCallLogValue(field, after),
+    }))
+    .filter((row) => row.before !== row.after);
+}
+
+/** Form `values` with the listed fields taken from the saved log `current` */
+export function takeSavedAnswers(values, current, schema, fields) {
+  const saved = callLogToForm(current, schema);
+  const merged = { ...values };
+  fields.forEach((field) => {
+    merged[field] = saved[field];
+    if (field === "disposition") {
+      merged.dispositionCategory = saved.dispositionCategory;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Calling form columns for the Excel export: [label, (log) => value].
+ * Raw codes and the legacy Yes/No outcome columns are kept for reporting.
+ */
+export function callFormExportColumns(schema) {
+  const plain = (key) => (log) => String(log[key] ?? "");
+  const columns = [
+    ["Prospect name", plain("prospectName")],
+    ["Submitted by", plain("submittedBy")],
+  ];
+  schema.forEach((f) => {
+    columns.push([f.label, (log) => formatCallLogValue(f, log)]);
+    if (f.type === "disposition") {
+      columns.push(["Disposition code", plain("disposition")]);
+      columns.push(["Calling status", plain("select")]);
+      columns.push(["Not interested", plain("notInterest")]);
+    }
+  });
+  return columns;
+}
@@ -1,44 +1,166 @@
 import { Query } from "appwrite";
 import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import {
+  describeDisposition,
+  dispositionLegacyFields,
+  ensureDispositions,
+  legacyDispositionCode,
+} from "./dispositionsService";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  checkCallFormRules,
+  parseJathaDetails,
+  withJathaTotalDay,
+} from "./callFormSchema";
+import { deletionChanges, fieldChanges, recordAudit } from "./auditService";
+import {
+  jathaKey,
+  jathaProblem,
+  listJathas,
+  saveJatha,
+  syncCallLogEnrollments,
+} from "./jathasService";
+import {
+  DELETED,
+  NOT_DELETED,
+  RESTORED,
+  deletionStamp,
+  isLive,
+} from "./softDelete";
 
-/** Create a new call log (prospect call form submission) */
+// Written by callBackFields / dispositionFields below
+const SCHEDULE_AND_OUTCOME_FIELDS = new Set([
+  "disposition",
+  "callBackAt",
+  "callBackReason",
+]);
+
+/**
+ * Calling form answers from the form schema's built-in fields ("" when
+ * missing). Jatha days are recomputed from each row's dates.
+ * `customAnswers` is only written when given, so collections without that
+ * attribute keep working until custom questions are added.
+ */
+function formAnswerFields(data) {
+  const fields = {};
+  BUILTIN_CALL_FORM_FIELDS.forEach(({ field, type }) => {
+    if (SCHEDULE_AND_OUTCOME_FIELDS.has(field)) return;
+    if (type === "jatha") {
+      const rows = parseJathaDetails(data[field]);
+      // Unreadable JSON is stored as given rather than silently dropped
+      fields[field] =
+        typeof data[field] === "string" && data[field].trim() && !rows.length
+          ? data[field]
+          : JSON.stringify(rows.map(withJathaTotalDay));
+      return;
+    }
+    fields[field] = String(data[field] ?? "").trim() || "";
+  });
+  if (data.customAnswers !== undefined) {
+    fields.customAnswers =
+      typeof data.customAnswers === "string"
+        ? data.customAnswers
+        : JSON.stringify(data.customAnswers || {});
+  }
+  return fields;
+}
+
+/**
+ * Call-back schedule fields. Cleared when Call Back isn't "Yes"; otherwise
+ * only the fields present in `data` are written, so callers that don't send
+ * the schedule leave it as it was.
+ */
+function callBackFields(data) {
+  if (String(data.callBack ?? "").trim().toLowerCase() !== "yes") {
+    return { callBackAt: "", callBackReason: "" };
+  }
+  const fields = {};
+  if (data.callBackAt !== undefined) {
+    fields.callBackAt = String(data.callBackAt ?? "").trim();
+  }
+  if (data.callBackReason !== undefined) {
+    fields.callBackReason = String(data.callBackReason ?? "").trim();
+  }
+  return fields;
+}
+
+/**
+ * Disposition code plus the Yes/No fields it implies. Left out when `data`
+ * has no disposition, so callers that don't send one don't clear it.
+ */
+function dispositionFields(data) {
+  if (data.disposition === undefined) return {};
+  const disposition = String(data.disposition ?? "").trim();
+  return { disposition, ...dispositionLegacyFields(disposition) };
+}
+
+/**
+ * The calling form rules (see CALL_FORM_RULES) checked against the call log
+ * as it will be saved, so no path can save answers the form would reject.
+ */
+function assertCallFormRules(payload) {
+  const messages = [...new Set(Object.values(checkCallFormRules(payload)))];
+  if (messages.length) throw new Error(messages.join(" "));
+}
+
+export function newCallLogId() {
+  return `calllog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create a new call log (prospect call form submission). Pass `logId`
+ * (see newCallLogId) to choose the document id, so a retried submission
+ * can't create the call twice.
+ */
 export async function createCallLog(data) {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !callLogsCollectionId) {
     throw new Error("Appwrite call logs collection is not configured.");
   }
-  const docId = `calllog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const docId = data.logId || newCallLogId();
+  // Custom codes only resolve once the catalogue is loaded
+  await ensureDispositions();
   const payload = {
     prospectId: String(data.prospectId ?? "").trim() || "",
     prospectName: String(data.prospectName ?? "").trim() || "",
     submittedBy: String(data.submittedBy ?? "").trim() || "",
     select: String(data.select ?? "").trim() || "",
-    callBack: String(data.callBack ?? "").trim() || "",
     notInterest: String(data.notInterest ?? "").trim() || "",
-    needToWork: String(data.needToWork ?? "").trim() || "",
-    notes1: String(data.notes1 ?? "").trim() || "",
-    notes2: String(data.notes2 ?? "").trim() || "",
-    notes3: String(data.notes3 ?? "").trim() || "",
-    nominalListSelect: String(data.nominalListSelect ?? "").trim() || "",
-    visitSelect: String(data.visitSelect ?? "").trim() || "",
-    freeSewa: String(data.freeSewa ?? "").trim() || "",
-    departmentOfSewa: String(data.departmentOfSewa ?? "").trim() || "",
-    attendance: String(data.attendance ?? "").trim() || "",
-    jathaRecord: String(data.jathaRecord ?? "").trim() || "",
-    jathaDetails:
-      typeof data.jathaDetails === "string"
-        ? data.jathaDetails
-        : JSON.stringify(data.jathaDetails || []),
+    ...formAnswerFields(data),
+    ...callBackFields(data),
+    ...dispositionFields(data),
   };
+  assertCallFormRules(payload);
   const created = await databases.createDocument(
     databaseId,
     callLogsCollectionId,
     docId,
     payload,
   );
+  await syncCallLogEnrollments(created);
   return created;
 }
 
+/** One call log, or null when it doesn't exist or is in the recycle bin */
+export async function getCallLog(logId) {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId || !logId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  try {
+    const doc = await databases.getDocument(
+      databaseId,
+      callLogsCollectionId,
+      logId,
+    );
+    return isLive(doc) ? doc : null;
+  } catch (error) {
+    if (error?.code === 404) return null;
+    throw error;
+  }
+}
+
 /** List all call logs (for admin) */
 export async function listCallLogs() {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
@@ -49,7 +171,7 @@ export async function listCallLogs() {
     const response = await databases.listDocuments(
       databaseId,
       callLogsCollectionId,
-      [Query.orderDesc("$createdAt")],
+      [NOT_DELETED, Query.orderDesc("$createdAt")],
     );
     return response;
   } catch (error) {
@@ -64,56 +186,42 @@ export async function listAllCallLogs() {
   if (!databaseId || !callLogsCollectionId) {
     return [];
   }
-  const limit = 100;
-  const all = [];
-  let offset = 0;
   try {
-    while (true) {
-      const response = await databases.listDocuments(
-        databaseId,
-        callLogsCollectionId,
-        [
-          Query.orderDesc("$createdAt"),
-          Query.limit(limit),
-          Query.offset(offset),
-        ],
-      );
-      const batch = response.documents || [];
-      all.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-    return all;
+    return await listAllDocuments(callLogsCollectionId, [
+      NOT_DELETED,
+      Query.orderDesc("$createdAt"),
+    ]);
   } catch (error) {
     console.error("Failed to list all call logs", error);
-    return all;
+    return [];
   }
 }
 
-/** List call logs submitted by a specific user (for user dashboard) */
+/** Every call log submitted by a specific user, newest first (for user dashboard) */
 export async function listCallLogsForUser(submittedBy) {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !callLogsCollectionId || !submittedBy) {
     return { documents: [], total: 0 };
   }
   try {
-    const response = await databases.listDocuments(
-      databaseId,
-      callLogsCollectionId,
-      [Query.equal("submittedBy", submittedBy), Query.orderDesc("$createdAt")],
-    );
-    return response;
+    // Every attempt, not just Appwrite's default first page
+    const all = await listAllDocuments(callLogsCollectionId, [
+      Query.equal("submittedBy", submittedBy),
+      NOT_DELETED,
+      Query.orderDesc("$createdAt"),
+    ]);
+    return { documents: all, total: all.length };
   } catch (error) {
     console.error("Failed to list call logs for user (indexed query):", error);
-    // Fallback: fetch all and filter client-side (in case submittedBy index missing)
+    // Fallback: fetch all and filter client-side (in case submittedBy index missing).
+    // Paged, so call-backs on older attempts stay in the due queue.
     try {
-      const response = await databases.listDocuments(
-        databaseId,
-        callLogsCollectionId,
-        [Query.orderDesc("$createdAt"), Query.limit(500)],
-      );
-      const filtered = (response.documents || []).filter(
+      const all = await listAllDocuments(callLogsCollectionId, [
+        Query.orderDesc("$createdAt"),
+      ]);
+      const filtered = all.filter(
         (d) =>
+          isLive(d) &&
           String(d.submittedBy || "").trim() === String(submittedBy).trim(),
       );
       return { documents: filtered, total: filtered.length };
@@ -124,19 +232,22 @@ export async function listCallLogsForUser(submittedBy) {
   }
 }
 
-/** List call logs for a particular prospect (for admin view per prospect) */
+/**
+ * Every call attempt for a prospect, newest first (paginated, so long
+ * histories are complete). Used for the per-prospect call timeline.
+ */
 export async function listCallLogsForProspect(prospectId) {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !callLogsCollectionId || !prospectId) {
     return { documents: [], total: 0 };
   }
   try {
-    const response = await databases.listDocuments(
-      databaseId,
-      callLogsCollectionId,
-      [Query.equal("prospectId", prospectId), Query.orderDesc("$createdAt")],
-    );
-    return response;
+    const all = await listAllDocuments(callLogsCollectionId, [
+      Query.equal("prospectId", prospectId),
+      NOT_DELETED,
+      Query.orderDesc("$createdAt"),
+    ]);
+    return { documents: all, total: all.length };
   } catch (error) {
     console.error(
       "Failed to list call logs for prospect (indexed query):",
@@ -150,7 +261,9 @@ export async function listCallLogsForProspect(prospectId) {
         [Query.orderDesc("$createdAt"), Query.limit(500)],
       );
       const filtered = (response.documents || []).filter(
-        (d) => String(d.prospectId || "").trim() === String(prospectId).trim(),
+        (d) =>
+          isLive(d) &&
+          String(d.prospectId || "").trim() === String(prospectId).trim(),
       );
       return { documents: filtered, total: filtered.length };
     } catch (fallbackError) {
@@ -163,6 +276,169 @@ export async function listCallLogsForProspect(prospectId) {
   }
 }
 
+/** Group call logs by prospect; each list keeps the input order (newest first from the list functions) */
+export function groupCallLogsByProspect(logs) {
+  const byProspect = {};
+  (logs || []).forEach((log) => {
+    if (!log.prospectId) return;
+    if (!byProspect[log.prospectId]) byProspect[log.prospectId] = [];
+    byProspect[log.prospectId].push(log);
+  });
+  return byProspect;
+}
+
+/** One-line outcome of a call attempt, for timelines and tables */
+export function describeCallOutcome(log) {
+  if (!log) return "-";
+  const yes = (v) => String(v || "").trim().toLowerCase() === "yes";
+  if (log.disposition) {
+    const text = describeDisposition(log.disposition);
+    return yes(log.callBack) ? `${text}, call back` : text;
+  }
+  const parts = [];
+  if (yes(log.select)) parts.push("Reached");
+  else if (String(log.select || "").trim()) parts.push("Not reached");
+  if (yes(log.notInterest)) parts.push("not interested");
+  if (yes(log.callBack)) parts.push("call back");
+  if (yes(log.nominalListSelect)) parts.push("nominal list");
+  if (yes(log.visitSelect)) parts.push("visit");
+  if (!parts.length) return "No outcome recorded";
+  const text = parts.join(", ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Open call-backs: for each prospect, its latest attempt if that attempt asks
+ * for a call-back at a set time. Logging a newer attempt closes it.
+ * Returned soonest due first.
+ */
+export function pendingCallBacks(logs) {
+  const latest = {};
+  (logs || []).forEach((log) => {
+    if (!log.prospectId) return;
+    const seen = latest[log.prospectId];
+    if (!seen || String(log.$createdAt) > String(seen.$createdAt)) {
+      latest[log.prospectId] = log;
+    }
+  });
+  return Object.values(latest)
+    .filter(
+      (log) =>
+        String(log.callBack || "").trim().toLowerCase() === "yes" &&
+        !Number.isNaN(new Date(log.callBackAt || "").getTime()),
+    )
+    .sort((a, b) => new Date(a.callBackAt) - new Date(b.callBackAt));
+}
+
+/** "overdue" (due before today), "today" or "upcoming", in local time */
+export function callBackStatus(log, now = new Date()) {
+  const due = new Date(log.callBackAt);
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfTomorrow = new Date(startOfToday);
+  startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
+  if (due < startOfToday) return "overdue";
+  if (due < startOfTomorrow) return "today";
+  return "upcoming";
+}
+
+/** Call logs saved before disposition codes that can be mapped onto one */
+export function logsNeedingDisposition(logs) {
+  return (logs || []).filter(
+    (log) => !log.disposition && legacyDispositionCode(log),
+  );
+}
+
+/**
+ * Give older call logs a disposition code from their Yes/No answers (see
+ * legacyDispositionCode). Only the `disposition` attribute is written.
+ * @returns {Promise<{ updated: number, failed: number }>}
+ */
+export async function migrateCallLogDispositions(logs, onProgress) {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  const pending = logsNeedingDisposition(logs);
+  let updated = 0;
+  let failed = 0;
+  for (const log of pending) {
+    try {
+      await databases.updateDocument(databaseId, callLogsCollectionId, log.$id, {
+        disposition: legacyDispositionCode(log),
+      });
+      updated++;
+    } catch (error) {
+      console.error("Failed to migrate call log disposition:", log.$id, error);
+      failed++;
+    }
+    onProgress?.({ done: updated + failed, total: pending.length });
+  }
+  return { updated, failed };
+}
+
+/** A jatha row typed in by hand (no `jathaId`) that is complete enough to become a jatha */
+function unlinkedJathaRow(row) {
+  return !row.jathaId && !jathaProblem(row);
+}
+
+/** Call logs with jatha rows not yet linked to a jatha record */
+export function logsNeedingJathaLinks(logs) {
+  return (logs || []).filter((log) =>
+    parseJathaDetails(log.jathaDetails).some(unlinkedJathaRow),
+  );
+}
+
+/**
+ * Link the hand-typed jatha rows of older call logs to jatha records:
+ * identical rows (same area, department and dates) become one jatha,
+ * reusing a matching existing jatha, and each log's prospect is enrolled.
+ * Only `jathaDetails` is written; rows too incomplete for a jatha stay as
+ * they are.
+ * @returns {Promise<{ created: number, updated: number, failed: number }>}
+ */
+export async function migrateJathaDetails(logs, onProgress) {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  const pending = logsNeedingJathaLinks(logs);
+  const byKey = new Map((await listJathas()).map((j) => [jathaKey(j), j]));
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+  for (const log of pending) {
+    try {
+      const rows = [];
+      for (const row of parseJathaDetails(log.jathaDetails)) {
+        if (!unlinkedJathaRow(row)) {
+          rows.push(row);
+          continue;
+        }
+        let jatha = byKey.get(jathaKey(row));
+        if (!jatha) {
+          jatha = await saveJatha(row);
+          byKey.set(jathaKey(row), jatha);
+          created++;
+        }
+        rows.push({ ...row, jathaId: jatha.$id });
+      }
+      const saved = await databases.updateDocument(
+        databaseId,
+        callLogsCollectionId,
+        log.$id,
+        { jathaDetails: JSON.stringify(rows) },
+      );
+      await syncCallLogEnrollments(saved);
+      updated++;
+    } catch (error) {
+      console.error("Failed to migrate call log jathas:", log.$id, error);
+      failed++;
+    }
+    onProgress?.({ done: updated + failed, total: pending.length });
+  }
+  return { created, updated, failed };
+}
+
 /** List call logs with nominalListSelect = 'Yes' (for Nominal Roll) */
 export async function listCallLogsWithNominalList() {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
@@ -173,7 +449,11 @@ export async function listCallLogsWithNominalList() {
     const response = await databases.listDocuments(
       databaseId,
       callLogsCollectionId,
-      [Query.equal("nominalListSelect", "Yes"), Query.orderDesc("$createdAt")],
+      [
+        Query.equal("nominalListSelect", "Yes"),
+        NOT_DELETED,
+        Query.orderDesc("$createdAt"),
+      ],
     );
     return response;
   } catch (error) {
@@ -186,6 +466,7 @@ export async function listCallLogsWithNominalList() {
       );
       const filtered = (response.documents || []).filter(
         (d) =>
+          isLive(d) &&
           String(d.nominalListSelect || "")
             .trim()
             .toLowerCase() === "yes",
@@ -208,7 +489,11 @@ export async function listCallLogsWithVisitYes() {
     const response = await databases.listDocuments(
       databaseId,
       callLogsCollectionId,
-      [Query.equal("visitSelect", "Yes"), Query.orderDesc("$createdAt")],
+      [
+        Query.equal("visitSelect", "Yes"),
+        NOT_DELETED,
+        Query.orderDesc("$createdAt"),
+      ],
     );
     return response;
   } catch (error) {
@@ -221,6 +506,7 @@ export async function listCallLogsWithVisitYes() {
       );
       const filtered = (response.documents || []).filter(
         (d) =>
+          isLive(d) &&
           String(d.visitSelect || "")
             .trim()
             .toLowerCase() === "yes",
@@ -233,95 +519,114 @@ export async function listCallLogsWithVisitYes() {
   }
 }
 
-/** List call logs where nominalListSelect = 'Yes' OR visitSelect = 'Yes' (for Jatha Record) */
-export async function listCallLogsForJathaRecord() {
-  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
-  if (!databaseId || !callLogsCollectionId) {
-    return { documents: [], total: 0 };
-  }
-  try {
-    const response = await databases.listDocuments(
-      databaseId,
-      callLogsCollectionId,
-      [Query.orderDesc("$createdAt")],
-    );
-    const docs = response.documents || [];
-    const filtered = docs.filter((d) => {
-      const nominalYes =
-        String(d.nominalListSelect || "")
-          .trim()
-          .toLowerCase() === "yes";
-      const visitYes =
-        String(d.visitSelect || "")
-          .trim()
-          .toLowerCase() === "yes";
-      return nominalYes || visitYes;
-    });
-    return { documents: filtered, total: filtered.length };
-  } catch (error) {
-    console.error("Failed to list call logs for Jatha record:", error);
-    return { documents: [], total: 0 };
-  }
+/** Whether a call log belongs on the Jatha Record: nominalListSelect or visitSelect is 'Yes' */
+export function isJathaRecordLog(log) {
+  const yes = (v) => String(v || "").trim().toLowerCase() === "yes";
+  return yes(log.nominalListSelect) || yes(log.visitSelect);
+}
+
+const CALL_LOG_CONFLICT = "call_log_conflict";
+
+function callLogConflict(current) {
+  const error = new Error(
+    current
+      ? "Someone else saved this call after you opened it."
+      : "Someone else deleted this call after you opened it.",
+  );
+  error.type = CALL_LOG_CONFLICT;
+  error.current = current;
+  return error;
 }
 
-/** Update an existing call log by ID */
-export async function updateCallLog(logId, data) {
+/** True for the error updateCallLog throws on a stale edit; `error.current` is the saved log (null if deleted) */
+export function isCallLogConflict(error) {
+  return error?.type === CALL_LOG_CONFLICT;
+}
+
+/**
+ * Update an existing call log by ID. Pass `baseUpdatedAt`, the `$updatedAt`
+ * of the version the edit started from, to refuse the save when the log has
+ * changed since (see isCallLogConflict). Appwrite has no conditional update,
+ * so the check narrows the window for lost edits rather than closing it.
+ */
+export async function updateCallLog(logId, data, { baseUpdatedAt } = {}) {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !callLogsCollectionId || !logId) {
     throw new Error("Appwrite call logs collection is not configured.");
   }
+  const current = await getCallLog(logId);
+  if (baseUpdatedAt && current?.$updatedAt !== baseUpdatedAt) {
+    throw callLogConflict(current);
+  }
+  await ensureDispositions();
   const updates = {
     select: String(data.select ?? "").trim() || "",
-    callBack: String(data.callBack ?? "").trim() || "",
     notInterest: String(data.notInterest ?? "").trim() || "",
-    needToWork: String(data.needToWork ?? "").trim() || "",
-    notes1: String(data.notes1 ?? "").trim() || "",
-    notes2: String(data.notes2 ?? "").trim() || "",
-    notes3: String(data.notes3 ?? "").trim() || "",
-    nominalListSelect: String(data.nominalListSelect ?? "").trim() || "",
-    visitSelect: String(data.visitSelect ?? "").trim() || "",
-    freeSewa: String(data.freeSewa ?? "").trim() || "",
-    departmentOfSewa: String(data.departmentOfSewa ?? "").trim() || "",
-    attendance: String(data.attendance ?? "").trim() || "",
-    jathaRecord: String(data.jathaRecord ?? "").trim() || "",
-    jathaDetails:
-      typeof data.jathaDetails === "string"
-        ? data.jathaDetails
-        : JSON.stringify(data.jathaDetails || []),
+    ...formAnswerFields(data),
+    ...callBackFields(data),
+    ...dispositionFields(data),
   };
+  // Fields left out of `updates` keep their saved values
+  assertCallFormRules({ ...current, ...updates });
   const updated = await databases.updateDocument(
     databaseId,
     callLogsCollectionId,
     logId,
     updates,
   );
+  await recordAudit({
+    entityType: "callLog",
+    entityId: logId,
+    entityLabel: updated.prospectName,
+    prospectId: updated.prospectId,
+    action: "update",
+    changes: fieldChanges(current, updates),
+  });
+  await syncCallLogEnrollments(updated);
   return updated;
 }
 
-/** Delete a call log document */
-export async function deleteCallLog(logId) {
+/**
+ * Move a call log to the recycle bin. `deletedAt` lets a prospect's delete
+ * stamp its call logs with the same time, so they are restored with it.
+ */
+export async function deleteCallLog(logId, { deletedAt } = {}) {
   const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !callLogsCollectionId || !logId) {
     throw new Error("Appwrite call logs collection is not configured.");
   }
-  await databases.deleteDocument(databaseId, callLogsCollectionId, logId);
+  const current = await getCallLog(logId);
+  if (!current) return;
+  const stamp = deletionStamp(deletedAt);
+  const deleted = await databases.updateDocument(
+    databaseId,
+    callLogsCollectionId,
+    logId,
+    stamp,
+  );
+  await recordAudit({
+    entityType: "callLog",
+    entityId: logId,
+    entityLabel: current.prospectName,
+    prospectId: current.prospectId,
+    action: "delete",
+    changes: fieldChanges(current, stamp),
+  });
+  await syncCallLogEnrollments(deleted);
 }
 
 /**
- * Remove all call logs associated with a given prospect.
- * This is useful when a prospect record is deleted from the system;
- * any orphaned logs should be cleaned up so they don’t appear on
- * dashboards (even though most views already filter by existing
- * prospects).
+ * Move all call logs of a prospect to the recycle bin, e.g. when the
+ * prospect itself is deleted (pass its `deletedAt`).
  */
-export async function deleteCallLogsForProspect(prospectId) {
+export async function deleteCallLogsForProspect(prospectId, { deletedAt } = {}) {
   if (!prospectId) return;
   try {
     const res = await listCallLogsForProspect(prospectId);
     const docs = res.documents || [];
     for (const d of docs) {
       if (d.$id) {
-        await deleteCallLog(d.$id);
+        await deleteCallLog(d.$id, { deletedAt });
       }
     }
   } catch (err) {
@@ -340,3 +645,56 @@ export async function deleteCallLogsForProspects(prospectIds) {
     await deleteCallLogsForProspect(id);
   }
 }
+
+/** Every call log in the recycle bin, most recently deleted first */
+export async function listDeletedCallLogs() {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  return listAllDocuments(callLogsCollectionId, [
+    DELETED,
+    Query.orderDesc("deletedAt"),
+  ]);
+}
+
+/** Bring a call log (a document from listDeletedCallLogs) back from the recycle bin */
+export async function restoreCallLog(log) {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  const restored = await databases.updateDocument(
+    databaseId,
+    callLogsCollectionId,
+    log.$id,
+    RESTORED,
+  );
+  await recordAudit({
+    entityType: "callLog",
+    entityId: log.$id,
+    entityLabel: log.prospectName,
+    prospectId: log.prospectId,
+    action: "restore",
+    changes: fieldChanges(log, RESTORED),
+  });
+  await syncCallLogEnrollments(restored);
+  return restored;
+}
+
+/** Remove a call log for good; its last values are kept in the audit trail */
+export async function purgeCallLog(log) {
+  const { databaseId, callLogsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !callLogsCollectionId) {
+    throw new Error("Appwrite call logs collection is not configured.");
+  }
+  await databases.deleteDocument(databaseId, callLogsCollectionId, log.$id);
+  await recordAudit({
+    entityType: "callLog",
+    entityId: log.$id,
+    entityLabel: log.prospectName,
+    prospectId: log.prospectId,
+    action: "purge",
+    changes: deletionChanges(log),
+  });
+}
@@ -0,0 +1,160 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { getProspect, updateProspect } from "./prospectsService";
+import {
+  changesToPatch,
+  prospectDetailValues,
+  prospectFieldLabel,
+  validateProspectDetails,
+} from "./prospectDetails";
+
+// Prospect corrections suggested by callers. Each document holds the
+// proposed changes as JSON ({ field: { from, to } }) and stays "pending"
+// until an admin approves (changes applied to the prospect) or rejects it.
+
+export const CORRECTION_STATUS = {
+  pending: "pending",
+  approved: "approved",
+  rejected: "rejected",
+};
+
+/** Parsed `{ field: { from, to } }` of a correction document */
+export function parseCorrectionChanges(doc) {
+  try {
+    const parsed =
+      typeof doc?.changes === "string"
+        ? JSON.parse(doc.changes || "{}")
+        : doc?.changes || {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Record a suggested correction for admin review */
+export async function suggestProspectCorrection({
+  prospectId,
+  prospectName,
+  suggestedBy,
+  changes,
+  note,
+}) {
+  const { databaseId, correctionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !correctionsCollectionId) {
+    throw new Error("Appwrite corrections collection is not configured.");
+  }
+  if (!changes || Object.keys(changes).length === 0) {
+    throw new Error("No changes to suggest.");
+  }
+  const docId = `correction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return databases.createDocument(databaseId, correctionsCollectionId, docId, {
+    prospectId: String(prospectId ?? "").trim(),
+    prospectName: String(prospectName ?? "").trim(),
+    suggestedBy: String(suggestedBy ?? "").trim(),
+    changes: JSON.stringify(changes),
+    note: String(note ?? "").trim(),
+    status: CORRECTION_STATUS.pending,
+    reviewedBy: "",
+    reviewedAt: "",
+  });
+}
+
+/** Corrections with the given status, newest first */
+export async function listCorrections(status = CORRECTION_STATUS.pending) {
+  const { databaseId, correctionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !correctionsCollectionId) {
+    return { documents: [], total: 0 };
+  }
+  try {
+    const response = await databases.listDocuments(
+      databaseId,
+      correctionsCollectionId,
+      [
+        Query.equal("status", status),
+        Query.orderDesc("$createdAt"),
+        Query.limit(100),
+      ],
+    );
+    return response;
+  } catch (error) {
+    console.error("Failed to list corrections (indexed query):", error);
+    // Fallback: fetch recent and filter client-side (in case status index missing)
+    try {
+      const response = await databases.listDocuments(
+        databaseId,
+        correctionsCollectionId,
+        [Query.orderDesc("$createdAt"), Query.limit(500)],
+      );
+      const filtered = (response.documents || []).filter(
+        (d) => d.status === status,
+      );
+      return { documents: filtered, total: filtered.length };
+    } catch (fallbackError) {
+      console.error("Failed to list corrections", fallbackError);
+      return { documents: [], total: 0 };
+    }
+  }
+}
+
+async function markReviewed(correctionId, status, reviewedBy) {
+  const { databaseId, correctionsCollectionId } = APPWRITE_CONFIG;
+  return databases.updateDocument(
+    databaseId,
+    correctionsCollectionId,
+    correctionId,
+    {
+      status,
+      reviewedBy: String(reviewedBy ?? "").trim(),
+      reviewedAt: new Date().toISOString(),
+    },
+  );
+}
+
+/**
+ * Apply a suggested correction to its prospect and mark it approved.
+ * `changes` may be a subset/edited copy of the suggestion chosen by the admin.
+ * Refused when the prospect is gone (or in the recycle bin), when a chosen
+ * field no longer holds the value the caller saw, or when the result
+ * wouldn't pass the details form's checks.
+ */
+export async function approveCorrection(correction, reviewedBy, changes) {
+  const { databaseId, correctionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !correctionsCollectionId) {
+    throw new Error("Appwrite corrections collection is not configured.");
+  }
+  const chosen = changes || parseCorrectionChanges(correction);
+  const patch = changesToPatch(chosen);
+  if (Object.keys(patch).length > 0) {
+    const prospect = await getProspect(correction.prospectId);
+    if (!prospect) {
+      throw new Error("This prospect no longer exists or is in the recycle bin.");
+    }
+    const current = prospectDetailValues(prospect);
+    const stale = Object.entries(chosen)
+      .filter(
+        ([field, { from }]) =>
+          String(current[field] ?? "").trim() !== String(from ?? "").trim(),
+      )
+      .map(([field]) => prospectFieldLabel(field));
+    if (stale.length) {
+      throw new Error(
+        `${stale.join(", ")} changed since this was suggested. Untick ${stale.length === 1 ? "it" : "them"} or reject the correction.`,
+      );
+    }
+    const errors = validateProspectDetails(
+      { ...current, ...patch },
+      Object.keys(patch),
+    );
+    if (errors.length) throw new Error(`${errors.join("; ")}.`);
+    await updateProspect(correction.prospectId, patch);
+  }
+  return markReviewed(correction.$id, CORRECTION_STATUS.approved, reviewedBy);
+}
+
+export async function rejectCorrection(correction, reviewedBy) {
+  const { databaseId, correctionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !correctionsCollectionId) {
+    throw new Error("Appwrite corrections collection is not configured.");
+  }
+  return markReviewed(correction.$id, CORRECTION_STATUS.rejected, reviewedBy);
+}
@@ -0,0 +1,207 @@
+// Date helpers shared by the add-prospect form, the import pipeline,
+// call-back scheduling, jatha date ranges and the jatha calendar. Stored
+// dates are ISO calendar dates (YYYY-MM-DD); call-back times are full ISO
+// timestamps.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Serial 1 is 1900-01-01, but Excel also counts a non-existent 29 Feb 1900 (serial 60),
+// so from 1 March 1900 on the serial is the number of days since 1899-12-30.
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/** Age in whole years on today's date, or "" when the date can't be read */
+export function calculateAgeFromDob(dateStr) {
+  if (!dateStr) return "";
+  const dob = new Date(dateStr);
+  if (Number.isNaN(dob.getTime())) return "";
+  const today = new Date();
+  let age = today.getFullYear() - dob.getFullYear();
+  const m = today.getMonth() - dob.getMonth();
+  if (m < 0 || (m === 0 && today.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age >= 0 ? String(age) : "";
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** YYYY-MM-DD for a valid calendar date, else null (rejects e.g. 31/02) */
+function toIsoDate(year, month, day) {
+  if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/** Two-digit years: up to this year's two digits → 20xx, otherwise 19xx */
+function expandYear(year) {
+  if (year >= 100) return year;
+  const current = new Date().getFullYear() % 100;
+  return year <= current ? 2000 + year : 1900 + year;
+}
+
+/** Convert an Excel serial day number (1900 date system) to YYYY-MM-DD */
+export function excelSerialToIso(serial) {
+  const days = Math.floor(Number(serial));
+  if (!Number.isFinite(days) || days < 1) return null;
+  const offset = days < 61 ? days + 1 : days;
+  const d = new Date(EXCEL_EPOCH_UTC + offset * MS_PER_DAY);
+  return toIsoDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+function monthFromName(name) {
+  const index = MONTH_NAMES.indexOf(String(name).slice(0, 3).toLowerCase());
+  return index === -1 ? 0 : index + 1;
+}
+
+/**
+ * Read a date cell from an import file. Handles Excel serial numbers, ISO
+ * dates, DD/MM/YYYY, DD-MM-YY, MM/DD/YYYY and month names ("5 Jan 1990").
+ * When both the first and second parts could be the month (e.g. 03/04/1990)
+ * the value is read day-first by default and marked `ambiguous`, with the
+ * other reading in `alternative`.
+ * @returns {{ iso: string, ambiguous: boolean, alternative?: string } | { error: string } | null}
+ *   null for an empty cell
+ */
+export function parseImportDate(value, { dayFirst = true } = {}) {
+  if (value == null) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return { error: "is not a valid date" };
+    return {
+      iso: toIsoDate(value.getFullYear(), value.getMonth() + 1, value.getDate()),
+      ambiguous: false,
+    };
+  }
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (/^\d{1,6}(\.\d+)?$/.test(text)) {
+    const n = Number(text);
+    if (Number.isInteger(n) && n >= 1900 && n <= 2100) {
+      return { error: "has only a year" };
+    }
+    const iso = excelSerialToIso(n);
+    return iso ? { iso, ambiguous: false } : { error: "is not a valid date" };
+  }
+
+  // YYYY-MM-DD, YYYY/MM/DD, optionally followed by a time
+  let m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (m) {
+    const iso = toIsoDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    return iso ? { iso, ambiguous: false } : { error: "is not a valid date" };
+  }
+
+  // 5 Jan 1990, 05-Jan-90
+  m = text.match(/^(\d{1,2})[\s\-/.]+([a-z]{3,})\.?[\s\-/.,]+(\d{2}|\d{4})$/i);
+  if (m) {
+    const iso = toIsoDate(
+      expandYear(Number(m[3])),
+      monthFromName(m[2]),
+      Number(m[1]),
+    );
+    return iso ? { iso, ambiguous: false } : { error: "is not a valid date" };
+  }
+
+  // Jan 5, 1990
+  m = text.match(/^([a-z]{3,})\.?[\s\-/.]+(\d{1,2})(?:st|nd|rd|th)?,?[\s\-/.]+(\d{2}|\d{4})$/i);
+  if (m) {
+    const iso = toIsoDate(
+      expandYear(Number(m[3])),
+      monthFromName(m[1]),
+      Number(m[2]),
+    );
+    return iso ? { iso, ambiguous: false } : { error: "is not a valid date" };
+  }
+
+  // DD/MM/YYYY, DD-MM-YY, MM/DD/YYYY (optionally followed by a time)
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:\s.*)?$/);
+  if (m) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    const year = expandYear(Number(m[3]));
+    const dayMonth = toIsoDate(year, b, a);
+    const monthDay = toIsoDate(year, a, b);
+    if (dayMonth && monthDay && dayMonth !== monthDay) {
+      return dayFirst
+        ? { iso: dayMonth, ambiguous: true, alternative: monthDay }
+        : { iso: monthDay, ambiguous: true, alternative: dayMonth };
+    }
+    const iso = dayMonth || monthDay;
+    return iso ? { iso, ambiguous: false } : { error: "is not a valid date" };
+  }
+
+  return { error: "is not a recognised date" };
+}
+
+/**
+ * `<input type="datetime-local">` value (local time, no zone) for an ISO
+ * timestamp, or "" when it can't be read.
+ */
+export function toDateTimeLocalValue(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** ISO timestamp for a datetime-local value, read in the browser's time zone */
+export function fromDateTimeLocalValue(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString();
+}
+
+/** UTC midnight (ms) of a YYYY-MM-DD date, or null when it isn't one */
+function isoDateToUtc(value) {
+  const m = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const iso = toIsoDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  return iso ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+/** YYYY-MM-DD of a Date in the browser's time zone (today by default) */
+export function localIsoDate(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** A YYYY-MM-DD date moved by whole days (negative: earlier); null when invalid */
+export function addDays(iso, days) {
+  const start = isoDateToUtc(iso);
+  if (start === null) return null;
+  const d = new Date(start + days * MS_PER_DAY);
+  return toIsoDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+/** Day of the week of a YYYY-MM-DD date, Monday 0 to Sunday 6 */
+export function weekdayIndex(iso) {
+  return (new Date(isoDateToUtc(iso)).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Days from one YYYY-MM-DD date to another, counting both ends (the same
+ * day is 1). Negative when `to` is before `from`; null when either date
+ * is missing or invalid.
+ */
+export function inclusiveDayCount(from, to) {
+  const start = isoDateToUtc(from);
+  const end = isoDateToUtc(to);
+  if (start === null || end === null) return null;
+  const days = Math.round((end - start) / MS_PER_DAY);
+  return days >= 0 ? days + 1 : days;
+}
@@ -0,0 +1,180 @@
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+
+// Call disposition codes: the outcome of a call attempt as a category
+// (reached / not reached / refused) plus a sub-reason. Call logs store the
+// code. Admins manage the catalogue; codes are never deleted, only
+// deactivated, so old logs keep resolving to a label.
+
+export const DISPOSITION_CATEGORIES = [
+  ["reached", "Reached"],
+  ["not_reached", "Not reached"],
+  ["refused", "Refused"],
+];
+
+export const DEFAULT_DISPOSITIONS = [
+  { code: "REACHED_INTERESTED", category: "reached", label: "Interested" },
+  { code: "REACHED_CALL_BACK", category: "reached", label: "Asked to call back" },
+  { code: "REACHED_UNDECIDED", category: "reached", label: "Will decide later" },
+  { code: "REACHED_OTHER", category: "reached", label: "Reached, no details" },
+  { code: "NOT_REACHED_NO_ANSWER", category: "not_reached", label: "No answer" },
+  { code: "NOT_REACHED_SWITCHED_OFF", category: "not_reached", label: "Switched off" },
+  { code: "NOT_REACHED_BUSY", category: "not_reached", label: "Busy" },
+  { code: "NOT_REACHED_WRONG_NUMBER", category: "not_reached", label: "Wrong number" },
+  { code: "NOT_REACHED_OTHER", category: "not_reached", label: "Not reached, reason not recorded" },
+  { code: "REFUSED_NOT_INTERESTED", category: "refused", label: "Not interested" },
+  { code: "REFUSED_UNAVAILABLE", category: "refused", label: "Not available for sewa" },
+].map((d) => ({ ...d, active: true }));
+
+let cachedDispositions = null;
+
+function categoryOrder(category) {
+  const index = DISPOSITION_CATEGORIES.findIndex(([key]) => key === category);
+  return index === -1 ? DISPOSITION_CATEGORIES.length : index;
+}
+
+function sortDispositions(list) {
+  return [...list].sort(
+    (a, b) =>
+      categoryOrder(a.category) - categoryOrder(b.category) ||
+      String(a.label).localeCompare(String(b.label)),
+  );
+}
+
+/**
+ * The disposition catalogue (active and inactive), grouped by category.
+ * Falls back to DEFAULT_DISPOSITIONS when the collection isn't configured
+ * or is still empty. The result is cached for findDisposition.
+ */
+export async function listDispositions() {
+  const { databaseId, dispositionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !dispositionsCollectionId) {
+    cachedDispositions = DEFAULT_DISPOSITIONS;
+    return cachedDispositions;
+  }
+  let all;
+  try {
+    all = await listAllDocuments(dispositionsCollectionId);
+  } catch (error) {
+    console.error("Failed to list dispositions", error);
+    return cachedDispositions || DEFAULT_DISPOSITIONS;
+  }
+  cachedDispositions = all.length ? sortDispositions(all) : DEFAULT_DISPOSITIONS;
+  return cachedDispositions;
+}
+
+/**
+ * The cached catalogue, loading it first when nothing has asked for it yet.
+ * Services await this before findDisposition / dispositionLegacyFields, since
+ * they can run (sync-queue replay, imports) before any screen has loaded it.
+ */
+export async function ensureDispositions() {
+  return cachedDispositions || listDispositions();
+}
+
+/** Catalogue entry for a code (from the last loaded catalogue, else defaults) */
+export function findDisposition(code) {
+  if (!code) return null;
+  const list = cachedDispositions || DEFAULT_DISPOSITIONS;
+  return (
+    list.find((d) => d.code === code) ||
+    DEFAULT_DISPOSITIONS.find((d) => d.code === code) ||
+    null
+  );
+}
+
+export function dispositionCategoryLabel(category) {
+  const match = DISPOSITION_CATEGORIES.find(([key]) => key === category);
+  return match ? match[1] : category || "";
+}
+
+/** "Not reached: Switched off", or the raw code when it isn't in the catalogue */
+export function describeDisposition(code) {
+  const d = findDisposition(code);
+  if (!d) return code || "";
+  return `${dispositionCategoryLabel(d.category)}: ${d.label}`;
+}
+
+/**
+ * Legacy Yes/No fields implied by a disposition, still written on call logs
+ * so older screens and exports that read `select`/`notInterest` keep working.
+ */
+export function dispositionLegacyFields(code) {
+  const d = findDisposition(code);
+  if (!d) return {};
+  return {
+    select: d.category === "reached" ? "Yes" : "No",
+    notInterest: d.category === "refused" ? "Yes" : "No",
+  };
+}
+
+/**
+ * Best disposition code for a log saved before codes existed, from its
+ * Yes/No answers; null when there's nothing to go on.
+ */
+export function legacyDispositionCode(log) {
+  const yes = (v) => String(v || "").trim().toLowerCase() === "yes";
+  const answered = (v) => String(v || "").trim() !== "";
+  if (yes(log.notInterest)) return "REFUSED_NOT_INTERESTED";
+  if (yes(log.select)) {
+    return yes(log.callBack) ? "REACHED_CALL_BACK" : "REACHED_OTHER";
+  }
+  if (answered(log.select)) return "NOT_REACHED_OTHER";
+  return null;
+}
+
+/** Turn a label into a code suggestion: "Switched off" -> "SWITCHED_OFF" */
+export function suggestDispositionCode(category, label) {
+  const slug = String(label || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return slug ? `${String(category || "").toUpperCase()}_${slug}` : "";
+}
+
+/** Create or update a catalogue entry. Codes must be unique and can't change once used. */
+export async function saveDisposition(entry, existing = []) {
+  const { databaseId, dispositionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !dispositionsCollectionId) {
+    throw new Error("Appwrite dispositions collection is not configured.");
+  }
+  const code = String(entry.code || "").trim().toUpperCase();
+  const label = String(entry.label || "").trim();
+  const category = String(entry.category || "").trim();
+  if (!/^[A-Z0-9_]+$/.test(code)) {
+    throw new Error("Code may only use letters, digits and underscores.");
+  }
+  if (!label) throw new Error("Sub-reason is required.");
+  if (!DISPOSITION_CATEGORIES.some(([key]) => key === category)) {
+    throw new Error("Choose a category.");
+  }
+  if (existing.some((d) => d.code === code && d.$id !== entry.$id)) {
+    throw new Error(`Code ${code} is already in use.`);
+  }
+  const data = { code, label, category, active: entry.active !== false };
+  if (entry.$id) {
+    return databases.updateDocument(
+      databaseId,
+      dispositionsCollectionId,
+      entry.$id,
+      data,
+    );
+  }
+  const docId = `disposition_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return databases.createDocument(
+    databaseId,
+    dispositionsCollectionId,
+    docId,
+    data,
+  );
+}
+
+/** Copy DEFAULT_DISPOSITIONS into an empty collection so admins can edit them */
+export async function seedDefaultDispositions() {
+  const saved = [];
+  for (const entry of DEFAULT_DISPOSITIONS) {
+    saved.push(await saveDisposition(entry, saved));
+  }
+  return saved;
+}
@@ -0,0 +1,110 @@
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import {
+  BUILTIN_CALL_FORM_FIELDS,
+  CALL_FORM_FIELD_TYPES,
+  CALL_FORM_SECTIONS,
+  parseQuestionOptions,
+} from "./callFormSchema";
+
+// Questions admins add to the calling form on top of the built-in fields.
+// Answers are stored per call log in `customAnswers` under the question key,
+// so keys never change once created; retired questions are deactivated.
+
+/** Sections a custom question may be placed in */
+export const QUESTION_SECTIONS = CALL_FORM_SECTIONS.filter(
+  (s) => s.id !== "jatha",
+);
+
+/** Every stored question (active and inactive), in form order */
+export async function listFormQuestions() {
+  const { databaseId, formQuestionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !formQuestionsCollectionId) {
+    return [];
+  }
+  let all;
+  try {
+    all = await listAllDocuments(formQuestionsCollectionId);
+  } catch (error) {
+    console.error("Failed to list form questions", error);
+    return [];
+  }
+  return all.sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+}
+
+/** Turn a label into a question key: "Preferred shift" -> "preferredShift" */
+export function suggestQuestionKey(label) {
+  const words = String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+  const key = words
+    .map((w, i) => (i === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join("");
+  return /^[a-z]/.test(key) ? key : key ? `q${key}` : "";
+}
+
+/** Create or update a question. Keys must be unique and can't clash with built-in fields. */
+export async function saveFormQuestion(question, existing = []) {
+  const { databaseId, formQuestionsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !formQuestionsCollectionId) {
+    throw new Error("Appwrite form questions collection is not configured.");
+  }
+  const key = String(question.key || "").trim();
+  const label = String(question.label || "").trim();
+  const type = String(question.type || "").trim();
+  const section = String(question.section || "additional").trim();
+  if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(key)) {
+    throw new Error("Key must start with a letter and use only letters, digits and underscores.");
+  }
+  if (!label) throw new Error("Question text is required.");
+  if (!CALL_FORM_FIELD_TYPES.some(([t]) => t === type)) {
+    throw new Error("Choose an answer type.");
+  }
+  if (!QUESTION_SECTIONS.some((s) => s.id === section)) {
+    throw new Error("Choose a section.");
+  }
+  const options = parseQuestionOptions(question.options);
+  if (type === "select" && options.length < 2) {
+    throw new Error("A choice list needs at least two options.");
+  }
+  if (
+    key === "dispositionCategory" ||
+    key === "customAnswers" ||
+    BUILTIN_CALL_FORM_FIELDS.some((f) => f.field === key)
+  ) {
+    throw new Error(`${key} is a built-in field name.`);
+  }
+  if (existing.some((q) => q.key === key && q.$id !== question.$id)) {
+    throw new Error(`Key ${key} is already in use.`);
+  }
+  const data = {
+    key,
+    label,
+    type,
+    section,
+    options: type === "select" ? options.join("\n") : "",
+    required: !!question.required,
+    showWhenField: String(question.showWhenField || "").trim(),
+    showWhenValue: String(question.showWhenValue || "").trim(),
+    order: Number(question.order) || existing.length + 1,
+    active: question.active !== false,
+  };
+  if (question.$id) {
+    return databases.updateDocument(
+      databaseId,
+      formQuestionsCollectionId,
+      question.$id,
+      data,
+    );
+  }
+  const docId = `question_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return databases.createDocument(
+    databaseId,
+    formQuestionsCollectionId,
+    docId,
+    data,
+  );
+}
@@ -0,0 +1,131 @@
+import { parseJathaDetails } from "./callFormSchema";
+import { addDays, inclusiveDayCount, weekdayIndex } from "./dates";
+import { jathaKey } from "./jathasService";
+
+// The jatha calendar, built from the jatha rows of Jatha Record entries
+// ({ prospect, log }, newest log first). Rows pointing at the same jatha
+// (or, typed by hand, with the same area, department and dates) make one
+// span; each sewadar counts once per span.
+
+export const CALENDAR_VIEWS = {
+  month: "Month",
+  week: "Week",
+};
+
+/** Distinct departments, areas and callers of the entries' jatha rows, for filter lists */
+export function jathaFilterOptions(entries) {
+  // Keyed case-insensitively, like the filters match
+  const departments = new Map();
+  const areas = new Map();
+  const callers = new Map();
+  const add = (map, value) => {
+    const text = String(value || "").trim();
+    if (text && !map.has(text.toLowerCase())) map.set(text.toLowerCase(), text);
+  };
+  entries.forEach(({ log }) => {
+    const rows = parseJathaDetails(log.jathaDetails);
+    if (rows.length) add(callers, log.submittedBy);
+    rows.forEach((row) => {
+      add(departments, row.departmentName);
+      add(areas, row.areaName);
+    });
+  });
+  const sorted = (map) => [...map.values()].sort((a, b) => a.localeCompare(b));
+  return { departments: sorted(departments), areas: sorted(areas), callers: sorted(callers) };
+}
+
+function matches(filter, value) {
+  return !filter || String(value || "").trim().toLowerCase() === filter.toLowerCase();
+}
+
+/**
+ * Jatha spans with dated rows, soonest first:
+ * [{ key, areaName, departmentName, dateFrom, dateTo, sewadars: [{ prospect, log }] }].
+ * `filters` ({ department, area, caller }, each "" for any) narrow the rows
+ * and the call logs they come from.
+ */
+export function jathaSpans(entries, { department = "", area = "", caller = "" } = {}) {
+  const spans = new Map();
+  entries.forEach((entry) => {
+    if (!matches(caller, entry.log.submittedBy)) return;
+    parseJathaDetails(entry.log.jathaDetails).forEach((row) => {
+      if (!(inclusiveDayCount(row.dateFrom, row.dateTo) >= 1)) return;
+      if (!matches(department, row.departmentName) || !matches(area, row.areaName)) return;
+      const key = row.jathaId || jathaKey(row);
+      if (!spans.has(key)) {
+        spans.set(key, {
+          key,
+          areaName: row.areaName,
+          departmentName: row.departmentName,
+          dateFrom: row.dateFrom,
+          dateTo: row.dateTo,
+          sewadars: [],
+        });
+      }
+      const span = spans.get(key);
+      if (!span.sewadars.some((s) => s.prospect.id === entry.prospect.id)) {
+        span.sewadars.push(entry);
+      }
+    });
+  });
+  return [...spans.values()].sort(
+    (a, b) => a.dateFrom.localeCompare(b.dateFrom) || a.dateTo.localeCompare(b.dateTo),
+  );
+}
+
+/**
+ * The days a calendar view shows around `anchor` (YYYY-MM-DD), Monday to
+ * Sunday: the anchor's week, or every week touching its month.
+ */
+export function calendarDays(view, anchor) {
+  let first = anchor;
+  let last = anchor;
+  if (view === "month") {
+    first = `${anchor.slice(0, 8)}01`;
+    last = addDays(shiftAnchor("month", anchor, 1), -1);
+  }
+  first = addDays(first, -weekdayIndex(first));
+  last = addDays(last, 6 - weekdayIndex(last));
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) days.push(day);
+  return days;
+}
+
+/** The anchor moved one view back (`step` -1) or forward (1) */
+export function shiftAnchor(view, anchor, step) {
+  if (view === "week") return addDays(anchor, 7 * step);
+  const [year, month] = anchor.split("-").map(Number);
+  const index = year * 12 + (month - 1) + step;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}-01`;
+}
+
+/** Sewadars away on each day: { "YYYY-MM-DD": count }, each prospect counted once a day */
+export function dailyHeadcount(spans, days) {
+  const counts = {};
+  days.forEach((day) => {
+    const present = new Set();
+    spans.forEach((span) => {
+      if (span.dateFrom <= day && day <= span.dateTo) {
+        span.sewadars.forEach((s) => present.add(s.prospect.id));
+      }
+    });
+    counts[day] = present.size;
+  });
+  return counts;
+}
+
+/**
+ * Where spans sit in one week (seven YYYY-MM-DD days): [{ span, start, end }]
+ * with 0-based first and last day columns, for spans overlapping the week.
+ */
+export function weekBars(spans, week) {
+  const first = week[0];
+  const last = week[week.length - 1];
+  return spans
+    .filter((span) => span.dateFrom <= last && span.dateTo >= first)
+    .map((span) => ({
+      span,
+      start: span.dateFrom < first ? 0 : week.indexOf(span.dateFrom),
+      end: span.dateTo > last ? week.length - 1 : week.indexOf(span.dateTo),
+    }));
+}
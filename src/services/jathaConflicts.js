@@ -0,0 +1,180 @@
+import { parseJathaDetails } from "./callFormSchema";
+import { addDays, inclusiveDayCount, localIsoDate } from "./dates";
+import { jathaKey, jathaLabel } from "./jathasService";
+
+// Conflicts between a sewadar's jatha bookings, i.e. the dated jatha rows
+// of their call logs: jathas that overlap, jathas with fewer rest days
+// between them than JATHA_REST_GAP_DAYS, and more sewa days in a calendar
+// year than JATHA_YEARLY_DAY_LIMIT. Either setting is turned off with 0.
+
+function daysSetting(value, fallback) {
+  const n = Number(value);
+  return value === undefined || value === "" || !Number.isInteger(n) || n < 0
+    ? fallback
+    : n;
+}
+
+export const JATHA_REST_GAP_DAYS = daysSetting(
+  import.meta.env.VITE_JATHA_REST_GAP_DAYS,
+  7,
+);
+export const JATHA_YEARLY_DAY_LIMIT = daysSetting(
+  import.meta.env.VITE_JATHA_YEARLY_DAY_LIMIT,
+  60,
+);
+
+export const JATHA_CONFLICT_TYPES = {
+  overlap: "Overlap",
+  rest: "Too little rest",
+  yearly: "Yearly limit",
+};
+
+/**
+ * Dated jatha bookings per prospect: { prospectId: [{ key, prospectId,
+ * prospectName, log, index, row, dateFrom, dateTo }] }. `logs` newest
+ * first; a jatha listed on several of a prospect's logs is one booking,
+ * taken from the newest.
+ */
+export function jathaBookings(logs) {
+  const byProspect = {};
+  logs.forEach((log) => {
+    if (!log.prospectId) return;
+    parseJathaDetails(log.jathaDetails).forEach((row, index) => {
+      if (!(inclusiveDayCount(row.dateFrom, row.dateTo) >= 1)) return;
+      const key = row.jathaId || jathaKey(row);
+      if (!byProspect[log.prospectId]) byProspect[log.prospectId] = [];
+      const list = byProspect[log.prospectId];
+      if (list.some((b) => b.key === key && b.log.$id !== log.$id)) return;
+      list.push({
+        key,
+        prospectId: log.prospectId,
+        prospectName: log.prospectName,
+        log,
+        index,
+        row,
+        dateFrom: row.dateFrom,
+        dateTo: row.dateTo,
+      });
+    });
+  });
+  return byProspect;
+}
+
+/** Booked days per calendar year: { "2026": Set of YYYY-MM-DD } (overlaps count once) */
+function daysByYear(bookings) {
+  const years = {};
+  bookings.forEach((b) => {
+    for (let day = b.dateFrom; day && day <= b.dateTo; day = addDays(day, 1)) {
+      const year = day.slice(0, 4);
+      if (!years[year]) years[year] = new Set();
+      years[year].add(day);
+    }
+  });
+  return years;
+}
+
+/**
+ * Conflicts among one prospect's bookings:
+ * [{ type, prospectId, prospectName, bookings, restDays?, year?, days? }].
+ */
+export function findJathaConflicts(
+  bookings,
+  { restGapDays = JATHA_REST_GAP_DAYS, yearlyLimit = JATHA_YEARLY_DAY_LIMIT } = {},
+) {
+  if (!bookings.length) return [];
+  const { prospectId, prospectName } = bookings[0];
+  const sorted = [...bookings].sort(
+    (a, b) => a.dateFrom.localeCompare(b.dateFrom) || a.dateTo.localeCompare(b.dateTo),
+  );
+  const conflicts = [];
+  sorted.forEach((a, i) => {
+    const later = sorted.slice(i + 1);
+    later.forEach((b) => {
+      if (b.dateFrom <= a.dateTo) {
+        conflicts.push({ type: "overlap", prospectId, prospectName, bookings: [a, b] });
+      }
+    });
+    // Rest is only measured up to the next jatha after this one ends, so
+    // A, B, C in a row don't also flag A–C
+    const next = later.find((b) => b.dateFrom > a.dateTo);
+    if (!next || !restGapDays) return;
+    const restDays = inclusiveDayCount(a.dateTo, next.dateFrom) - 2;
+    if (restDays < restGapDays) {
+      conflicts.push({ type: "rest", prospectId, prospectName, bookings: [a, next], restDays });
+    }
+  });
+  if (yearlyLimit) {
+    Object.entries(daysByYear(sorted)).forEach(([year, days]) => {
+      if (days.size <= yearlyLimit) return;
+      conflicts.push({
+        type: "yearly",
+        prospectId,
+        prospectName,
+        year,
+        days: days.size,
+        bookings: sorted.filter(
+          (b) => b.dateFrom.slice(0, 4) <= year && b.dateTo.slice(0, 4) >= year,
+        ),
+      });
+    });
+  }
+  return conflicts;
+}
+
+/** Conflicts across every prospect in `logs` (newest first) */
+export function allJathaConflicts(logs, options) {
+  return Object.values(jathaBookings(logs)).flatMap((bookings) =>
+    findJathaConflicts(bookings, options),
+  );
+}
+
+/** Whether a conflict still matters: a booking not yet over, or this year or later */
+export function isCurrentConflict(conflict, today = localIsoDate()) {
+  if (conflict.type === "yearly") return conflict.year >= today.slice(0, 4);
+  return conflict.bookings.some((b) => b.dateTo >= today);
+}
+
+/** { logId: [conflict] }, for flagging call logs whose jathas conflict */
+export function conflictsByLog(conflicts) {
+  const byLog = {};
+  conflicts.forEach((conflict) => {
+    new Set(conflict.bookings.map((b) => b.log.$id)).forEach((logId) => {
+      if (!byLog[logId]) byLog[logId] = [];
+      byLog[logId].push(conflict);
+    });
+  });
+  return byLog;
+}
+
+/** One line describing a conflict */
+export function describeJathaConflict(
+  conflict,
+  { restGapDays = JATHA_REST_GAP_DAYS, yearlyLimit = JATHA_YEARLY_DAY_LIMIT } = {},
+) {
+  const [a, b] = conflict.bookings;
+  switch (conflict.type) {
+    case "overlap":
+      return `${jathaLabel(a.row)} overlaps ${jathaLabel(b.row)}.`;
+    case "rest":
+      return `Only ${conflict.restDays} rest day${conflict.restDays === 1 ? "" : "s"} between ${jathaLabel(a.row)} and ${jathaLabel(b.row)} (at least ${restGapDays} wanted).`;
+    case "yearly":
+      return `${conflict.days} sewa days in ${conflict.year}, over the limit of ${yearlyLimit}.`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Conflicts the jatha rows being entered on a calling form would cause with
+ * the prospect's other call logs (`otherLogs`, newest first). Overlaps
+ * within the form itself are validation errors (see checkCallFormRules).
+ */
+export function callFormJathaConflicts(rows, otherLogs, options) {
+  const formLog = { $id: "", prospectId: "form", jathaDetails: rows };
+  const others = otherLogs.map((log) => ({ ...log, prospectId: "form" }));
+  const bookings = jathaBookings([formLog, ...others]).form || [];
+  return findJathaConflicts(bookings, options).filter((conflict) => {
+    const fromForm = conflict.bookings.filter((b) => b.log === formLog).length;
+    return fromForm > 0 && (conflict.type === "yearly" || fromForm < conflict.bookings.length);
+  });
+}
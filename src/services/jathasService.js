@@ -0,0 +1,417 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import { parseJathaDetails } from "./callFormSchema";
+import { inclusiveDayCount } from "./dates";
+import { auditActor } from "./auditService";
+import { isLive } from "./softDelete";
+import { getProspect } from "./prospectsService";
+import { listCallLogsForProspect } from "./callLogsService";
+
+// Jathas: one document per jatha (area, department, dates, capacity,
+// gender and department quotas, jathedar). Sewadars are enrolled in the
+// enrollments collection ({ jathaId, prospectId, prospectName, callLogId,
+// enrolledBy, status, gender, department }), one per prospect and jatha.
+// Enrollments follow the calling form: a jatha row picked from the list
+// carries the jatha's id, and saving the call log enrolls the prospect
+// (see syncCallLogEnrollments). Once a jatha is full, or the sewadar's
+// gender or department quota is, they are waitlisted and move up as soon
+// as a booked sewadar drops out.
+
+/** Jatha fields an admin edits: [key, label] */
+export const JATHA_FIELDS = [
+  ["areaName", "Area Name"],
+  ["departmentName", "Department"],
+  ["dateFrom", "Date From"],
+  ["dateTo", "Date To"],
+  ["capacity", "Capacity"],
+  ["jathedar", "Jathedar"],
+  ["genderQuotas", "Gender quotas"],
+  ["departmentQuotas", "Department quotas"],
+];
+
+/** Quotas a jatha can set: [sewadar field, jatha attribute, label] */
+export const JATHA_QUOTAS = [
+  ["gender", "genderQuotas", "Gender"],
+  ["department", "departmentQuotas", "Department"],
+];
+
+export const ENROLLMENT_STATUS = {
+  booked: "Booked",
+  waitlisted: "Waitlisted",
+};
+
+export const EMPTY_JATHA_ENTRY = {
+  areaName: "",
+  departmentName: "",
+  dateFrom: "",
+  dateTo: "",
+  capacity: "",
+  jathedar: "",
+  genderQuotas: "",
+  departmentQuotas: "",
+};
+
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/** Area, department and dates: jathas and call log rows that agree on these are the same jatha */
+export function jathaKey(row) {
+  return [row.areaName, row.departmentName, row.dateFrom, row.dateTo]
+    .map(normalize)
+    .join("|");
+}
+
+/** "North Hall – Langar, 2026-03-12 to 2026-03-18" */
+export function jathaLabel(jatha) {
+  const dates =
+    jatha.dateFrom === jatha.dateTo
+      ? jatha.dateFrom
+      : `${jatha.dateFrom} to ${jatha.dateTo}`;
+  return `${jatha.areaName} – ${jatha.departmentName}, ${dates}`;
+}
+
+/** Why a jatha can't be saved, or "" */
+export function jathaProblem(entry) {
+  if (!String(entry.areaName ?? "").trim()) return "Area name is required.";
+  if (!String(entry.departmentName ?? "").trim()) return "Department is required.";
+  const days = inclusiveDayCount(entry.dateFrom, entry.dateTo);
+  if (days === null) return "Set both dates.";
+  if (days < 1) return "Date To is before Date From.";
+  const capacity = String(entry.capacity ?? "").trim();
+  if (capacity && !(Number.isInteger(Number(capacity)) && Number(capacity) >= 0)) {
+    return "Capacity must be a whole number.";
+  }
+  for (const [, attribute, label] of JATHA_QUOTAS) {
+    if (parseQuotas(entry[attribute]) === null) {
+      return `${label} quotas: write them as Value=number, separated by commas.`;
+    }
+  }
+  return "";
+}
+
+/**
+ * "Female=10, Male=15" → [{ value: "Female", limit: 10 }, …]; [] when
+ * blank, null when it can't be read.
+ */
+export function parseQuotas(text) {
+  const parts = String(text ?? "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const quotas = [];
+  for (const part of parts) {
+    const match = part.match(/^(.+?)\s*[=:]\s*(\d+)$/);
+    if (!match) return null;
+    quotas.push({ value: match[1].trim(), limit: Number(match[2]) });
+  }
+  return quotas;
+}
+
+/** The gender and department a sewadar's quotas are counted against, from their prospect document */
+export function sewadarProfile(doc) {
+  return {
+    gender: String(doc?.gender ?? "").trim(),
+    department: String(doc?.DeptFinalisedName || doc?.departmentName || "").trim(),
+  };
+}
+
+/** Enrollments made before the waitlist have no status and are booked */
+export function enrollmentStatus(enrollment) {
+  return enrollment.status || "booked";
+}
+
+/**
+ * How full a jatha is, from its enrollments (any order):
+ * { booked, waitlisted, capacity, full, quotas: [{ field, value, limit,
+ * booked, full }] }. `capacity` is null for no limit.
+ */
+export function jathaFill(jatha, enrollments) {
+  const own = enrollments.filter((e) => e.jathaId === jatha.$id);
+  const booked = own.filter((e) => enrollmentStatus(e) === "booked");
+  const capacity =
+    jatha.capacity === null || jatha.capacity === undefined || jatha.capacity === ""
+      ? null
+      : Number(jatha.capacity);
+  const quotas = JATHA_QUOTAS.flatMap(([field, attribute]) =>
+    (parseQuotas(jatha[attribute]) || []).map(({ value, limit }) => {
+      const count = booked.filter(
+        (e) => String(e[field] ?? "").trim().toLowerCase() === value.toLowerCase(),
+      ).length;
+      return { field, value, limit, booked: count, full: count >= limit };
+    }),
+  );
+  return {
+    booked: booked.length,
+    waitlisted: own.length - booked.length,
+    capacity,
+    full: capacity !== null && booked.length >= capacity,
+    quotas,
+  };
+}
+
+/** "12 of 20 filled" (or "12 booked" without a capacity), plus the waitlist */
+export function describeJathaFill(fill) {
+  const text =
+    fill.capacity === null
+      ? `${fill.booked} booked`
+      : `${fill.booked} of ${fill.capacity} filled`;
+  return fill.waitlisted ? `${text} · ${fill.waitlisted} waitlisted` : text;
+}
+
+/** Why a sewadar ({ gender, department }) can't be booked on a jatha with this fill, or "" */
+export function bookingProblem(fill, sewadar) {
+  if (fill.full) return `The jatha is full (${fill.booked} of ${fill.capacity}).`;
+  const quota = fill.quotas.find(
+    (q) =>
+      q.full &&
+      String(sewadar[q.field] ?? "").trim().toLowerCase() === q.value.toLowerCase(),
+  );
+  return quota
+    ? `The ${quota.value} quota is full (${quota.booked} of ${quota.limit}).`
+    : "";
+}
+
+/** A sewadar's place on a jatha's waitlist (1 = next), or 0 when they aren't on it */
+export function waitlistPosition(enrollments, enrollment) {
+  const waiting = enrollments
+    .filter((e) => e.jathaId === enrollment.jathaId && enrollmentStatus(e) === "waitlisted")
+    .sort((a, b) => String(a.$createdAt).localeCompare(String(b.$createdAt)));
+  return waiting.findIndex((e) => e.$id === enrollment.$id) + 1;
+}
+
+/** A calling form jatha row pointing at `jatha` */
+export function jathaRow(jatha) {
+  return {
+    jathaId: jatha.$id,
+    areaName: jatha.areaName,
+    departmentName: jatha.departmentName,
+    jathaTotalDay: String(inclusiveDayCount(jatha.dateFrom, jatha.dateTo)),
+    dateFrom: jatha.dateFrom,
+    dateTo: jatha.dateTo,
+  };
+}
+
+/** Every jatha, soonest first */
+export async function listJathas() {
+  const { databaseId, jathasCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathasCollectionId) return [];
+  return listAllDocuments(jathasCollectionId, [Query.orderAsc("dateFrom")]);
+}
+
+/** Create or update a jatha (`entry.$id` set: update) */
+export async function saveJatha(entry) {
+  const { databaseId, jathasCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathasCollectionId) {
+    throw new Error("Appwrite jathas collection is not configured.");
+  }
+  const problem = jathaProblem(entry);
+  if (problem) throw new Error(problem);
+  const capacity = String(entry.capacity ?? "").trim();
+  const data = {
+    areaName: String(entry.areaName).trim(),
+    departmentName: String(entry.departmentName).trim(),
+    dateFrom: entry.dateFrom,
+    dateTo: entry.dateTo,
+    capacity: capacity ? Number(capacity) : null,
+    jathedar: String(entry.jathedar ?? "").trim(),
+    genderQuotas: String(entry.genderQuotas ?? "").trim(),
+    departmentQuotas: String(entry.departmentQuotas ?? "").trim(),
+  };
+  if (entry.$id) {
+    const saved = await databases.updateDocument(
+      databaseId,
+      jathasCollectionId,
+      entry.$id,
+      data,
+    );
+    // A larger capacity or quota may make room for waitlisted sewadars
+    await promoteWaitlist(saved);
+    return saved;
+  }
+  const docId = `jatha_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return databases.createDocument(databaseId, jathasCollectionId, docId, data);
+}
+
+/** Delete a jatha nobody is enrolled in */
+export async function deleteJatha(jatha) {
+  const { databaseId, jathasCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathasCollectionId) {
+    throw new Error("Appwrite jathas collection is not configured.");
+  }
+  const enrolled = await listEnrollments([Query.equal("jathaId", jatha.$id)]);
+  if (enrolled.length) {
+    throw new Error(
+      `${enrolled.length} sewadar(s) are enrolled in this jatha. Remove them from their calling forms first.`,
+    );
+  }
+  await databases.deleteDocument(databaseId, jathasCollectionId, jatha.$id);
+}
+
+async function listEnrollments(queries = []) {
+  const { databaseId, jathaEnrollmentsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathaEnrollmentsCollectionId) return [];
+  return listAllDocuments(jathaEnrollmentsCollectionId, [
+    ...queries,
+    Query.orderAsc("$createdAt"),
+  ]);
+}
+
+/** Who is enrolled in a jatha, in order of enrollment */
+export function listEnrollmentsForJatha(jathaId) {
+  return listEnrollments([Query.equal("jathaId", jathaId)]);
+}
+
+/** A prospect's enrollments */
+export function listEnrollmentsForProspect(prospectId) {
+  return listEnrollments([Query.equal("prospectId", prospectId)]);
+}
+
+// Appwrite accepts at most 100 values in one Query.equal
+const JATHA_IDS_PER_QUERY = 100;
+
+/** Enrollments in any of `jathaIds`, in order of enrollment per jatha (for fill counts) */
+export async function listEnrollmentsForJathas(jathaIds) {
+  const ids = [...new Set(jathaIds.filter(Boolean))];
+  const all = [];
+  for (let i = 0; i < ids.length; i += JATHA_IDS_PER_QUERY) {
+    all.push(
+      ...(await listEnrollments([
+        Query.equal("jathaId", ids.slice(i, i + JATHA_IDS_PER_QUERY)),
+      ])),
+    );
+  }
+  return all;
+}
+
+async function removeEnrollment(enrollment) {
+  const { databaseId, jathaEnrollmentsCollectionId } = APPWRITE_CONFIG;
+  await databases.deleteDocument(
+    databaseId,
+    jathaEnrollmentsCollectionId,
+    enrollment.$id,
+  );
+}
+
+/** A jatha, or null when it doesn't exist (deleted, or a mistyped id) */
+async function getJatha(jathaId) {
+  const { databaseId, jathasCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathasCollectionId) return null;
+  try {
+    return await databases.getDocument(databaseId, jathasCollectionId, jathaId);
+  } catch (error) {
+    if (error?.code === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Book waitlisted sewadars on `jatha` while there is room, in the order they
+ * joined the waitlist; someone whose quota is still full is passed over for
+ * the next in line. Best effort, like syncCallLogEnrollments.
+ */
+export async function promoteWaitlist(jatha) {
+  const { databaseId, jathaEnrollmentsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathaEnrollmentsCollectionId || !jatha) return;
+  try {
+    const enrollments = await listEnrollmentsForJatha(jatha.$id);
+    for (const enrollment of enrollments) {
+      if (enrollmentStatus(enrollment) !== "waitlisted") continue;
+      const fill = jathaFill(jatha, enrollments);
+      if (fill.full) break;
+      if (bookingProblem(fill, enrollment)) continue;
+      await databases.updateDocument(
+        databaseId,
+        jathaEnrollmentsCollectionId,
+        enrollment.$id,
+        { status: "booked" },
+      );
+      enrollment.status = "booked";
+    }
+  } catch (error) {
+    console.error("Failed to promote jatha waitlist", jatha.$id, error);
+  }
+}
+
+/**
+ * Bring a prospect's enrollments in line with a saved call log: enroll them
+ * in every existing jatha the log's rows point at, and drop enrollments this
+ * log made for jathas it no longer lists (all of them once the log is
+ * deleted), unless another of the prospect's live call logs still lists the
+ * jatha: the enrollment then moves to that log. Enrollments made by the
+ * prospect's other call logs are left alone. New enrollments are waitlisted
+ * when the jatha or the sewadar's quota is full, and dropping a booked one
+ * moves the waitlist up. Best effort, like the audit trail: failures are
+ * logged, not thrown.
+ */
+export async function syncCallLogEnrollments(log) {
+  const { databaseId, jathaEnrollmentsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !jathaEnrollmentsCollectionId || !log?.prospectId) return;
+  const wanted = new Set(
+    isLive(log)
+      ? parseJathaDetails(log.jathaDetails)
+          .map((row) => row.jathaId)
+          .filter(Boolean)
+      : [],
+  );
+  try {
+    const existing = await listEnrollmentsForProspect(log.prospectId);
+    const enrolled = new Set();
+    const freed = [];
+    let otherLogs = null;
+    for (const enrollment of existing) {
+      if (enrollment.callLogId === log.$id && !wanted.has(enrollment.jathaId)) {
+        if (!otherLogs) {
+          const { documents } = await listCallLogsForProspect(log.prospectId);
+          otherLogs = documents.filter((other) => other.$id !== log.$id);
+        }
+        const keeper = otherLogs.find((other) =>
+          parseJathaDetails(other.jathaDetails).some(
+            (row) => row.jathaId === enrollment.jathaId,
+          ),
+        );
+        if (keeper) {
+          await databases.updateDocument(
+            databaseId,
+            jathaEnrollmentsCollectionId,
+            enrollment.$id,
+            { callLogId: keeper.$id },
+          );
+          enrolled.add(enrollment.jathaId);
+          continue;
+        }
+        await removeEnrollment(enrollment);
+        if (enrollmentStatus(enrollment) === "booked") freed.push(enrollment.jathaId);
+      } else {
+        enrolled.add(enrollment.jathaId);
+      }
+    }
+    const missing = [...wanted].filter((jathaId) => !enrolled.has(jathaId));
+    const sewadar = missing.length
+      ? sewadarProfile(await getProspect(log.prospectId))
+      : null;
+    for (const jathaId of missing) {
+      const jatha = await getJatha(jathaId);
+      // No such jatha: nothing to book the sewadar on
+      if (!jatha) continue;
+      const fill = jathaFill(jatha, await listEnrollmentsForJatha(jathaId));
+      const docId = `enrollment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await databases.createDocument(databaseId, jathaEnrollmentsCollectionId, docId, {
+        jathaId,
+        prospectId: log.prospectId,
+        prospectName: String(log.prospectName ?? "").trim(),
+        callLogId: log.$id,
+        enrolledBy: auditActor() || String(log.submittedBy ?? ""),
+        status: bookingProblem(fill, sewadar) ? "waitlisted" : "booked",
+        gender: sewadar.gender,
+        department: sewadar.department,
+      });
+    }
+    for (const jathaId of freed) {
+      await promoteWaitlist(await getJatha(jathaId));
+    }
+  } catch (error) {
+    console.error("Failed to update jatha enrollments", log.$id, error);
+  }
+}
@@ -0,0 +1,62 @@
+// Promise helpers around the browser's IndexedDB, for data that has to
+// survive a reload on the caller's device. Every store keeps plain objects
+// keyed by their `id`. Bump DB_VERSION when adding a store.
+
+const DB_NAME = "sewaCalling";
+const DB_VERSION = 2;
+const STORES = ["callFormDrafts", "offlineCache", "syncQueue"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        STORES.forEach((name) => {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name, { keyPath: "id" });
+          }
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run(store, mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = action(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Stored record, or undefined */
+export function localGet(store, id) {
+  return run(store, "readonly", (s) => s.get(id));
+}
+
+export function localGetAll(store) {
+  return run(store, "readonly", (s) => s.getAll());
+}
+
+/** Insert or replace a record (matched on `record.id`) */
+export function localPut(store, record) {
+  return run(store, "readwrite", (s) => s.put(record));
+}
+
+export function localDelete(store, id) {
+  return run(store, "readwrite", (s) => s.delete(id));
+}
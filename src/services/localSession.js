@@ -0,0 +1,74 @@
+// Session tokens for database-backed users.
+//
+// Tokens are issued and verified by the `session` Appwrite Function
+// (functions/session), which signs them with a secret the browser never
+// sees. The browser only stores the token and, to keep callers working
+// offline, reads its payload (who it names and when it expires); nothing
+// in the payload is trusted until the function has verified it.
+
+import { ExecutionMethod } from 'appwrite'
+import { functions, APPWRITE_CONFIG } from './appwriteClient'
+
+async function callSessionFunction(body) {
+  const { sessionFunctionId } = APPWRITE_CONFIG
+  if (!sessionFunctionId) {
+    throw new Error('The session function is not configured.')
+  }
+  const execution = await functions.createExecution(
+    sessionFunctionId,
+    JSON.stringify(body),
+    false,
+    '/',
+    ExecutionMethod.POST,
+    { 'content-type': 'application/json' },
+  )
+  let data = {}
+  try {
+    data = JSON.parse(execution.responseBody || '{}')
+  } catch {
+    data = {}
+  }
+  return { status: execution.responseStatusCode, data }
+}
+
+/**
+ * Sign in a database-backed user. Resolves to { token, user: { id, email },
+ * role }, or null when the email and password don't match.
+ */
+export async function requestSessionToken(email, password) {
+  const { status, data } = await callSessionFunction({ action: 'login', email, password })
+  if (status === 401) return null
+  if (status !== 200 || !data.token) {
+    throw new Error(data.message || 'Sign-in failed.')
+  }
+  return data
+}
+
+/** Decode the payload without verifying it. Only use the result to look up the session offline. */
+export function readSessionToken(token) {
+  if (typeof token !== 'string') return null
+  const [encodedPayload, signature] = token.split('.')
+  if (!encodedPayload || !signature) return null
+  try {
+    const padded = encodedPayload.replace(/-/g, '+').replace(/_/g, '/')
+    const binary = atob(padded + '='.repeat((4 - (padded.length % 4)) % 4))
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0))
+    const payload = JSON.parse(new TextDecoder().decode(bytes))
+    return payload && typeof payload === 'object' ? payload : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Have the session function verify a token against the current user
+ * document. Resolves to { user: { id, email }, role } when the signature
+ * matches, the token has not expired and the document has not changed since
+ * it was issued; otherwise null. Network failures are thrown.
+ */
+export async function verifySessionToken(token) {
+  if (!readSessionToken(token)) return null
+  const { status, data } = await callSessionFunction({ action: 'verify', token })
+  if (status !== 200 || !data.user) return null
+  return data
+}
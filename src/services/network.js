@@ -0,0 +1,16 @@
+// Connectivity checks for the offline calling mode (see syncQueue).
+
+/** False when the browser knows it has no connection */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/**
+ * True when a request failed for lack of a connection rather than being
+ * rejected by the server. fetch rejects with a TypeError, which the Appwrite
+ * SDK reports with code 0.
+ */
+export function isNetworkError(error) {
+  if (!isOnline()) return true;
+  return error instanceof TypeError || error?.code === 0;
+}
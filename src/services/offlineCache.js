@@ -0,0 +1,70 @@
+import { Query } from "appwrite";
+import { APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import { localGet, localPut } from "./localDb";
+import { isOnline } from "./network";
+import { pageProspectsLocally } from "./prospectsService";
+import { NOT_DELETED } from "./softDelete";
+
+// A caller's assigned prospects and own call logs, copied to IndexedDB while
+// online so the dashboard keeps working without a connection. The copy is
+// only replaced after a complete fetch, never with a partial one.
+
+const STORE = "offlineCache";
+
+/** Re-copy the user's prospects and call logs; keeps the old copy on failure */
+export async function refreshOfflineCache(userEmail) {
+  const { databaseId, prospectsCollectionId, callLogsCollectionId } =
+    APPWRITE_CONFIG;
+  if (!userEmail || !databaseId || !isOnline()) return;
+  const cachedAt = new Date().toISOString();
+  try {
+    if (prospectsCollectionId) {
+      const items = await listAllDocuments(prospectsCollectionId, [
+        Query.equal("assignedTo", userEmail),
+        NOT_DELETED,
+      ]);
+      await localPut(STORE, { id: `prospects:${userEmail}`, items, cachedAt });
+    }
+    if (callLogsCollectionId) {
+      const items = await listAllDocuments(callLogsCollectionId, [
+        Query.equal("submittedBy", userEmail),
+        NOT_DELETED,
+        Query.orderDesc("$createdAt"),
+      ]);
+      await localPut(STORE, { id: `callLogs:${userEmail}`, items, cachedAt });
+    }
+  } catch (error) {
+    console.error("Failed to refresh offline cache", error);
+  }
+}
+
+async function readCache(key) {
+  try {
+    return (await localGet(STORE, key)) || null;
+  } catch (error) {
+    console.error("Failed to read offline cache", error);
+    return null;
+  }
+}
+
+/** listProspectsPage answered from the cached assigned prospects */
+export async function listCachedProspectsPage(userEmail, options = {}) {
+  const cached = await readCache(`prospects:${userEmail}`);
+  return {
+    ...pageProspectsLocally(cached?.items || [], options),
+    cachedAt: cached?.cachedAt || "",
+  };
+}
+
+/** One of the user's cached prospects, or null */
+export async function getCachedProspect(userEmail, prospectId) {
+  const cached = await readCache(`prospects:${userEmail}`);
+  return (cached?.items || []).find((doc) => doc.$id === prospectId) || null;
+}
+
+/** The user's cached call logs, newest first */
+export async function listCachedCallLogs(userEmail) {
+  const cached = await readCache(`callLogs:${userEmail}`);
+  return cached?.items || [];
+}
@@ -0,0 +1,26 @@
+import { Query } from "appwrite";
+import { databases, APPWRITE_CONFIG } from "./appwriteClient";
+
+const PAGE_SIZE = 100;
+
+/**
+ * Every document of a collection matching `queries`, fetched a page at a
+ * time. Appwrite returns 25 documents when no limit is given, so lists that
+ * must be complete go through here. Errors are thrown to the caller.
+ */
+export async function listAllDocuments(collectionId, queries = []) {
+  const all = [];
+  let offset = 0;
+  while (true) {
+    const response = await databases.listDocuments(
+      APPWRITE_CONFIG.databaseId,
+      collectionId,
+      [...queries, Query.limit(PAGE_SIZE), Query.offset(offset)],
+    );
+    const batch = response.documents || [];
+    all.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+  return all;
+}
@@ -0,0 +1,91 @@
+// Salted PBKDF2 hashing for database-backed users.
+// Stored format: pbkdf2$sha256$<iterations>$<saltBase64>$<hashBase64>
+
+const HASH_PREFIX = 'pbkdf2'
+const HASH_ALGORITHM = 'sha256'
+const ITERATIONS = 210000
+const SALT_BYTES = 16
+const KEY_BITS = 256
+
+function toBase64(bytes) {
+  let binary = ''
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b)
+  })
+  return btoa(binary)
+}
+
+function fromBase64(str) {
+  const binary = atob(str)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/** Compare two strings without bailing out on the first mismatch */
+function timingSafeEqual(a, b) {
+  const left = String(a ?? '')
+  const right = String(b ?? '')
+  let diff = left.length ^ right.length
+  const len = Math.max(left.length, right.length)
+  for (let i = 0; i < len; i++) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0)
+  }
+  return diff === 0
+}
+
+async function derive(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(String(password ?? '')),
+    'PBKDF2',
+    false,
+    ['deriveBits'],
+  )
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    KEY_BITS,
+  )
+  return new Uint8Array(bits)
+}
+
+/** True when the stored value is one of our hashes rather than a legacy plaintext password */
+export function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`)
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+  const hash = await derive(password, salt, ITERATIONS)
+  return [HASH_PREFIX, HASH_ALGORITHM, ITERATIONS, toBase64(salt), toBase64(hash)].join('$')
+}
+
+/**
+ * Check a password against a stored value. Legacy documents still hold the
+ * plaintext password; those are compared directly so the caller can rehash
+ * them (see `needsRehash`).
+ */
+export async function verifyPassword(password, stored) {
+  if (!stored) return false
+  if (!isPasswordHash(stored)) {
+    return timingSafeEqual(password, stored)
+  }
+  const [, algorithm, iterations, saltB64, hashB64] = stored.split('$')
+  if (algorithm !== HASH_ALGORITHM || !saltB64 || !hashB64) return false
+  try {
+    const hash = await derive(password, fromBase64(saltB64), Number(iterations))
+    return timingSafeEqual(toBase64(hash), hashB64)
+  } catch {
+    return false
+  }
+}
+
+/** Whether a successfully verified stored value should be replaced with a fresh hash */
+export function needsRehash(stored) {
+  if (!isPasswordHash(stored)) return true
+  const [, algorithm, iterations] = stored.split('$')
+  return algorithm !== HASH_ALGORITHM || Number(iterations) < ITERATIONS
+}
@@ -0,0 +1,148 @@
+import { getAttr } from "./prospectsService";
+import {
+  REQUIRED_IMPORT_FIELDS,
+  SCHEMA_FIELD_LABELS,
+  validateProspectRow,
+} from "./prospectImport";
+
+// Editable prospect fields, keyed by Appwrite attribute (as written by
+// toDbProspect). `assignedTo` is left out: assignment has its own workflow.
+
+export const BADGE_STATUS_OPTIONS = [
+  "N/A",
+  "Open",
+  "Permanent",
+  "Elderly",
+  "Sangat",
+  "New Prospects",
+];
+export const MARITAL_STATUS_OPTIONS = [
+  "N/A",
+  "Single",
+  "Married",
+  "Widowed",
+  "Divorced",
+];
+export const GENDER_OPTIONS = ["Male", "Female", "Other"];
+
+/** Form sections: [title, [{ field, type, options?, wide? }]] */
+export const PROSPECT_DETAIL_SECTIONS = [
+  [
+    "Personal",
+    [
+      { field: "fullName", type: "text" },
+      { field: "guardian", type: "text" },
+      { field: "gender", type: "select", options: GENDER_OPTIONS },
+      { field: "maritalStatus", type: "select", options: MARITAL_STATUS_OPTIONS },
+      { field: "dateOfBirth", type: "date" },
+      { field: "age", type: "text" },
+      { field: "bloodgroup", type: "text" },
+      { field: "aadhar", type: "text" },
+    ],
+  ],
+  [
+    "Contact & Address",
+    [
+      { field: "mobile", type: "tel" },
+      { field: "emergencyContact", type: "tel" },
+      { field: "locality", type: "text", wide: true },
+      { field: "address", type: "textarea", wide: true },
+      { field: "permanentAddress", type: "textarea", wide: true },
+    ],
+  ],
+  [
+    "Badge",
+    [
+      { field: "batchNumber", type: "text" },
+      { field: "badgeStatus", type: "select", options: BADGE_STATUS_OPTIONS },
+      { field: "DeptFinalisedName", type: "text", wide: true },
+    ],
+  ],
+  [
+    "Naam Dan",
+    [
+      { field: "namdaanInitiated", type: "select", options: ["no", "yes"] },
+      { field: "NamdaanDOI", type: "date" },
+      { field: "NamdaanInitiationBy", type: "text" },
+      { field: "NamdaanInitiationPlace", type: "text" },
+    ],
+  ],
+];
+
+export const PROSPECT_DETAIL_FIELDS = PROSPECT_DETAIL_SECTIONS.flatMap(
+  ([, fields]) => fields.map((f) => f.field),
+);
+
+export function prospectFieldLabel(field) {
+  if (field === "batchNumber") return SCHEMA_FIELD_LABELS.badgeId;
+  return SCHEMA_FIELD_LABELS[field] || field;
+}
+
+/** Current values of the editable fields, read from a prospect document */
+export function prospectDetailValues(doc) {
+  const values = {};
+  PROSPECT_DETAIL_FIELDS.forEach((field) => {
+    values[field] =
+      field === "batchNumber"
+        ? getAttr(doc, "batchNumber", "badgeId")
+        : getAttr(doc, field);
+  });
+  return values;
+}
+
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(value);
+}
+
+/**
+ * Validation messages for an edited set of values: the same rules as import,
+ * plus dates. Only `fields` are format-checked (pass the changed ones so a
+ * badly formatted legacy value doesn't block fixing something else); name
+ * and mobile must always be present.
+ */
+export function validateProspectDetails(values, fields = PROSPECT_DETAIL_FIELDS) {
+  const checked = {};
+  fields.forEach((field) => {
+    checked[field] = values[field];
+  });
+  const errors = REQUIRED_IMPORT_FIELDS.filter(
+    (field) => !String(values[field] ?? "").trim(),
+  ).map((field) => `${prospectFieldLabel(field)} is empty`);
+  errors.push(...validateProspectRow(checked, { requiredFields: [] }));
+  ["dateOfBirth", "NamdaanDOI"].forEach((field) => {
+    const value = String(checked[field] ?? "").trim();
+    if (!value) return;
+    if (!isIsoDate(value)) {
+      errors.push(`${prospectFieldLabel(field)} is not a valid date`);
+    } else if (value > new Date().toISOString().slice(0, 10)) {
+      errors.push(`${prospectFieldLabel(field)} is in the future`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Fields whose value differs between the document and the edited values.
+ * @returns {Record<string, { from: string, to: string }>}
+ */
+export function diffProspectDetails(doc, values) {
+  const current = prospectDetailValues(doc);
+  const changes = {};
+  PROSPECT_DETAIL_FIELDS.forEach((field) => {
+    const from = String(current[field] ?? "").trim();
+    const to = String(values[field] ?? "").trim();
+    if (from !== to) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+/** Turn a change set into an updateProspect payload */
+export function changesToPatch(changes) {
+  const patch = {};
+  Object.entries(changes).forEach(([field, { to }]) => {
+    patch[field] = to;
+  });
+  return patch;
+}
@@ -0,0 +1,639 @@
+import * as XLSX from "xlsx";
+import { calculateAgeFromDob, parseImportDate } from "./dates";
+
+// --- Excel → Appwrite schema mapping (do not change schema) ---
+export const SCHEMA_FIELDS = [
+  "fullName",
+  "address",
+  "permanentAddress",
+  "mobile",
+  "bloodgroup",
+  "aadhar",
+  "dateOfBirth",
+  "age",
+  "guardian",
+  "badgeId",
+  "gender",
+  "badgeStatus",
+  "emergencyContact",
+  "DeptFinalisedName",
+  "maritalStatus",
+  "locality",
+  "assignedTo",
+  "NamdaanDOI",
+  "namdaanInitiated",
+  "NamdaanInitiationBy",
+  "NamdaanInitiationPlace",
+];
+
+export const REQUIRED_IMPORT_FIELDS = ["fullName", "mobile"];
+
+/** Normalize for matching: lowercase, remove spaces and non-alphanumeric */
+export function normalizeHeader(str) {
+  return String(str ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Excel column names (and truncated variants) → schema field.
+ * Keys are normalized (lowercase, no spaces/special chars).
+ * Includes short forms so "Blood Grou", "Aadhaar C", "Date of Bir", "Batch Num", "Dept Finali", "Marita" etc. match.
+ */
+const EXCEL_HEADER_TO_SCHEMA = {
+  name: "fullName",
+  nam: "fullName",
+  fullname: "fullName",
+  prospect: "fullName",
+  nameofsewadarsewadarni: "fullName",
+  address: "address",
+  residentialaddress: "address",
+  residentialaddr: "address",
+  location: "address",
+  addr: "address",
+  phone: "mobile",
+  mobile: "mobile",
+  phoneno: "mobile",
+  contact: "mobile",
+  bloodgroup: "bloodgroup",
+  bloodgrou: "bloodgroup",
+  blood: "bloodgroup",
+  bg: "bloodgroup",
+  aadhaarcard: "aadhar",
+  aadhaarc: "aadhar",
+  aadhar: "aadhar",
+  dateofbirth: "dateOfBirth",
+  dateofbir: "dateOfBirth",
+  dob: "dateOfBirth",
+  age: "age",
+  guardianname: "guardian",
+  guardian: "guardian",
+  fathersname: "guardian",
+  batchnumber: "badgeId",
+  batchnum: "badgeId",
+  batch: "badgeId",
+  badgeid: "badgeId",
+  badge: "badgeId",
+  gender: "gender",
+  badgestatus: "badgeStatus",
+  badgestat: "badgeStatus",
+  emergencycontact: "emergencyContact",
+  emergency: "emergencyContact",
+  emerg: "emergencyContact",
+  deptfinalisedname: "DeptFinalisedName",
+  deptfinali: "DeptFinalisedName",
+  department: "DeptFinalisedName",
+  maritalstatus: "maritalStatus",
+  marita: "maritalStatus",
+  marital: "maritalStatus",
+  rovillagetownlocalitydistrict: "locality",
+  locality: "locality",
+  village: "locality",
+  namdaandoi: "NamdaanDOI",
+  namdaaninitiated: "namdaanInitiated",
+  namdaaninitiationby: "NamdaanInitiationBy",
+  namdaaninitiationplace: "NamdaanInitiationPlace",
+  permanentaddress: "permanentAddress",
+  permaddr: "permanentAddress",
+  permanantaddress: "permanentAddress",
+  // assignedTo is never set from import; admin assigns later
+};
+
+/** Also match headers that contain these keywords (after normalization) to handle variants like "Namadan Date of Initialisation" */
+const KEYWORD_TO_SCHEMA = [
+  ["dateofinitialisation", "NamdaanDOI"],
+  ["dateofinitiation", "NamdaanDOI"],
+  ["namadan", "NamdaanDOI"],
+  ["namdaan", "NamdaanDOI"],
+  ["doi", "NamdaanDOI"],
+  ["initiationby", "NamdaanInitiationBy"],
+  ["initiationplace", "NamdaanInitiationPlace"],
+  ["initiated", "namdaanInitiated"],
+];
+
+function matchExcelHeaderToSchemaField(excelHeader) {
+  const normalized = normalizeHeader(excelHeader);
+  if (!normalized) return null;
+
+  // 1. Exact normalized match
+  if (EXCEL_HEADER_TO_SCHEMA[normalized])
+    return EXCEL_HEADER_TO_SCHEMA[normalized];
+
+  // 2. Prefix match: truncated header (e.g. "bloodgrou") is prefix of a known key, or key is prefix of header
+  if (normalized.length >= 2) {
+    for (const key of Object.keys(EXCEL_HEADER_TO_SCHEMA)) {
+      if (key.startsWith(normalized) || normalized.startsWith(key))
+        return EXCEL_HEADER_TO_SCHEMA[key];
+    }
+  }
+
+  // 3. Normalized schema field name equals header
+  for (const field of SCHEMA_FIELDS) {
+    if (normalizeHeader(field) === normalized) return field;
+  }
+
+  // 4. Header contains keyword from KEYWORD_TO_SCHEMA
+  for (const [keyword, schemaField] of KEYWORD_TO_SCHEMA) {
+    if (normalized.includes(keyword)) return schemaField;
+  }
+
+  // 5. Header contains normalized schema field name
+  for (const field of SCHEMA_FIELDS) {
+    const nf = normalizeHeader(field);
+    if (nf && normalized.includes(nf)) return field;
+  }
+
+  return null;
+}
+
+/** Build auto-mapping: array of length headers.length, each element is schemaField string or null (unmapped) */
+export function buildAutoMapping(excelHeaders) {
+  return excelHeaders.map((h) => matchExcelHeaderToSchemaField(h));
+}
+
+const TEXT_FILE_EXTENSIONS = ["csv", "tsv", "txt"];
+const CANDIDATE_DELIMITERS = [",", ";", "\t", "|"];
+
+function isTextFile(file) {
+  const ext = String(file.name || "").split(".").pop().toLowerCase();
+  return (
+    TEXT_FILE_EXTENSIONS.includes(ext) ||
+    /^text\/(csv|tab-separated-values|plain)/.test(file.type || "")
+  );
+}
+
+/** Decode text bytes: honour a BOM, else UTF-8 if valid, else Windows-1252 (Excel's "CSV" default) */
+export function decodeTextFile(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder("windows-1252").decode(bytes);
+  }
+}
+
+/** Count delimiter occurrences in a line, ignoring anything inside double quotes */
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === delimiter) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the same (non-zero)
+ * number of columns most consistently; ties go to the one giving more columns.
+ */
+export function detectDelimiter(text) {
+  const lines = text
+    .split(/\r\n|\n|\r/)
+    .filter((l) => l.trim())
+    .slice(0, 20);
+  let best = ",";
+  let bestScore = -1;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const counts = lines.map((l) => countOutsideQuotes(l, delimiter));
+    if (!counts.length || counts[0] === 0) return;
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = consistent * 1000 + counts[0];
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+  return best;
+}
+
+/** Header row + non-empty data rows of a sheet, keeping each row's number in the sheet */
+function sheetToTable(name, sheet) {
+  const json = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
+  if (!json.length) return { name, headers: [], rows: [], rowNumbers: [] };
+  const headers = json[0].map((h) => String(h ?? "").trim());
+  const rows = [];
+  const rowNumbers = [];
+  json.slice(1).forEach((row, i) => {
+    if (row.some((cell) => cell != null && String(cell).trim())) {
+      rows.push(row);
+      rowNumbers.push(i + 2); // header is row 1
+    }
+  });
+  return { name, headers, rows, rowNumbers };
+}
+
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Parse an Excel workbook or a CSV/TSV file into raw sheets (no schema
+ * applied yet). CSV/TSV files give a single sheet named after the file;
+ * the delimiter and text encoding are detected.
+ * @returns {Promise<{sheets: Array<{name: string, headers: string[], rows: Array[], rowNumbers: number[]}>, delimiter?: string}>}
+ */
+export async function parseImportFile(file) {
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+  if (isTextFile(file)) {
+    const text = decodeTextFile(bytes);
+    const delimiter = detectDelimiter(text);
+    const workbook = XLSX.read(text, { type: "string", FS: delimiter, raw: true });
+    const name = String(file.name || "CSV").replace(/\.[^.]+$/, "");
+    return {
+      sheets: [sheetToTable(name, workbook.Sheets[workbook.SheetNames[0]])],
+      delimiter,
+    };
+  }
+  const workbook = XLSX.read(bytes, { type: "array" });
+  return {
+    sheets: workbook.SheetNames.map((name) =>
+      sheetToTable(name, workbook.Sheets[name]),
+    ),
+  };
+}
+
+/**
+ * Merge the chosen sheets into one table. Columns are matched across sheets
+ * by normalized header, so tabs with the same columns in a different order
+ * line up. `sources[i]` says which sheet and row `rows[i]` came from.
+ */
+export function combineSheets(sheets) {
+  const headers = [];
+  const headerIndex = new Map();
+  sheets.forEach((sheet) => {
+    sheet.headers.forEach((h, i) => {
+      const key = normalizeHeader(h) || `__col${i}`;
+      if (!headerIndex.has(key)) {
+        headerIndex.set(key, headers.length);
+        headers.push(h);
+      }
+    });
+  });
+  const rows = [];
+  const sources = [];
+  sheets.forEach((sheet) => {
+    const columnTargets = sheet.headers.map((h, i) =>
+      headerIndex.get(normalizeHeader(h) || `__col${i}`),
+    );
+    sheet.rows.forEach((row, r) => {
+      const combined = new Array(headers.length).fill("");
+      columnTargets.forEach((target, i) => {
+        combined[target] = row[i] ?? "";
+      });
+      rows.push(combined);
+      sources.push({ sheet: sheet.name, rowNumber: sheet.rowNumbers[r] });
+    });
+  });
+  return { headers, rows, sources };
+}
+
+/** Build prospect objects from raw rows using columnIndex → schemaField mapping. Unmapped columns are skipped. */
+export function buildProspectsFromMapping(rows, columnMapping) {
+  return rows.map((row) => {
+    const prospect = {};
+    columnMapping.forEach((schemaField, colIndex) => {
+      if (!schemaField || schemaField === "__skip__") return;
+      const raw = row[colIndex];
+      const value = raw == null || raw === "" ? "" : String(raw).trim();
+      prospect[schemaField] = value;
+    });
+    return prospect;
+  });
+}
+
+/** Human-readable label for each schema field (used for export headers and the import wizard) */
+export const SCHEMA_FIELD_LABELS = {
+  fullName: "Name of Sewadar/Sewadarni",
+  address: "Residential Address",
+  permanentAddress: "Permanent Address",
+  mobile: "Phone Number",
+  bloodgroup: "Blood Group",
+  aadhar: "Aadhar Number",
+  dateOfBirth: "Date of Birth",
+  age: "Age",
+  guardian: "Father's/Husband's Name",
+  badgeId: "Badge ID",
+  gender: "Gender",
+  badgeStatus: "Badge Status",
+  emergencyContact: "Emergency Contact Number",
+  DeptFinalisedName: "Department Finalised Name",
+  maritalStatus: "Marital Status",
+  locality: "R/O Village/Town/Locality/District",
+  assignedTo: "Assigned To",
+  NamdaanDOI: "Date of Initiation (DOI)",
+  namdaanInitiated: "Initiated",
+  NamdaanInitiationBy: "Initiation By",
+  NamdaanInitiationPlace: "Initiation Place",
+};
+
+/** Schema fields holding calendar dates; stored as YYYY-MM-DD */
+export const IMPORT_DATE_FIELDS = ["dateOfBirth", "NamdaanDOI"];
+
+/**
+ * Convert the date fields of a mapped row to ISO dates and recompute `age`
+ * from the date of birth. Unreadable dates are left as-is and reported in
+ * `errors`; day/month-ambiguous ones (e.g. 03/04/1990) are converted using
+ * `dayFirst` and reported in `warnings` (with their field in `ambiguousFields`)
+ * so they can be reviewed before importing.
+ */
+export function normalizeImportDates(prospect, { dayFirst = true } = {}) {
+  const next = { ...prospect };
+  const errors = [];
+  const warnings = [];
+  const ambiguousFields = [];
+  IMPORT_DATE_FIELDS.forEach((field) => {
+    const raw = prospect[field];
+    const parsed = parseImportDate(raw, { dayFirst });
+    if (!parsed) return;
+    const label = SCHEMA_FIELD_LABELS[field] || field;
+    if (parsed.error) {
+      errors.push(`${label} "${raw}" ${parsed.error}`);
+      return;
+    }
+    next[field] = parsed.iso;
+    if (parsed.ambiguous) {
+      ambiguousFields.push(field);
+      warnings.push(
+        `${label} "${raw}" read as ${parsed.iso} (could be ${parsed.alternative})`,
+      );
+    }
+  });
+  if (next.dateOfBirth && next.dateOfBirth !== prospect.dateOfBirth) {
+    const age = calculateAgeFromDob(next.dateOfBirth);
+    if (age) next.age = age;
+  }
+  return { prospect: next, errors, warnings, ambiguousFields };
+}
+
+/** Sentinel used in a column mapping for a column the admin chose not to import */
+export const SKIP_COLUMN = "__skip__";
+
+const MAPPINGS_STORAGE_KEY = "cb-import-mappings";
+
+/** Identify a sheet layout by its (normalized) header row, so recurring layouts can reuse a mapping */
+export function getLayoutSignature(headers) {
+  return headers.map((h) => normalizeHeader(h)).join("|");
+}
+
+function readSavedMappings() {
+  if (typeof window === "undefined") return {};
+  try {
+    const raw = window.localStorage.getItem(MAPPINGS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Mapping remembered for this header layout, or null when the layout has not been imported before */
+export function getSavedMapping(headers) {
+  const saved = readSavedMappings()[getLayoutSignature(headers)];
+  if (!Array.isArray(saved) || saved.length !== headers.length) return null;
+  return saved.map((field) =>
+    field === SKIP_COLUMN || SCHEMA_FIELDS.includes(field) ? field : null,
+  );
+}
+
+export function saveMapping(headers, columnMapping) {
+  if (typeof window === "undefined") return;
+  const all = readSavedMappings();
+  all[getLayoutSignature(headers)] = columnMapping.map((f) => f || null);
+  try {
+    window.localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // storage full or unavailable: the mapping just won't be remembered
+  }
+}
+
+/** Initial mapping for the wizard: the remembered one if any, else auto-detected */
+export function getInitialMapping(headers) {
+  return getSavedMapping(headers) || buildAutoMapping(headers);
+}
+
+/** Problems with the mapping itself (missing required fields, a field mapped twice) */
+export function validateMapping(columnMapping) {
+  const errors = [];
+  const mapped = columnMapping.filter((f) => f && f !== SKIP_COLUMN);
+  const missing = REQUIRED_IMPORT_FIELDS.filter((r) => !mapped.includes(r));
+  if (missing.length) {
+    errors.push(
+      `Required fields not mapped: ${missing
+        .map((f) => SCHEMA_FIELD_LABELS[f] || f)
+        .join(", ")}.`,
+    );
+  }
+  const seen = new Set();
+  const dupes = new Set();
+  mapped.forEach((f) => {
+    if (seen.has(f)) dupes.add(f);
+    seen.add(f);
+  });
+  if (dupes.size) {
+    errors.push(
+      `Mapped to more than one column: ${[...dupes]
+        .map((f) => SCHEMA_FIELD_LABELS[f] || f)
+        .join(", ")}.`,
+    );
+  }
+  return errors;
+}
+
+/** Per-row validation of a mapped prospect. Returns a list of messages (empty when valid). */
+export function validateProspectRow(
+  prospect,
+  { requiredFields = REQUIRED_IMPORT_FIELDS } = {},
+) {
+  const errors = [];
+  requiredFields.forEach((field) => {
+    if (!String(prospect[field] ?? "").trim()) {
+      errors.push(`${SCHEMA_FIELD_LABELS[field] || field} is empty`);
+    }
+  });
+  const mobileDigits = String(prospect.mobile ?? "").replace(/\D/g, "");
+  if (mobileDigits && (mobileDigits.length < 10 || mobileDigits.length > 12)) {
+    errors.push("Phone Number should have 10 digits");
+  }
+  const emergencyDigits = String(prospect.emergencyContact ?? "").replace(
+    /\D/g,
+    "",
+  );
+  if (
+    emergencyDigits &&
+    (emergencyDigits.length < 10 || emergencyDigits.length > 12)
+  ) {
+    errors.push("Emergency Contact Number should have 10 digits");
+  }
+  const aadharDigits = String(prospect.aadhar ?? "").replace(/\D/g, "");
+  if (aadharDigits && aadharDigits.length !== 12) {
+    errors.push("Aadhar Number should have 12 digits");
+  }
+  const age = String(prospect.age ?? "").trim();
+  if (age && !/^\d{1,3}$/.test(age)) {
+    errors.push("Age should be a number");
+  }
+  return errors;
+}
+
+/** Last 10 digits of a phone number, so "+91 98765-43210" and "9876543210" match */
+export function normalizeMobile(value) {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : "";
+}
+
+export function normalizeAadhar(value) {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  return digits.length === 12 ? digits : "";
+}
+
+export function normalizeBadge(value) {
+  const v = String(value ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return v === "NA" ? "" : v;
+}
+
+/** Match keys for a prospect (import row in schema-field shape or Appwrite document) */
+function duplicateKeys(p) {
+  return {
+    mobile: normalizeMobile(p.mobile ?? p.phoneNumber ?? p.mobileNumber),
+    aadhar: normalizeAadhar(p.aadhar ?? p.aadharNumber),
+    badge: normalizeBadge(p.badgeId ?? p.batchNumber),
+  };
+}
+
+export const DUPLICATE_MATCH_LABELS = {
+  mobile: "Phone Number",
+  aadhar: "Aadhar Number",
+  badge: "Badge ID",
+  nameGuardian: "Name + Father's/Husband's Name",
+};
+
+/** Lookup of existing prospect documents by normalised mobile, Aadhaar and badge number */
+export function buildDuplicateIndex(existingDocs) {
+  const index = { mobile: new Map(), aadhar: new Map(), badge: new Map() };
+  existingDocs.forEach((doc) => {
+    const keys = duplicateKeys(doc);
+    Object.entries(keys).forEach(([kind, key]) => {
+      if (key && !index[kind].has(key)) index[kind].set(key, doc);
+    });
+  });
+  return index;
+}
+
+/**
+ * Existing document this prospect most likely duplicates, with the keys that
+ * matched. Returns null when nothing matches.
+ */
+export function findDuplicate(prospect, index) {
+  const keys = duplicateKeys(prospect);
+  const matches = new Map();
+  Object.entries(keys).forEach(([kind, key]) => {
+    const doc = key ? index[kind].get(key) : null;
+    if (!doc) return;
+    const entry = matches.get(doc.$id) || { doc, matchedOn: [] };
+    entry.matchedOn.push(kind);
+    matches.set(doc.$id, entry);
+  });
+  if (!matches.size) return null;
+  return [...matches.values()].sort(
+    (a, b) => b.matchedOn.length - a.matchedOn.length,
+  )[0];
+}
+
+/** Lowercase letters only (any script), so "Ram  Singh" and "ram singh." compare equal */
+export function normalizePersonName(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}]+/gu, "");
+}
+
+/** Keys for intake warnings: phone, Aadhaar, and name together with guardian */
+function likelyDuplicateKeys(p) {
+  const name = normalizePersonName(p.fullName ?? p.name);
+  const guardian = normalizePersonName(p.guardian);
+  return {
+    mobile: normalizeMobile(p.mobile ?? p.phoneNumber ?? p.mobileNumber),
+    aadhar: normalizeAadhar(p.aadhar ?? p.aadharNumber),
+    nameGuardian: name && guardian ? `${name}|${guardian}` : "",
+  };
+}
+
+/** Like buildDuplicateIndex, but keeps every document per key (for warnings rather than a single match) */
+export function buildLikelyDuplicateIndex(existingDocs) {
+  const index = { mobile: new Map(), aadhar: new Map(), nameGuardian: new Map() };
+  existingDocs.forEach((doc) => {
+    Object.entries(likelyDuplicateKeys(doc)).forEach(([kind, key]) => {
+      if (!key) return;
+      if (!index[kind].has(key)) index[kind].set(key, []);
+      index[kind].get(key).push(doc);
+    });
+  });
+  return index;
+}
+
+/**
+ * All existing documents that share a phone number, Aadhaar number or
+ * name + guardian with this prospect, strongest match first.
+ * @returns {Array<{doc: Object, matchedOn: string[]}>}
+ */
+export function findLikelyDuplicates(prospect, index) {
+  const matches = new Map();
+  Object.entries(likelyDuplicateKeys(prospect)).forEach(([kind, key]) => {
+    if (!key) return;
+    (index[kind].get(key) || []).forEach((doc) => {
+      const entry = matches.get(doc.$id) || { doc, matchedOn: [] };
+      entry.matchedOn.push(kind);
+      matches.set(doc.$id, entry);
+    });
+  });
+  return [...matches.values()].sort(
+    (a, b) => b.matchedOn.length - a.matchedOn.length,
+  );
+}
+
+export const IMPORT_ACTIONS = {
+  create: "Create new",
+  update: "Update existing",
+  skip: "Skip",
+};
+
+/**
+ * Pair each mapped row with its duplicate (an existing document, or an
+ * earlier row in the same file) and a default action.
+ * @returns {Array<{prospect: Object, duplicate: Object|null, duplicateOfRow: number|null, action: string}>}
+ */
+export function planImport(prospects, existingDocs, defaultDuplicateAction = "skip") {
+  const index = buildDuplicateIndex(existingDocs);
+  const inFile = { mobile: new Map(), aadhar: new Map(), badge: new Map() };
+  return prospects.map((prospect, i) => {
+    const duplicate = findDuplicate(prospect, index);
+    let duplicateOfRow = null;
+    const keys = duplicateKeys(prospect);
+    Object.entries(keys).forEach(([kind, key]) => {
+      if (!key) return;
+      if (duplicateOfRow == null && inFile[kind].has(key)) {
+        duplicateOfRow = inFile[kind].get(key);
+      }
+      if (!inFile[kind].has(key)) inFile[kind].set(key, i);
+    });
+    let action = "create";
+    if (duplicate) action = defaultDuplicateAction;
+    else if (duplicateOfRow != null) action = "skip";
+    return { prospect, duplicate, duplicateOfRow, action };
+  });
+}
@@ -1,5 +1,17 @@
 import { Query } from "appwrite";
 import { databases, storage, APPWRITE_CONFIG } from "./appwriteClient";
+import { listAllDocuments } from "./pagedList";
+import { deletionChanges, fieldChanges, recordAudit } from "./auditService";
+import { deleteCallLogsForProspect } from "./callLogsService";
+import { recordAssignment } from "./assignmentsService";
+import { isNetworkError } from "./network";
+import {
+  DELETED,
+  NOT_DELETED,
+  RESTORED,
+  deletionStamp,
+  isLive,
+} from "./softDelete";
 
 /** Read attribute with optional fallback for different casing (Appwrite may return Name vs name) */
 function getAttr(doc, ...keys) {
@@ -76,21 +88,153 @@ export function docToDisplay(doc) {
   };
 }
 
+/** All prospects as `{ documents, total }` (every page, so callers never see a truncated roster). */
 export async function listProspects() {
+  const documents = await listAllProspects();
+  return { documents, total: documents.length };
+}
+
+/**
+ * Search-by options shown in the prospects tables, mapped to the Appwrite
+ * attribute and query used to search it. `search` needs a fulltext index on
+ * the attribute; the rest work with a regular key index.
+ */
+export const PROSPECT_SEARCH_FIELDS = {
+  "Name of Sewadar/Sewadarni": { attribute: "fullName", match: "search" },
+  Address: { attribute: "address", match: "search" },
+  "Phone Number": { attribute: "mobile", match: "startsWith" },
+  "Badge ID": { attribute: "batchNumber", match: "startsWith" },
+  "Assigned To": { attribute: "assignedTo", match: "startsWith" },
+  "Blood Group": { attribute: "bloodgroup", match: "startsWith" },
+};
+
+/** Sortable table columns → Appwrite attribute */
+export const PROSPECT_SORT_FIELDS = {
+  name: "fullName",
+  address: "address",
+  phoneNumber: "mobile",
+  badgeId: "batchNumber",
+  assignedTo: "assignedTo",
+  bloodGroup: "bloodgroup",
+};
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+function buildProspectFilters({ searchBy, searchQuery, assignedTo, assignedOnly }) {
+  const filters = [NOT_DELETED];
+  const q = String(searchQuery ?? "").trim();
+  const searchField = PROSPECT_SEARCH_FIELDS[searchBy];
+  if (q && searchField) {
+    filters.push(
+      searchField.match === "search"
+        ? Query.search(searchField.attribute, q)
+        : Query.startsWith(searchField.attribute, q),
+    );
+  }
+  if (assignedTo) {
+    filters.push(Query.equal("assignedTo", assignedTo));
+  } else if (assignedOnly) {
+    filters.push(Query.notEqual("assignedTo", ""));
+  }
+  return filters;
+}
+
+/** Client-side equivalent of buildProspectFilters, used when the indexed query is rejected */
+function matchesProspectFilters(doc, { searchBy, searchQuery, assignedTo, assignedOnly }) {
+  if (!isLive(doc)) return false;
+  const assigned = String(doc.assignedTo ?? "").trim();
+  if (assignedTo && assigned !== assignedTo) return false;
+  if (!assignedTo && assignedOnly && !assigned) return false;
+  const q = String(searchQuery ?? "").trim().toLowerCase();
+  const searchField = PROSPECT_SEARCH_FIELDS[searchBy];
+  if (!q || !searchField) return true;
+  const value = String(doc[searchField.attribute] ?? "").toLowerCase();
+  return searchField.match === "search"
+    ? value.includes(q)
+    : value.startsWith(q);
+}
+
+/**
+ * One page of prospects, filtered, searched and sorted by Appwrite. Errors
+ * are thrown, except a rejected query, which is retried by paging every
+ * prospect client-side.
+ * @param {Object} options
+ * @param {number} [options.page] - zero-based page index
+ * @param {number} [options.pageSize]
+ * @param {string} [options.sortBy] - key of PROSPECT_SORT_FIELDS
+ * @param {"asc"|"desc"} [options.sortDir]
+ * @param {string} [options.searchBy] - key of PROSPECT_SEARCH_FIELDS
+ * @param {string} [options.searchQuery]
+ * @param {string} [options.assignedTo] - only prospects assigned to this email
+ * @param {boolean} [options.assignedOnly] - only prospects assigned to anyone
+ * @returns {Promise<{documents: Object[], total: number}>}
+ */
+export async function listProspectsPage(options = {}) {
   const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !prospectsCollectionId) {
     return { documents: [], total: 0 };
   }
+  const page = Math.max(0, Number(options.page) || 0);
+  const pageSize = Number(options.pageSize) || DEFAULT_PAGE_SIZE;
+  const sortAttribute = PROSPECT_SORT_FIELDS[options.sortBy];
+  const sortDir = options.sortDir === "desc" ? "desc" : "asc";
+  const order = sortAttribute
+    ? sortDir === "desc"
+      ? Query.orderDesc(sortAttribute)
+      : Query.orderAsc(sortAttribute)
+    : Query.orderDesc("$createdAt");
   try {
     const response = await databases.listDocuments(
       databaseId,
       prospectsCollectionId,
+      [
+        ...buildProspectFilters(options),
+        order,
+        Query.limit(pageSize),
+        Query.offset(page * pageSize),
+      ],
     );
     return response;
   } catch (error) {
-    console.error("Failed to list prospects", error);
-    return { documents: [], total: 0 };
+    // Offline: let the caller fall back to its cached copy
+    if (isNetworkError(error)) throw error;
+    // Only a rejected query (e.g. a missing index) is worth the full fetch
+    if (error?.code !== 400) throw error;
+    console.error("Failed to list prospects page (indexed query):", error);
+    // Fallback: fetch everything and page client-side (in case an index is missing)
+    return pageProspectsLocally(
+      await listAllDocuments(prospectsCollectionId, [NOT_DELETED]),
+      options,
+    );
+  }
+}
+
+/**
+ * listProspectsPage over prospect documents already in memory (same
+ * options), for the index fallback and the offline cache.
+ */
+export function pageProspectsLocally(docs, options = {}) {
+  const page = Math.max(0, Number(options.page) || 0);
+  const pageSize = Number(options.pageSize) || DEFAULT_PAGE_SIZE;
+  const sortAttribute = PROSPECT_SORT_FIELDS[options.sortBy];
+  const all = docs.filter((d) => matchesProspectFilters(d, options));
+  if (sortAttribute) {
+    const dir = options.sortDir === "desc" ? -1 : 1;
+    all.sort(
+      (a, b) =>
+        dir *
+        String(a[sortAttribute] ?? "").localeCompare(
+          String(b[sortAttribute] ?? ""),
+          undefined,
+          { numeric: true, sensitivity: "base" },
+        ),
+    );
   }
+  return {
+    documents: all.slice(page * pageSize, (page + 1) * pageSize),
+    total: all.length,
+  };
 }
 
 /** Fetch every prospect document (paginated). Use for admin export where listDocuments default limit would truncate. */
@@ -99,28 +243,15 @@ export async function listAllProspects() {
   if (!databaseId || !prospectsCollectionId) {
     return [];
   }
-  const limit = 100;
-  const all = [];
-  let offset = 0;
   try {
-    while (true) {
-      const response = await databases.listDocuments(
-        databaseId,
-        prospectsCollectionId,
-        [Query.limit(limit), Query.offset(offset)],
-      );
-      const batch = response.documents || [];
-      all.push(...batch);
-      if (batch.length < limit) break;
-      offset += limit;
-    }
-    return all;
+    return await listAllDocuments(prospectsCollectionId, [NOT_DELETED]);
   } catch (error) {
     console.error("Failed to list all prospects", error);
-    return all;
+    return [];
   }
 }
 
+/** One prospect, or null when it can't be read or is in the recycle bin */
 export async function getProspect(documentId) {
   const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !prospectsCollectionId || !documentId) {
@@ -132,7 +263,7 @@ export async function getProspect(documentId) {
       prospectsCollectionId,
       documentId,
     );
-    return doc;
+    return isLive(doc) ? doc : null;
   } catch (error) {
     console.error("Failed to get prospect", error);
     return null;
@@ -146,12 +277,11 @@ export async function listProspectsAssignedTo(userEmail) {
     return { documents: [], total: 0 };
   }
   try {
-    const response = await databases.listDocuments(
-      databaseId,
-      prospectsCollectionId,
-      [Query.equal("assignedTo", userEmail)],
-    );
-    return response;
+    const all = await listAllDocuments(prospectsCollectionId, [
+      Query.equal("assignedTo", userEmail),
+      NOT_DELETED,
+    ]);
+    return { documents: all, total: all.length };
   } catch (error) {
     console.error("Failed to list assigned prospects", error);
     return { documents: [], total: 0 };
@@ -175,6 +305,7 @@ function toDbProspect(p) {
         p.spouse ??
         "",
     ).trim() || "";
+  const sourceSheet = String(p.sourceSheet ?? "").trim();
   return {
     fullName,
     address: String(address ?? "").trim() || "",
@@ -204,6 +335,8 @@ function toDbProspect(p) {
       String(p.NamdaanInitiationBy ?? p.initiationBy ?? "").trim() || "",
     NamdaanInitiationPlace:
       String(p.NamdaanInitiationPlace ?? p.initiationPlace ?? "").trim() || "",
+    // Only set by multi-sheet imports; omitted otherwise so collections without the attribute keep working
+    ...(sourceSheet ? { sourceSheet } : {}),
   };
 }
 
@@ -220,6 +353,17 @@ export async function createProspect(prospect) {
     docId,
     data,
   );
+  // The first caller starts the assignment history
+  const to = String(created.assignedTo ?? "").trim();
+  if (to) {
+    await recordAssignment({
+      prospectId: created.$id,
+      prospectName: docToDisplay(created).name,
+      from: "",
+      to,
+      reason: "Assigned when added",
+    });
+  }
   return created;
 }
 
@@ -232,39 +376,144 @@ export async function createProspectsBulk(prospects) {
   return results;
 }
 
+/**
+ * Update a prospect. The changed fields are written to the audit trail;
+ * an update of only `assignedTo` is recorded as an (un)assignment.
+ */
 export async function updateProspect(documentId, updates) {
   const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !prospectsCollectionId) {
     throw new Error("Appwrite prospects collection is not configured.");
   }
-  await databases.updateDocument(
+  const before = await getProspect(documentId);
+  const updated = await databases.updateDocument(
     databaseId,
     prospectsCollectionId,
     documentId,
     updates,
   );
+  const fields = Object.keys(updates);
+  const assignment = fields.length === 1 && fields[0] === "assignedTo";
+  await recordAudit({
+    entityType: "prospect",
+    entityId: documentId,
+    entityLabel: docToDisplay(updated).name,
+    prospectId: documentId,
+    action: !assignment ? "update" : updates.assignedTo ? "assign" : "unassign",
+    changes: fieldChanges(before, updates),
+  });
+  return updated;
+}
+
+/**
+ * Only the fields an import row actually filled, in DB shape. Used when an
+ * import updates an existing prospect so blank cells don't wipe stored values.
+ * Assignment is never changed by an import.
+ */
+function toDbProspectPatch(p) {
+  const patch = {};
+  Object.entries(p || {}).forEach(([key, value]) => {
+    if (key === "assignedTo" || key === "sourceSheet") return;
+    const v = String(value ?? "").trim();
+    if (!v) return;
+    patch[key === "badgeId" ? "batchNumber" : key] = v;
+  });
+  const sourceSheet = String(p?.sourceSheet ?? "").trim();
+  // Same as toDbProspect: only multi-sheet imports write it
+  return { ...patch, ...(sourceSheet ? { sourceSheet } : {}) };
 }
 
-export async function assignProspectsToUser(prospectIds, userEmail) {
+/**
+ * Apply an import plan (see planImport): create, update the matched
+ * document, or skip each row. Returns counts for the import summary.
+ */
+export async function importProspects(plan) {
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  for (const row of plan) {
+    try {
+      if (row.action === "update" && row.duplicate?.doc?.$id) {
+        await updateProspect(row.duplicate.doc.$id, toDbProspectPatch(row.prospect));
+        summary.updated += 1;
+      } else if (row.action === "create") {
+        await createProspect(row.prospect);
+        summary.created += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    } catch (error) {
+      console.error("Failed to import prospect row", row.prospect, error);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+/** Set a prospect's caller and add the change to its assignment history */
+async function changeAssignment(documentId, userEmail, { reason, handovers }) {
+  const before = await getProspect(documentId);
+  const from = String(before?.assignedTo ?? "").trim();
+  const updated = await updateProspect(documentId, { assignedTo: userEmail });
+  if (from === userEmail) return;
+  await recordAssignment({
+    prospectId: documentId,
+    prospectName: docToDisplay(updated).name,
+    from,
+    to: userEmail,
+    reason,
+    handover: handovers?.[documentId],
+  });
+}
+
+/**
+ * Assign prospects to a caller. `reason` is kept in the assignment history;
+ * `handovers` maps prospect id to what the previous caller hands over (see
+ * handoverFromLogs).
+ */
+export async function assignProspectsToUser(
+  prospectIds,
+  userEmail,
+  { reason = "", handovers = {} } = {},
+) {
   for (const id of prospectIds) {
-    await updateProspect(id, { assignedTo: userEmail || "" });
+    await changeAssignment(id, userEmail || "", { reason, handovers });
   }
 }
 
-export async function unassignProspects(prospectIds) {
+export async function unassignProspects(prospectIds, { reason = "" } = {}) {
   for (const id of prospectIds) {
-    await updateProspect(id, { assignedTo: "" });
+    await changeAssignment(id, "", { reason });
   }
 }
 
 export { getAttr, getAttrByKeyMatch };
 
+/**
+ * Move a prospect and its call logs to the recycle bin. They are stamped
+ * with the same `deletedAt`, so restoring the prospect brings them back.
+ */
 export async function deleteProspect(documentId) {
   const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
   if (!databaseId || !prospectsCollectionId) {
     throw new Error("Appwrite prospects collection is not configured.");
   }
-  await databases.deleteDocument(databaseId, prospectsCollectionId, documentId);
+  const before = await getProspect(documentId);
+  if (!before) return;
+  const stamp = deletionStamp();
+  await databases.updateDocument(
+    databaseId,
+    prospectsCollectionId,
+    documentId,
+    stamp,
+  );
+  await recordAudit({
+    entityType: "prospect",
+    entityId: documentId,
+    entityLabel: docToDisplay(before).name,
+    prospectId: documentId,
+    action: "delete",
+    changes: fieldChanges(before, stamp),
+  });
+  await deleteCallLogsForProspect(documentId, { deletedAt: stamp.deletedAt });
 }
 
 export async function deleteProspectsBulk(prospectIds) {
@@ -273,6 +522,58 @@ export async function deleteProspectsBulk(prospectIds) {
   }
 }
 
+/** Every prospect in the recycle bin, most recently deleted first */
+export async function listDeletedProspects() {
+  const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !prospectsCollectionId) {
+    throw new Error("Appwrite prospects collection is not configured.");
+  }
+  return listAllDocuments(prospectsCollectionId, [
+    DELETED,
+    Query.orderDesc("deletedAt"),
+  ]);
+}
+
+/** Bring a prospect (a document from listDeletedProspects) back from the recycle bin */
+export async function restoreProspect(doc) {
+  const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !prospectsCollectionId) {
+    throw new Error("Appwrite prospects collection is not configured.");
+  }
+  const restored = await databases.updateDocument(
+    databaseId,
+    prospectsCollectionId,
+    doc.$id,
+    RESTORED,
+  );
+  await recordAudit({
+    entityType: "prospect",
+    entityId: doc.$id,
+    entityLabel: docToDisplay(doc).name,
+    prospectId: doc.$id,
+    action: "restore",
+    changes: fieldChanges(doc, RESTORED),
+  });
+  return restored;
+}
+
+/** Remove a prospect for good; its last values are kept in the audit trail */
+export async function purgeProspect(doc) {
+  const { databaseId, prospectsCollectionId } = APPWRITE_CONFIG;
+  if (!databaseId || !prospectsCollectionId) {
+    throw new Error("Appwrite prospects collection is not configured.");
+  }
+  await databases.deleteDocument(databaseId, prospectsCollectionId, doc.$id);
+  await recordAudit({
+    entityType: "prospect",
+    entityId: doc.$id,
+    entityLabel: docToDisplay(doc).name,
+    prospectId: doc.$id,
+    action: "purge",
+    changes: deletionChanges(doc),
+  });
+}
+
 export async function uploadProspectExcel(file) {
   const { prospectsBucketId } = APPWRITE_CONFIG;
   if (!prospectsBucketId) {
@@ -0,0 +1,94 @@
+import {
+  listCallLogsForProspect,
+  listDeletedCallLogs,
+  purgeCallLog,
+  restoreCallLog,
+} from "./callLogsService";
+import {
+  listDeletedProspects,
+  purgeProspect,
+  restoreProspect,
+} from "./prospectsService";
+import { purgeDate } from "./softDelete";
+
+// The recycle bin: deleted prospects, each with the call logs deleted along
+// with it, and call logs deleted on their own. Records are restored from
+// here or purged for good once RECYCLE_BIN_RETENTION_DAYS have passed.
+
+/**
+ * Everything in the recycle bin:
+ * { prospects: [{ doc, callLogs }], callLogs: [{ doc, prospectInBin }] }.
+ * A call log deleted before its prospect is listed on its own, flagged
+ * `prospectInBin`; it can only come back once the prospect has.
+ */
+export async function listRecycleBin() {
+  const [prospects, callLogs] = await Promise.all([
+    listDeletedProspects(),
+    listDeletedCallLogs(),
+  ]);
+  const byId = new Map(prospects.map((doc) => [doc.$id, { doc, callLogs: [] }]));
+  const loose = [];
+  callLogs.forEach((log) => {
+    const entry = byId.get(log.prospectId);
+    if (entry && log.deletedAt >= entry.doc.deletedAt) {
+      entry.callLogs.push(log);
+    } else {
+      loose.push({ doc: log, prospectInBin: !!entry });
+    }
+  });
+  return { prospects: [...byId.values()], callLogs: loose };
+}
+
+/** Restore a prospect entry of listRecycleBin together with its call logs */
+export async function restoreProspectEntry(entry) {
+  await restoreProspect(entry.doc);
+  for (const log of entry.callLogs) {
+    await restoreCallLog(log);
+  }
+}
+
+/** Restore a call log entry of listRecycleBin */
+export async function restoreCallLogEntry(entry) {
+  if (entry.prospectInBin) {
+    throw new Error("Restore this call's prospect first.");
+  }
+  await restoreCallLog(entry.doc);
+}
+
+/**
+ * Purge everything deleted longer than the retention period ago. A purged
+ * prospect takes all its call logs with it. Failures are logged and retried
+ * on the next run; resolves to the number of records purged.
+ */
+export async function purgeExpiredRecords(now = new Date()) {
+  const expired = (doc) => purgeDate(doc.deletedAt) <= now;
+  const { prospects, callLogs } = await listRecycleBin();
+  const purgedLogs = new Set();
+  let purged = 0;
+  for (const { doc, callLogs: logs } of prospects.filter((e) => expired(e.doc))) {
+    try {
+      const live = (await listCallLogsForProspect(doc.$id)).documents || [];
+      const loose = callLogs
+        .filter((e) => e.doc.prospectId === doc.$id)
+        .map((e) => e.doc);
+      for (const log of [...logs, ...loose, ...live]) {
+        await purgeCallLog(log);
+        purgedLogs.add(log.$id);
+      }
+      await purgeProspect(doc);
+      purged += 1 + logs.length + loose.length + live.length;
+    } catch (error) {
+      console.error("Failed to purge prospect", doc.$id, error);
+    }
+  }
+  for (const { doc } of callLogs) {
+    if (purgedLogs.has(doc.$id) || !expired(doc)) continue;
+    try {
+      await purgeCallLog(doc);
+      purged += 1;
+    } catch (error) {
+      console.error("Failed to purge call log", doc.$id, error);
+    }
+  }
+  return purged;
+}
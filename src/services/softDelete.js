@@ -0,0 +1,37 @@
+import { Query } from "appwrite";
+import { auditActor } from "./auditService";
+
+// Prospects and call logs aren't removed when deleted: `deletedAt` and
+// `deletedBy` are set and every list skips them, so they can be restored
+// from the recycle bin (see recycleBin.js) until the retention period ends
+// and they are purged for good.
+
+/** Days a deleted record stays in the recycle bin before it is purged */
+export const RECYCLE_BIN_RETENTION_DAYS =
+  Number(import.meta.env.VITE_RECYCLE_BIN_RETENTION_DAYS) || 30;
+
+/** Query for records that haven't been deleted */
+export const NOT_DELETED = Query.isNull("deletedAt");
+
+/** Query for records in the recycle bin */
+export const DELETED = Query.isNotNull("deletedAt");
+
+/** Client-side equivalent of NOT_DELETED, for the unindexed fallbacks */
+export function isLive(doc) {
+  return !doc?.deletedAt;
+}
+
+/** Fields that move a record to the recycle bin */
+export function deletionStamp(deletedAt = new Date().toISOString()) {
+  return { deletedAt, deletedBy: auditActor() };
+}
+
+/** Fields that bring a record back from the recycle bin */
+export const RESTORED = { deletedAt: null, deletedBy: null };
+
+/** When a record deleted at `deletedAt` gets purged */
+export function purgeDate(deletedAt) {
+  const d = new Date(deletedAt);
+  d.setDate(d.getDate() + RECYCLE_BIN_RETENTION_DAYS);
+  return d;
+}
@@ -0,0 +1,254 @@
+import {
+  createCallLog,
+  isCallLogConflict,
+  newCallLogId,
+  updateCallLog,
+} from "./callLogsService";
+import { localDelete, localGetAll, localPut } from "./localDb";
+import { isNetworkError, isOnline } from "./network";
+
+// Call log creates and edits made without a connection, kept in IndexedDB
+// and sent in the order they were made once the connection is back.
+//
+// An item is { id, userEmail, seq, action: "create" | "update", logId,
+// prospectId, data, baseUpdatedAt, queuedAt, status, error }. Creates carry
+// their own call log id, so a retry after a lost response can't save the
+// call twice. An edit remembers the `$updatedAt` it started from; if the
+// call log changed on the server since then the item becomes a "conflict"
+// and waits for the caller to keep or discard their version (only discard
+// when it was deleted, flagged `deleted`). Items the
+// server rejects become "failed". Later items for the same call log wait
+// behind a conflicted or failed one.
+
+const STORE = "syncQueue";
+
+const listeners = new Set();
+let running = null;
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/** Call `listener` after every queue change; returns the unsubscribe function */
+export function subscribeSyncQueue(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** The user's queued changes, oldest first */
+export async function listSyncQueue(userEmail) {
+  if (!userEmail) return [];
+  try {
+    return (await localGetAll(STORE))
+      .filter((item) => item.userEmail === userEmail)
+      .sort((a, b) => a.seq - b.seq);
+  } catch (error) {
+    console.error("Failed to read sync queue", error);
+    return [];
+  }
+}
+
+async function putItem(item) {
+  await localPut(STORE, item);
+  notify();
+  return item;
+}
+
+async function removeItem(id) {
+  await localDelete(STORE, id);
+  notify();
+}
+
+/**
+ * Queue a change. Edits to a call still waiting in the queue are folded into
+ * the waiting item, so each call log has at most one queued create or edit.
+ */
+async function enqueue(
+  userEmail,
+  { action, logId, prospectId, data, baseUpdatedAt },
+) {
+  const queued = (await listSyncQueue(userEmail)).find(
+    (item) => item.logId === logId,
+  );
+  if (queued) {
+    return putItem({
+      ...queued,
+      data: { ...queued.data, ...data },
+      status: queued.status === "conflict" ? "conflict" : "pending",
+      error: queued.status === "conflict" ? queued.error : "",
+    });
+  }
+  const now = Date.now();
+  return putItem({
+    id: `sync_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    userEmail,
+    seq: now,
+    action,
+    logId,
+    prospectId: prospectId || "",
+    data,
+    baseUpdatedAt: baseUpdatedAt || "",
+    queuedAt: new Date(now).toISOString(),
+    status: "pending",
+    error: "",
+  });
+}
+
+/**
+ * Save a call log now, or queue it when there's no connection (or the call
+ * is itself still queued). `log` is the call log being edited, if any; an
+ * online edit is refused if `log` is out of date (see isCallLogConflict).
+ * Pass `offline` for a session that hasn't been verified yet: the change is
+ * always queued. Resolves to { queued } so the form can tell the caller what
+ * happened.
+ */
+export async function submitCallLog(userEmail, { log, data, offline = false }) {
+  const logId = log?.$id || newCallLogId();
+  const action = log ? "update" : "create";
+  const change = {
+    action,
+    logId,
+    prospectId: log?.prospectId || data.prospectId,
+    data,
+    // Shown copies of queued changes carry no server version to check against
+    baseUpdatedAt: log?.pendingSync ? "" : log?.$updatedAt,
+  };
+  const waiting = (await listSyncQueue(userEmail)).some(
+    (item) => item.logId === logId,
+  );
+  if (offline || waiting || !isOnline()) {
+    await enqueue(userEmail, change);
+    return { queued: true };
+  }
+  try {
+    if (log) {
+      await updateCallLog(logId, data, { baseUpdatedAt: change.baseUpdatedAt });
+    } else {
+      await createCallLog({ ...data, logId });
+    }
+    return { queued: false };
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    await enqueue(userEmail, change);
+    return { queued: true };
+  }
+}
+
+async function sendItem(item) {
+  if (item.action === "create") {
+    try {
+      await createCallLog({ ...item.data, logId: item.logId });
+    } catch (error) {
+      // Already there: an earlier attempt got through but its response was lost
+      if (error?.code !== 409) throw error;
+    }
+    return;
+  }
+  try {
+    await updateCallLog(item.logId, item.data, {
+      baseUpdatedAt: item.baseUpdatedAt,
+    });
+  } catch (error) {
+    if (!isCallLogConflict(error)) throw error;
+    if (!error.current) {
+      return { conflict: "This call was deleted on the server.", deleted: true };
+    }
+    return {
+      conflict: "This call was changed by someone else while you were offline.",
+    };
+  }
+}
+
+async function runSync(userEmail) {
+  const blocked = new Set();
+  let synced = 0;
+  for (const item of await listSyncQueue(userEmail)) {
+    if (item.status !== "pending" || blocked.has(item.logId)) {
+      blocked.add(item.logId);
+      continue;
+    }
+    try {
+      const result = await sendItem(item);
+      if (result?.conflict) {
+        blocked.add(item.logId);
+        await putItem({
+          ...item,
+          status: "conflict",
+          error: result.conflict,
+          deleted: !!result.deleted,
+        });
+        continue;
+      }
+      await removeItem(item.id);
+      synced += 1;
+    } catch (error) {
+      // Connection dropped again: stop here and keep the order for next time
+      if (isNetworkError(error)) break;
+      blocked.add(item.logId);
+      await putItem({
+        ...item,
+        status: "failed",
+        error: error.message || "The server rejected this change.",
+      });
+    }
+  }
+  return synced;
+}
+
+/**
+ * Send the user's pending changes in order. Only one sync runs at a time;
+ * resolves to the number of changes saved.
+ */
+export function syncCallLogQueue(userEmail) {
+  if (!userEmail || !isOnline()) return Promise.resolve(0);
+  if (!running) {
+    running = runSync(userEmail).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+/** Send a conflicted or failed change again; `overwrite` drops the conflict check */
+export async function retryQueuedChange(item, { overwrite = false } = {}) {
+  await putItem({
+    ...item,
+    status: "pending",
+    error: "",
+    baseUpdatedAt: overwrite ? "" : item.baseUpdatedAt,
+  });
+}
+
+export async function discardQueuedChange(item) {
+  await removeItem(item.id);
+}
+
+/**
+ * Call logs with the user's queued changes laid over them: queued creates
+ * are added (newest first) and queued edits replace the saved answers.
+ * Both are flagged `pendingSync`.
+ */
+export function applyQueuedChanges(logs, items) {
+  const edits = {};
+  items
+    .filter((item) => item.action === "update")
+    .forEach((item) => {
+      edits[item.logId] = item;
+    });
+  const merged = logs.map((log) =>
+    edits[log.$id]
+      ? { ...log, ...edits[log.$id].data, pendingSync: true }
+      : log,
+  );
+  const created = items
+    .filter((item) => item.action === "create")
+    .map((item) => ({
+      ...item.data,
+      $id: item.logId,
+      $createdAt: item.queuedAt,
+      $updatedAt: item.queuedAt,
+      pendingSync: true,
+    }))
+    .reverse();
+  return [...created, ...merged];
+}
@@ -1,5 +1,6 @@
 import { Query } from 'appwrite'
 import { databases, APPWRITE_CONFIG } from './appwriteClient'
+import { hashPassword } from './passwordHash'
 
 export async function createUser(email, password, role) {
   const { databaseId, usersCollectionId } = APPWRITE_CONFIG
@@ -25,6 +26,7 @@ export async function createUser(email, password, role) {
 
   // Generate unique document ID
   const documentId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  const passwordHash = await hashPassword(password)
 
   const newUser = await databases.createDocument(
     databaseId,
@@ -32,7 +34,7 @@ export async function createUser(email, password, role) {
     documentId,
     {
       email,
-      password,
+      password: passwordHash,
       role: role === 'admin' ? 'admin' : 'user',
     },
   )
@@ -55,6 +57,34 @@ export async function listUsers() {
   }
 }
 
+/** Fetch a single user document; resolves to null when it no longer exists */
+export async function getUser(userId) {
+  const { databaseId, usersCollectionId } = APPWRITE_CONFIG
+  if (!databaseId || !usersCollectionId || !userId) {
+    return null
+  }
+
+  try {
+    return await databases.getDocument(databaseId, usersCollectionId, userId)
+  } catch (error) {
+    if (error?.code === 404) return null
+    throw error
+  }
+}
+
+/** Replace a user's stored password with a freshly hashed one */
+export async function updateUserPassword(userId, password) {
+  const { databaseId, usersCollectionId } = APPWRITE_CONFIG
+  if (!databaseId || !usersCollectionId) {
+    throw new Error('Appwrite users collection is not configured.')
+  }
+
+  const passwordHash = await hashPassword(password)
+  return databases.updateDocument(databaseId, usersCollectionId, userId, {
+    password: passwordHash,
+  })
+}
+
 export async function deleteUser(userId) {
   const { databaseId, usersCollectionId } = APPWRITE_CONFIG
   if (!databaseId || !usersCollectionId) {